@@ -0,0 +1,22 @@
+module.exports = {
+  jwtSecret: process.env.JWT_SECRET || 'supersecretjwt',
+  accessTokenTtl: process.env.ACCESS_TOKEN_TTL || '15m',
+  refreshTokenTtlDays: parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30,
+  mfaChallengeTtl: process.env.MFA_CHALLENGE_TTL || '5m',
+  totpIssuer: process.env.TOTP_ISSUER || 'Todo App',
+  passwordResetTtlMinutes: parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 60,
+  invitationTtlDays: parseInt(process.env.INVITATION_TTL_DAYS, 10) || 7,
+  emailVerificationTtlHours: parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS, 10) || 48,
+  lockout: {
+    threshold: parseInt(process.env.LOCKOUT_THRESHOLD, 10) || 5,
+    windowMinutes: parseInt(process.env.LOCKOUT_WINDOW_MINUTES, 10) || 15,
+    baseMinutes: parseInt(process.env.LOCKOUT_BASE_MINUTES, 10) || 5,
+    maxMinutes: parseInt(process.env.LOCKOUT_MAX_MINUTES, 10) || 60
+  },
+  accountDeletion: {
+    graceDays: parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS, 10) || 14,
+    checkIntervalMinutes: parseInt(process.env.ACCOUNT_DELETION_CHECK_MINUTES, 10) || 60
+  },
+  // Security question recovery is weak, so it is opt-in
+  securityQuestionsEnabled: process.env.SECURITY_QUESTIONS_ENABLED === 'true'
+};
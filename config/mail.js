@@ -0,0 +1,18 @@
+const os = require('os');
+const path = require('path');
+
+module.exports = {
+  // smtp, file or console
+  transport: process.env.MAIL_TRANSPORT || 'console',
+  from: process.env.MAIL_FROM || 'Todo App <no-reply@localhost>',
+  // Base URL used to build links in emails
+  appUrl: process.env.APP_URL || process.env.FRONTEND_URL || 'http://localhost:3000',
+  smtp: {
+    host: process.env.SMTP_HOST || 'localhost',
+    port: parseInt(process.env.SMTP_PORT, 10) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    user: process.env.SMTP_USER,
+    password: process.env.SMTP_PASSWORD
+  },
+  fileDir: process.env.MAIL_FILE_DIR || path.join(os.tmpdir(), 'todo-mail')
+};
@@ -0,0 +1,18 @@
+module.exports = {
+  // Notification types users can receive. All are on until a user turns
+  // them off in their preferences.
+  types: {
+    'invitation.received': 'Someone invited you to a list',
+    'invitation.accepted': 'Someone accepted your invitation to a list',
+    'member.role_changed': 'Your role on a list changed',
+    'member.removed': 'You were removed from a list',
+    'list.ownership_transferred': 'You became the owner of a list',
+    'comment.mention': 'Someone mentioned you in a comment',
+    'task.due_soon': 'A task assigned to you is due soon',
+    'task.overdue': 'A task assigned to you is overdue',
+    'task.reminder': 'A reminder you set on a task went off'
+  },
+  dueSoonDays: parseInt(process.env.NOTIFY_DUE_SOON_DAYS, 10) || 1,
+  overdueLookbackDays: parseInt(process.env.NOTIFY_OVERDUE_LOOKBACK_DAYS, 10) || 7,
+  dueCheckIntervalMinutes: parseInt(process.env.NOTIFY_DUE_CHECK_MINUTES, 10) || 15
+};
@@ -0,0 +1,15 @@
+module.exports = {
+  // Delivery channels reminders are sent through, comma separated. Built in:
+  // notification (in-app) and email.
+  channels: (process.env.REMINDER_CHANNELS || 'notification')
+    .split(',')
+    .map(channel => channel.trim())
+    .filter(Boolean),
+  pollSeconds: parseInt(process.env.REMINDER_POLL_SECONDS, 10) || 30,
+  // Failed deliveries are retried on the next polls, up to this many times
+  maxAttempts: parseInt(process.env.REMINDER_MAX_ATTEMPTS, 10) || 5,
+  // Offsets on tasks that are due on a day rather than at a time count back
+  // from this local time
+  defaultDueTime: process.env.REMINDER_DEFAULT_DUE_TIME || '09:00',
+  maxPerTask: 10
+};
@@ -0,0 +1,55 @@
+// List roles, from least to most privileged, mapped to what they allow.
+// "owner" is not stored in list_members - it is whoever owns the list.
+const viewer = [
+  'list.view',
+  'task.view',
+  'member.view',
+  'activity.view'
+];
+
+// Commenters can discuss tasks without changing them
+const commenter = [
+  ...viewer,
+  'comment.create'
+];
+
+const member = [
+  ...commenter,
+  'task.create',
+  'task.update',
+  'task.complete',
+  'task.delete'
+];
+
+const admin = [
+  ...member,
+  'list.rename',
+  'list.share',
+  'status.manage',
+  'comment.moderate',
+  'member.invite',
+  'member.update',
+  'member.remove'
+];
+
+const owner = [
+  ...admin,
+  'list.delete',
+  'list.transfer'
+];
+
+const ROLE_CAPABILITIES = {
+  viewer,
+  commenter,
+  member,
+  admin,
+  owner
+};
+
+// Roles that can be given to members and invitees
+const ASSIGNABLE_ROLES = ['viewer', 'commenter', 'member', 'admin'];
+
+module.exports = {
+  ROLE_CAPABILITIES,
+  ASSIGNABLE_ROLES
+};
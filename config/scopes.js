@@ -0,0 +1,15 @@
+// Scopes a personal access token can be granted, each mapped to the scopes
+// it implies
+module.exports = {
+  'profile:read': [],
+  'lists:read': [],
+  'lists:write': ['lists:read'],
+  'tasks:read': [],
+  'tasks:write': ['tasks:read'],
+  'members:read': [],
+  'members:admin': ['members:read'],
+  'notifications:read': [],
+  'notifications:write': ['notifications:read'],
+  'filters:read': [],
+  'filters:write': ['filters:read']
+};
@@ -4,9 +4,18 @@ CREATE TABLE IF NOT EXISTS users (
     id SERIAL PRIMARY KEY,
     name TEXT NOT NULL,
     email TEXT UNIQUE NOT NULL,
+    email_verified BOOLEAN DEFAULT false,
     password_hash TEXT NOT NULL,
-    security_question TEXT NOT NULL,
-    security_answer_hash TEXT NOT NULL,
+    security_question TEXT,
+    security_answer_hash TEXT,
+    totp_secret TEXT,
+    totp_enabled BOOLEAN DEFAULT false,
+    totp_last_used_step BIGINT,
+    deletion_requested_at TIMESTAMP,
+    deletion_scheduled_for TIMESTAMP,
+    deletion_new_owners JSONB,
+    -- IANA time zone due times and reminders are shown in
+    time_zone TEXT DEFAULT 'UTC',
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
@@ -25,14 +34,90 @@ CREATE TABLE IF NOT EXISTS list_members (
     PRIMARY KEY (list_id, user_id)
 );
 
+-- Kanban columns of a list, in position order. Tasks in a terminal status
+-- are completed; wip_limit caps how many tasks can be moved into a column.
+CREATE TABLE IF NOT EXISTS list_statuses (
+    id SERIAL PRIMARY KEY,
+    list_id INT REFERENCES lists(id) ON DELETE CASCADE,
+    name VARCHAR(50) NOT NULL,
+    position INT NOT NULL,
+    is_terminal BOOLEAN NOT NULL DEFAULT false,
+    wip_limit INT CHECK (wip_limit > 0),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Each user's own order of the lists they can access. Lists they never
+-- moved have no row.
+CREATE TABLE IF NOT EXISTS list_positions (
+    user_id INT REFERENCES users(id) ON DELETE CASCADE,
+    list_id INT REFERENCES lists(id) ON DELETE CASCADE,
+    position TEXT COLLATE "C" NOT NULL,
+    PRIMARY KEY (user_id, list_id)
+);
+
+CREATE TABLE IF NOT EXISTS list_invitations (
+    id SERIAL PRIMARY KEY,
+    list_id INT REFERENCES lists(id) ON DELETE CASCADE,
+    email TEXT NOT NULL,
+    role TEXT DEFAULT 'member',
+    token_hash TEXT UNIQUE NOT NULL,
+    invited_by INT REFERENCES users(id) ON DELETE SET NULL,
+    status TEXT DEFAULT 'pending',
+    expires_at TIMESTAMP NOT NULL,
+    responded_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS list_share_links (
+    id SERIAL PRIMARY KEY,
+    list_id INT REFERENCES lists(id) ON DELETE CASCADE,
+    token_hash TEXT UNIQUE NOT NULL,
+    token_prefix TEXT NOT NULL,
+    created_by INT REFERENCES users(id) ON DELETE SET NULL,
+    expires_at TIMESTAMP,
+    revoked_at TIMESTAMP,
+    access_count INT DEFAULT 0,
+    last_accessed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- A recurring task. Occurrences are tasks pointing at the series; the next
+-- one is created from the template below when the open one is completed.
+CREATE TABLE IF NOT EXISTS task_series (
+    id SERIAL PRIMARY KEY,
+    list_id INT REFERENCES lists(id) ON DELETE CASCADE,
+    rrule TEXT NOT NULL,
+    after_completion BOOLEAN DEFAULT false,
+    starts_on DATE NOT NULL,
+    title TEXT NOT NULL,
+    description TEXT,
+    priority TEXT,
+    tags TEXT[] DEFAULT '{}',
+    assignee_ids INT[] DEFAULT '{}',
+    due_time TIME,
+    time_zone TEXT,
+    created_by INT REFERENCES users(id) ON DELETE SET NULL,
+    ended_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 CREATE TABLE IF NOT EXISTS tasks (
     id SERIAL PRIMARY KEY,
     list_id INT REFERENCES lists(id) ON DELETE CASCADE,
     title TEXT NOT NULL,
     description TEXT,
     priority TEXT,
+    -- due_date is the day in time_zone. due_at is only set for tasks due at
+    -- a specific time.
     due_date DATE,
+    due_at TIMESTAMPTZ,
+    time_zone TEXT,
     completed BOOLEAN DEFAULT false,
+    series_id INT REFERENCES task_series(id) ON DELETE SET NULL,
+    -- Manual order within the list (see utils/positions.js)
+    position TEXT COLLATE "C" NOT NULL,
+    -- Kanban column, NULL while the list has no statuses
+    status_id INT REFERENCES list_statuses(id) ON DELETE SET NULL,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
@@ -41,9 +126,26 @@ CREATE TABLE IF NOT EXISTS subtasks (
     task_id INT REFERENCES tasks(id) ON DELETE CASCADE,
     title TEXT NOT NULL,
     completed BOOLEAN DEFAULT false,
+    position TEXT COLLATE "C" NOT NULL,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- A reminder is either at a fixed time or some minutes before the task is
+-- due. fire_at is when it goes off, kept up to date as the due time moves.
+CREATE TABLE IF NOT EXISTS task_reminders (
+    id SERIAL PRIMARY KEY,
+    task_id INT REFERENCES tasks(id) ON DELETE CASCADE,
+    user_id INT REFERENCES users(id) ON DELETE CASCADE,
+    remind_at TIMESTAMPTZ,
+    minutes_before INT,
+    fire_at TIMESTAMPTZ,
+    sent_at TIMESTAMPTZ,
+    attempts INT DEFAULT 0,
+    last_error TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK ((remind_at IS NULL) <> (minutes_before IS NULL))
+);
+
 CREATE TABLE IF NOT EXISTS tags (
     id SERIAL PRIMARY KEY,
     name TEXT UNIQUE NOT NULL
@@ -55,14 +157,306 @@ CREATE TABLE IF NOT EXISTS task_tags (
     PRIMARY KEY (task_id, tag_id)
 );
 
+CREATE TABLE IF NOT EXISTS task_assignees (
+    task_id INT REFERENCES tasks(id) ON DELETE CASCADE,
+    user_id INT REFERENCES users(id) ON DELETE CASCADE,
+    assigned_by INT REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (task_id, user_id)
+);
+
+CREATE TABLE IF NOT EXISTS subtask_assignees (
+    subtask_id INT REFERENCES subtasks(id) ON DELETE CASCADE,
+    user_id INT REFERENCES users(id) ON DELETE CASCADE,
+    assigned_by INT REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (subtask_id, user_id)
+);
+
+CREATE TABLE IF NOT EXISTS task_comments (
+    id SERIAL PRIMARY KEY,
+    task_id INT REFERENCES tasks(id) ON DELETE CASCADE,
+    parent_id INT REFERENCES task_comments(id) ON DELETE CASCADE,
+    author_id INT REFERENCES users(id) ON DELETE SET NULL,
+    body TEXT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP,
+    deleted_at TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS task_comment_edits (
+    id SERIAL PRIMARY KEY,
+    comment_id INT REFERENCES task_comments(id) ON DELETE CASCADE,
+    body TEXT NOT NULL,
+    edited_by INT REFERENCES users(id) ON DELETE SET NULL,
+    edited_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS comment_mentions (
+    comment_id INT REFERENCES task_comments(id) ON DELETE CASCADE,
+    user_id INT REFERENCES users(id) ON DELETE CASCADE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (comment_id, user_id)
+);
+
+-- No foreign key on list_id so the trail outlives deleted lists
+CREATE TABLE IF NOT EXISTS list_activity (
+    id SERIAL PRIMARY KEY,
+    list_id INT NOT NULL,
+    actor_id INT REFERENCES users(id) ON DELETE SET NULL,
+    action TEXT NOT NULL,
+    target_type TEXT NOT NULL,
+    target_id INT,
+    before JSONB,
+    after JSONB,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS notifications (
+    id SERIAL PRIMARY KEY,
+    user_id INT REFERENCES users(id) ON DELETE CASCADE,
+    type TEXT NOT NULL,
+    actor_id INT REFERENCES users(id) ON DELETE SET NULL,
+    list_id INT REFERENCES lists(id) ON DELETE CASCADE,
+    task_id INT REFERENCES tasks(id) ON DELETE CASCADE,
+    data JSONB,
+    dedupe_key TEXT,
+    read_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (user_id, dedupe_key)
+);
+
+CREATE TABLE IF NOT EXISTS notification_preferences (
+    user_id INT REFERENCES users(id) ON DELETE CASCADE,
+    type TEXT NOT NULL,
+    enabled BOOLEAN NOT NULL DEFAULT true,
+    PRIMARY KEY (user_id, type)
+);
+
+CREATE TABLE IF NOT EXISTS sessions (
+    id UUID PRIMARY KEY,
+    user_id INT REFERENCES users(id) ON DELETE CASCADE,
+    user_agent TEXT,
+    ip_address TEXT,
+    revoked_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+    id SERIAL PRIMARY KEY,
+    session_id UUID REFERENCES sessions(id) ON DELETE CASCADE,
+    token_hash TEXT UNIQUE NOT NULL,
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS password_reset_tokens (
+    id SERIAL PRIMARY KEY,
+    user_id INT REFERENCES users(id) ON DELETE CASCADE,
+    token_hash TEXT UNIQUE NOT NULL,
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS recovery_codes (
+    id SERIAL PRIMARY KEY,
+    user_id INT REFERENCES users(id) ON DELETE CASCADE,
+    code_hash TEXT NOT NULL,
+    used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS account_lockouts (
+    user_id INT REFERENCES users(id) ON DELETE CASCADE,
+    scope TEXT NOT NULL,
+    failed_attempts INT DEFAULT 0,
+    lockout_count INT DEFAULT 0,
+    locked_until TIMESTAMP,
+    last_failed_at TIMESTAMP,
+    PRIMARY KEY (user_id, scope)
+);
+
+-- Failure counters of emails no account has, kept like account_lockouts
+CREATE TABLE IF NOT EXISTS unknown_email_lockouts (
+    email TEXT NOT NULL,
+    scope TEXT NOT NULL,
+    failed_attempts INT DEFAULT 0,
+    lockout_count INT DEFAULT 0,
+    locked_until TIMESTAMP,
+    last_failed_at TIMESTAMP,
+    PRIMARY KEY (email, scope)
+);
+
+CREATE TABLE IF NOT EXISTS security_events (
+    id SERIAL PRIMARY KEY,
+    user_id INT REFERENCES users(id) ON DELETE CASCADE,
+    event_type TEXT NOT NULL,
+    ip_address TEXT,
+    user_agent TEXT,
+    metadata JSONB,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS personal_access_tokens (
+    id SERIAL PRIMARY KEY,
+    user_id INT REFERENCES users(id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    token_hash TEXT UNIQUE NOT NULL,
+    token_prefix TEXT NOT NULL,
+    scopes TEXT[] NOT NULL,
+    expires_at TIMESTAMP,
+    last_used_at TIMESTAMP,
+    revoked_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Secret calendar subscription URL of a user. Creating a new one replaces
+-- the old URL.
+CREATE TABLE IF NOT EXISTS calendar_feeds (
+    id SERIAL PRIMARY KEY,
+    user_id INT UNIQUE REFERENCES users(id) ON DELETE CASCADE,
+    token_hash TEXT UNIQUE NOT NULL,
+    token_prefix TEXT NOT NULL,
+    access_count INT DEFAULT 0,
+    last_accessed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Resource names and UIDs CalDAV clients chose for the tasks and subtasks
+-- they created. Everything else is served under generated ones.
+CREATE TABLE IF NOT EXISTS caldav_objects (
+    id SERIAL PRIMARY KEY,
+    list_id INT REFERENCES lists(id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    uid TEXT NOT NULL,
+    task_id INT UNIQUE REFERENCES tasks(id) ON DELETE CASCADE,
+    subtask_id INT UNIQUE REFERENCES subtasks(id) ON DELETE CASCADE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (list_id, name),
+    UNIQUE (list_id, uid),
+    CHECK ((task_id IS NULL) <> (subtask_id IS NULL))
+);
+
+-- Named task queries (see utils/savedFilters.js for the definition format).
+-- A filter with a list_id is shared with that list's members.
+CREATE TABLE IF NOT EXISTS saved_filters (
+    id SERIAL PRIMARY KEY,
+    user_id INT REFERENCES users(id) ON DELETE CASCADE,
+    list_id INT REFERENCES lists(id) ON DELETE SET NULL,
+    name VARCHAR(100) NOT NULL,
+    definition JSONB NOT NULL DEFAULT '{}',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS email_verification_tokens (
+    id SERIAL PRIMARY KEY,
+    user_id INT REFERENCES users(id) ON DELETE CASCADE,
+    email TEXT NOT NULL,
+    token_hash TEXT UNIQUE NOT NULL,
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Upgrade databases created before the columns below existed. On a fresh
+-- database the tables above already have them and this only re-applies the
+-- same definitions.
+ALTER TABLE users ALTER COLUMN security_question DROP NOT NULL;
+ALTER TABLE users ALTER COLUMN security_answer_hash DROP NOT NULL;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_secret TEXT;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_enabled BOOLEAN DEFAULT false;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_last_used_step BIGINT;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS deletion_requested_at TIMESTAMP;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS deletion_scheduled_for TIMESTAMP;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS deletion_new_owners JSONB;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS time_zone TEXT DEFAULT 'UTC';
+
+-- Accounts from before email verification count as verified; only new ones
+-- start unverified
+ALTER TABLE users ADD COLUMN IF NOT EXISTS email_verified BOOLEAN DEFAULT true;
+ALTER TABLE users ALTER COLUMN email_verified SET DEFAULT false;
+
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS due_at TIMESTAMPTZ;
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS time_zone TEXT;
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS series_id INT REFERENCES task_series(id) ON DELETE SET NULL;
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS status_id INT REFERENCES list_statuses(id) ON DELETE SET NULL;
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS position TEXT COLLATE "C";
+ALTER TABLE subtasks ADD COLUMN IF NOT EXISTS position TEXT COLLATE "C";
+
+-- The item-th of total positions spread evenly, as evenPositions() in
+-- utils/positions.js makes them
+CREATE OR REPLACE FUNCTION pg_temp.even_position(item BIGINT, total BIGINT) RETURNS TEXT AS $$
+    SELECT rtrim(string_agg(substr('0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz', (floor(value / 62::NUMERIC ^ place) % 62)::INT + 1, 1), '' ORDER BY place DESC), '0')
+    FROM (
+        SELECT width, round(item * 62::NUMERIC ^ width / (total + 1)) AS value
+        FROM (SELECT CASE WHEN total * 2 < 62 THEN 1 WHEN total * 2 < 3844 THEN 2 WHEN total * 2 < 238328 THEN 3 ELSE 4 END AS width) AS widths
+    ) AS spread, generate_series(0, width - 1) AS place
+$$ LANGUAGE SQL;
+
+-- Existing tasks and subtasks keep the order they were listed in before
+UPDATE tasks SET position = ranked.position
+FROM (
+    SELECT id, pg_temp.even_position(row_number() OVER (PARTITION BY list_id ORDER BY created_at DESC, id DESC), count(*) OVER (PARTITION BY list_id)) AS position
+    FROM tasks WHERE position IS NULL
+) AS ranked
+WHERE tasks.id = ranked.id;
+
+UPDATE subtasks SET position = ranked.position
+FROM (
+    SELECT id, pg_temp.even_position(row_number() OVER (PARTITION BY task_id ORDER BY created_at ASC, id ASC), count(*) OVER (PARTITION BY task_id)) AS position
+    FROM subtasks WHERE position IS NULL
+) AS ranked
+WHERE subtasks.id = ranked.id;
+
+ALTER TABLE tasks ALTER COLUMN position SET NOT NULL;
+ALTER TABLE subtasks ALTER COLUMN position SET NOT NULL;
+
 -- Create indexes for better performance
 CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);
 CREATE INDEX IF NOT EXISTS idx_lists_owner_id ON lists(owner_id);
 CREATE INDEX IF NOT EXISTS idx_list_members_list_id ON list_members(list_id);
 CREATE INDEX IF NOT EXISTS idx_list_members_user_id ON list_members(user_id);
+CREATE INDEX IF NOT EXISTS idx_list_invitations_list_id ON list_invitations(list_id);
+CREATE INDEX IF NOT EXISTS idx_list_invitations_email ON list_invitations(email);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_list_invitations_pending ON list_invitations(list_id, email) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_list_share_links_list_id ON list_share_links(list_id);
 CREATE INDEX IF NOT EXISTS idx_tasks_list_id ON tasks(list_id);
+CREATE INDEX IF NOT EXISTS idx_tasks_position ON tasks(list_id, position);
+CREATE INDEX IF NOT EXISTS idx_tasks_status_id ON tasks(status_id);
+CREATE INDEX IF NOT EXISTS idx_list_statuses_list_id ON list_statuses(list_id, position);
 CREATE INDEX IF NOT EXISTS idx_tasks_completed ON tasks(completed);
 CREATE INDEX IF NOT EXISTS idx_tasks_due_date ON tasks(due_date);
+CREATE INDEX IF NOT EXISTS idx_tasks_series_id ON tasks(series_id);
+CREATE INDEX IF NOT EXISTS idx_task_series_list_id ON task_series(list_id);
 CREATE INDEX IF NOT EXISTS idx_subtasks_task_id ON subtasks(task_id);
+CREATE INDEX IF NOT EXISTS idx_subtasks_position ON subtasks(task_id, position);
+CREATE INDEX IF NOT EXISTS idx_task_reminders_task_id ON task_reminders(task_id);
+CREATE INDEX IF NOT EXISTS idx_task_reminders_pending ON task_reminders(fire_at) WHERE sent_at IS NULL;
 CREATE INDEX IF NOT EXISTS idx_task_tags_task_id ON task_tags(task_id);
 CREATE INDEX IF NOT EXISTS idx_task_tags_tag_id ON task_tags(tag_id);
+CREATE INDEX IF NOT EXISTS idx_task_assignees_user_id ON task_assignees(user_id);
+CREATE INDEX IF NOT EXISTS idx_subtask_assignees_user_id ON subtask_assignees(user_id);
+CREATE INDEX IF NOT EXISTS idx_task_comments_task_id ON task_comments(task_id);
+CREATE INDEX IF NOT EXISTS idx_task_comment_edits_comment_id ON task_comment_edits(comment_id);
+CREATE INDEX IF NOT EXISTS idx_comment_mentions_user_id ON comment_mentions(user_id);
+CREATE INDEX IF NOT EXISTS idx_list_activity_list_id ON list_activity(list_id, id);
+CREATE INDEX IF NOT EXISTS idx_list_activity_actor_id ON list_activity(actor_id);
+CREATE INDEX IF NOT EXISTS idx_notifications_user_id ON notifications(user_id, id);
+CREATE INDEX IF NOT EXISTS idx_notifications_unread ON notifications(user_id) WHERE read_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_sessions_user_id ON sessions(user_id);
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_session_id ON refresh_tokens(session_id);
+CREATE INDEX IF NOT EXISTS idx_password_reset_tokens_user_id ON password_reset_tokens(user_id);
+CREATE INDEX IF NOT EXISTS idx_recovery_codes_user_id ON recovery_codes(user_id);
+CREATE INDEX IF NOT EXISTS idx_security_events_user_id ON security_events(user_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_personal_access_tokens_user_id ON personal_access_tokens(user_id);
+CREATE INDEX IF NOT EXISTS idx_email_verification_tokens_user_id ON email_verification_tokens(user_id);
+CREATE INDEX IF NOT EXISTS idx_saved_filters_user_id ON saved_filters(user_id);
+CREATE INDEX IF NOT EXISTS idx_saved_filters_list_id ON saved_filters(list_id);
+
+-- Full-text search (utils/search.js queries these same expressions)
+CREATE INDEX IF NOT EXISTS idx_tasks_search ON tasks USING GIN ((setweight(to_tsvector('english', coalesce(title, '')), 'A') || setweight(to_tsvector('english', coalesce(description, '')), 'B')));
+CREATE INDEX IF NOT EXISTS idx_subtasks_search ON subtasks USING GIN (to_tsvector('english', title));
\ No newline at end of file
@@ -1,5 +1,80 @@
 const jwt = require('jsonwebtoken');
 const pool = require('../config/database');
+const { jwtSecret } = require('../config/auth');
+const tokenScopes = require('../config/scopes');
+const { hashToken } = require('../utils/tokens');
+
+// Personal access tokens are opaque and carry this prefix, so they can be
+// told apart from session JWTs
+const PERSONAL_ACCESS_TOKEN_PREFIX = 'tdp_';
+
+const expandScopes = (scopes) => {
+  const granted = new Set();
+  for (const scope of scopes) {
+    granted.add(scope);
+    (tokenScopes[scope] || []).forEach(implied => granted.add(implied));
+  }
+  return granted;
+};
+
+// Load the user behind a personal access token that is neither revoked nor
+// expired
+const resolvePersonalAccessToken = async (token) => {
+  const result = await pool.query(`
+    UPDATE personal_access_tokens pat
+    SET last_used_at = NOW()
+    FROM users u
+    WHERE pat.token_hash = $1 AND pat.user_id = u.id
+      AND pat.revoked_at IS NULL
+      AND (pat.expires_at IS NULL OR pat.expires_at > NOW())
+    RETURNING pat.id as token_id, pat.scopes, pat.expires_at, u.id, u.name, u.email, u.email_verified, u.time_zone
+  `, [hashToken(token)]);
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const { token_id: tokenId, scopes, expires_at: expiresAt, ...user } = result.rows[0];
+  return { user, accessTokenId: tokenId, scopes: expandScopes(scopes), expiresAt };
+};
+
+// Verify a session access token and load its user, as long as the session it
+// belongs to has not been revoked
+const resolveSessionToken = async (token) => {
+  const decoded = jwt.verify(token, jwtSecret);
+
+  if (decoded.type !== 'access' || !decoded.sid) {
+    return null;
+  }
+
+  const userResult = await pool.query(`
+    SELECT u.id, u.name, u.email, u.email_verified, u.time_zone
+    FROM users u
+    JOIN sessions s ON s.user_id = u.id
+    WHERE u.id = $1 AND s.id = $2 AND s.revoked_at IS NULL
+  `, [decoded.userId, decoded.sid]);
+
+  if (userResult.rows.length === 0) {
+    return null;
+  }
+
+  return { user: userResult.rows[0], sessionId: decoded.sid, scopes: null, expiresAt: new Date(decoded.exp * 1000) };
+};
+
+const resolveAccessToken = (token) => (
+  token.startsWith(PERSONAL_ACCESS_TOKEN_PREFIX)
+    ? resolvePersonalAccessToken(token)
+    : resolveSessionToken(token)
+);
+
+const applyAuth = (req, resolved) => {
+  req.user = resolved ? resolved.user : null;
+  req.sessionId = resolved ? resolved.sessionId || null : null;
+  req.accessTokenId = resolved ? resolved.accessTokenId || null : null;
+  // null means a login session, which is not limited by scopes
+  req.tokenScopes = resolved ? resolved.scopes : null;
+  req.tokenExpiresAt = resolved ? resolved.expiresAt || null : null;
+};
 
 const authenticateToken = async (req, res, next) => {
   const authHeader = req.headers['authorization'];
@@ -10,19 +85,13 @@ const authenticateToken = async (req, res, next) => {
   }
 
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'supersecretjwt');
-    
-    // Verify user still exists in database
-    const userResult = await pool.query(
-      'SELECT id, name, email FROM users WHERE id = $1',
-      [decoded.userId]
-    );
-
-    if (userResult.rows.length === 0) {
-      return res.status(401).json({ error: 'Invalid token - user not found' });
+    const resolved = await resolveAccessToken(token);
+
+    if (!resolved) {
+      return res.status(401).json({ error: 'Invalid token - session or access token not found, expired or revoked' });
     }
 
-    req.user = userResult.rows[0];
+    applyAuth(req, resolved);
     next();
   } catch (error) {
     console.error('Auth middleware error:', error);
@@ -35,31 +104,115 @@ const optionalAuth = async (req, res, next) => {
   const token = authHeader && authHeader.split(' ')[1];
 
   if (!token) {
-    req.user = null;
+    applyAuth(req, null);
     return next();
   }
 
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'supersecretjwt');
-    
-    const userResult = await pool.query(
-      'SELECT id, name, email FROM users WHERE id = $1',
-      [decoded.userId]
-    );
-
-    if (userResult.rows.length > 0) {
-      req.user = userResult.rows[0];
-    } else {
-      req.user = null;
+    applyAuth(req, await resolveAccessToken(token));
+  } catch (error) {
+    applyAuth(req, null);
+  }
+
+  next();
+};
+
+// For clients that only speak HTTP Basic auth, like CalDAV apps. The password
+// must be a personal access token (so two-factor logins cannot be bypassed)
+// and the username the email address of its owner.
+const authenticateBasic = (realm) => async (req, res, next) => {
+  const challenge = () => {
+    res.set('WWW-Authenticate', `Basic realm="${realm}", charset="UTF-8"`);
+    return res.status(401).json({ error: 'Authentication required - use your email and a personal access token' });
+  };
+
+  const authHeader = req.headers['authorization'] || '';
+  const match = /^Basic\s+(.+)$/i.exec(authHeader);
+
+  if (!match) {
+    return challenge();
+  }
+
+  const credentials = Buffer.from(match[1], 'base64').toString('utf8');
+  const separator = credentials.indexOf(':');
+  const username = credentials.slice(0, separator);
+  const password = credentials.slice(separator + 1);
+
+  if (separator === -1 || !password.startsWith(PERSONAL_ACCESS_TOKEN_PREFIX)) {
+    return challenge();
+  }
+
+  try {
+    const resolved = await resolvePersonalAccessToken(password);
+
+    if (!resolved || resolved.user.email.toLowerCase() !== username.trim().toLowerCase()) {
+      return challenge();
     }
+
+    applyAuth(req, resolved);
+    next();
   } catch (error) {
-    req.user = null;
+    console.error('Basic auth middleware error:', error);
+    return challenge();
+  }
+};
+
+// EventSource cannot send headers, so streaming endpoints also accept the
+// token as ?access_token=
+const allowQueryToken = (req, res, next) => {
+  if (!req.headers['authorization'] && typeof req.query.access_token === 'string') {
+    req.headers['authorization'] = `Bearer ${req.query.access_token}`;
+  }
+
+  next();
+};
+
+// Require personal access tokens to carry every given scope. Login sessions
+// always pass.
+const requireScope = (...scopes) => (req, res, next) => {
+  if (!req.tokenScopes) {
+    return next();
+  }
+
+  const missing = scopes.filter(scope => !req.tokenScopes.has(scope));
+
+  if (missing.length > 0) {
+    return res.status(403).json({
+      error: 'Insufficient token scope',
+      requiredScopes: missing
+    });
+  }
+
+  next();
+};
+
+// Account management is only available to login sessions, never to
+// personal access tokens
+const requireSession = (req, res, next) => {
+  if (req.accessTokenId) {
+    return res.status(403).json({ error: 'Personal access tokens cannot be used for this endpoint' });
+  }
+
+  next();
+};
+
+// Unverified accounts can use their own lists, but not share anything or
+// create tokens until they prove they own their email address
+const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user.email_verified) {
+    return res.status(403).json({ error: 'Please verify your email address first' });
   }
 
   next();
 };
 
 module.exports = {
+  PERSONAL_ACCESS_TOKEN_PREFIX,
   authenticateToken,
-  optionalAuth
+  optionalAuth,
+  allowQueryToken,
+  authenticateBasic,
+  requireScope,
+  requireSession,
+  requireVerifiedEmail
 };
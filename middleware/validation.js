@@ -1,4 +1,13 @@
-const { body, param, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
+const tokenScopes = require('../config/scopes');
+const notificationConfig = require('../config/notifications');
+const { ASSIGNABLE_ROLES } = require('../config/roles');
+const { isValidRecurrence } = require('../utils/recurrence');
+const { isValidTimeZone } = require('../utils/dueDates');
+const { parseSearchQuery } = require('../utils/search');
+const { TASK_SORTS, decodeCursor } = require('../utils/listTasks');
+const { VIEWS } = require('../utils/views');
+const { checkFilterDefinition, normalizeFilterDefinition } = require('../utils/savedFilters');
 
 const handleValidationErrors = (req, res, next) => {
   const errors = validationResult(req);
@@ -23,14 +32,21 @@ const validateUserRegistration = [
   body('password')
     .isLength({ min: 6 })
     .withMessage('Password must be at least 6 characters long'),
+  // Security question and answer are optional, but go together
   body('securityQuestion')
+    .if((value, { req }) => value !== undefined || req.body.securityAnswer !== undefined)
     .trim()
     .isLength({ min: 5, max: 200 })
     .withMessage('Security question must be between 5 and 200 characters'),
   body('securityAnswer')
+    .if((value, { req }) => value !== undefined || req.body.securityQuestion !== undefined)
     .trim()
     .isLength({ min: 1, max: 100 })
     .withMessage('Security answer must be between 1 and 100 characters'),
+  body('time_zone')
+    .optional()
+    .custom(isValidTimeZone)
+    .withMessage('Time zone must be an IANA time zone such as "Europe/Berlin"'),
   handleValidationErrors
 ];
 
@@ -53,6 +69,18 @@ const validateList = [
   handleValidationErrors
 ];
 
+// Tasks and subtasks can be assigned to several list members at once
+const assigneeIds = [
+  body('assignee_ids')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('Assignees must be an array of at most 20 user IDs'),
+  body('assignee_ids.*')
+    .isInt({ min: 1 })
+    .withMessage('Assignee IDs must be positive integers')
+    .toInt()
+];
+
 const validateTask = [
   body('title')
     .trim()
@@ -71,6 +99,34 @@ const validateTask = [
     .optional()
     .isISO8601()
     .withMessage('Due date must be a valid date'),
+  body('due_time')
+    .optional({ values: 'null' })
+    .matches(/^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/)
+    .withMessage('Due time must be HH:MM')
+    .custom((value, { req }) => /^\d{4}-\d{2}-\d{2}$/.test(req.body.due_date || ''))
+    .withMessage('Due time needs a due date without a time'),
+  body('time_zone')
+    .optional()
+    .custom(isValidTimeZone)
+    .withMessage('Time zone must be an IANA time zone such as "Europe/Berlin"'),
+  ...assigneeIds,
+  body('recurrence.after_completion')
+    .optional()
+    .isBoolean()
+    .withMessage('after_completion must be a boolean')
+    .toBoolean(),
+  body('recurrence')
+    .optional({ values: 'null' })
+    .custom(value => typeof value === 'object' && !Array.isArray(value) && isValidRecurrence(value))
+    .withMessage('Recurrence rule must be FREQ=DAILY, WEEKLY (optionally with BYDAY) or MONTHLY (optionally with BYMONTHDAY), with an optional INTERVAL; after_completion needs FREQ=DAILY'),
+  handleValidationErrors
+];
+
+const validateTaskScope = [
+  query('scope')
+    .optional()
+    .isIn(['occurrence', 'series'])
+    .withMessage('Scope must be occurrence or series'),
   handleValidationErrors
 ];
 
@@ -79,6 +135,421 @@ const validateSubtask = [
     .trim()
     .isLength({ min: 1, max: 200 })
     .withMessage('Subtask title must be between 1 and 200 characters'),
+  ...assigneeIds,
+  handleValidationErrors
+];
+
+const validateComment = [
+  body('body')
+    .trim()
+    .isLength({ min: 1, max: 5000 })
+    .withMessage('Comment must be between 1 and 5000 characters'),
+  body('parent_id')
+    .optional({ values: 'null' })
+    .isInt({ min: 1 })
+    .withMessage('Parent comment ID must be a positive integer')
+    .toInt(),
+  handleValidationErrors
+];
+
+const validateCommentUpdate = [
+  body('body')
+    .trim()
+    .isLength({ min: 1, max: 5000 })
+    .withMessage('Comment must be between 1 and 5000 characters'),
+  handleValidationErrors
+];
+
+const validateCommentId = [
+  param('commentId')
+    .isInt({ min: 1 })
+    .withMessage('Comment ID must be a positive integer'),
+  handleValidationErrors
+];
+
+const validateReminder = [
+  body('remind_at')
+    .optional()
+    .isISO8601({ strict: true })
+    .matches(/T.*(Z|[+-]\d{2}:?\d{2})$/i)
+    .withMessage('Reminder time must be an ISO 8601 date-time with an offset, e.g. "2024-12-31T09:00:00+01:00"'),
+  body('minutes_before')
+    .optional()
+    .isInt({ min: 0, max: 525600 })
+    .withMessage('Minutes before must be between 0 and 525600 (a year)')
+    .toInt(),
+  body()
+    .custom(value => (value.remind_at === undefined) !== (value.minutes_before === undefined))
+    .withMessage('Give either remind_at or minutes_before'),
+  handleValidationErrors
+];
+
+const validateReminderId = [
+  param('reminderId')
+    .isInt({ min: 1 })
+    .withMessage('Reminder ID must be a positive integer'),
+  handleValidationErrors
+];
+
+const validateActivityQuery = [
+  query('actor')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Actor must be a user ID')
+    .toInt(),
+  query('type')
+    .optional()
+    .matches(/^[a-z_]+(\.[a-z_]+)?$/)
+    .withMessage('Type must be an action such as "task.deleted" or a target type such as "task"'),
+  query('before')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Cursor must be a positive integer')
+    .toInt(),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+    .toInt(),
+  handleValidationErrors
+];
+
+const validateEventStream = [
+  query('lists')
+    .optional()
+    .isString()
+    .withMessage('Lists must be a comma-separated list of list IDs')
+    .bail()
+    .matches(/^\d+(,\d+)*$/)
+    .withMessage('Lists must be a comma-separated list of list IDs')
+    .customSanitizer(value => [...new Set(value.split(',').map(id => parseInt(id, 10)))]),
+  query('last_event_id')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Last event ID must be a non-negative integer'),
+  handleValidationErrors
+];
+
+const validateNotificationsQuery = [
+  query('unread')
+    .optional()
+    .isBoolean()
+    .withMessage('Unread must be true or false')
+    .toBoolean(),
+  query('before')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Cursor must be a positive integer')
+    .toInt(),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+    .toInt(),
+  handleValidationErrors
+];
+
+const validateNotificationPreferences = [
+  body('preferences')
+    .isObject()
+    .withMessage('Preferences must be an object of notification types to true or false')
+    .custom((preferences) => Object.entries(preferences).every(([type, enabled]) =>
+      notificationConfig.types[type] && typeof enabled === 'boolean'
+    ))
+    .withMessage(`Preferences must map notification types (${Object.keys(notificationConfig.types).join(', ')}) to true or false`),
+  handleValidationErrors
+];
+
+const dateOnly = (field) => query(field)
+  .optional()
+  .matches(/^\d{4}-\d{2}-\d{2}$/)
+  .withMessage(`${field} must be a date (YYYY-MM-DD)`)
+  .bail()
+  .isISO8601({ strict: true })
+  .withMessage(`${field} must be a date (YYYY-MM-DD)`);
+
+const validateTaskFilters = [
+  query('assignee')
+    .optional()
+    .matches(/^(me|none|[1-9]\d*)$/)
+    .withMessage('Assignee must be "me", "none" or a user ID'),
+  query('completed')
+    .optional()
+    .isBoolean()
+    .withMessage('Completed must be true or false')
+    .toBoolean(),
+  query('priority')
+    .optional()
+    .isString()
+    .withMessage('Priority must be a comma-separated list of low, medium and high')
+    .bail()
+    .matches(/^(low|medium|high)(,(low|medium|high))*$/)
+    .withMessage('Priority must be a comma-separated list of low, medium and high')
+    .customSanitizer(value => [...new Set(value.split(','))]),
+  query('tags')
+    .optional()
+    .isString()
+    .withMessage('Tags must be a comma-separated list of tag names')
+    .bail()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Tags must be a comma-separated list of tag names')
+    .customSanitizer(value => [...new Set(value.split(',').map(tag => tag.trim().toLowerCase()).filter(Boolean))]),
+  query('tag_match')
+    .optional()
+    .isIn(['any', 'all'])
+    .withMessage('Tag match must be any or all'),
+  dateOnly('due_from'),
+  dateOnly('due_to'),
+  query('due_within_days')
+    .optional()
+    .isInt({ min: 0, max: 365 })
+    .withMessage('due_within_days must be between 0 and 365')
+    .toInt(),
+  query('overdue')
+    .optional()
+    .isBoolean()
+    .withMessage('Overdue must be true or false')
+    .toBoolean(),
+  query('has_subtasks')
+    .optional()
+    .isBoolean()
+    .withMessage('has_subtasks must be true or false')
+    .toBoolean(),
+  query('sort')
+    .optional()
+    .isIn(Object.keys(TASK_SORTS))
+    .withMessage(`Sort must be one of ${Object.keys(TASK_SORTS).join(', ')}`),
+  query('order')
+    .optional()
+    .isIn(['asc', 'desc'])
+    .withMessage('Order must be asc or desc'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+    .toInt(),
+  // A cursor only continues the sort it was created for
+  query('cursor')
+    .optional()
+    .custom((value, { req }) => {
+      const cursor = decodeCursor(value);
+      const sort = req.query.sort || 'position';
+      return Boolean(cursor) && cursor.sort === sort && cursor.order === (req.query.order || TASK_SORTS[sort].order);
+    })
+    .withMessage('Cursor is invalid or belongs to a different sort order')
+    .customSanitizer(decodeCursor),
+  handleValidationErrors
+];
+
+const validateAssignedTasksQuery = [
+  query('completed')
+    .optional()
+    .isBoolean()
+    .withMessage('Completed must be true or false')
+    .toBoolean(),
+  handleValidationErrors
+];
+
+const validateSearch = [
+  query('q')
+    .isString()
+    .withMessage('Search query must be between 1 and 200 characters')
+    .bail()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Search query must be between 1 and 200 characters')
+    .bail()
+    .custom((value) => {
+      const { error } = parseSearchQuery(value);
+      if (error) {
+        throw new Error(error);
+      }
+      return true;
+    }),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50')
+    .toInt(),
+  query('offset')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Offset must be a non-negative integer')
+    .toInt(),
+  handleValidationErrors
+];
+
+const validateView = [
+  param('view')
+    .isIn(Object.keys(VIEWS))
+    .withMessage(`View must be one of: ${Object.keys(VIEWS).join(', ')}`),
+  query('group')
+    .optional()
+    .isString()
+    .withMessage('Group must be date or list')
+    .bail()
+    .isIn(['date', 'list'])
+    .withMessage('Group must be date or list'),
+  handleValidationErrors
+];
+
+// Exactly one anchor: the item goes right before before_id or right after
+// after_id
+const validateMove = [
+  body('before_id')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('before_id must be a positive integer')
+    .toInt(),
+  body('after_id')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('after_id must be a positive integer')
+    .toInt(),
+  body()
+    .custom(value => (value.before_id === undefined) !== (value.after_id === undefined))
+    .withMessage('Provide either before_id or after_id'),
+  handleValidationErrors
+];
+
+// The whole ordered set of a list's kanban columns. Keep a status by sending
+// its id; at least one column must be terminal and one not.
+const validateListStatuses = [
+  body('statuses')
+    .isArray({ min: 2, max: 20 })
+    .withMessage('Statuses must be an array of 2 to 20 statuses'),
+  body('statuses.*.id')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Status id must be a positive integer')
+    .toInt(),
+  body('statuses.*.name')
+    .isString()
+    .withMessage('Status name must be between 1 and 50 characters')
+    .bail()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Status name must be between 1 and 50 characters'),
+  body('statuses.*.is_terminal')
+    .optional()
+    .isBoolean()
+    .withMessage('is_terminal must be true or false')
+    .toBoolean(),
+  body('statuses.*.wip_limit')
+    .optional({ values: 'null' })
+    .isInt({ min: 1, max: 1000 })
+    .withMessage('WIP limit must be between 1 and 1000')
+    .toInt(),
+  // Checked on the sanitized values
+  body('statuses')
+    .if(body('statuses').isArray())
+    .custom((statuses) => {
+      const names = statuses.map(status => String(status.name).toLowerCase());
+      const ids = statuses.filter(status => status.id !== undefined).map(status => status.id);
+
+      if (new Set(names).size !== names.length) {
+        throw new Error('Status names must be unique');
+      }
+      if (new Set(ids).size !== ids.length) {
+        throw new Error('Status ids must be unique');
+      }
+      if (!statuses.some(status => status.is_terminal) || statuses.every(status => status.is_terminal)) {
+        throw new Error('At least one status must be terminal and one not');
+      }
+      return true;
+    }),
+  handleValidationErrors
+];
+
+// Move a task to a status, optionally right before or after another task
+const validateTaskStatus = [
+  body('status_id')
+    .isInt({ min: 1 })
+    .withMessage('Status ID must be a positive integer')
+    .toInt(),
+  body('before_id')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('before_id must be a positive integer')
+    .toInt(),
+  body('after_id')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('after_id must be a positive integer')
+    .toInt(),
+  body()
+    .custom(value => value.before_id === undefined || value.after_id === undefined)
+    .withMessage('Provide before_id or after_id, not both'),
+  handleValidationErrors
+];
+
+// list_id shares the filter with the members of a list; null keeps it private
+const validateSavedFilter = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Filter name must be between 1 and 100 characters'),
+  body('definition')
+    .custom((value) => {
+      const error = checkFilterDefinition(value);
+      if (error) {
+        throw new Error(error);
+      }
+      return true;
+    })
+    .customSanitizer(normalizeFilterDefinition),
+  body('list_id')
+    .optional({ values: 'null' })
+    .isInt({ min: 1 })
+    .withMessage('List ID must be a positive integer')
+    .toInt(),
+  handleValidationErrors
+];
+
+const validateSavedFilterRun = [
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+    .toInt(),
+  query('cursor')
+    .optional()
+    .custom(value => Boolean(decodeCursor(value)))
+    .withMessage('Cursor is invalid')
+    .customSanitizer(decodeCursor),
+  handleValidationErrors
+];
+
+const validateCalendarFeedQuery = [
+  query('lists')
+    .optional()
+    .isString()
+    .withMessage('Lists must be a comma-separated list of list IDs')
+    .bail()
+    .matches(/^\d+(,\d+)*$/)
+    .withMessage('Lists must be a comma-separated list of list IDs')
+    .customSanitizer(value => [...new Set(value.split(',').map(id => parseInt(id, 10)))]),
+  query('tags')
+    .optional()
+    .isString()
+    .withMessage('Tags must be a comma-separated list of tag names')
+    .bail()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Tags must be a comma-separated list of tag names')
+    .customSanitizer(value => [...new Set(value.split(',').map(tag => tag.trim().toLowerCase()).filter(Boolean))]),
+  query('components')
+    .optional()
+    .isString()
+    .withMessage('Components must be vtodo, vevent or both')
+    .bail()
+    .matches(/^(vtodo|vevent)(,(vtodo|vevent))?$/i)
+    .withMessage('Components must be vtodo, vevent or both')
+    .customSanitizer(value => value.toLowerCase().split(',')),
+  query('completed')
+    .optional()
+    .isBoolean()
+    .withMessage('Completed must be true or false')
+    .toBoolean(),
   handleValidationErrors
 ];
 
@@ -118,6 +589,28 @@ const validateSubtaskId = [
   handleValidationErrors
 ];
 
+const validateUserId = [
+  param('userId')
+    .isInt({ min: 1 })
+    .withMessage('User ID must be a positive integer'),
+  handleValidationErrors
+];
+
+const validateInvitationId = [
+  param('invitationId')
+    .isInt({ min: 1 })
+    .withMessage('Invitation ID must be a positive integer'),
+  handleValidationErrors
+];
+
+const validateInvitationToken = [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Invitation token is required'),
+  handleValidationErrors
+];
+
 const validateListMember = [
   body('email')
     .isEmail()
@@ -125,17 +618,40 @@ const validateListMember = [
     .withMessage('Please provide a valid email'),
   body('role')
     .optional()
-    .isIn(['member', 'admin'])
-    .withMessage('Role must be member or admin'),
+    .isIn(ASSIGNABLE_ROLES)
+    .withMessage(`Role must be one of: ${ASSIGNABLE_ROLES.join(', ')}`),
+  handleValidationErrors
+];
+
+const validateMemberRole = [
+  body('role')
+    .isIn(ASSIGNABLE_ROLES)
+    .withMessage(`Role must be one of: ${ASSIGNABLE_ROLES.join(', ')}`),
+  handleValidationErrors
+];
+
+const validateForgotPassword = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
   handleValidationErrors
 ];
 
+// Reset either with an emailed token, or with email + security answer
 const validatePasswordReset = [
+  body('token')
+    .optional()
+    .isString()
+    .notEmpty()
+    .withMessage('Reset token must be a non-empty string'),
   body('email')
+    .if(body('token').not().exists())
     .isEmail()
     .normalizeEmail()
     .withMessage('Please provide a valid email'),
   body('securityAnswer')
+    .if(body('token').not().exists())
     .trim()
     .isLength({ min: 1, max: 100 })
     .withMessage('Security answer is required'),
@@ -145,18 +661,201 @@ const validatePasswordReset = [
   handleValidationErrors
 ];
 
+const validateRefreshToken = [
+  body('refreshToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Refresh token is required'),
+  handleValidationErrors
+];
+
+const validateTotpCode = [
+  body('code')
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be a 6 digit number'),
+  handleValidationErrors
+];
+
+// A TOTP code or a recovery code, for login and for sensitive 2FA changes
+const secondFactorRules = [
+  body('code')
+    .optional()
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be a 6 digit number'),
+  body('recoveryCode')
+    .optional()
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Recovery code must be a non-empty string'),
+  body()
+    .custom((value) => Boolean(value.code || value.recoveryCode))
+    .withMessage('Either code or recoveryCode is required')
+];
+
+const validateTwoFactorLogin = [
+  body('challengeToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Challenge token is required'),
+  ...secondFactorRules,
+  handleValidationErrors
+];
+
+const validateTwoFactorDisable = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+  ...secondFactorRules,
+  handleValidationErrors
+];
+
+const validateSecondFactor = [
+  ...secondFactorRules,
+  handleValidationErrors
+];
+
+const validateSecurityEventsQuery = [
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  query('offset')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Offset must be a non-negative integer'),
+  handleValidationErrors
+];
+
+const validateAccessToken = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Token name must be between 1 and 100 characters'),
+  body('scopes')
+    .isArray({ min: 1 })
+    .withMessage('At least one scope is required'),
+  body('scopes.*')
+    .isIn(Object.keys(tokenScopes))
+    .withMessage(`Scopes must be any of: ${Object.keys(tokenScopes).join(', ')}`),
+  body('expiresInDays')
+    .optional({ values: 'null' })
+    .isInt({ min: 1, max: 365 })
+    .withMessage('Expiry must be between 1 and 365 days')
+    .toInt(),
+  handleValidationErrors
+];
+
+const validateEmailVerification = [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Verification token is required'),
+  handleValidationErrors
+];
+
+const validateEmailChange = [
+  body('newEmail')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+  handleValidationErrors
+];
+
+const validateAccountDeletion = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+  // { [listId]: newOwnerUserId }
+  body('newOwners')
+    .optional()
+    .isObject()
+    .withMessage('newOwners must map list ids to user ids')
+    .custom((value) => Object.entries(value).every(([listId, userId]) => (
+      /^[1-9]\d*$/.test(listId) && Number.isInteger(Number(userId)) && Number(userId) > 0
+    )))
+    .withMessage('newOwners must map list ids to user ids'),
+  body('code')
+    .optional()
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be a 6 digit number'),
+  body('recoveryCode')
+    .optional()
+    .isString(),
+  handleValidationErrors
+];
+
+const validateShareLink = [
+  body('expiresInDays')
+    .optional({ values: 'null' })
+    .isInt({ min: 1, max: 365 })
+    .withMessage('Expiry must be between 1 and 365 days')
+    .toInt(),
+  handleValidationErrors
+];
+
+const validateShareLinkId = [
+  param('linkId')
+    .isInt({ min: 1 })
+    .withMessage('Share link ID must be a positive integer'),
+  handleValidationErrors
+];
+
 module.exports = {
   validateUserRegistration,
   validateUserLogin,
   validateList,
   validateTask,
   validateSubtask,
+  validateTaskScope,
+  validateComment,
+  validateCommentUpdate,
+  validateCommentId,
+  validateReminder,
+  validateReminderId,
+  validateActivityQuery,
+  validateEventStream,
+  validateNotificationsQuery,
+  validateNotificationPreferences,
+  validateTaskFilters,
+  validateAssignedTasksQuery,
+  validateSearch,
+  validateView,
+  validateMove,
+  validateListStatuses,
+  validateTaskStatus,
+  validateSavedFilter,
+  validateSavedFilterRun,
+  validateCalendarFeedQuery,
   validateTag,
   validateId,
   validateListId,
   validateTaskId,
   validateSubtaskId,
+  validateUserId,
+  validateInvitationId,
+  validateInvitationToken,
   validateListMember,
+  validateMemberRole,
+  validateForgotPassword,
   validatePasswordReset,
+  validateRefreshToken,
+  validateTotpCode,
+  validateTwoFactorLogin,
+  validateTwoFactorDisable,
+  validateSecondFactor,
+  validateSecurityEventsQuery,
+  validateAccessToken,
+  validateEmailVerification,
+  validateEmailChange,
+  validateAccountDeletion,
+  validateShareLink,
+  validateShareLinkId,
   handleValidationErrors
 };
@@ -0,0 +1,88 @@
+const express = require('express');
+const pool = require('../config/database');
+const { PERSONAL_ACCESS_TOKEN_PREFIX, authenticateToken, requireSession, requireVerifiedEmail } = require('../middleware/auth');
+const { validateAccessToken, validateId } = require('../middleware/validation');
+const { generateToken, hashToken } = require('../utils/tokens');
+const { recordSecurityEvent } = require('../utils/securityEvents');
+
+const router = express.Router();
+
+// Get all personal access tokens of the current user
+router.get('/', authenticateToken, requireSession, async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT id, name, token_prefix, scopes, expires_at, last_used_at, revoked_at, created_at,
+             (revoked_at IS NULL AND (expires_at IS NULL OR expires_at > NOW())) as active
+      FROM personal_access_tokens
+      WHERE user_id = $1
+      ORDER BY created_at DESC
+    `, [req.user.id]);
+
+    res.json({ tokens: result.rows });
+  } catch (error) {
+    console.error('Get access tokens error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Create a personal access token
+router.post('/', authenticateToken, requireSession, requireVerifiedEmail, validateAccessToken, async (req, res) => {
+  try {
+    const { name, scopes, expiresInDays } = req.body;
+
+    const token = `${PERSONAL_ACCESS_TOKEN_PREFIX}${generateToken()}`;
+
+    const result = await pool.query(`
+      INSERT INTO personal_access_tokens (user_id, name, token_hash, token_prefix, scopes, expires_at)
+      VALUES ($1, $2, $3, $4, $5, CASE WHEN $6::int IS NULL THEN NULL ELSE NOW() + make_interval(days => $6::int) END)
+      RETURNING id, name, token_prefix, scopes, expires_at, created_at
+    `, [req.user.id, name, hashToken(token), token.slice(0, 12), [...new Set(scopes)], expiresInDays || null]);
+
+    const accessToken = result.rows[0];
+
+    await recordSecurityEvent(req.user.id, 'access_token_created', req, {
+      tokenId: accessToken.id,
+      name: accessToken.name,
+      scopes: accessToken.scopes
+    });
+
+    res.status(201).json({
+      message: 'Access token created successfully. Copy it now - it will not be shown again.',
+      token,
+      accessToken
+    });
+  } catch (error) {
+    console.error('Create access token error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Revoke a personal access token
+router.delete('/:id', authenticateToken, requireSession, validateId, async (req, res) => {
+  try {
+    const tokenId = req.params.id;
+
+    const result = await pool.query(`
+      UPDATE personal_access_tokens
+      SET revoked_at = COALESCE(revoked_at, NOW())
+      WHERE id = $1 AND user_id = $2
+      RETURNING id, name
+    `, [tokenId, req.user.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Access token not found' });
+    }
+
+    await recordSecurityEvent(req.user.id, 'access_token_revoked', req, {
+      tokenId: result.rows[0].id,
+      name: result.rows[0].name
+    });
+
+    res.json({ message: 'Access token revoked successfully' });
+  } catch (error) {
+    console.error('Revoke access token error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,156 @@
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const pool = require('../config/database');
+const { accountDeletion } = require('../config/auth');
+const { authenticateToken, requireSession } = require('../middleware/auth');
+const { validateAccountDeletion } = require('../middleware/validation');
+const { buildAccountExport } = require('../utils/accountExport');
+const { planListTransfers } = require('../utils/accountDeletion');
+const { revokeUserSessions } = require('../utils/sessions');
+const { verifySecondFactor } = require('../utils/twoFactor');
+const { recordSecurityEvent } = require('../utils/securityEvents');
+const { getLockoutRemaining, registerFailure, sendLockedResponse } = require('../utils/lockout');
+const { queueMail } = require('../utils/mailer');
+
+const router = express.Router();
+
+// Download everything stored about the current user
+router.get('/export', authenticateToken, requireSession, async (req, res) => {
+  try {
+    const archive = await buildAccountExport(req.user.id);
+
+    await recordSecurityEvent(req.user.id, 'data_exported', req);
+
+    const date = archive.exported_at.slice(0, 10);
+    res.set('Content-Disposition', `attachment; filename="todo-export-${req.user.id}-${date}.json"`);
+    res.json(archive);
+  } catch (error) {
+    console.error('Export account error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Schedule account deletion after a grace period
+router.delete('/account', authenticateToken, requireSession, validateAccountDeletion, async (req, res) => {
+  try {
+    const { password, newOwners = {} } = req.body;
+
+    const lockedFor = await getLockoutRemaining(req.user.id, 'login');
+    if (lockedFor > 0) {
+      return sendLockedResponse(res, lockedFor);
+    }
+
+    const userResult = await pool.query(
+      'SELECT password_hash, totp_enabled, deletion_scheduled_for FROM users WHERE id = $1',
+      [req.user.id]
+    );
+
+    const user = userResult.rows[0];
+
+    if (user.deletion_scheduled_for) {
+      return res.status(409).json({
+        error: 'Account deletion is already scheduled',
+        deletion_scheduled_for: user.deletion_scheduled_for
+      });
+    }
+
+    const isValidPassword = await bcrypt.compare(password, user.password_hash);
+
+    if (!isValidPassword) {
+      const lockoutSeconds = await registerFailure(req.user.id, 'login', req);
+      if (lockoutSeconds > 0) {
+        return sendLockedResponse(res, lockoutSeconds);
+      }
+      return res.status(401).json({ error: 'Password is incorrect' });
+    }
+
+    if (user.totp_enabled) {
+      const isValid = await verifySecondFactor(req.user.id, req.body);
+      if (!isValid) {
+        const lockoutSeconds = await registerFailure(req.user.id, 'login', req);
+        if (lockoutSeconds > 0) {
+          return sendLockedResponse(res, lockoutSeconds);
+        }
+        return res.status(401).json({ error: 'A valid two-factor code is required' });
+      }
+    }
+
+    // Every shared list needs someone to take it over
+    const { transfers, unresolved } = await planListTransfers(pool, req.user.id, newOwners);
+
+    if (unresolved.length > 0) {
+      return res.status(409).json({
+        error: 'Choose a new owner for every shared list without an admin member',
+        lists: unresolved.map(list => ({
+          id: list.listId,
+          name: list.listName,
+          members: list.members
+        }))
+      });
+    }
+
+    const result = await pool.query(`
+      UPDATE users
+      SET deletion_requested_at = NOW(),
+          deletion_scheduled_for = NOW() + make_interval(days => $1),
+          deletion_new_owners = $2
+      WHERE id = $3
+      RETURNING deletion_scheduled_for
+    `, [accountDeletion.graceDays, JSON.stringify(newOwners), req.user.id]);
+
+    const deletionScheduledFor = result.rows[0].deletion_scheduled_for;
+
+    await recordSecurityEvent(req.user.id, 'account_deletion_scheduled', req, {
+      scheduledFor: deletionScheduledFor
+    });
+
+    // Log out everywhere - logging back in is needed to restore the account
+    await revokeUserSessions(req.user.id);
+
+    queueMail({
+      to: req.user.email,
+      subject: 'Your account is scheduled for deletion',
+      text: `Hi ${req.user.name},\n\n` +
+        `Your account will be permanently deleted on ${new Date(deletionScheduledFor).toUTCString()}. ` +
+        'Log in and restore your account before then if you change your mind.'
+    });
+
+    res.json({
+      message: `Account scheduled for deletion in ${accountDeletion.graceDays} days`,
+      deletion_scheduled_for: deletionScheduledFor,
+      list_transfers: transfers.map(transfer => ({
+        list_id: transfer.listId,
+        list_name: transfer.listName,
+        new_owner: transfer.newOwner
+      }))
+    });
+  } catch (error) {
+    console.error('Delete account error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Cancel a scheduled account deletion
+router.post('/account/restore', authenticateToken, requireSession, async (req, res) => {
+  try {
+    const result = await pool.query(`
+      UPDATE users
+      SET deletion_requested_at = NULL, deletion_scheduled_for = NULL, deletion_new_owners = NULL
+      WHERE id = $1 AND deletion_scheduled_for IS NOT NULL
+      RETURNING id
+    `, [req.user.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(400).json({ error: 'Account deletion is not scheduled' });
+    }
+
+    await recordSecurityEvent(req.user.id, 'account_deletion_cancelled', req);
+
+    res.json({ message: 'Account deletion cancelled' });
+  } catch (error) {
+    console.error('Restore account error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,65 @@
+const express = require('express');
+const pool = require('../config/database');
+const { authenticateToken, requireScope } = require('../middleware/auth');
+const { validateId, validateActivityQuery } = require('../middleware/validation');
+const { authorizeList } = require('../utils/permissions');
+
+const router = express.Router();
+
+// Get the activity feed of a list, newest first. Pass the returned
+// next_cursor as "before" to get the next page.
+router.get('/:id/activity', authenticateToken, requireScope('lists:read'), validateId, validateActivityQuery, async (req, res) => {
+  try {
+    const listId = req.params.id;
+    const { actor, type, before, limit = 50 } = req.query;
+
+    const listAccess = await authorizeList(req.user.id, listId, 'activity.view');
+    if (!listAccess.allowed) {
+      return res.status(404).json({ error: 'List not found or access denied' });
+    }
+
+    const conditions = ['a.list_id = $1'];
+    const params = [listId];
+
+    if (actor) {
+      params.push(actor);
+      conditions.push(`a.actor_id = $${params.length}`);
+    }
+
+    // Either an exact action ("task.deleted") or everything about a target type ("task")
+    if (type) {
+      params.push(type);
+      conditions.push(`(a.action = $${params.length} OR a.target_type = $${params.length})`);
+    }
+
+    if (before) {
+      params.push(before);
+      conditions.push(`a.id < $${params.length}`);
+    }
+
+    params.push(limit + 1);
+
+    const result = await pool.query(`
+      SELECT a.id, a.actor_id, u.name as actor_name, a.action, a.target_type, a.target_id,
+             a.before, a.after, a.created_at
+      FROM list_activity a
+      LEFT JOIN users u ON a.actor_id = u.id
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY a.id DESC
+      LIMIT $${params.length}
+    `, params);
+
+    const activity = result.rows.slice(0, limit);
+    const hasMore = result.rows.length > limit;
+
+    res.json({
+      activity,
+      next_cursor: hasMore ? activity[activity.length - 1].id : null
+    });
+  } catch (error) {
+    console.error('Get list activity error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
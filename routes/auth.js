@@ -1,16 +1,60 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
 const pool = require('../config/database');
-const { validateUserRegistration, validateUserLogin, validatePasswordReset } = require('../middleware/validation');
-const { authenticateToken } = require('../middleware/auth');
+const { jwtSecret, passwordResetTtlMinutes, emailVerificationTtlHours, securityQuestionsEnabled } = require('../config/auth');
+const { appUrl } = require('../config/mail');
+const { validateUserRegistration, validateUserLogin, validateForgotPassword, validatePasswordReset, validateRefreshToken, validateTwoFactorLogin, validateSecurityEventsQuery, validateEmailVerification, validateEmailChange } = require('../middleware/validation');
+const { authenticateToken, requireScope, requireSession } = require('../middleware/auth');
+const { createSession, findRefreshToken, rotateRefreshToken, revokeSession, revokeUserSessions } = require('../utils/sessions');
+const { generateToken, hashToken } = require('../utils/tokens');
+const { verifySecondFactor, signMfaChallenge, verifyMfaChallenge } = require('../utils/twoFactor');
+const { queueMail } = require('../utils/mailer');
+const { recordSecurityEvent } = require('../utils/securityEvents');
+const { getLockoutRemaining, registerFailure, getUnknownEmailLockoutRemaining, registerUnknownEmailFailure, clearFailures, sendLockedResponse } = require('../utils/lockout');
+const { acceptPendingInvitations } = require('../utils/invitations');
+const { isValidTimeZone } = require('../utils/dueDates');
 
 const router = express.Router();
 
+// A hash of no one's password with the cost of real ones. Logins and
+// security answers for unknown emails are checked against it, so they take
+// as long as wrong ones and response times do not tell which accounts exist.
+const DUMMY_PASSWORD_HASH = '$2a$12$m/W7IyX/iEu/mj6QqVWOy.rZ3HSszsa83o7A8zBPyMwe6U282WWEm';
+
+// Email a verification link for `email` - either the account's current
+// address or a new one it wants to switch to
+const sendEmailVerification = async (user, email) => {
+  const token = generateToken();
+
+  // Only the most recent link stays valid
+  await pool.query(
+    'DELETE FROM email_verification_tokens WHERE user_id = $1 AND used_at IS NULL',
+    [user.id]
+  );
+
+  await pool.query(
+    `INSERT INTO email_verification_tokens (user_id, email, token_hash, expires_at)
+     VALUES ($1, $2, $3, NOW() + make_interval(hours => $4))`,
+    [user.id, email, hashToken(token), emailVerificationTtlHours]
+  );
+
+  const verifyLink = `${appUrl}/verify-email?token=${token}`;
+
+  queueMail({
+    to: email,
+    subject: 'Verify your email address',
+    text: `Hi ${user.name},\n\n` +
+      `Please confirm ${email} as the email address for your account. The link expires in ${emailVerificationTtlHours} hours.\n\n` +
+      `${verifyLink}\n\n` +
+      'If you did not request this, you can ignore this email.'
+  });
+};
+
 // Register a new user
 router.post('/register', validateUserRegistration, async (req, res) => {
   try {
-    const { name, email, password, securityQuestion, securityAnswer } = req.body;
+    const { name, email, password, securityQuestion, securityAnswer, time_zone } = req.body;
 
     // Check if user already exists
     const existingUser = await pool.query(
@@ -26,23 +70,24 @@ router.post('/register', validateUserRegistration, async (req, res) => {
     const saltRounds = 12;
     const passwordHash = await bcrypt.hash(password, saltRounds);
 
-    // Hash security answer (case insensitive)
-    const securityAnswerHash = await bcrypt.hash(securityAnswer.toLowerCase().trim(), saltRounds);
+    // Hash security answer (case insensitive), if one was given
+    const securityAnswerHash = securityAnswer
+      ? await bcrypt.hash(securityAnswer.toLowerCase().trim(), saltRounds)
+      : null;
 
     // Create user
     const result = await pool.query(
-      'INSERT INTO users (name, email, password_hash, security_question, security_answer_hash) VALUES ($1, $2, $3, $4, $5) RETURNING id, name, email, created_at',
-      [name, email, passwordHash, securityQuestion, securityAnswerHash]
+      'INSERT INTO users (name, email, password_hash, security_question, security_answer_hash, time_zone) VALUES ($1, $2, $3, $4, $5, $6) RETURNING id, name, email, email_verified, time_zone, created_at',
+      [name, email, passwordHash, securityQuestion || null, securityAnswerHash, time_zone || 'UTC']
     );
 
     const user = result.rows[0];
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user.id, email: user.email },
-      process.env.JWT_SECRET || 'supersecretjwt',
-      { expiresIn: '7d' }
-    );
+    await recordSecurityEvent(user.id, 'account_created', req);
+    await sendEmailVerification(user, user.email);
+
+    // Start a session
+    const tokens = await createSession(user, req);
 
     res.status(201).json({
       message: 'User registered successfully',
@@ -50,9 +95,11 @@ router.post('/register', validateUserRegistration, async (req, res) => {
         id: user.id,
         name: user.name,
         email: user.email,
+        email_verified: user.email_verified,
+        time_zone: user.time_zone,
         created_at: user.created_at
       },
-      token
+      ...tokens
     });
   } catch (error) {
     console.error('Registration error:', error);
@@ -67,38 +114,69 @@ router.post('/login', validateUserLogin, async (req, res) => {
 
     // Find user
     const result = await pool.query(
-      'SELECT id, name, email, password_hash FROM users WHERE email = $1',
+      'SELECT id, name, email, email_verified, password_hash, totp_enabled FROM users WHERE email = $1',
       [email]
     );
 
+    // Unknown emails fail and lock just like wrong passwords
     if (result.rows.length === 0) {
+      const lockedFor = await getUnknownEmailLockoutRemaining(email, 'login');
+      if (lockedFor > 0) {
+        return sendLockedResponse(res, lockedFor);
+      }
+
+      await bcrypt.compare(password, DUMMY_PASSWORD_HASH);
+      const lockoutSeconds = await registerUnknownEmailFailure(email, 'login');
+      if (lockoutSeconds > 0) {
+        return sendLockedResponse(res, lockoutSeconds);
+      }
       return res.status(401).json({ error: 'Invalid email or password' });
     }
 
     const user = result.rows[0];
 
+    // Locked accounts don't get to try passwords at all
+    const lockedFor = await getLockoutRemaining(user.id, 'login');
+    if (lockedFor > 0) {
+      return sendLockedResponse(res, lockedFor);
+    }
+
     // Check password
     const isValidPassword = await bcrypt.compare(password, user.password_hash);
 
     if (!isValidPassword) {
+      await recordSecurityEvent(user.id, 'login_failed', req, { reason: 'invalid_password' });
+      const lockoutSeconds = await registerFailure(user.id, 'login', req);
+      if (lockoutSeconds > 0) {
+        return sendLockedResponse(res, lockoutSeconds);
+      }
       return res.status(401).json({ error: 'Invalid email or password' });
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user.id, email: user.email },
-      process.env.JWT_SECRET || 'supersecretjwt',
-      { expiresIn: '7d' }
-    );
+    // With 2FA enabled the password only buys a challenge for the second step
+    if (user.totp_enabled) {
+      return res.json({
+        message: 'Two-factor authentication required',
+        mfaRequired: true,
+        challengeToken: signMfaChallenge(user)
+      });
+    }
+
+    await clearFailures(user.id, 'login');
+    await recordSecurityEvent(user.id, 'login_success', req);
+
+    // Start a session
+    const tokens = await createSession(user, req);
 
     res.json({
       message: 'Login successful',
       user: {
         id: user.id,
         name: user.name,
-        email: user.email
+        email: user.email,
+        email_verified: user.email_verified
       },
-      token
+      ...tokens
     });
   } catch (error) {
     console.error('Login error:', error);
@@ -106,11 +184,107 @@ router.post('/login', validateUserLogin, async (req, res) => {
   }
 });
 
+// Second login step - exchange a challenge token and a TOTP or recovery code for a session
+router.post('/login/2fa', validateTwoFactorLogin, async (req, res) => {
+  try {
+    const userId = verifyMfaChallenge(req.body.challengeToken);
+
+    if (!userId) {
+      return res.status(401).json({ error: 'Invalid or expired challenge token' });
+    }
+
+    const lockedFor = await getLockoutRemaining(userId, 'login');
+    if (lockedFor > 0) {
+      return sendLockedResponse(res, lockedFor);
+    }
+
+    const isValid = await verifySecondFactor(userId, req.body);
+
+    if (!isValid) {
+      await recordSecurityEvent(userId, 'login_failed', req, { reason: 'invalid_two_factor_code' });
+      const lockoutSeconds = await registerFailure(userId, 'login', req);
+      if (lockoutSeconds > 0) {
+        return sendLockedResponse(res, lockoutSeconds);
+      }
+      return res.status(401).json({ error: 'Invalid two-factor code' });
+    }
+
+    const result = await pool.query(
+      'SELECT id, name, email, email_verified FROM users WHERE id = $1',
+      [userId]
+    );
+
+    const user = result.rows[0];
+
+    await clearFailures(userId, 'login');
+    await recordSecurityEvent(userId, 'login_success', req, {
+      twoFactor: req.body.recoveryCode ? 'recovery_code' : 'totp'
+    });
+
+    const tokens = await createSession(user, req);
+
+    res.json({
+      message: 'Login successful',
+      user,
+      ...tokens
+    });
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Exchange a refresh token for a new token pair
+router.post('/refresh', validateRefreshToken, async (req, res) => {
+  try {
+    const result = await rotateRefreshToken(req.body.refreshToken);
+
+    if (result.error) {
+      if (result.reuseDetected) {
+        await recordSecurityEvent(result.userId, 'refresh_token_reuse', req);
+      }
+      return res.status(401).json({ error: result.error });
+    }
+
+    res.json({
+      message: 'Token refreshed successfully',
+      ...result.tokens
+    });
+  } catch (error) {
+    console.error('Token refresh error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Logout - revoke the session behind a refresh token, or every session
+router.post('/logout', validateRefreshToken, async (req, res) => {
+  try {
+    const { refreshToken, allSessions } = req.body;
+
+    const stored = await findRefreshToken(refreshToken);
+
+    // Unknown tokens are treated as already logged out
+    if (stored) {
+      if (allSessions === true) {
+        await revokeUserSessions(stored.user_id);
+      } else {
+        await revokeSession(stored.session_id);
+      }
+      await recordSecurityEvent(stored.user_id, 'logout', req, { allSessions: allSessions === true });
+    }
+
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Get current user profile
-router.get('/profile', authenticateToken, async (req, res) => {
+router.get('/profile', authenticateToken, requireScope('profile:read'), async (req, res) => {
   try {
     const result = await pool.query(
-      'SELECT id, name, email, created_at FROM users WHERE id = $1',
+      'SELECT id, name, email, email_verified, time_zone, deletion_scheduled_for, created_at FROM users WHERE id = $1',
       [req.user.id]
     );
 
@@ -126,17 +300,25 @@ router.get('/profile', authenticateToken, async (req, res) => {
 });
 
 // Update user profile
-router.put('/profile', authenticateToken, async (req, res) => {
+router.put('/profile', authenticateToken, requireSession, async (req, res) => {
   try {
-    const { name } = req.body;
+    const { name, time_zone } = req.body;
 
-    if (!name || name.trim().length < 2 || name.trim().length > 100) {
+    if (name === undefined && time_zone === undefined) {
+      return res.status(400).json({ error: 'Name or time zone is required' });
+    }
+
+    if (name !== undefined && (typeof name !== 'string' || name.trim().length < 2 || name.trim().length > 100)) {
       return res.status(400).json({ error: 'Name must be between 2 and 100 characters' });
     }
 
+    if (time_zone !== undefined && !isValidTimeZone(time_zone)) {
+      return res.status(400).json({ error: 'Time zone must be an IANA time zone such as "Europe/Berlin"' });
+    }
+
     const result = await pool.query(
-      'UPDATE users SET name = $1 WHERE id = $2 RETURNING id, name, email, created_at',
-      [name.trim(), req.user.id]
+      'UPDATE users SET name = COALESCE($1, name), time_zone = COALESCE($2, time_zone) WHERE id = $3 RETURNING id, name, email, email_verified, time_zone, created_at',
+      [name !== undefined ? name.trim() : null, time_zone || null, req.user.id]
     );
 
     res.json({
@@ -150,7 +332,7 @@ router.put('/profile', authenticateToken, async (req, res) => {
 });
 
 // Change password
-router.put('/change-password', authenticateToken, async (req, res) => {
+router.put('/change-password', authenticateToken, requireSession, async (req, res) => {
   try {
     const { currentPassword, newPassword } = req.body;
 
@@ -162,6 +344,11 @@ router.put('/change-password', authenticateToken, async (req, res) => {
       return res.status(400).json({ error: 'New password must be at least 6 characters long' });
     }
 
+    const lockedFor = await getLockoutRemaining(req.user.id, 'login');
+    if (lockedFor > 0) {
+      return sendLockedResponse(res, lockedFor);
+    }
+
     // Get current password hash
     const userResult = await pool.query(
       'SELECT password_hash FROM users WHERE id = $1',
@@ -176,6 +363,11 @@ router.put('/change-password', authenticateToken, async (req, res) => {
     const isValidPassword = await bcrypt.compare(currentPassword, userResult.rows[0].password_hash);
 
     if (!isValidPassword) {
+      await recordSecurityEvent(req.user.id, 'password_change_failed', req);
+      const lockoutSeconds = await registerFailure(req.user.id, 'login', req);
+      if (lockoutSeconds > 0) {
+        return sendLockedResponse(res, lockoutSeconds);
+      }
       return res.status(401).json({ error: 'Current password is incorrect' });
     }
 
@@ -189,79 +381,387 @@ router.put('/change-password', authenticateToken, async (req, res) => {
       [newPasswordHash, req.user.id]
     );
 
-    res.json({ message: 'Password changed successfully' });
+    await clearFailures(req.user.id, 'login');
+    await recordSecurityEvent(req.user.id, 'password_changed', req);
+
+    // Revoke every outstanding session and start a fresh one for this client
+    await revokeUserSessions(req.user.id);
+    const tokens = await createSession(req.user, req);
+
+    res.json({
+      message: 'Password changed successfully',
+      ...tokens
+    });
   } catch (error) {
     console.error('Password change error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Get security question for password reset
-router.post('/get-security-question', async (req, res) => {
+// Verify an email address with the emailed token
+router.post('/verify-email', validateEmailVerification, async (req, res) => {
   try {
-    const { email } = req.body;
+    // Consume the token atomically so it can only ever be used once
+    const tokenResult = await pool.query(`
+      UPDATE email_verification_tokens
+      SET used_at = NOW()
+      WHERE token_hash = $1 AND used_at IS NULL AND expires_at > NOW()
+      RETURNING user_id, email
+    `, [hashToken(req.body.token)]);
+
+    if (tokenResult.rows.length === 0) {
+      return res.status(400).json({ error: 'Invalid or expired verification token' });
+    }
 
-    if (!email) {
-      return res.status(400).json({ error: 'Email is required' });
+    const { user_id: userId, email } = tokenResult.rows[0];
+
+    const previous = await pool.query('SELECT email FROM users WHERE id = $1', [userId]);
+    const previousEmail = previous.rows[0].email;
+
+    let result;
+    try {
+      result = await pool.query(
+        'UPDATE users SET email = $1, email_verified = true WHERE id = $2 RETURNING id, name, email, email_verified, created_at',
+        [email, userId]
+      );
+    } catch (error) {
+      // Someone else registered the address after the change was requested
+      if (error.code === '23505') {
+        return res.status(409).json({ error: 'This email address is already in use' });
+      }
+      throw error;
     }
 
-    // Find user and get security question
-    const result = await pool.query(
-      'SELECT security_question FROM users WHERE email = $1',
-      [email]
+    if (previousEmail !== email) {
+      await recordSecurityEvent(userId, 'email_changed', req, { from: previousEmail, to: email });
+    } else {
+      await recordSecurityEvent(userId, 'email_verified', req);
+    }
+
+    // Now that the address is proven, join the lists it was invited to
+    const acceptedInvitations = await acceptPendingInvitations(userId, email);
+
+    res.json({
+      message: 'Email verified successfully',
+      user: result.rows[0],
+      accepted_invitations: acceptedInvitations
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Send a new verification link for the current email address
+router.post('/resend-verification', authenticateToken, requireSession, async (req, res) => {
+  try {
+    if (req.user.email_verified) {
+      return res.status(400).json({ error: 'Email address is already verified' });
+    }
+
+    const recent = await pool.query(`
+      SELECT id FROM email_verification_tokens
+      WHERE user_id = $1 AND created_at > NOW() - INTERVAL '1 minute'
+    `, [req.user.id]);
+
+    if (recent.rows.length > 0) {
+      return res.status(429).json({ error: 'A verification email was just sent. Please wait a minute before requesting another.' });
+    }
+
+    await sendEmailVerification(req.user, req.user.email);
+
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Change email address - takes effect once the new address is verified
+router.put('/email', authenticateToken, requireSession, validateEmailChange, async (req, res) => {
+  try {
+    const { newEmail, password } = req.body;
+
+    const lockedFor = await getLockoutRemaining(req.user.id, 'login');
+    if (lockedFor > 0) {
+      return sendLockedResponse(res, lockedFor);
+    }
+
+    const userResult = await pool.query(
+      'SELECT password_hash FROM users WHERE id = $1',
+      [req.user.id]
     );
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'User not found' });
+    const isValidPassword = await bcrypt.compare(password, userResult.rows[0].password_hash);
+
+    if (!isValidPassword) {
+      const lockoutSeconds = await registerFailure(req.user.id, 'login', req);
+      if (lockoutSeconds > 0) {
+        return sendLockedResponse(res, lockoutSeconds);
+      }
+      return res.status(401).json({ error: 'Password is incorrect' });
+    }
+
+    if (newEmail === req.user.email) {
+      return res.status(400).json({ error: 'This is already your email address' });
+    }
+
+    const existingUser = await pool.query(
+      'SELECT id FROM users WHERE email = $1',
+      [newEmail]
+    );
+
+    if (existingUser.rows.length > 0) {
+      return res.status(409).json({ error: 'This email address is already in use' });
     }
 
+    await sendEmailVerification(req.user, newEmail);
+    await recordSecurityEvent(req.user.id, 'email_change_requested', req, { to: newEmail });
+
+    // Let the current address know, in case this wasn't the account owner
+    queueMail({
+      to: req.user.email,
+      subject: 'Your email address is being changed',
+      text: `Hi ${req.user.name},\n\n` +
+        `A request was made to change the email address of your account to ${newEmail}. ` +
+        'If this was not you, change your password right away.'
+    });
+
+    res.json({ message: 'Verification link sent to the new address. Your email changes once it is verified.' });
+  } catch (error) {
+    console.error('Change email error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get the current user's security event history
+router.get('/security-events', authenticateToken, requireSession, validateSecurityEventsQuery, async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit, 10) || 50;
+    const offset = parseInt(req.query.offset, 10) || 0;
+
+    const result = await pool.query(`
+      SELECT id, event_type, ip_address, user_agent, metadata, created_at
+      FROM security_events
+      WHERE user_id = $1
+      ORDER BY created_at DESC, id DESC
+      LIMIT $2 OFFSET $3
+    `, [req.user.id, limit, offset]);
+
+    const countResult = await pool.query(
+      'SELECT COUNT(*)::int as total FROM security_events WHERE user_id = $1',
+      [req.user.id]
+    );
+
     res.json({
-      securityQuestion: result.rows[0].security_question
+      events: result.rows,
+      total: countResult.rows[0].total,
+      limit,
+      offset
     });
   } catch (error) {
-    console.error('Get security question error:', error);
+    console.error('Get security events error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Reset password using security question
-router.post('/reset-password', validatePasswordReset, async (req, res) => {
+// Request a password reset email
+router.post('/forgot-password', validateForgotPassword, async (req, res) => {
   try {
-    const { email, securityAnswer, newPassword } = req.body;
+    const { email } = req.body;
 
-    // Find user
     const userResult = await pool.query(
-      'SELECT id, security_answer_hash FROM users WHERE email = $1',
+      'SELECT id, name, email FROM users WHERE email = $1',
       [email]
     );
 
-    if (userResult.rows.length === 0) {
-      return res.status(404).json({ error: 'User not found' });
+    if (userResult.rows.length > 0) {
+      const user = userResult.rows[0];
+      const token = generateToken();
+
+      // Only the most recent reset link stays valid
+      await pool.query(
+        'DELETE FROM password_reset_tokens WHERE user_id = $1 AND used_at IS NULL',
+        [user.id]
+      );
+
+      await pool.query(
+        `INSERT INTO password_reset_tokens (user_id, token_hash, expires_at)
+         VALUES ($1, $2, NOW() + make_interval(mins => $3))`,
+        [user.id, hashToken(token), passwordResetTtlMinutes]
+      );
+
+      const resetLink = `${appUrl}/reset-password?token=${token}`;
+
+      await recordSecurityEvent(user.id, 'password_reset_requested', req);
+
+      queueMail({
+        to: user.email,
+        subject: 'Reset your password',
+        text: `Hi ${user.name},\n\n` +
+          `Use the link below to reset your password. It expires in ${passwordResetTtlMinutes} minutes and can only be used once.\n\n` +
+          `${resetLink}\n\n` +
+          'If you did not request a password reset, you can ignore this email.'
+      });
     }
 
-    const user = userResult.rows[0];
+    // Same response whether or not the account exists
+    res.json({ message: 'If an account exists for this email, a password reset link has been sent' });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-    // Verify security answer (case insensitive)
-    const isValidAnswer = await bcrypt.compare(
-      securityAnswer.toLowerCase().trim(), 
-      user.security_answer_hash
-    );
+// Questions shown for unknown emails, so the endpoint doesn't reveal which
+// addresses are registered
+const decoySecurityQuestions = [
+  'What was the name of your first pet?',
+  'In what city were you born?',
+  'What was the name of your first school?',
+  'What is your mother\'s maiden name?'
+];
+
+const decoySecurityQuestion = (email) => {
+  const digest = crypto.createHmac('sha256', jwtSecret).update(email).digest();
+  return decoySecurityQuestions[digest[0] % decoySecurityQuestions.length];
+};
 
-    if (!isValidAnswer) {
-      return res.status(401).json({ error: 'Incorrect security answer' });
+// Get security question for password reset
+router.post('/get-security-question', validateForgotPassword, async (req, res) => {
+  try {
+    if (!securityQuestionsEnabled) {
+      return res.status(404).json({ error: 'Security question recovery is disabled' });
     }
 
-    // Hash new password
-    const saltRounds = 12;
-    const newPasswordHash = await bcrypt.hash(newPassword, saltRounds);
+    const { email } = req.body;
 
-    // Update password
-    await pool.query(
-      'UPDATE users SET password_hash = $1 WHERE id = $2',
-      [newPasswordHash, user.id]
+    // Find user and get security question
+    const result = await pool.query(
+      'SELECT security_question FROM users WHERE email = $1',
+      [email]
     );
 
-    res.json({ message: 'Password reset successfully' });
+    const securityQuestion = result.rows.length > 0 && result.rows[0].security_question
+      ? result.rows[0].security_question
+      : decoySecurityQuestion(email);
+
+    res.json({ securityQuestion });
+  } catch (error) {
+    console.error('Get security question error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Reset password using an emailed reset token
+const resetPasswordWithToken = async (req, res) => {
+  const { token, newPassword } = req.body;
+
+  // Consume the token atomically so it can only ever be used once
+  const tokenResult = await pool.query(`
+    UPDATE password_reset_tokens
+    SET used_at = NOW()
+    WHERE token_hash = $1 AND used_at IS NULL AND expires_at > NOW()
+    RETURNING user_id
+  `, [hashToken(token)]);
+
+  if (tokenResult.rows.length === 0) {
+    return res.status(400).json({ error: 'Invalid or expired reset token' });
+  }
+
+  const userId = tokenResult.rows[0].user_id;
+
+  // Hash new password
+  const saltRounds = 12;
+  const newPasswordHash = await bcrypt.hash(newPassword, saltRounds);
+
+  // Update password
+  await pool.query(
+    'UPDATE users SET password_hash = $1 WHERE id = $2',
+    [newPasswordHash, userId]
+  );
+
+  // Proving control of the mailbox also lifts any lockout
+  await clearFailures(userId);
+  await recordSecurityEvent(userId, 'password_reset', req, { method: 'email_token' });
+
+  // Revoke every outstanding session
+  await revokeUserSessions(userId);
+
+  res.json({ message: 'Password reset successfully' });
+};
+
+// Reset password using security question
+const resetPasswordWithSecurityAnswer = async (req, res) => {
+  if (!securityQuestionsEnabled) {
+    return res.status(400).json({ error: 'Security question recovery is disabled - use a reset token' });
+  }
+
+  const { email, securityAnswer, newPassword } = req.body;
+
+  // Find user
+  const userResult = await pool.query(
+    'SELECT id, security_answer_hash FROM users WHERE email = $1',
+    [email]
+  );
+
+  const user = userResult.rows[0];
+
+  const lockedFor = user
+    ? await getLockoutRemaining(user.id, 'password_reset')
+    : await getUnknownEmailLockoutRemaining(email, 'password_reset');
+  if (lockedFor > 0) {
+    return sendLockedResponse(res, lockedFor);
+  }
+
+  // Verify security answer (case insensitive). Without an account or an
+  // answer there is still a hash to check, so the timing is the same.
+  const answerHash = user ? user.security_answer_hash : null;
+  const answerMatches = await bcrypt.compare(securityAnswer.toLowerCase().trim(), answerHash || DUMMY_PASSWORD_HASH);
+  const isValidAnswer = Boolean(answerHash) && answerMatches;
+
+  if (!isValidAnswer) {
+    let lockoutSeconds;
+
+    if (user) {
+      await recordSecurityEvent(user.id, 'password_reset_failed', req, { method: 'security_question' });
+      lockoutSeconds = await registerFailure(user.id, 'password_reset', req);
+    } else {
+      lockoutSeconds = await registerUnknownEmailFailure(email, 'password_reset');
+    }
+
+    if (lockoutSeconds > 0) {
+      return sendLockedResponse(res, lockoutSeconds);
+    }
+    return res.status(401).json({ error: 'Invalid email or security answer' });
+  }
+
+  // Hash new password
+  const saltRounds = 12;
+  const newPasswordHash = await bcrypt.hash(newPassword, saltRounds);
+
+  // Update password
+  await pool.query(
+    'UPDATE users SET password_hash = $1 WHERE id = $2',
+    [newPasswordHash, user.id]
+  );
+
+  await clearFailures(user.id, 'password_reset');
+  await recordSecurityEvent(user.id, 'password_reset', req, { method: 'security_question' });
+
+  // Revoke every outstanding session
+  await revokeUserSessions(user.id);
+
+  res.json({ message: 'Password reset successfully' });
+};
+
+router.post('/reset-password', validatePasswordReset, async (req, res) => {
+  try {
+    if (req.body.token) {
+      await resetPasswordWithToken(req, res);
+    } else {
+      await resetPasswordWithSecurityAnswer(req, res);
+    }
   } catch (error) {
     console.error('Password reset error:', error);
     res.status(500).json({ error: 'Internal server error' });
@@ -0,0 +1,645 @@
+const express = require('express');
+const pool = require('../config/database');
+const { authenticateBasic, requireScope } = require('../middleware/auth');
+const { can } = require('../utils/permissions');
+const { resolveDue } = require('../utils/dueDates');
+const { refreshReminders } = require('../utils/reminders');
+const { getTaskSeries, endSeries, createNextOccurrence } = require('../utils/taskSeries');
+const { recordActivity, diffValues, snapshotTask, snapshotSubtask } = require('../utils/activity');
+const { firstTaskPosition, lastSubtaskPosition } = require('../utils/positions');
+const { assignStatus, sendStatusFullResponse } = require('../utils/statuses');
+const {
+  GENERATED_NAME,
+  escapeXml,
+  getCalendars,
+  getCalendarObjects,
+  findCalendarObject,
+  findCalendarObjectByUid,
+  readCalendarObject,
+  parseRequestedProperties,
+  parseHrefs,
+  buildResponse,
+  buildStatusResponse,
+  buildMultistatus,
+  buildError
+} = require('../utils/caldav');
+
+const router = express.Router();
+
+const DAV = 'DAV:';
+const CALDAV = 'urn:ietf:params:xml:ns:caldav';
+const CALENDARSERVER = 'http://calendarserver.org/ns/';
+
+const property = (namespace, name) => ({ namespace, name });
+
+const href = (path) => `<d:href>${escapeXml(path)}</d:href>`;
+
+const RESOURCE_TYPES = {
+  root: '<d:collection/>',
+  principal: '<d:collection/><d:principal/>',
+  home: '<d:collection/>',
+  calendar: '<d:collection/><c:calendar/>',
+  object: ''
+};
+
+const privilegeSet = (role) => [
+  'read',
+  ...(can(role, 'task.update') ? ['write-content'] : []),
+  ...(can(role, 'task.create') ? ['bind'] : []),
+  ...(can(role, 'task.delete') ? ['unbind'] : [])
+].map(privilege => `<d:privilege><d:${privilege}/></d:privilege>`).join('');
+
+// How each kind of resource answers for a property. undefined means it does
+// not have the property.
+const PROPERTIES = [
+  [property(DAV, 'resourcetype'), (resource) => RESOURCE_TYPES[resource.kind]],
+  [property(DAV, 'displayname'), (resource, { user }) => ({
+    principal: escapeXml(user.name),
+    home: 'Lists',
+    calendar: resource.list && escapeXml(resource.list.name)
+  })[resource.kind]],
+  [property(DAV, 'current-user-principal'), (resource, { paths }) => href(paths.principal)],
+  [property(DAV, 'principal-URL'), (resource, { paths }) => (resource.kind === 'principal' ? href(paths.principal) : undefined)],
+  [property(CALDAV, 'calendar-home-set'), (resource, { paths }) => (
+    ['root', 'principal'].includes(resource.kind) ? href(paths.home) : undefined
+  )],
+  [property(CALDAV, 'calendar-user-address-set'), (resource, { user }) => (
+    resource.kind === 'principal' ? href(`mailto:${user.email}`) : undefined
+  )],
+  [property(CALDAV, 'supported-calendar-component-set'), (resource) => (
+    resource.kind === 'calendar' ? '<c:comp name="VTODO"/>' : undefined
+  )],
+  [property(DAV, 'supported-report-set'), (resource) => (
+    resource.kind === 'calendar'
+      ? ['calendar-multiget', 'calendar-query'].map(report => `<d:supported-report><d:report><c:${report}/></d:report></d:supported-report>`).join('')
+      : undefined
+  )],
+  [property(DAV, 'current-user-privilege-set'), (resource) => (
+    resource.kind === 'calendar' ? privilegeSet(resource.list.role) : undefined
+  )],
+  [property(CALENDARSERVER, 'getctag'), (resource) => (resource.kind === 'calendar' ? `"${resource.list.ctag}"` : undefined)],
+  [property(DAV, 'getetag'), (resource) => (resource.kind === 'object' ? escapeXml(resource.object.etag) : undefined)],
+  [property(DAV, 'getcontenttype'), (resource) => (
+    resource.kind === 'object' ? 'text/calendar; charset=utf-8; component=VTODO' : undefined
+  )],
+  [property(CALDAV, 'calendar-data'), (resource) => (resource.kind === 'object' ? escapeXml(resource.object.data) : undefined)]
+];
+
+// allprop never includes calendar-data (RFC 4791 9.6)
+const ALL_PROPERTIES = PROPERTIES.map(([known]) => known).filter(known => known.name !== 'calendar-data');
+
+const getPaths = (req) => ({
+  root: `${req.baseUrl}/`,
+  principal: `${req.baseUrl}/principal/`,
+  home: `${req.baseUrl}/calendars/`,
+  calendar: (listId) => `${req.baseUrl}/calendars/${listId}/`,
+  object: (listId, name) => `${req.baseUrl}/calendars/${listId}/${encodeURIComponent(name)}`
+});
+
+// The multistatus response for one resource. Properties that were asked for
+// by name but do not exist are reported as 404s.
+const describe = (resource, requested, context) => {
+  const found = [];
+  const missing = [];
+
+  for (const wanted of requested || ALL_PROPERTIES) {
+    const known = PROPERTIES.find(([candidate]) => candidate.namespace === wanted.namespace && candidate.name === wanted.name);
+    const content = known ? known[1](resource, context) : undefined;
+
+    if (content === undefined) {
+      missing.push(wanted);
+    } else {
+      found.push([wanted, content]);
+    }
+  }
+
+  return buildResponse(resource.href, found, requested ? missing : []);
+};
+
+const sendMultistatus = (res, responses) => {
+  res.status(207).type('application/xml; charset=utf-8').send(buildMultistatus(responses));
+};
+
+// Depth: infinity is treated as 1 - there is nothing deeper than a calendar's
+// objects anyway
+const childrenRequested = (req) => req.headers.depth !== '0';
+
+const loadCalendar = async (req) => {
+  const [list] = await getCalendars(req.user.id, parseInt(req.params.listId, 10));
+  return list || null;
+};
+
+// Compare If-Match and If-None-Match with the current ETag, so that clients
+// never overwrite or delete changes they have not seen
+const preconditionFailed = (req, object) => {
+  const matches = (header) => header.trim() === '*' || header.split(',').map(tag => tag.trim()).includes(object.etag);
+  const ifMatch = req.headers['if-match'];
+  const ifNoneMatch = req.headers['if-none-match'];
+
+  if (ifMatch && (!object || !matches(ifMatch))) {
+    return true;
+  }
+
+  return Boolean(ifNoneMatch && object && matches(ifNoneMatch));
+};
+
+const sendPreconditionError = (res, status, condition) => {
+  res.status(status).type('application/xml; charset=utf-8').send(buildError(condition));
+};
+
+const readScopes = requireScope('lists:read', 'tasks:read');
+const writeScopes = requireScope('tasks:write');
+
+// Clients probe for CalDAV support before they authenticate
+router.options('*', (req, res) => {
+  res.set({
+    DAV: '1, calendar-access',
+    Allow: 'OPTIONS, PROPFIND, REPORT, GET, PUT, DELETE'
+  });
+  res.sendStatus(200);
+});
+
+// Request bodies are XML or iCalendar, whatever the client calls them
+router.use(express.text({ type: () => true, limit: '1mb' }));
+router.use(authenticateBasic('Todo CalDAV'));
+
+// Service root and principal, which point clients to the calendar home
+router.propfind(['/', '/principal'], readScopes, (req, res) => {
+  try {
+    const paths = getPaths(req);
+    const context = { user: req.user, paths };
+    const requested = parseRequestedProperties(req.body);
+    const kind = req.path.startsWith('/principal') ? 'principal' : 'root';
+
+    const responses = [describe({ kind, href: paths[kind] }, requested, context)];
+
+    if (kind === 'root' && childrenRequested(req)) {
+      responses.push(
+        describe({ kind: 'principal', href: paths.principal }, requested, context),
+        describe({ kind: 'home', href: paths.home }, requested, context)
+      );
+    }
+
+    sendMultistatus(res, responses);
+  } catch (error) {
+    console.error('CalDAV principal error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Calendar home, with a calendar per list
+router.propfind('/calendars', readScopes, async (req, res) => {
+  try {
+    const paths = getPaths(req);
+    const context = { user: req.user, paths };
+    const requested = parseRequestedProperties(req.body);
+
+    const responses = [describe({ kind: 'home', href: paths.home }, requested, context)];
+
+    if (childrenRequested(req)) {
+      const lists = await getCalendars(req.user.id);
+      responses.push(...lists.map(list => describe({ kind: 'calendar', href: paths.calendar(list.id), list }, requested, context)));
+    }
+
+    sendMultistatus(res, responses);
+  } catch (error) {
+    console.error('CalDAV calendar home error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.propfind('/calendars/:listId(\\d+)', readScopes, async (req, res) => {
+  try {
+    const list = await loadCalendar(req);
+    if (!list) {
+      return res.status(404).json({ error: 'Calendar not found' });
+    }
+
+    const paths = getPaths(req);
+    const context = { user: req.user, paths };
+    const requested = parseRequestedProperties(req.body);
+
+    const responses = [describe({ kind: 'calendar', href: paths.calendar(list.id), list }, requested, context)];
+
+    if (childrenRequested(req)) {
+      const objects = await getCalendarObjects(list.id);
+      responses.push(...objects.map(object => (
+        describe({ kind: 'object', href: paths.object(list.id, object.name), object }, requested, context)
+      )));
+    }
+
+    sendMultistatus(res, responses);
+  } catch (error) {
+    console.error('CalDAV calendar error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.propfind('/calendars/:listId(\\d+)/:name', readScopes, async (req, res) => {
+  try {
+    const list = await loadCalendar(req);
+    const object = list && await findCalendarObject(list.id, req.params.name);
+
+    if (!object) {
+      return res.status(404).json({ error: 'Calendar object not found' });
+    }
+
+    const paths = getPaths(req);
+    sendMultistatus(res, [
+      describe({ kind: 'object', href: paths.object(list.id, object.name), object }, parseRequestedProperties(req.body), { user: req.user, paths })
+    ]);
+  } catch (error) {
+    console.error('CalDAV object error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// calendar-multiget fetches objects by href. calendar-query returns every
+// object - they are all VTODOs - unless it asks for another component, and
+// leaves narrower filters to the client.
+router.report('/calendars/:listId(\\d+)', readScopes, async (req, res) => {
+  try {
+    const list = await loadCalendar(req);
+    if (!list) {
+      return res.status(404).json({ error: 'Calendar not found' });
+    }
+
+    const body = req.body || '';
+    const paths = getPaths(req);
+    const context = { user: req.user, paths };
+    const requested = parseRequestedProperties(body) || [property(DAV, 'getetag'), property(CALDAV, 'calendar-data')];
+    const objects = await getCalendarObjects(list.id);
+    const respond = (object) => describe({ kind: 'object', href: paths.object(list.id, object.name), object }, requested, context);
+
+    if (/<(?:[\w.-]+:)?calendar-multiget[\s>]/.test(body)) {
+      const prefix = paths.calendar(list.id);
+      const hrefs = parseHrefs(body);
+
+      if (!hrefs) {
+        return res.status(400).json({ error: 'Malformed href in calendar-multiget' });
+      }
+
+      return sendMultistatus(res, hrefs.map(path => {
+        const object = path.startsWith(prefix) && objects.find(candidate => candidate.name === path.slice(prefix.length));
+        return object ? respond(object) : buildStatusResponse(path, '404 Not Found');
+      }));
+    }
+
+    if (/<(?:[\w.-]+:)?calendar-query[\s>]/.test(body)) {
+      const components = [...body.matchAll(/comp-filter[^>]*name\s*=\s*["']([^"']+)["']/gi)]
+        .map(([, name]) => name.toUpperCase())
+        .filter(name => name !== 'VCALENDAR');
+
+      const matching = components.every(name => name === 'VTODO') ? objects : [];
+      return sendMultistatus(res, matching.map(respond));
+    }
+
+    sendPreconditionError(res, 403, '<d:supported-report/>');
+  } catch (error) {
+    console.error('CalDAV report error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.get('/calendars/:listId(\\d+)/:name', readScopes, async (req, res) => {
+  try {
+    const list = await loadCalendar(req);
+    const object = list && await findCalendarObject(list.id, req.params.name);
+
+    if (!object) {
+      return res.status(404).json({ error: 'Calendar object not found' });
+    }
+
+    res.set('ETag', object.etag);
+    res.type('text/calendar; charset=utf-8').send(object.data);
+  } catch (error) {
+    console.error('CalDAV get error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+const replaceTaskTags = async (taskId, tags, db) => {
+  await db.query('DELETE FROM task_tags WHERE task_id = $1', [taskId]);
+
+  for (const tagName of tags) {
+    const tagResult = await db.query(
+      'INSERT INTO tags (name) VALUES ($1) ON CONFLICT (name) DO UPDATE SET name = EXCLUDED.name RETURNING id',
+      [tagName]
+    );
+
+    await db.query(
+      'INSERT INTO task_tags (task_id, tag_id) VALUES ($1, $2) ON CONFLICT DO NOTHING',
+      [taskId, tagResult.rows[0].id]
+    );
+  }
+};
+
+// Tasks go into the board column their completion calls for. Returns the
+// status instead, creating nothing, if that column is at its WIP limit.
+const createTask = async (list, name, todo, user) => {
+  const due = await resolveDue(todo.due, user.time_zone);
+  const client = await pool.connect();
+
+  let taskId;
+  try {
+    await client.query('BEGIN');
+
+    const taskResult = await client.query(
+      'INSERT INTO tasks (list_id, title, description, priority, due_date, due_at, time_zone, completed, position) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) RETURNING id',
+      [list.id, todo.title, todo.description, todo.priority, due.due_date, due.due_at, due.time_zone, todo.completed, await firstTaskPosition(list.id, client)]
+    );
+
+    taskId = taskResult.rows[0].id;
+
+    const fullStatus = await assignStatus(taskId, undefined, client);
+    if (fullStatus) {
+      await client.query('ROLLBACK');
+      return fullStatus;
+    }
+
+    await replaceTaskTags(taskId, todo.tags, client);
+
+    await client.query(
+      'INSERT INTO caldav_objects (list_id, name, uid, task_id) VALUES ($1, $2, $3, $4)',
+      [list.id, name, todo.uid, taskId]
+    );
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  await recordActivity(list.id, user.id, 'task.created', { type: 'task', id: taskId }, {
+    after: await snapshotTask(taskId)
+  });
+
+  return null;
+};
+
+// Like createTask, returns the status if the change of completion would move
+// the task into a column at its WIP limit
+const updateTask = async (list, taskId, todo, user) => {
+  const taskResult = await pool.query('SELECT completed, time_zone FROM tasks WHERE id = $1', [taskId]);
+  const task = taskResult.rows[0];
+
+  const before = await snapshotTask(taskId);
+  // DUE without a TZID keeps the task in its time zone
+  const due = await resolveDue(todo.due, task.time_zone || user.time_zone);
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    await client.query(`
+      UPDATE tasks
+      SET title = $1, description = $2, priority = $3, due_date = $4, due_at = $5, time_zone = $6, completed = $7
+      WHERE id = $8
+    `, [todo.title, todo.description, todo.priority, due.due_date, due.due_at, due.time_zone, todo.completed, taskId]);
+
+    const fullStatus = await assignStatus(taskId, undefined, client);
+    if (fullStatus) {
+      await client.query('ROLLBACK');
+      return fullStatus;
+    }
+
+    await replaceTaskTags(taskId, todo.tags, client);
+    await refreshReminders(taskId, client);
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  const { tags: tagsBefore, ...fieldsBefore } = before;
+  const { tags: tagsAfter, ...fieldsAfter } = await snapshotTask(taskId);
+  const target = { type: 'task', id: taskId };
+
+  const changes = diffValues(fieldsBefore, fieldsAfter);
+  if (changes) {
+    await recordActivity(list.id, user.id, 'task.updated', target, changes);
+  }
+
+  const tagChanges = diffValues({ tags: tagsBefore }, { tags: tagsAfter });
+  if (tagChanges) {
+    await recordActivity(list.id, user.id, 'task.tags_changed', target, tagChanges);
+  }
+
+  // Completing an occurrence of a recurring task creates the next one, as
+  // it does through the REST API
+  if (!task.completed && todo.completed) {
+    const nextId = await createNextOccurrence(taskId, user.id, user.time_zone);
+
+    if (nextId) {
+      await recordActivity(list.id, user.id, 'task.created', { type: 'task', id: nextId }, {
+        after: await snapshotTask(nextId)
+      });
+    }
+  }
+
+  return null;
+};
+
+const createSubtask = async (list, name, parent, todo, user) => {
+  const client = await pool.connect();
+
+  let subtaskId;
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      'INSERT INTO subtasks (task_id, title, completed, position) VALUES ($1, $2, $3, $4) RETURNING id',
+      [parent.id, todo.title, todo.completed, await lastSubtaskPosition(parent.id, client)]
+    );
+
+    subtaskId = result.rows[0].id;
+
+    await client.query(
+      'INSERT INTO caldav_objects (list_id, name, uid, subtask_id) VALUES ($1, $2, $3, $4)',
+      [list.id, name, todo.uid, subtaskId]
+    );
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  await recordActivity(list.id, user.id, 'subtask.created', { type: 'subtask', id: subtaskId }, {
+    after: await snapshotSubtask(subtaskId)
+  });
+};
+
+// Subtasks only keep their title and completion. They cannot move to
+// another task, so a changed RELATED-TO is ignored.
+const updateSubtask = async (list, subtaskId, todo, user) => {
+  const before = await snapshotSubtask(subtaskId);
+
+  await pool.query(
+    'UPDATE subtasks SET title = $1, completed = $2 WHERE id = $3',
+    [todo.title, todo.completed, subtaskId]
+  );
+
+  const changes = diffValues(before, await snapshotSubtask(subtaskId));
+  if (changes) {
+    await recordActivity(list.id, user.id, 'subtask.updated', { type: 'subtask', id: subtaskId }, changes);
+  }
+};
+
+// Create or replace a task or subtask. A new VTODO becomes a subtask when it
+// is RELATED-TO a task of the same list. Needs the same capabilities as the
+// REST routes: task.create for new tasks and task.update for everything else.
+router.put('/calendars/:listId(\\d+)/:name', writeScopes, async (req, res) => {
+  try {
+    const list = await loadCalendar(req);
+    if (!list) {
+      return res.status(404).json({ error: 'Calendar not found' });
+    }
+
+    const name = req.params.name;
+    const existing = await findCalendarObject(list.id, name);
+
+    if (preconditionFailed(req, existing)) {
+      return res.status(412).json({ error: 'Precondition failed - the resource has changed' });
+    }
+
+    const todo = readCalendarObject(req.body);
+
+    if (!todo) {
+      return sendPreconditionError(res, 403, '<c:supported-calendar-component/>');
+    }
+
+    if (!todo.uid || !todo.due || !todo.title || todo.title.length > 200 || (todo.description || '').length > 1000) {
+      return sendPreconditionError(res, 403, '<c:valid-calendar-object-resource/>');
+    }
+
+    const paths = getPaths(req);
+    const sameUid = await findCalendarObjectByUid(list.id, todo.uid);
+
+    // UIDs identify a resource for good, and generated ones are reserved for
+    // tasks created elsewhere
+    if (existing ? existing.uid !== todo.uid : sameUid || GENERATED_NAME.test(name) || /^(task|subtask)-\d+@/.test(todo.uid)) {
+      return sendPreconditionError(res, 403, `<c:no-uid-conflict>${sameUid ? href(paths.object(list.id, sameUid.name)) : ''}</c:no-uid-conflict>`);
+    }
+
+    const parentObject = !existing && todo.parent_uid
+      ? await findCalendarObjectByUid(list.id, todo.parent_uid)
+      : null;
+    const parent = parentObject && parentObject.type === 'task' ? parentObject : null;
+
+    const capability = existing || parent ? 'task.update' : 'task.create';
+    if (!can(list.role, capability)) {
+      return res.status(403).json({
+        error: capability === 'task.create'
+          ? 'Permission denied - your role cannot create tasks'
+          : 'Permission denied - your role cannot edit tasks'
+      });
+    }
+
+    let fullStatus = null;
+
+    if (existing && existing.type === 'task') {
+      fullStatus = await updateTask(list, existing.id, todo, req.user);
+    } else if (existing) {
+      await updateSubtask(list, existing.id, todo, req.user);
+    } else if (parent) {
+      await createSubtask(list, name, parent, todo, req.user);
+    } else {
+      fullStatus = await createTask(list, name, todo, req.user);
+    }
+
+    if (fullStatus) {
+      return sendStatusFullResponse(res, fullStatus);
+    }
+
+    // No ETag: the stored object is rebuilt from the task, so it is not the
+    // one the client sent, and clients fetch it again instead (RFC 4791 5.3.4)
+    res.status(existing ? 204 : 201).end();
+  } catch (error) {
+    console.error('CalDAV put error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delete a task, ending its series if it is the open occurrence: without it
+// a series would never continue. The task is locked so that a concurrent
+// completion cannot slip in between.
+const deleteTask = async (list, taskId, user) => {
+  const client = await pool.connect();
+
+  let before;
+  try {
+    await client.query('BEGIN');
+
+    // Already gone if another request deleted it first
+    const lockResult = await client.query('SELECT id FROM tasks WHERE id = $1 FOR UPDATE', [taskId]);
+    if (lockResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return;
+    }
+
+    before = await snapshotTask(taskId, client);
+
+    const series = await getTaskSeries(taskId, client);
+    if (series && !before.completed) {
+      await endSeries(series.id, client);
+    }
+
+    await client.query('DELETE FROM tasks WHERE id = $1', [taskId]);
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  await recordActivity(list.id, user.id, 'task.deleted', { type: 'task', id: taskId }, { before });
+};
+
+router.delete('/calendars/:listId(\\d+)/:name', writeScopes, async (req, res) => {
+  try {
+    const list = await loadCalendar(req);
+    const object = list && await findCalendarObject(list.id, req.params.name);
+
+    if (!object) {
+      return res.status(404).json({ error: 'Calendar object not found' });
+    }
+
+    if (preconditionFailed(req, object)) {
+      return res.status(412).json({ error: 'Precondition failed - the resource has changed' });
+    }
+
+    if (object.type === 'task') {
+      if (!can(list.role, 'task.delete')) {
+        return res.status(403).json({ error: 'Permission denied - your role cannot delete tasks' });
+      }
+
+      await deleteTask(list, object.id, req.user);
+    } else {
+      if (!can(list.role, 'task.update')) {
+        return res.status(403).json({ error: 'Permission denied - your role cannot edit tasks' });
+      }
+
+      const before = await snapshotSubtask(object.id);
+
+      await pool.query('DELETE FROM subtasks WHERE id = $1', [object.id]);
+      await recordActivity(list.id, req.user.id, 'subtask.deleted', { type: 'subtask', id: object.id }, { before });
+    }
+
+    res.status(204).end();
+  } catch (error) {
+    console.error('CalDAV delete error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,139 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const pool = require('../config/database');
+const { authenticateToken, requireSession, requireVerifiedEmail } = require('../middleware/auth');
+const { validateCalendarFeedQuery } = require('../middleware/validation');
+const { generateToken, hashToken } = require('../utils/tokens');
+const { recordSecurityEvent } = require('../utils/securityEvents');
+const { getCalendarTasks } = require('../utils/calendarFeed');
+const { buildCalendar } = require('../utils/ics');
+
+const router = express.Router();
+
+const FEED_COLUMNS = 'token_prefix, access_count, last_accessed_at, created_at';
+
+// Calendar apps poll on their own schedule, so each feed gets its own budget
+const calendarFeedLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 30, // requests per feed per windowMs
+  keyGenerator: (req) => hashToken(req.params.token),
+  message: {
+    error: 'This calendar feed is receiving too many requests, please try again later.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Get the current user's calendar feed, if they have one
+router.get('/feed', authenticateToken, requireSession, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT ${FEED_COLUMNS} FROM calendar_feeds WHERE user_id = $1`,
+      [req.user.id]
+    );
+
+    res.json({ feed: result.rows[0] || null });
+  } catch (error) {
+    console.error('Get calendar feed error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Create the current user's calendar feed URL, replacing any previous one
+router.post('/feed', authenticateToken, requireSession, requireVerifiedEmail, async (req, res) => {
+  try {
+    const token = generateToken(24);
+
+    const result = await pool.query(`
+      INSERT INTO calendar_feeds (user_id, token_hash, token_prefix)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (user_id) DO UPDATE
+      SET token_hash = EXCLUDED.token_hash,
+          token_prefix = EXCLUDED.token_prefix,
+          access_count = 0,
+          last_accessed_at = NULL,
+          created_at = NOW()
+      RETURNING ${FEED_COLUMNS}
+    `, [req.user.id, hashToken(token), token.slice(0, 8)]);
+
+    await recordSecurityEvent(req.user.id, 'calendar_feed_created', req, {
+      tokenPrefix: result.rows[0].token_prefix
+    });
+
+    res.status(201).json({
+      message: 'Calendar feed created successfully. Copy the URL now - it will not be shown again.',
+      token,
+      url: `${req.protocol}://${req.get('host')}/api/calendar/${token}.ics`,
+      feed: result.rows[0]
+    });
+  } catch (error) {
+    console.error('Create calendar feed error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Revoke the current user's calendar feed URL
+router.delete('/feed', authenticateToken, requireSession, async (req, res) => {
+  try {
+    const result = await pool.query(
+      'DELETE FROM calendar_feeds WHERE user_id = $1 RETURNING token_prefix',
+      [req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Calendar feed not found' });
+    }
+
+    await recordSecurityEvent(req.user.id, 'calendar_feed_revoked', req, {
+      tokenPrefix: result.rows[0].token_prefix
+    });
+
+    res.json({ message: 'Calendar feed revoked successfully' });
+  } catch (error) {
+    console.error('Revoke calendar feed error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// The feed itself. The secret token in the URL is the only authentication,
+// as calendar apps cannot log in.
+router.get('/:token.ics', calendarFeedLimiter, validateCalendarFeedQuery, async (req, res) => {
+  try {
+    const feedResult = await pool.query(`
+      UPDATE calendar_feeds f
+      SET access_count = access_count + 1, last_accessed_at = NOW()
+      FROM users u
+      WHERE f.token_hash = $1 AND f.user_id = u.id
+      RETURNING f.user_id, u.name as user_name
+    `, [hashToken(req.params.token)]);
+
+    if (feedResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Calendar feed not found' });
+    }
+
+    const { user_id: userId, user_name: userName } = feedResult.rows[0];
+    const { lists, tags, components, completed } = req.query;
+
+    const tasks = await getCalendarTasks(userId, {
+      listIds: lists || null,
+      tags: tags || null,
+      completed: completed === undefined ? null : completed
+    });
+
+    res.set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': 'inline; filename="tasks.ics"',
+      'Cache-Control': 'private, max-age=300'
+    });
+
+    res.send(buildCalendar(tasks, {
+      name: `${userName}'s tasks`,
+      components: components || undefined
+    }));
+  } catch (error) {
+    console.error('Calendar feed error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,227 @@
+const express = require('express');
+const pool = require('../config/database');
+const { authenticateToken, requireScope } = require('../middleware/auth');
+const { validateComment, validateCommentUpdate, validateTaskId, validateCommentId } = require('../middleware/validation');
+const { authorizeList, can } = require('../utils/permissions');
+const { findComment, getCommentThreads, saveMentions } = require('../utils/comments');
+const { recordActivity } = require('../utils/activity');
+const { createNotification } = require('../utils/notifications');
+
+// Let newly mentioned people know
+const notifyMentions = async (userIds, comment, actorId) => {
+  for (const userId of userIds) {
+    await createNotification(userId, 'comment.mention', {
+      actorId,
+      listId: comment.list_id,
+      taskId: comment.task_id,
+      data: { comment_id: comment.id },
+      dedupeKey: `comment.mention:${comment.id}`
+    });
+  }
+};
+
+const router = express.Router();
+
+// Authors may change their own comments while they can still comment;
+// admins and owners may change anyone's
+const canChangeComment = (role, comment, userId) =>
+  can(role, 'comment.moderate') || (comment.author_id === userId && can(role, 'comment.create'));
+
+// Get all comments of a task as threads
+router.get('/:taskId/comments', authenticateToken, requireScope('tasks:read'), validateTaskId, async (req, res) => {
+  try {
+    const taskId = req.params.taskId;
+
+    const taskResult = await pool.query('SELECT list_id FROM tasks WHERE id = $1', [taskId]);
+    if (taskResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    const listAccess = await authorizeList(req.user.id, taskResult.rows[0].list_id, 'task.view');
+    if (!listAccess.allowed) {
+      return res.status(404).json({ error: 'Task not found or access denied' });
+    }
+
+    res.json({ comments: await getCommentThreads(taskId) });
+  } catch (error) {
+    console.error('Get comments error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Comment on a task, or reply to another comment
+router.post('/:taskId/comments', authenticateToken, requireScope('tasks:write'), validateTaskId, validateComment, async (req, res) => {
+  try {
+    const taskId = req.params.taskId;
+    const { body, parent_id } = req.body;
+
+    const taskResult = await pool.query('SELECT list_id FROM tasks WHERE id = $1', [taskId]);
+    if (taskResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    const listId = taskResult.rows[0].list_id;
+
+    const listAccess = await authorizeList(req.user.id, listId, 'comment.create');
+    if (!listAccess.role) {
+      return res.status(404).json({ error: 'Task not found or access denied' });
+    }
+
+    if (!listAccess.allowed) {
+      return res.status(403).json({ error: 'Permission denied - your role cannot comment' });
+    }
+
+    if (parent_id) {
+      const parentResult = await pool.query(
+        'SELECT id FROM task_comments WHERE id = $1 AND task_id = $2 AND deleted_at IS NULL',
+        [parent_id, taskId]
+      );
+
+      if (parentResult.rows.length === 0) {
+        return res.status(404).json({ error: 'Parent comment not found' });
+      }
+    }
+
+    const result = await pool.query(
+      'INSERT INTO task_comments (task_id, parent_id, author_id, body) VALUES ($1, $2, $3, $4) RETURNING id',
+      [taskId, parent_id || null, req.user.id, body]
+    );
+
+    const commentId = result.rows[0].id;
+    const mentioned = await saveMentions(commentId, listId, body, req.user.id);
+    await notifyMentions(mentioned, { id: commentId, list_id: listId, task_id: parseInt(taskId, 10) }, req.user.id);
+
+    await recordActivity(listId, req.user.id, 'comment.created', { type: 'comment', id: commentId }, {
+      after: { task_id: parseInt(taskId, 10), parent_id: parent_id || null }
+    });
+
+    res.status(201).json({
+      message: 'Comment added successfully',
+      comment: await findComment(commentId)
+    });
+  } catch (error) {
+    console.error('Create comment error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Edit a comment, keeping the previous text in its history
+router.put('/comments/:commentId', authenticateToken, requireScope('tasks:write'), validateCommentId, validateCommentUpdate, async (req, res) => {
+  try {
+    const commentId = req.params.commentId;
+    const { body } = req.body;
+
+    const comment = await findComment(commentId);
+    if (!comment || comment.deleted) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+
+    const listAccess = await authorizeList(req.user.id, comment.list_id, 'task.view');
+    if (!listAccess.role) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+
+    if (!canChangeComment(listAccess.role, comment, req.user.id)) {
+      return res.status(403).json({ error: 'Permission denied - only the author or list admins can edit this comment' });
+    }
+
+    if (comment.body === body) {
+      return res.json({ message: 'Comment unchanged', comment });
+    }
+
+    await pool.query(
+      'INSERT INTO task_comment_edits (comment_id, body, edited_by) VALUES ($1, $2, $3)',
+      [commentId, comment.body, req.user.id]
+    );
+
+    await pool.query(
+      'UPDATE task_comments SET body = $1, updated_at = NOW() WHERE id = $2',
+      [body, commentId]
+    );
+
+    const mentioned = await saveMentions(comment.id, comment.list_id, body, comment.author_id);
+    await notifyMentions(mentioned, comment, req.user.id);
+
+    await recordActivity(comment.list_id, req.user.id, 'comment.edited', { type: 'comment', id: comment.id }, {
+      after: { task_id: comment.task_id }
+    });
+
+    res.json({
+      message: 'Comment updated successfully',
+      comment: await findComment(commentId)
+    });
+  } catch (error) {
+    console.error('Update comment error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get the edit history of a comment, oldest first
+router.get('/comments/:commentId/history', authenticateToken, requireScope('tasks:read'), validateCommentId, async (req, res) => {
+  try {
+    const commentId = req.params.commentId;
+
+    const comment = await findComment(commentId);
+    if (!comment || comment.deleted) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+
+    const listAccess = await authorizeList(req.user.id, comment.list_id, 'task.view');
+    if (!listAccess.allowed) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+
+    const result = await pool.query(`
+      SELECT e.id, e.body, e.edited_by, u.name as edited_by_name, e.edited_at
+      FROM task_comment_edits e
+      LEFT JOIN users u ON e.edited_by = u.id
+      WHERE e.comment_id = $1
+      ORDER BY e.edited_at ASC, e.id ASC
+    `, [commentId]);
+
+    res.json({ comment, history: result.rows });
+  } catch (error) {
+    console.error('Get comment history error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delete a comment. Replies stay, under a placeholder for the deleted comment.
+router.delete('/comments/:commentId', authenticateToken, requireScope('tasks:write'), validateCommentId, async (req, res) => {
+  try {
+    const commentId = req.params.commentId;
+
+    const comment = await findComment(commentId);
+    if (!comment || comment.deleted) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+
+    const listAccess = await authorizeList(req.user.id, comment.list_id, 'task.view');
+    if (!listAccess.role) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+
+    if (!canChangeComment(listAccess.role, comment, req.user.id)) {
+      return res.status(403).json({ error: 'Permission denied - only the author or list admins can delete this comment' });
+    }
+
+    // The text and its history are removed, only the thread position is kept
+    await pool.query(
+      "UPDATE task_comments SET body = '', deleted_at = NOW() WHERE id = $1",
+      [commentId]
+    );
+    await pool.query('DELETE FROM task_comment_edits WHERE comment_id = $1', [commentId]);
+    await pool.query('DELETE FROM comment_mentions WHERE comment_id = $1', [commentId]);
+
+    await recordActivity(comment.list_id, req.user.id, 'comment.deleted', { type: 'comment', id: comment.id }, {
+      before: { task_id: comment.task_id, author_id: comment.author_id }
+    });
+
+    res.json({ message: 'Comment deleted successfully' });
+  } catch (error) {
+    console.error('Delete comment error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
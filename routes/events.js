@@ -0,0 +1,114 @@
+const express = require('express');
+const pool = require('../config/database');
+const { authenticateToken, allowQueryToken, requireScope } = require('../middleware/auth');
+const { validateEventStream } = require('../middleware/validation');
+const { accessibleLists, authorizeList } = require('../utils/permissions');
+const { subscribe, unsubscribe, getMissedEvents } = require('../utils/realtime');
+
+const router = express.Router();
+
+const HEARTBEAT_MS = 25 * 1000;
+// setTimeout cannot wait longer than this
+const MAX_TIMEOUT_MS = 2147483647;
+
+const writeEvent = (res, event) => {
+  res.write(`id: ${event.id}\nevent: ${event.action}\ndata: ${JSON.stringify(event)}\n\n`);
+};
+
+// Stream list changes as Server-Sent Events. Subscribes to the given lists,
+// or to every list the user can access right now.
+router.get('/', allowQueryToken, authenticateToken, requireScope('lists:read', 'tasks:read'), validateEventStream, async (req, res) => {
+  try {
+    let listIds = req.query.lists;
+
+    if (listIds) {
+      for (const listId of listIds) {
+        const listAccess = await authorizeList(req.user.id, listId, 'list.view');
+        if (!listAccess.allowed) {
+          return res.status(404).json({ error: 'List not found or access denied', list_id: listId });
+        }
+      }
+    } else {
+      const result = await pool.query(`
+        SELECT al.list_id as id
+        FROM ${accessibleLists('$1')} al
+      `, [req.user.id]);
+      listIds = result.rows.map(row => row.id);
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+
+    // Live events are held back until missed ones have been replayed
+    let queue = [];
+    let lastSentId = 0;
+    let closed = false;
+
+    const send = (event) => {
+      if (queue) {
+        queue.push(event);
+      } else if (event.id > lastSentId) {
+        writeEvent(res, event);
+        lastSentId = event.id;
+      }
+    };
+
+    const subscription = {
+      userId: req.user.id,
+      listIds: new Set(listIds),
+      send: (event) => send(event),
+      close: () => res.end()
+    };
+
+    subscribe(subscription);
+
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+    // Stop when the access token expires - the client reconnects with a
+    // fresh one and Last-Event-ID
+    let expiryTimer = null;
+    if (req.tokenExpiresAt) {
+      const remaining = new Date(req.tokenExpiresAt).getTime() - Date.now();
+      expiryTimer = setTimeout(() => {
+        res.write('event: token_expired\ndata: {}\n\n');
+        res.end();
+      }, Math.min(Math.max(remaining, 0), MAX_TIMEOUT_MS));
+    }
+
+    req.on('close', () => {
+      closed = true;
+      clearInterval(heartbeat);
+      clearTimeout(expiryTimer);
+      unsubscribe(subscription);
+    });
+
+    res.write(`event: ready\ndata: ${JSON.stringify({ lists: listIds })}\n\n`);
+
+    const lastEventId = parseInt(req.get('last-event-id') || req.query.last_event_id, 10);
+    if (lastEventId > 0 && listIds.length > 0) {
+      const missed = await getMissedEvents(listIds, lastEventId);
+      queue = [...missed, ...queue].sort((a, b) => a.id - b.id);
+    }
+
+    if (closed) {
+      return;
+    }
+
+    const pending = queue;
+    queue = null;
+    pending.forEach(send);
+  } catch (error) {
+    console.error('Event stream error:', error);
+    if (res.headersSent) {
+      res.end();
+    } else {
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+});
+
+module.exports = router;
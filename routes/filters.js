@@ -0,0 +1,164 @@
+const express = require('express');
+const pool = require('../config/database');
+const { authenticateToken, requireScope } = require('../middleware/auth');
+const { validateSavedFilter, validateSavedFilterRun, validateId } = require('../middleware/validation');
+const { authorizeList } = require('../utils/permissions');
+const { TASK_SORTS } = require('../utils/listTasks');
+const { getSavedFilters, getSavedFilter, runSavedFilter } = require('../utils/savedFilters');
+
+const router = express.Router();
+
+// Filters can only be shared with lists their owner is in
+const checkShareList = async (userId, listId) => {
+  if (!listId) {
+    return true;
+  }
+
+  const listAccess = await authorizeList(userId, listId, 'task.view');
+  return listAccess.allowed;
+};
+
+// Get my saved filters and those shared with my lists
+router.get('/', authenticateToken, requireScope('filters:read'), async (req, res) => {
+  try {
+    const filters = await getSavedFilters(req.user.id);
+    res.json({ filters });
+  } catch (error) {
+    console.error('Get saved filters error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Create a saved filter
+router.post('/', authenticateToken, requireScope('filters:write'), validateSavedFilter, async (req, res) => {
+  try {
+    const { name, definition, list_id: listId = null } = req.body;
+
+    if (!(await checkShareList(req.user.id, listId))) {
+      return res.status(404).json({ error: 'List not found or access denied' });
+    }
+
+    const result = await pool.query(
+      'INSERT INTO saved_filters (user_id, list_id, name, definition) VALUES ($1, $2, $3, $4) RETURNING id',
+      [req.user.id, listId, name, definition]
+    );
+
+    res.status(201).json({
+      message: 'Filter saved successfully',
+      filter: await getSavedFilter(req.user.id, result.rows[0].id)
+    });
+  } catch (error) {
+    console.error('Create saved filter error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get a saved filter
+router.get('/:id', authenticateToken, requireScope('filters:read'), validateId, async (req, res) => {
+  try {
+    const filter = await getSavedFilter(req.user.id, req.params.id);
+
+    if (!filter) {
+      return res.status(404).json({ error: 'Filter not found' });
+    }
+
+    res.json({ filter });
+  } catch (error) {
+    console.error('Get saved filter error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Run a saved filter. Tasks are sorted by the filter's sort and order; pass
+// the returned next_cursor as "cursor" to get the next page.
+router.get('/:id/tasks', authenticateToken, requireScope('filters:read', 'lists:read', 'tasks:read'), validateId, validateSavedFilterRun, async (req, res) => {
+  try {
+    const filter = await getSavedFilter(req.user.id, req.params.id);
+
+    if (!filter) {
+      return res.status(404).json({ error: 'Filter not found' });
+    }
+
+    const { limit, cursor } = req.query;
+    const sort = filter.definition.sort || 'created_at';
+    const order = filter.definition.order || TASK_SORTS[sort].order;
+
+    // The filter may have been changed since the cursor was handed out
+    if (cursor && (cursor.sort !== sort || cursor.order !== order)) {
+      return res.status(400).json({ error: 'Cursor belongs to a different sort order - start again without it' });
+    }
+
+    const { tasks, total, next_cursor: nextCursor } = await runSavedFilter(req.user.id, req.user.time_zone, filter.definition, {
+      limit,
+      cursor
+    });
+
+    res.json({
+      filter: { id: filter.id, name: filter.name },
+      tasks,
+      total,
+      next_cursor: nextCursor
+    });
+  } catch (error) {
+    console.error('Run saved filter error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Replace a saved filter's name, definition and sharing
+router.put('/:id', authenticateToken, requireScope('filters:write'), validateId, validateSavedFilter, async (req, res) => {
+  try {
+    const { name, definition, list_id: listId = null } = req.body;
+
+    const filter = await getSavedFilter(req.user.id, req.params.id);
+
+    if (!filter) {
+      return res.status(404).json({ error: 'Filter not found' });
+    }
+
+    if (!filter.is_owner) {
+      return res.status(403).json({ error: 'Permission denied - only the owner can change a filter' });
+    }
+
+    if (!(await checkShareList(req.user.id, listId))) {
+      return res.status(404).json({ error: 'List not found or access denied' });
+    }
+
+    await pool.query(
+      'UPDATE saved_filters SET name = $1, definition = $2, list_id = $3, updated_at = NOW() WHERE id = $4',
+      [name, definition, listId, filter.id]
+    );
+
+    res.json({
+      message: 'Filter updated successfully',
+      filter: await getSavedFilter(req.user.id, filter.id)
+    });
+  } catch (error) {
+    console.error('Update saved filter error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delete a saved filter
+router.delete('/:id', authenticateToken, requireScope('filters:write'), validateId, async (req, res) => {
+  try {
+    const filter = await getSavedFilter(req.user.id, req.params.id);
+
+    if (!filter) {
+      return res.status(404).json({ error: 'Filter not found' });
+    }
+
+    if (!filter.is_owner) {
+      return res.status(403).json({ error: 'Permission denied - only the owner can delete a filter' });
+    }
+
+    await pool.query('DELETE FROM saved_filters WHERE id = $1', [filter.id]);
+
+    res.json({ message: 'Filter deleted successfully' });
+  } catch (error) {
+    console.error('Delete saved filter error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
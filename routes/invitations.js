@@ -0,0 +1,123 @@
+const express = require('express');
+const pool = require('../config/database');
+const { authenticateToken, requireScope, requireSession, requireVerifiedEmail } = require('../middleware/auth');
+const { validateId, validateInvitationToken } = require('../middleware/validation');
+const { INVITATION_COLUMNS, findInvitationByToken, findInvitationById, respondToInvitation, acceptInvitation } = require('../utils/invitations');
+const { recordActivity } = require('../utils/activity');
+
+const router = express.Router();
+
+// Check that an invitation can still be answered by the current user.
+// Returns an error response body, or null when everything is fine.
+const checkInvitation = (invitation, user) => {
+  if (!invitation || invitation.email !== user.email) {
+    return { status: 404, error: 'Invitation not found' };
+  }
+
+  if (invitation.status !== 'pending') {
+    return { status: 409, error: `Invitation has already been ${invitation.status}` };
+  }
+
+  if (new Date(invitation.expires_at) <= new Date()) {
+    return { status: 410, error: 'Invitation has expired' };
+  }
+
+  return null;
+};
+
+const accept = async (req, res, invitation) => {
+  const problem = checkInvitation(invitation, req.user);
+  if (problem) {
+    return res.status(problem.status).json({ error: problem.error });
+  }
+
+  const accepted = await acceptInvitation(invitation.id, req.user.id);
+  if (!accepted) {
+    return res.status(409).json({ error: 'Invitation is no longer pending' });
+  }
+
+  res.json({
+    message: 'Invitation accepted successfully',
+    invitation: accepted
+  });
+};
+
+const decline = async (req, res, invitation) => {
+  const problem = checkInvitation(invitation, req.user);
+  if (problem) {
+    return res.status(problem.status).json({ error: problem.error });
+  }
+
+  const declined = await respondToInvitation(invitation.id, 'declined');
+  if (!declined) {
+    return res.status(409).json({ error: 'Invitation is no longer pending' });
+  }
+
+  await recordActivity(declined.list_id, req.user.id, 'invitation.declined', { type: 'invitation', id: declined.id });
+
+  res.json({
+    message: 'Invitation declined',
+    invitation: declined
+  });
+};
+
+// Get pending invitations for the current user's email address
+router.get('/', authenticateToken, requireScope('lists:read'), requireVerifiedEmail, async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT ${INVITATION_COLUMNS}
+      FROM list_invitations i
+      JOIN lists l ON i.list_id = l.id
+      LEFT JOIN users inviter ON i.invited_by = inviter.id
+      WHERE i.email = $1 AND i.status = 'pending' AND i.expires_at > NOW()
+      ORDER BY i.created_at DESC
+    `, [req.user.email]);
+
+    res.json({ invitations: result.rows });
+  } catch (error) {
+    console.error('Get invitations error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Accept an invitation with the token from the invitation email
+router.post('/accept', authenticateToken, requireSession, requireVerifiedEmail, validateInvitationToken, async (req, res) => {
+  try {
+    await accept(req, res, await findInvitationByToken(req.body.token));
+  } catch (error) {
+    console.error('Accept invitation error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Decline an invitation with the token from the invitation email
+router.post('/decline', authenticateToken, requireSession, requireVerifiedEmail, validateInvitationToken, async (req, res) => {
+  try {
+    await decline(req, res, await findInvitationByToken(req.body.token));
+  } catch (error) {
+    console.error('Decline invitation error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Accept one of the current user's pending invitations
+router.post('/:id/accept', authenticateToken, requireSession, requireVerifiedEmail, validateId, async (req, res) => {
+  try {
+    await accept(req, res, await findInvitationById(req.params.id));
+  } catch (error) {
+    console.error('Accept invitation error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Decline one of the current user's pending invitations
+router.post('/:id/decline', authenticateToken, requireSession, requireVerifiedEmail, validateId, async (req, res) => {
+  try {
+    await decline(req, res, await findInvitationById(req.params.id));
+  } catch (error) {
+    console.error('Decline invitation error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -1,37 +1,23 @@
 const express = require('express');
 const pool = require('../config/database');
-const { authenticateToken } = require('../middleware/auth');
-const { validateListMember, validateId } = require('../middleware/validation');
+const { authenticateToken, requireScope, requireVerifiedEmail } = require('../middleware/auth');
+const { validateListMember, validateMemberRole, validateListId, validateUserId, validateInvitationId } = require('../middleware/validation');
+const { INVITATION_COLUMNS, createInvitation, sendInvitationEmail } = require('../utils/invitations');
+const { authorizeList, getListRole } = require('../utils/permissions');
+const { removeListAssignments } = require('../utils/taskAssignees');
+const { recordActivity } = require('../utils/activity');
+const { createNotification } = require('../utils/notifications');
 
 const router = express.Router();
 
-// Helper function to check if user is owner or admin of a list
-const checkListPermission = async (userId, listId, requireOwner = false) => {
-  const query = requireOwner 
-    ? 'SELECT id FROM lists WHERE id = $1 AND owner_id = $2'
-    : `SELECT l.id, l.owner_id, lm.role
-       FROM lists l
-       LEFT JOIN list_members lm ON l.id = lm.list_id AND lm.user_id = $2
-       WHERE l.id = $1 AND (l.owner_id = $2 OR lm.role = 'admin')`;
-  
-  const result = await pool.query(query, [listId, userId]);
-  return result.rows.length > 0 ? result.rows[0] : null;
-};
-
 // Get all members of a list
-router.get('/:listId/members', authenticateToken, validateId, async (req, res) => {
+router.get('/:listId/members', authenticateToken, requireScope('members:read'), validateListId, async (req, res) => {
   try {
     const listId = req.params.listId;
 
     // Check if user has access to the list
-    const listCheck = await pool.query(`
-      SELECT l.id
-      FROM lists l
-      LEFT JOIN list_members lm ON l.id = lm.list_id AND lm.user_id = $1
-      WHERE l.id = $2 AND (l.owner_id = $1 OR lm.user_id = $1)
-    `, [req.user.id, listId]);
-
-    if (listCheck.rows.length === 0) {
+    const listAccess = await authorizeList(req.user.id, listId, 'member.view');
+    if (!listAccess.allowed) {
       return res.status(404).json({ error: 'List not found or access denied' });
     }
 
@@ -56,85 +42,158 @@ router.get('/:listId/members', authenticateToken, validateId, async (req, res) =
   }
 });
 
-// Add a member to a list
-router.post('/:listId/members', authenticateToken, validateId, validateListMember, async (req, res) => {
+// Invite someone to a list by email. Nobody is added without accepting -
+// people without an account can accept after registering.
+const inviteMember = async (req, res) => {
   try {
     const listId = req.params.listId;
     const { email, role = 'member' } = req.body;
 
-    // Check if user has permission to add members (owner or admin)
-    const permission = await checkListPermission(req.user.id, listId);
-    if (!permission) {
-      return res.status(403).json({ error: 'Permission denied - only list owners and admins can add members' });
+    // Check if user has permission to invite members (owner or admin)
+    const listAccess = await authorizeList(req.user.id, listId, 'member.invite');
+    if (!listAccess.role) {
+      return res.status(404).json({ error: 'List not found or access denied' });
     }
 
-    // Find the user to add
-    const userResult = await pool.query(
-      'SELECT id, name, email FROM users WHERE email = $1',
-      [email]
-    );
+    if (!listAccess.allowed) {
+      return res.status(403).json({ error: 'Permission denied - only list owners and admins can invite members' });
+    }
 
-    if (userResult.rows.length === 0) {
-      return res.status(404).json({ error: 'User not found with this email address' });
+    // Check if the invitee is already the owner or a member
+    const existingResult = await pool.query(`
+      SELECT u.id, l.owner_id = u.id as is_owner, lm.user_id IS NOT NULL as is_member
+      FROM users u
+      JOIN lists l ON l.id = $1
+      LEFT JOIN list_members lm ON lm.list_id = l.id AND lm.user_id = u.id
+      WHERE u.email = $2
+    `, [listId, email]);
+
+    if (existingResult.rows.length > 0) {
+      if (existingResult.rows[0].is_owner) {
+        return res.status(409).json({ error: 'User is already the owner of this list' });
+      }
+
+      if (existingResult.rows[0].is_member) {
+        return res.status(409).json({ error: 'User is already a member of this list' });
+      }
     }
 
-    const userToAdd = userResult.rows[0];
+    const { invitation, token, resent } = await createInvitation({
+      listId,
+      email,
+      role,
+      invitedBy: req.user.id
+    });
 
-    // Check if user is already the owner
-    const ownerCheck = await pool.query(
-      'SELECT id FROM lists WHERE id = $1 AND owner_id = $2',
-      [listId, userToAdd.id]
-    );
+    sendInvitationEmail(invitation, token);
 
-    if (ownerCheck.rows.length > 0) {
-      return res.status(409).json({ error: 'User is already the owner of this list' });
+    await recordActivity(listId, req.user.id, resent ? 'invitation.resent' : 'invitation.sent', { type: 'invitation', id: invitation.id }, {
+      after: { email: invitation.email, role: invitation.role }
+    });
+
+    // People who already have an account also see it in their inbox
+    if (existingResult.rows.length > 0 && !resent) {
+      await createNotification(existingResult.rows[0].id, 'invitation.received', {
+        actorId: req.user.id,
+        listId: invitation.list_id,
+        data: { invitation_id: invitation.id, role: invitation.role }
+      });
     }
 
-    // Check if user is already a member
-    const memberCheck = await pool.query(
-      'SELECT role FROM list_members WHERE list_id = $1 AND user_id = $2',
-      [listId, userToAdd.id]
-    );
+    res.status(resent ? 200 : 201).json({
+      message: resent ? 'Invitation re-sent successfully' : 'Invitation sent successfully',
+      invitation
+    });
+  } catch (error) {
+    console.error('Invite list member error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+router.post('/:listId/members', authenticateToken, requireScope('members:admin'), requireVerifiedEmail, validateListId, validateListMember, inviteMember);
+router.post('/:listId/invitations', authenticateToken, requireScope('members:admin'), requireVerifiedEmail, validateListId, validateListMember, inviteMember);
 
-    if (memberCheck.rows.length > 0) {
-      return res.status(409).json({ error: 'User is already a member of this list' });
+// Get pending invitations of a list
+router.get('/:listId/invitations', authenticateToken, requireScope('members:read'), validateListId, async (req, res) => {
+  try {
+    const listId = req.params.listId;
+
+    const listAccess = await authorizeList(req.user.id, listId, 'member.invite');
+    if (!listAccess.role) {
+      return res.status(404).json({ error: 'List not found or access denied' });
     }
 
-    // Add the member
-    await pool.query(
-      'INSERT INTO list_members (list_id, user_id, role) VALUES ($1, $2, $3)',
-      [listId, userToAdd.id, role]
-    );
+    if (!listAccess.allowed) {
+      return res.status(403).json({ error: 'Permission denied - only list owners and admins can view invitations' });
+    }
 
-    res.status(201).json({
-      message: 'Member added successfully',
-      member: {
-        id: userToAdd.id,
-        name: userToAdd.name,
-        email: userToAdd.email,
-        role: role
-      }
+    const result = await pool.query(`
+      SELECT ${INVITATION_COLUMNS}
+      FROM list_invitations i
+      JOIN lists l ON i.list_id = l.id
+      LEFT JOIN users inviter ON i.invited_by = inviter.id
+      WHERE i.list_id = $1 AND i.status = 'pending' AND i.expires_at > NOW()
+      ORDER BY i.created_at DESC
+    `, [listId]);
+
+    res.json({ invitations: result.rows });
+  } catch (error) {
+    console.error('Get list invitations error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Revoke a pending invitation
+router.delete('/:listId/invitations/:invitationId', authenticateToken, requireScope('members:admin'), validateListId, validateInvitationId, async (req, res) => {
+  try {
+    const { listId, invitationId } = req.params;
+
+    const listAccess = await authorizeList(req.user.id, listId, 'member.invite');
+    if (!listAccess.role) {
+      return res.status(404).json({ error: 'List not found or access denied' });
+    }
+
+    if (!listAccess.allowed) {
+      return res.status(403).json({ error: 'Permission denied - only list owners and admins can revoke invitations' });
+    }
+
+    const result = await pool.query(`
+      UPDATE list_invitations
+      SET status = 'revoked', responded_at = NOW()
+      WHERE id = $1 AND list_id = $2 AND status = 'pending'
+      RETURNING id, email
+    `, [invitationId, listId]);
+
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: 'Pending invitation not found' });
+    }
+
+    await recordActivity(listId, req.user.id, 'invitation.revoked', { type: 'invitation', id: result.rows[0].id }, {
+      before: { email: result.rows[0].email, status: 'pending' },
+      after: { email: result.rows[0].email, status: 'revoked' }
     });
+
+    res.json({ message: 'Invitation revoked successfully' });
   } catch (error) {
-    console.error('Add list member error:', error);
+    console.error('Revoke invitation error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
 // Update a member's role
-router.put('/:listId/members/:userId', authenticateToken, validateId, async (req, res) => {
+router.put('/:listId/members/:userId', authenticateToken, requireScope('members:admin'), validateListId, validateUserId, validateMemberRole, async (req, res) => {
   try {
     const listId = req.params.listId;
     const userId = req.params.userId;
     const { role } = req.body;
 
-    if (!role || !['member', 'admin'].includes(role)) {
-      return res.status(400).json({ error: 'Role must be either "member" or "admin"' });
+    // Check if current user has permission (owner or admin)
+    const listAccess = await authorizeList(req.user.id, listId, 'member.update');
+    if (!listAccess.role) {
+      return res.status(404).json({ error: 'List not found or access denied' });
     }
 
-    // Check if current user has permission (owner or admin)
-    const permission = await checkListPermission(req.user.id, listId);
-    if (!permission) {
+    if (!listAccess.allowed) {
       return res.status(403).json({ error: 'Permission denied - only list owners and admins can update member roles' });
     }
 
@@ -158,6 +217,19 @@ router.put('/:listId/members/:userId', authenticateToken, validateId, async (req
                 role
     `, [role, listId, userId]);
 
+    if (memberCheck.rows[0].role !== role) {
+      await recordActivity(listId, req.user.id, 'member.role_changed', { type: 'user', id: parseInt(userId, 10) }, {
+        before: { role: memberCheck.rows[0].role },
+        after: { role }
+      });
+
+      await createNotification(userId, 'member.role_changed', {
+        actorId: req.user.id,
+        listId,
+        data: { previous_role: memberCheck.rows[0].role, role }
+      });
+    }
+
     res.json({
       message: 'Member role updated successfully',
       member: {
@@ -172,14 +244,18 @@ router.put('/:listId/members/:userId', authenticateToken, validateId, async (req
 });
 
 // Remove a member from a list
-router.delete('/:listId/members/:userId', authenticateToken, validateId, async (req, res) => {
+router.delete('/:listId/members/:userId', authenticateToken, requireScope('members:admin'), validateListId, validateUserId, async (req, res) => {
   try {
     const listId = req.params.listId;
     const userId = req.params.userId;
 
     // Check if current user has permission (owner or admin)
-    const permission = await checkListPermission(req.user.id, listId);
-    if (!permission) {
+    const listAccess = await authorizeList(req.user.id, listId, 'member.remove');
+    if (!listAccess.role) {
+      return res.status(404).json({ error: 'List not found or access denied' });
+    }
+
+    if (!listAccess.allowed) {
       return res.status(403).json({ error: 'Permission denied - only list owners and admins can remove members' });
     }
 
@@ -195,7 +271,7 @@ router.delete('/:listId/members/:userId', authenticateToken, validateId, async (
 
     // Remove the member
     const result = await pool.query(
-      'DELETE FROM list_members WHERE list_id = $1 AND user_id = $2',
+      'DELETE FROM list_members WHERE list_id = $1 AND user_id = $2 RETURNING role',
       [listId, userId]
     );
 
@@ -203,6 +279,14 @@ router.delete('/:listId/members/:userId', authenticateToken, validateId, async (
       return res.status(404).json({ error: 'User is not a member of this list' });
     }
 
+    await removeListAssignments(listId, userId);
+
+    await recordActivity(listId, req.user.id, 'member.removed', { type: 'user', id: parseInt(userId, 10) }, {
+      before: { role: result.rows[0].role }
+    });
+
+    await createNotification(userId, 'member.removed', { actorId: req.user.id, listId });
+
     res.json({ message: 'Member removed successfully' });
   } catch (error) {
     console.error('Remove member error:', error);
@@ -211,23 +295,19 @@ router.delete('/:listId/members/:userId', authenticateToken, validateId, async (
 });
 
 // Leave a list (for non-owners)
-router.delete('/:listId/leave', authenticateToken, validateId, async (req, res) => {
+router.delete('/:listId/leave', authenticateToken, requireScope('lists:write'), validateListId, async (req, res) => {
   try {
     const listId = req.params.listId;
 
     // Check if user is the owner
-    const ownerCheck = await pool.query(
-      'SELECT id FROM lists WHERE id = $1 AND owner_id = $2',
-      [listId, req.user.id]
-    );
-
-    if (ownerCheck.rows.length > 0) {
+    const role = await getListRole(req.user.id, listId);
+    if (role === 'owner') {
       return res.status(400).json({ error: 'List owners cannot leave their own lists. Transfer ownership or delete the list instead.' });
     }
 
     // Remove the user from the list
     const result = await pool.query(
-      'DELETE FROM list_members WHERE list_id = $1 AND user_id = $2',
+      'DELETE FROM list_members WHERE list_id = $1 AND user_id = $2 RETURNING role',
       [listId, req.user.id]
     );
 
@@ -235,6 +315,12 @@ router.delete('/:listId/leave', authenticateToken, validateId, async (req, res)
       return res.status(404).json({ error: 'You are not a member of this list' });
     }
 
+    await removeListAssignments(listId, req.user.id);
+
+    await recordActivity(listId, req.user.id, 'member.left', { type: 'user', id: req.user.id }, {
+      before: { role: result.rows[0].role }
+    });
+
     res.json({ message: 'Successfully left the list' });
   } catch (error) {
     console.error('Leave list error:', error);
@@ -243,7 +329,7 @@ router.delete('/:listId/leave', authenticateToken, validateId, async (req, res)
 });
 
 // Transfer list ownership
-router.put('/:listId/transfer-ownership', authenticateToken, validateId, async (req, res) => {
+router.put('/:listId/transfer-ownership', authenticateToken, requireScope('members:admin'), requireVerifiedEmail, validateListId, async (req, res) => {
   try {
     const listId = req.params.listId;
     const { email } = req.body;
@@ -252,15 +338,19 @@ router.put('/:listId/transfer-ownership', authenticateToken, validateId, async (
       return res.status(400).json({ error: 'Email is required' });
     }
 
-    // Check if current user is the owner
-    const ownerCheck = await checkListPermission(req.user.id, listId, true);
-    if (!ownerCheck) {
+    // Check if current user is allowed to transfer the list
+    const listAccess = await authorizeList(req.user.id, listId, 'list.transfer');
+    if (!listAccess.role) {
+      return res.status(404).json({ error: 'List not found or access denied' });
+    }
+
+    if (!listAccess.allowed) {
       return res.status(403).json({ error: 'Permission denied - only list owners can transfer ownership' });
     }
 
     // Find the new owner
     const newOwnerResult = await pool.query(
-      'SELECT id, name, email FROM users WHERE email = $1',
+      'SELECT id, name, email, email_verified FROM users WHERE email = $1',
       [email.toLowerCase()]
     );
 
@@ -270,6 +360,10 @@ router.put('/:listId/transfer-ownership', authenticateToken, validateId, async (
 
     const newOwner = newOwnerResult.rows[0];
 
+    if (!newOwner.email_verified) {
+      return res.status(409).json({ error: 'This user has not verified their email address yet' });
+    }
+
     if (newOwner.id === req.user.id) {
       return res.status(400).json({ error: 'You are already the owner of this list' });
     }
@@ -298,6 +392,13 @@ router.put('/:listId/transfer-ownership', authenticateToken, validateId, async (
 
       await pool.query('COMMIT');
 
+      await recordActivity(listId, req.user.id, 'list.ownership_transferred', { type: 'user', id: newOwner.id }, {
+        before: { owner_id: req.user.id },
+        after: { owner_id: newOwner.id }
+      });
+
+      await createNotification(newOwner.id, 'list.ownership_transferred', { actorId: req.user.id, listId });
+
       res.json({
         message: 'Ownership transferred successfully',
         new_owner: {
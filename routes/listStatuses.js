@@ -0,0 +1,140 @@
+const express = require('express');
+const pool = require('../config/database');
+const { authenticateToken, requireScope } = require('../middleware/auth');
+const { validateListId, validateListStatuses } = require('../middleware/validation');
+const { authorizeList } = require('../utils/permissions');
+const { queryListTasks } = require('../utils/listTasks');
+const { getListStatuses, replaceListStatuses, sendStatusFullResponse } = require('../utils/statuses');
+const { recordActivity } = require('../utils/activity');
+
+const router = express.Router();
+
+const summarize = (statuses) => statuses.map(({ name, is_terminal, wip_limit }) => ({ name, is_terminal, wip_limit }));
+
+// Get the kanban statuses of a list, in board order
+router.get('/:listId/statuses', authenticateToken, requireScope('lists:read'), validateListId, async (req, res) => {
+  try {
+    const listAccess = await authorizeList(req.user.id, req.params.listId, 'list.view');
+    if (!listAccess.allowed) {
+      return res.status(404).json({ error: 'List not found or access denied' });
+    }
+
+    res.json({ statuses: await getListStatuses(req.params.listId) });
+  } catch (error) {
+    console.error('Get list statuses error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Replace the statuses of a list, which turns it into a board
+router.put('/:listId/statuses', authenticateToken, requireScope('lists:write'), validateListId, validateListStatuses, async (req, res) => {
+  try {
+    const listId = parseInt(req.params.listId, 10);
+
+    const listAccess = await authorizeList(req.user.id, listId, 'status.manage');
+    if (!listAccess.role) {
+      return res.status(404).json({ error: 'List not found or access denied' });
+    }
+
+    if (!listAccess.allowed) {
+      return res.status(403).json({ error: 'Permission denied - only owners and admins can change statuses' });
+    }
+
+    const before = await getListStatuses(listId);
+    const replaced = await replaceListStatuses(listId, req.body.statuses);
+
+    if (!replaced) {
+      return res.status(400).json({ error: 'Status ids must belong to statuses of this list' });
+    }
+
+    if (replaced.fullStatus) {
+      return sendStatusFullResponse(res, replaced.fullStatus);
+    }
+
+    const { statuses } = replaced;
+
+    await recordActivity(listId, req.user.id, 'list.statuses_changed', { type: 'list', id: listId }, {
+      before: { statuses: summarize(before) },
+      after: { statuses: summarize(statuses) }
+    });
+
+    res.json({
+      message: 'Statuses updated successfully',
+      statuses
+    });
+  } catch (error) {
+    console.error('Update list statuses error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Remove every status, turning the board back into a plain list. Tasks keep
+// their completed flag.
+router.delete('/:listId/statuses', authenticateToken, requireScope('lists:write'), validateListId, async (req, res) => {
+  try {
+    const listId = parseInt(req.params.listId, 10);
+
+    const listAccess = await authorizeList(req.user.id, listId, 'status.manage');
+    if (!listAccess.role) {
+      return res.status(404).json({ error: 'List not found or access denied' });
+    }
+
+    if (!listAccess.allowed) {
+      return res.status(403).json({ error: 'Permission denied - only owners and admins can change statuses' });
+    }
+
+    const before = await getListStatuses(listId);
+
+    if (before.length > 0) {
+      await pool.query('DELETE FROM list_statuses WHERE list_id = $1', [listId]);
+
+      await recordActivity(listId, req.user.id, 'list.statuses_changed', { type: 'list', id: listId }, {
+        before: { statuses: summarize(before) },
+        after: { statuses: [] }
+      });
+    }
+
+    res.json({ message: 'Statuses removed successfully' });
+  } catch (error) {
+    console.error('Delete list statuses error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get a list as a board: its statuses as columns holding their tasks, in
+// manual order. columns is empty for lists without statuses.
+router.get('/:listId/board', authenticateToken, requireScope('lists:read', 'tasks:read'), validateListId, async (req, res) => {
+  try {
+    const listId = parseInt(req.params.listId, 10);
+
+    const listAccess = await authorizeList(req.user.id, listId, 'task.view');
+    if (!listAccess.allowed) {
+      return res.status(404).json({ error: 'List not found or access denied' });
+    }
+
+    const statuses = await getListStatuses(listId);
+    const { tasks } = await queryListTasks(listId, {}, {
+      userId: req.user.id,
+      timeZone: req.user.time_zone,
+      includeSubtasks: false
+    });
+
+    const columns = statuses.map((status) => {
+      const columnTasks = tasks.filter(task => task.status_id === status.id);
+
+      return {
+        ...status,
+        task_count: columnTasks.length,
+        over_limit: status.wip_limit !== null && columnTasks.length > status.wip_limit,
+        tasks: columnTasks
+      };
+    });
+
+    res.json({ list_id: listId, columns });
+  } catch (error) {
+    console.error('Get board error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -1,22 +1,27 @@
 const express = require('express');
 const pool = require('../config/database');
-const { authenticateToken } = require('../middleware/auth');
-const { validateList, validateId } = require('../middleware/validation');
+const { authenticateToken, requireScope } = require('../middleware/auth');
+const { validateList, validateId, validateTaskFilters, validateMove } = require('../middleware/validation');
+const { queryListTasks } = require('../utils/listTasks');
+const { accessibleLists, authorizeList, getCapabilities } = require('../utils/permissions');
+const { recordActivity } = require('../utils/activity');
+const { moveItem } = require('../utils/positions');
 
 const router = express.Router();
 
-// Get all lists for the current user
-router.get('/', authenticateToken, async (req, res) => {
+// Get all lists for the current user, in their own order (lists they never
+// moved first, newest first)
+router.get('/', authenticateToken, requireScope('lists:read'), async (req, res) => {
   try {
     const result = await pool.query(`
-      SELECT DISTINCT l.id, l.name, l.owner_id, l.created_at,
+      SELECT l.id, l.name, l.owner_id, l.created_at,
              u.name as owner_name,
-             lm.role as user_role
+             al.role as user_role
       FROM lists l
+      JOIN ${accessibleLists('$1')} al ON al.list_id = l.id
       JOIN users u ON l.owner_id = u.id
-      LEFT JOIN list_members lm ON l.id = lm.list_id AND lm.user_id = $1
-      WHERE l.owner_id = $1 OR lm.user_id = $1
-      ORDER BY l.created_at DESC
+      LEFT JOIN list_positions lp ON l.id = lp.list_id AND lp.user_id = $1
+      ORDER BY lp.position ASC NULLS FIRST, l.created_at DESC, l.id DESC
     `, [req.user.id]);
 
     res.json({ lists: result.rows });
@@ -26,84 +31,45 @@ router.get('/', authenticateToken, async (req, res) => {
   }
 });
 
-// Get a specific list with tasks
-router.get('/:id', authenticateToken, validateId, async (req, res) => {
+// Get a specific list with its tasks, which take the same filter, sort and
+// pagination parameters as GET /api/tasks/list/:listId
+router.get('/:id', authenticateToken, requireScope('lists:read', 'tasks:read'), validateId, validateTaskFilters, async (req, res) => {
   try {
     const listId = req.params.id;
 
     // Check if user has access to the list
-    const accessCheck = await pool.query(`
-      SELECT l.id, l.name, l.owner_id, l.created_at,
-             u.name as owner_name,
-             CASE 
-               WHEN l.owner_id = $1 THEN 'owner'
-               WHEN lm.role IS NOT NULL THEN lm.role
-               ELSE NULL
-             END as user_role
-      FROM lists l
-      JOIN users u ON l.owner_id = u.id
-      LEFT JOIN list_members lm ON l.id = lm.list_id AND lm.user_id = $1
-      WHERE l.id = $2 AND (l.owner_id = $1 OR lm.user_id = $1)
-    `, [req.user.id, listId]);
-
-    if (accessCheck.rows.length === 0) {
+    const listAccess = await authorizeList(req.user.id, listId, 'list.view');
+    if (!listAccess.allowed) {
       return res.status(404).json({ error: 'List not found or access denied' });
     }
 
-    const list = accessCheck.rows[0];
-
-    // Get tasks for the list
-    const tasksResult = await pool.query(`
-      SELECT t.id, t.title, t.description, t.priority, t.due_date, 
-             t.completed, t.created_at,
-             array_agg(
-               CASE WHEN tag.name IS NOT NULL 
-               THEN json_build_object('id', tag.id, 'name', tag.name)
-               ELSE NULL END
-             ) FILTER (WHERE tag.name IS NOT NULL) as tags
-      FROM tasks t
-      LEFT JOIN task_tags tt ON t.id = tt.task_id
-      LEFT JOIN tags tag ON tt.tag_id = tag.id
-      WHERE t.list_id = $1
-      GROUP BY t.id, t.title, t.description, t.priority, t.due_date, t.completed, t.created_at
-      ORDER BY t.created_at DESC
+    const listResult = await pool.query(`
+      SELECT l.id, l.name, l.owner_id, l.created_at,
+             u.name as owner_name
+      FROM lists l
+      JOIN users u ON l.owner_id = u.id
+      WHERE l.id = $1
     `, [listId]);
 
-    // Get subtasks for each task
-    const taskIds = tasksResult.rows.map(task => task.id);
-    let subtasks = [];
-    
-    if (taskIds.length > 0) {
-      const subtasksResult = await pool.query(`
-        SELECT id, task_id, title, completed, created_at
-        FROM subtasks
-        WHERE task_id = ANY($1)
-        ORDER BY created_at ASC
-      `, [taskIds]);
-      subtasks = subtasksResult.rows;
-    }
-
-    // Group subtasks by task_id
-    const subtasksByTask = subtasks.reduce((acc, subtask) => {
-      if (!acc[subtask.task_id]) {
-        acc[subtask.task_id] = [];
-      }
-      acc[subtask.task_id].push(subtask);
-      return acc;
-    }, {});
+    const list = {
+      ...listResult.rows[0],
+      user_role: listAccess.role,
+      capabilities: getCapabilities(listAccess.role)
+    };
 
-    // Add subtasks to tasks
-    const tasksWithSubtasks = tasksResult.rows.map(task => ({
-      ...task,
-      tags: task.tags || [],
-      subtasks: subtasksByTask[task.id] || []
-    }));
+    // Get tasks for the list with their tags and subtasks
+    const { tasks, total, next_cursor } = await queryListTasks(listId, req.query, {
+      userId: req.user.id,
+      timeZone: req.user.time_zone
+    });
 
     res.json({
       list: {
         ...list,
-        tasks: tasksWithSubtasks
-      }
+        tasks
+      },
+      total,
+      next_cursor
     });
   } catch (error) {
     console.error('Get list error:', error);
@@ -112,7 +78,7 @@ router.get('/:id', authenticateToken, validateId, async (req, res) => {
 });
 
 // Create a new list
-router.post('/', authenticateToken, validateList, async (req, res) => {
+router.post('/', authenticateToken, requireScope('lists:write'), validateList, async (req, res) => {
   try {
     const { name } = req.body;
 
@@ -123,6 +89,10 @@ router.post('/', authenticateToken, validateList, async (req, res) => {
 
     const list = result.rows[0];
 
+    await recordActivity(list.id, req.user.id, 'list.created', { type: 'list', id: list.id }, {
+      after: { name: list.name }
+    });
+
     res.status(201).json({
       message: 'List created successfully',
       list: {
@@ -137,29 +107,66 @@ router.post('/', authenticateToken, validateList, async (req, res) => {
   }
 });
 
+// Move a list right before or after another one in my own order. Other
+// members' order is left alone.
+router.patch('/:id/move', authenticateToken, requireScope('lists:write'), validateId, validateMove, async (req, res) => {
+  try {
+    const listId = parseInt(req.params.id, 10);
+
+    const listAccess = await authorizeList(req.user.id, listId, 'list.view');
+    if (!listAccess.allowed) {
+      return res.status(404).json({ error: 'List not found or access denied' });
+    }
+
+    const position = await moveItem('list', req.user.id, listId, {
+      beforeId: req.body.before_id,
+      afterId: req.body.after_id
+    });
+
+    if (!position) {
+      return res.status(400).json({ error: 'The anchor must be another of your lists' });
+    }
+
+    res.json({
+      message: 'List moved successfully',
+      list: { id: listId, position }
+    });
+  } catch (error) {
+    console.error('Move list error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Update a list
-router.put('/:id', authenticateToken, validateId, validateList, async (req, res) => {
+router.put('/:id', authenticateToken, requireScope('lists:write'), validateId, validateList, async (req, res) => {
   try {
     const listId = req.params.id;
     const { name } = req.body;
 
-    // Check if user is the owner or has admin role
-    const accessCheck = await pool.query(`
-      SELECT l.id, l.owner_id, lm.role
-      FROM lists l
-      LEFT JOIN list_members lm ON l.id = lm.list_id AND lm.user_id = $1
-      WHERE l.id = $2 AND (l.owner_id = $1 OR lm.role = 'admin')
-    `, [req.user.id, listId]);
+    // Check if user can rename the list
+    const listAccess = await authorizeList(req.user.id, listId, 'list.rename');
+    if (!listAccess.role) {
+      return res.status(404).json({ error: 'List not found or access denied' });
+    }
 
-    if (accessCheck.rows.length === 0) {
+    if (!listAccess.allowed) {
       return res.status(403).json({ error: 'Permission denied - only owners and admins can update lists' });
     }
 
+    const previous = await pool.query('SELECT name FROM lists WHERE id = $1', [listId]);
+
     const result = await pool.query(
       'UPDATE lists SET name = $1 WHERE id = $2 RETURNING id, name, owner_id, created_at',
       [name, listId]
     );
 
+    if (previous.rows[0].name !== name) {
+      await recordActivity(listId, req.user.id, 'list.renamed', { type: 'list', id: parseInt(listId, 10) }, {
+        before: { name: previous.rows[0].name },
+        after: { name }
+      });
+    }
+
     res.json({
       message: 'List updated successfully',
       list: result.rows[0]
@@ -171,21 +178,26 @@ router.put('/:id', authenticateToken, validateId, validateList, async (req, res)
 });
 
 // Delete a list
-router.delete('/:id', authenticateToken, validateId, async (req, res) => {
+router.delete('/:id', authenticateToken, requireScope('lists:write'), validateId, async (req, res) => {
   try {
     const listId = req.params.id;
 
-    // Check if user is the owner
-    const ownerCheck = await pool.query(
-      'SELECT id FROM lists WHERE id = $1 AND owner_id = $2',
-      [listId, req.user.id]
-    );
+    // Check if user can delete the list
+    const listAccess = await authorizeList(req.user.id, listId, 'list.delete');
+    if (!listAccess.role) {
+      return res.status(404).json({ error: 'List not found or access denied' });
+    }
 
-    if (ownerCheck.rows.length === 0) {
+    if (!listAccess.allowed) {
       return res.status(403).json({ error: 'Permission denied - only list owners can delete lists' });
     }
 
-    await pool.query('DELETE FROM lists WHERE id = $1', [listId]);
+    const result = await pool.query('DELETE FROM lists WHERE id = $1 RETURNING name', [listId]);
+
+    // Kept after the list is gone, as an audit record
+    await recordActivity(listId, req.user.id, 'list.deleted', { type: 'list', id: parseInt(listId, 10) }, {
+      before: { name: result.rows[0].name }
+    });
 
     res.json({ message: 'List deleted successfully' });
   } catch (error) {
@@ -0,0 +1,144 @@
+const express = require('express');
+const pool = require('../config/database');
+const { authenticateToken, requireScope } = require('../middleware/auth');
+const { validateId, validateNotificationsQuery, validateNotificationPreferences } = require('../middleware/validation');
+const { NOTIFICATION_COLUMNS, formatNotification, getPreferences } = require('../utils/notifications');
+
+const router = express.Router();
+
+const countUnread = async (userId) => {
+  const result = await pool.query(
+    'SELECT COUNT(*)::int as count FROM notifications WHERE user_id = $1 AND read_at IS NULL',
+    [userId]
+  );
+
+  return result.rows[0].count;
+};
+
+// Get my notifications, newest first. Pass the returned next_cursor as
+// "before" to get the next page.
+router.get('/', authenticateToken, requireScope('notifications:read'), validateNotificationsQuery, async (req, res) => {
+  try {
+    const { unread, before, limit = 50 } = req.query;
+    const conditions = ['n.user_id = $1'];
+    const params = [req.user.id];
+
+    if (unread) {
+      conditions.push('n.read_at IS NULL');
+    }
+
+    if (before) {
+      params.push(before);
+      conditions.push(`n.id < $${params.length}`);
+    }
+
+    params.push(limit + 1);
+
+    const result = await pool.query(`
+      SELECT ${NOTIFICATION_COLUMNS}
+      FROM notifications n
+      LEFT JOIN users actor ON n.actor_id = actor.id
+      LEFT JOIN lists l ON n.list_id = l.id
+      LEFT JOIN tasks t ON n.task_id = t.id
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY n.id DESC
+      LIMIT $${params.length}
+    `, params);
+
+    const notifications = result.rows.slice(0, limit).map(formatNotification);
+    const hasMore = result.rows.length > limit;
+
+    res.json({
+      notifications,
+      unread_count: await countUnread(req.user.id),
+      next_cursor: hasMore ? notifications[notifications.length - 1].id : null
+    });
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get the number of unread notifications
+router.get('/unread-count', authenticateToken, requireScope('notifications:read'), async (req, res) => {
+  try {
+    res.json({ unread_count: await countUnread(req.user.id) });
+  } catch (error) {
+    console.error('Get unread notification count error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Mark all notifications as read
+router.patch('/read-all', authenticateToken, requireScope('notifications:write'), async (req, res) => {
+  try {
+    const result = await pool.query(
+      'UPDATE notifications SET read_at = NOW() WHERE user_id = $1 AND read_at IS NULL',
+      [req.user.id]
+    );
+
+    res.json({
+      message: 'All notifications marked as read',
+      updated: result.rowCount,
+      unread_count: 0
+    });
+  } catch (error) {
+    console.error('Mark all notifications read error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get notification preferences
+router.get('/preferences', authenticateToken, requireScope('notifications:read'), async (req, res) => {
+  try {
+    res.json({ preferences: await getPreferences(req.user.id) });
+  } catch (error) {
+    console.error('Get notification preferences error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Turn notification types on or off
+router.put('/preferences', authenticateToken, requireScope('notifications:write'), validateNotificationPreferences, async (req, res) => {
+  try {
+    for (const [type, enabled] of Object.entries(req.body.preferences)) {
+      await pool.query(`
+        INSERT INTO notification_preferences (user_id, type, enabled)
+        VALUES ($1, $2, $3)
+        ON CONFLICT (user_id, type) DO UPDATE SET enabled = EXCLUDED.enabled
+      `, [req.user.id, type, enabled]);
+    }
+
+    res.json({
+      message: 'Notification preferences updated successfully',
+      preferences: await getPreferences(req.user.id)
+    });
+  } catch (error) {
+    console.error('Update notification preferences error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Mark a notification as read
+router.patch('/:id/read', authenticateToken, requireScope('notifications:write'), validateId, async (req, res) => {
+  try {
+    const result = await pool.query(
+      'UPDATE notifications SET read_at = COALESCE(read_at, NOW()) WHERE id = $1 AND user_id = $2',
+      [req.params.id, req.user.id]
+    );
+
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: 'Notification not found' });
+    }
+
+    res.json({
+      message: 'Notification marked as read',
+      unread_count: await countUnread(req.user.id)
+    });
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
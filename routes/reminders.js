@@ -0,0 +1,110 @@
+const express = require('express');
+const pool = require('../config/database');
+const reminderConfig = require('../config/reminders');
+const { authenticateToken, requireScope } = require('../middleware/auth');
+const { validateReminder, validateTaskId, validateReminderId } = require('../middleware/validation');
+const { authorizeList } = require('../utils/permissions');
+const { REMINDER_COLUMNS, createReminder } = require('../utils/reminders');
+
+const router = express.Router();
+
+// Reminders are personal - anyone who can see a task can set their own, and
+// only ever sees their own
+
+// Get your reminders for a task
+router.get('/:taskId/reminders', authenticateToken, requireScope('tasks:read'), validateTaskId, async (req, res) => {
+  try {
+    const taskId = req.params.taskId;
+
+    const taskResult = await pool.query('SELECT list_id FROM tasks WHERE id = $1', [taskId]);
+    if (taskResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    const listAccess = await authorizeList(req.user.id, taskResult.rows[0].list_id, 'task.view');
+    if (!listAccess.allowed) {
+      return res.status(404).json({ error: 'Task not found or access denied' });
+    }
+
+    const result = await pool.query(`
+      SELECT ${REMINDER_COLUMNS}
+      FROM task_reminders r
+      WHERE r.task_id = $1 AND r.user_id = $2
+      ORDER BY r.fire_at ASC NULLS LAST, r.id ASC
+    `, [taskId, req.user.id]);
+
+    res.json({ reminders: result.rows });
+  } catch (error) {
+    console.error('Get reminders error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Set a reminder at a fixed time (remind_at) or some minutes before the task
+// is due (minutes_before)
+router.post('/:taskId/reminders', authenticateToken, requireScope('tasks:write'), validateTaskId, validateReminder, async (req, res) => {
+  try {
+    const taskId = req.params.taskId;
+    const { remind_at, minutes_before } = req.body;
+
+    const taskResult = await pool.query('SELECT list_id, due_date FROM tasks WHERE id = $1', [taskId]);
+    if (taskResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    const task = taskResult.rows[0];
+
+    const listAccess = await authorizeList(req.user.id, task.list_id, 'task.view');
+    if (!listAccess.allowed) {
+      return res.status(404).json({ error: 'Task not found or access denied' });
+    }
+
+    if (minutes_before !== undefined && !task.due_date) {
+      return res.status(400).json({ error: 'Task has no due date to remind you before' });
+    }
+
+    if (remind_at !== undefined && new Date(remind_at) <= new Date()) {
+      return res.status(400).json({ error: 'Reminder time must be in the future' });
+    }
+
+    const countResult = await pool.query(
+      'SELECT COUNT(*)::int as count FROM task_reminders WHERE task_id = $1 AND user_id = $2',
+      [taskId, req.user.id]
+    );
+
+    if (countResult.rows[0].count >= reminderConfig.maxPerTask) {
+      return res.status(400).json({ error: `You can set at most ${reminderConfig.maxPerTask} reminders per task` });
+    }
+
+    const reminder = await createReminder(taskId, req.user.id, { remind_at, minutes_before });
+
+    res.status(201).json({
+      message: 'Reminder created successfully',
+      reminder
+    });
+  } catch (error) {
+    console.error('Create reminder error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delete one of your reminders
+router.delete('/reminders/:reminderId', authenticateToken, requireScope('tasks:write'), validateReminderId, async (req, res) => {
+  try {
+    const result = await pool.query(
+      'DELETE FROM task_reminders WHERE id = $1 AND user_id = $2 RETURNING id',
+      [req.params.reminderId, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Reminder not found' });
+    }
+
+    res.json({ message: 'Reminder deleted successfully' });
+  } catch (error) {
+    console.error('Delete reminder error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
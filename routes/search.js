@@ -0,0 +1,32 @@
+const express = require('express');
+const { authenticateToken, requireScope } = require('../middleware/auth');
+const { validateSearch } = require('../middleware/validation');
+const { parseSearchQuery, searchTasks } = require('../utils/search');
+
+const router = express.Router();
+
+// Search tasks and their subtasks across every list I can access. Pass the
+// returned next_offset as "offset" to get the next page.
+router.get('/', authenticateToken, requireScope('lists:read', 'tasks:read'), validateSearch, async (req, res) => {
+  try {
+    const { q, limit = 20, offset = 0 } = req.query;
+    const parsed = parseSearchQuery(q);
+
+    const { results, total } = await searchTasks(req.user.id, parsed, {
+      timeZone: req.user.time_zone,
+      limit,
+      offset
+    });
+
+    res.json({
+      results,
+      total,
+      next_offset: offset + results.length < total ? offset + results.length : null
+    });
+  } catch (error) {
+    console.error('Search error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
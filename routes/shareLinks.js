@@ -0,0 +1,123 @@
+const express = require('express');
+const pool = require('../config/database');
+const { appUrl } = require('../config/mail');
+const { authenticateToken, requireScope, requireVerifiedEmail } = require('../middleware/auth');
+const { validateListId, validateShareLink, validateShareLinkId } = require('../middleware/validation');
+const { generateToken, hashToken } = require('../utils/tokens');
+const { authorizeList } = require('../utils/permissions');
+const { recordActivity } = require('../utils/activity');
+
+const router = express.Router();
+
+const SHARE_LINK_COLUMNS = `
+  id, list_id, token_prefix, created_by, expires_at, revoked_at,
+  access_count, last_accessed_at, created_at,
+  (revoked_at IS NULL AND (expires_at IS NULL OR expires_at > NOW())) as active
+`;
+
+// Get all share links of a list
+router.get('/:listId/share-links', authenticateToken, requireScope('lists:read'), validateListId, async (req, res) => {
+  try {
+    const listId = req.params.listId;
+
+    const listAccess = await authorizeList(req.user.id, listId, 'list.share');
+    if (!listAccess.role) {
+      return res.status(404).json({ error: 'List not found or access denied' });
+    }
+
+    if (!listAccess.allowed) {
+      return res.status(403).json({ error: 'Permission denied - only list owners and admins can manage share links' });
+    }
+
+    const result = await pool.query(`
+      SELECT ${SHARE_LINK_COLUMNS}
+      FROM list_share_links
+      WHERE list_id = $1
+      ORDER BY created_at DESC
+    `, [listId]);
+
+    res.json({ share_links: result.rows });
+  } catch (error) {
+    console.error('Get share links error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Create a public read-only share link
+router.post('/:listId/share-links', authenticateToken, requireScope('lists:write'), requireVerifiedEmail, validateListId, validateShareLink, async (req, res) => {
+  try {
+    const listId = req.params.listId;
+    const { expiresInDays } = req.body;
+
+    const listAccess = await authorizeList(req.user.id, listId, 'list.share');
+    if (!listAccess.role) {
+      return res.status(404).json({ error: 'List not found or access denied' });
+    }
+
+    if (!listAccess.allowed) {
+      return res.status(403).json({ error: 'Permission denied - only list owners and admins can create share links' });
+    }
+
+    const token = generateToken(24);
+
+    const result = await pool.query(`
+      INSERT INTO list_share_links (list_id, token_hash, token_prefix, created_by, expires_at)
+      VALUES ($1, $2, $3, $4, CASE WHEN $5::int IS NULL THEN NULL ELSE NOW() + make_interval(days => $5::int) END)
+      RETURNING ${SHARE_LINK_COLUMNS}
+    `, [listId, hashToken(token), token.slice(0, 8), req.user.id, expiresInDays || null]);
+
+    const shareLink = result.rows[0];
+
+    await recordActivity(listId, req.user.id, 'share_link.created', { type: 'share_link', id: shareLink.id }, {
+      after: { token_prefix: shareLink.token_prefix, expires_at: shareLink.expires_at }
+    });
+
+    res.status(201).json({
+      message: 'Share link created successfully. Copy it now - it will not be shown again.',
+      token,
+      url: `${appUrl}/shared/${token}`,
+      share_link: shareLink
+    });
+  } catch (error) {
+    console.error('Create share link error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Revoke a share link
+router.delete('/:listId/share-links/:linkId', authenticateToken, requireScope('lists:write'), validateListId, validateShareLinkId, async (req, res) => {
+  try {
+    const { listId, linkId } = req.params;
+
+    const listAccess = await authorizeList(req.user.id, listId, 'list.share');
+    if (!listAccess.role) {
+      return res.status(404).json({ error: 'List not found or access denied' });
+    }
+
+    if (!listAccess.allowed) {
+      return res.status(403).json({ error: 'Permission denied - only list owners and admins can revoke share links' });
+    }
+
+    const result = await pool.query(`
+      UPDATE list_share_links
+      SET revoked_at = COALESCE(revoked_at, NOW())
+      WHERE id = $1 AND list_id = $2
+      RETURNING token_prefix
+    `, [linkId, listId]);
+
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: 'Share link not found' });
+    }
+
+    await recordActivity(listId, req.user.id, 'share_link.revoked', { type: 'share_link', id: parseInt(linkId, 10) }, {
+      before: { token_prefix: result.rows[0].token_prefix }
+    });
+
+    res.json({ message: 'Share link revoked successfully' });
+  } catch (error) {
+    console.error('Revoke share link error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
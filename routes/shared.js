@@ -0,0 +1,84 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const pool = require('../config/database');
+const { optionalAuth } = require('../middleware/auth');
+const { hashToken } = require('../utils/tokens');
+const { getListTasks } = require('../utils/listTasks');
+const { getListRole } = require('../utils/permissions');
+
+const router = express.Router();
+
+// Every share link gets its own budget, no matter how many people use it
+const shareLinkLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: parseInt(process.env.SHARE_LINK_RATE_LIMIT, 10) || 60, // requests per link per windowMs
+  keyGenerator: (req) => hashToken(req.params.token),
+  message: {
+    error: 'This share link is receiving too many requests, please try again later.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Public, read-only view of a shared list
+router.get('/:token', shareLinkLimiter, optionalAuth, async (req, res) => {
+  try {
+    // Count the access while checking the link is still valid
+    const linkResult = await pool.query(`
+      UPDATE list_share_links
+      SET access_count = access_count + 1, last_accessed_at = NOW()
+      WHERE token_hash = $1
+        AND revoked_at IS NULL
+        AND (expires_at IS NULL OR expires_at > NOW())
+      RETURNING list_id
+    `, [hashToken(req.params.token)]);
+
+    if (linkResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Share link not found or expired' });
+    }
+
+    const listId = linkResult.rows[0].list_id;
+
+    const listResult = await pool.query(`
+      SELECT l.name, l.created_at, u.name as owner_name
+      FROM lists l
+      JOIN users u ON l.owner_id = u.id
+      WHERE l.id = $1
+    `, [listId]);
+
+    const tasks = await getListTasks(listId);
+
+    // Only expose content, never ids of people or their emails
+    const list = {
+      ...listResult.rows[0],
+      tasks: tasks.map(task => ({
+        id: task.id,
+        title: task.title,
+        description: task.description,
+        priority: task.priority,
+        due_date: task.due_date,
+        completed: task.completed,
+        created_at: task.created_at,
+        tags: task.tags.map(tag => tag.name),
+        subtasks: task.subtasks.map(subtask => ({
+          id: subtask.id,
+          title: subtask.title,
+          completed: subtask.completed
+        }))
+      }))
+    };
+
+    // Logged-in members can be pointed at the full list instead
+    const userRole = req.user ? await getListRole(req.user.id, listId) : null;
+
+    res.json({
+      list,
+      ...(userRole && { list_id: listId, user_role: userRole })
+    });
+  } catch (error) {
+    console.error('Get shared list error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -1,70 +1,132 @@
 const express = require('express');
 const pool = require('../config/database');
-const { authenticateToken } = require('../middleware/auth');
-const { validateTask, validateSubtask, validateTag, validateId, validateListId, validateTaskId, validateSubtaskId } = require('../middleware/validation');
+const { authenticateToken, requireScope } = require('../middleware/auth');
+const { validateTask, validateSubtask, validateTaskScope, validateTag, validateId, validateListId, validateTaskId, validateSubtaskId, validateTaskFilters, validateAssignedTasksQuery, validateMove, validateTaskStatus } = require('../middleware/validation');
+const { accessibleLists, authorizeList } = require('../utils/permissions');
+const {
+  TASK_ASSIGNEES_COLUMN,
+  SUBTASK_ASSIGNEES_COLUMN,
+  findUnassignableUsers,
+  setTaskAssignees,
+  setSubtaskAssignees
+} = require('../utils/taskAssignees');
+const { TASK_COMMENT_COUNT_COLUMN } = require('../utils/comments');
+const { queryListTasks } = require('../utils/listTasks');
+const {
+  TASK_RECURRENCE_COLUMN,
+  getTaskSeries,
+  nextDueDate,
+  saveSeriesTemplate,
+  startSeries,
+  updateSeriesRule,
+  endSeries,
+  createNextOccurrence
+} = require('../utils/taskSeries');
+const { resolveDue } = require('../utils/dueDates');
+const { refreshReminders } = require('../utils/reminders');
+const { recordActivity, diffValues, snapshotTask, snapshotSubtask } = require('../utils/activity');
+const { firstTaskPosition, lastSubtaskPosition, moveItem } = require('../utils/positions');
+const { assignStatus, sendStatusFullResponse } = require('../utils/statuses');
 
 const router = express.Router();
 
-// Helper function to check list access
-const checkListAccess = async (userId, listId) => {
-  const result = await pool.query(`
-    SELECT l.id, l.owner_id, lm.role
-    FROM lists l
-    LEFT JOIN list_members lm ON l.id = lm.list_id AND lm.user_id = $1
-    WHERE l.id = $2 AND (l.owner_id = $1 OR lm.user_id = $1)
-  `, [userId, listId]);
-  
-  return result.rows.length > 0 ? result.rows[0] : null;
-};
-
-// Get all tasks for a specific list
-router.get('/list/:listId', authenticateToken, validateListId, async (req, res) => {
+// Get the tasks of a list, filtered, sorted and paginated by the query (see
+// validateTaskFilters). Pass the returned next_cursor as "cursor" with the
+// same sort and order to get the next page.
+router.get('/list/:listId', authenticateToken, requireScope('tasks:read'), validateListId, validateTaskFilters, async (req, res) => {
   try {
     const listId = req.params.listId;
 
     // Check if user has access to the list
-    const listAccess = await checkListAccess(req.user.id, listId);
-    if (!listAccess) {
+    const listAccess = await authorizeList(req.user.id, listId, 'task.view');
+    if (!listAccess.allowed) {
       return res.status(404).json({ error: 'List not found or access denied' });
     }
 
+    const { tasks, total, next_cursor } = await queryListTasks(listId, req.query, {
+      userId: req.user.id,
+      timeZone: req.user.time_zone,
+      includeSubtasks: false
+    });
+
+    res.json({ tasks, total, next_cursor });
+  } catch (error) {
+    console.error('Get tasks error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get tasks assigned to the current user across all lists, either directly
+// or through one of their subtasks
+router.get('/assigned', authenticateToken, requireScope('tasks:read'), validateAssignedTasksQuery, async (req, res) => {
+  try {
+    const params = [req.user.id];
+    let completedFilter = '';
+
+    if (req.query.completed !== undefined) {
+      params.push(req.query.completed);
+      completedFilter = 'AND t.completed = $2';
+    }
+
     const result = await pool.query(`
-      SELECT t.id, t.title, t.description, t.priority, t.due_date, 
-             t.completed, t.created_at,
-             array_agg(
-               CASE WHEN tag.name IS NOT NULL 
-               THEN json_build_object('id', tag.id, 'name', tag.name)
-               ELSE NULL END
-             ) FILTER (WHERE tag.name IS NOT NULL) as tags
+      SELECT t.id, t.list_id, l.name as list_name, t.title, t.description,
+             t.priority, t.due_date, t.due_at, t.time_zone, t.completed, t.created_at,
+             COALESCE((
+               SELECT json_agg(json_build_object('id', tag.id, 'name', tag.name))
+               FROM task_tags tt
+               JOIN tags tag ON tt.tag_id = tag.id
+               WHERE tt.task_id = t.id
+             ), '[]') as tags,
+             ${TASK_ASSIGNEES_COLUMN},
+             ${TASK_RECURRENCE_COLUMN},
+             EXISTS (
+               SELECT 1 FROM task_assignees ta WHERE ta.task_id = t.id AND ta.user_id = $1
+             ) as assigned_to_task,
+             COALESCE((
+               SELECT json_agg(json_build_object('id', s.id, 'title', s.title, 'completed', s.completed) ORDER BY s.position, s.id)
+               FROM subtasks s
+               JOIN subtask_assignees sa ON sa.subtask_id = s.id
+               WHERE s.task_id = t.id AND sa.user_id = $1
+             ), '[]') as assigned_subtasks
       FROM tasks t
-      LEFT JOIN task_tags tt ON t.id = tt.task_id
-      LEFT JOIN tags tag ON tt.tag_id = tag.id
-      WHERE t.list_id = $1
-      GROUP BY t.id, t.title, t.description, t.priority, t.due_date, t.completed, t.created_at
-      ORDER BY t.created_at DESC
-    `, [listId]);
+      JOIN lists l ON t.list_id = l.id
+      JOIN ${accessibleLists('$1')} al ON al.list_id = l.id
+      WHERE (
+        EXISTS (SELECT 1 FROM task_assignees ta WHERE ta.task_id = t.id AND ta.user_id = $1)
+        OR EXISTS (
+          SELECT 1 FROM subtasks s
+          JOIN subtask_assignees sa ON sa.subtask_id = s.id
+          WHERE s.task_id = t.id AND sa.user_id = $1
+        )
+      )
+      ${completedFilter}
+      ORDER BY t.completed ASC, t.due_date ASC NULLS LAST, t.due_at ASC NULLS LAST, t.created_at DESC
+    `, params);
 
     res.json({ tasks: result.rows });
   } catch (error) {
-    console.error('Get tasks error:', error);
+    console.error('Get assigned tasks error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
 // Get a specific task with subtasks
-router.get('/:id', authenticateToken, validateId, async (req, res) => {
+router.get('/:id', authenticateToken, requireScope('tasks:read'), validateId, async (req, res) => {
   try {
     const taskId = req.params.id;
 
     // Get task and check access
     const taskResult = await pool.query(`
       SELECT t.id, t.list_id, t.title, t.description, t.priority, 
-             t.due_date, t.completed, t.created_at,
+             t.due_date, t.due_at, t.time_zone, t.completed, t.status_id, t.created_at,
              array_agg(
                CASE WHEN tag.name IS NOT NULL 
                THEN json_build_object('id', tag.id, 'name', tag.name)
                ELSE NULL END
-             ) FILTER (WHERE tag.name IS NOT NULL) as tags
+             ) FILTER (WHERE tag.name IS NOT NULL) as tags,
+             ${TASK_ASSIGNEES_COLUMN},
+             ${TASK_RECURRENCE_COLUMN},
+             ${TASK_COMMENT_COUNT_COLUMN}
       FROM tasks t
       LEFT JOIN task_tags tt ON t.id = tt.task_id
       LEFT JOIN tags tag ON tt.tag_id = tag.id
@@ -79,16 +141,19 @@ router.get('/:id', authenticateToken, validateId, async (req, res) => {
     const task = taskResult.rows[0];
 
     // Check if user has access to the list
-    const listAccess = await checkListAccess(req.user.id, task.list_id);
-    if (!listAccess) {
+    const listAccess = await authorizeList(req.user.id, task.list_id, 'task.view');
+    if (!listAccess.allowed) {
       return res.status(404).json({ error: 'Task not found or access denied' });
     }
 
     // Get subtasks
-    const subtasksResult = await pool.query(
-      'SELECT id, title, completed, created_at FROM subtasks WHERE task_id = $1 ORDER BY created_at ASC',
-      [taskId]
-    );
+    const subtasksResult = await pool.query(`
+      SELECT s.id, s.title, s.completed, s.created_at,
+             ${SUBTASK_ASSIGNEES_COLUMN}
+      FROM subtasks s
+      WHERE s.task_id = $1
+      ORDER BY s.position ASC, s.id ASC
+    `, [taskId]);
 
     res.json({
       task: {
@@ -103,34 +168,85 @@ router.get('/:id', authenticateToken, validateId, async (req, res) => {
   }
 });
 
+// After an occurrence of a recurring task is completed, create the next one.
+// Returns it, or null for one-off tasks and ended series.
+const scheduleNextOccurrence = async (listId, taskId, user) => {
+  const nextId = await createNextOccurrence(taskId, user.id, user.time_zone);
+
+  if (!nextId) {
+    return null;
+  }
+
+  await recordActivity(listId, user.id, 'task.created', { type: 'task', id: nextId }, {
+    after: await snapshotTask(nextId)
+  });
+
+  const result = await pool.query(`
+    SELECT t.*,
+           COALESCE((
+             SELECT json_agg(json_build_object('id', tag.id, 'name', tag.name))
+             FROM task_tags tt
+             JOIN tags tag ON tt.tag_id = tag.id
+             WHERE tt.task_id = t.id
+           ), '[]') as tags,
+           ${TASK_ASSIGNEES_COLUMN},
+           ${TASK_RECURRENCE_COLUMN}
+    FROM tasks t
+    WHERE t.id = $1
+  `, [nextId]);
+
+  return result.rows[0];
+};
+
 // Create a new task
-router.post('/', authenticateToken, validateTask, async (req, res) => {
+router.post('/', authenticateToken, requireScope('tasks:write'), validateTask, async (req, res) => {
   try {
-    const { list_id, title, description, priority, due_date, tags } = req.body;
+    const { list_id, title, description, priority, tags, assignee_ids, recurrence } = req.body;
 
     // Check if user has access to the list
-    const listAccess = await checkListAccess(req.user.id, list_id);
-    if (!listAccess) {
+    const listAccess = await authorizeList(req.user.id, list_id, 'task.create');
+    if (!listAccess.role) {
       return res.status(404).json({ error: 'List not found or access denied' });
     }
 
-    // Start transaction
-    await pool.query('BEGIN');
+    if (!listAccess.allowed) {
+      return res.status(403).json({ error: 'Permission denied - your role cannot create tasks' });
+    }
+
+    if (assignee_ids) {
+      const invalidAssignees = await findUnassignableUsers(list_id, assignee_ids);
+      if (invalidAssignees.length > 0) {
+        return res.status(400).json({ error: 'Assignees must be list members who can work on tasks', invalidAssignees });
+      }
+    }
+
+    const due = await resolveDue(req.body, req.user.time_zone);
+    const client = await pool.connect();
 
+    let task;
     try {
+      await client.query('BEGIN');
+
       // Create task
-      const taskResult = await pool.query(
-        'INSERT INTO tasks (list_id, title, description, priority, due_date) VALUES ($1, $2, $3, $4, $5) RETURNING *',
-        [list_id, title, description, priority, due_date]
+      const taskResult = await client.query(
+        'INSERT INTO tasks (list_id, title, description, priority, due_date, due_at, time_zone, position) VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING *',
+        [list_id, title, description, priority, due.due_date, due.due_at, due.time_zone, await firstTaskPosition(list_id, client)]
       );
 
-      const task = taskResult.rows[0];
+      task = taskResult.rows[0];
+
+      // On a board, new tasks go into its first open column
+      const fullStatus = await assignStatus(task.id, undefined, client);
+      if (fullStatus) {
+        await client.query('ROLLBACK');
+        return sendStatusFullResponse(res, fullStatus);
+      }
 
       // Handle tags if provided
       if (tags && Array.isArray(tags)) {
         for (const tagName of tags) {
           // Create tag if it doesn't exist
-          const tagResult = await pool.query(
+          const tagResult = await client.query(
             'INSERT INTO tags (name) VALUES ($1) ON CONFLICT (name) DO UPDATE SET name = EXCLUDED.name RETURNING id',
             [tagName.trim().toLowerCase()]
           );
@@ -138,55 +254,73 @@ router.post('/', authenticateToken, validateTask, async (req, res) => {
           const tagId = tagResult.rows[0].id;
 
           // Link tag to task
-          await pool.query(
+          await client.query(
             'INSERT INTO task_tags (task_id, tag_id) VALUES ($1, $2) ON CONFLICT DO NOTHING',
             [task.id, tagId]
           );
         }
       }
 
-      await pool.query('COMMIT');
-
-      // Get the created task with tags
-      const finalTaskResult = await pool.query(`
-        SELECT t.*, 
-               array_agg(
-                 CASE WHEN tag.name IS NOT NULL 
-                 THEN json_build_object('id', tag.id, 'name', tag.name)
-                 ELSE NULL END
-               ) FILTER (WHERE tag.name IS NOT NULL) as tags
-        FROM tasks t
-        LEFT JOIN task_tags tt ON t.id = tt.task_id
-        LEFT JOIN tags tag ON tt.tag_id = tag.id
-        WHERE t.id = $1
-        GROUP BY t.id
-      `, [task.id]);
-
-      res.status(201).json({
-        message: 'Task created successfully',
-        task: {
-          ...finalTaskResult.rows[0],
-          tags: finalTaskResult.rows[0].tags || []
-        }
-      });
+      if (assignee_ids) {
+        await setTaskAssignees(task.id, assignee_ids, req.user.id, client);
+      }
+
+      if (recurrence) {
+        await startSeries(task.id, recurrence, req.user.id, req.user.time_zone, client);
+      }
+
+      await client.query('COMMIT');
     } catch (error) {
-      await pool.query('ROLLBACK');
+      await client.query('ROLLBACK');
       throw error;
+    } finally {
+      client.release();
     }
+
+    await recordActivity(list_id, req.user.id, 'task.created', { type: 'task', id: task.id }, {
+      after: await snapshotTask(task.id)
+    });
+
+    // Get the created task with tags
+    const finalTaskResult = await pool.query(`
+      SELECT t.*, 
+             array_agg(
+               CASE WHEN tag.name IS NOT NULL 
+               THEN json_build_object('id', tag.id, 'name', tag.name)
+               ELSE NULL END
+             ) FILTER (WHERE tag.name IS NOT NULL) as tags,
+             ${TASK_ASSIGNEES_COLUMN},
+             ${TASK_RECURRENCE_COLUMN}
+      FROM tasks t
+      LEFT JOIN task_tags tt ON t.id = tt.task_id
+      LEFT JOIN tags tag ON tt.tag_id = tag.id
+      WHERE t.id = $1
+      GROUP BY t.id
+    `, [task.id]);
+
+    res.status(201).json({
+      message: 'Task created successfully',
+      task: {
+        ...finalTaskResult.rows[0],
+        tags: finalTaskResult.rows[0].tags || []
+      }
+    });
   } catch (error) {
     console.error('Create task error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Update a task
-router.put('/:id', authenticateToken, validateId, validateTask, async (req, res) => {
+// Update a task. For recurring tasks, scope=series also applies the changes
+// to the occurrences still to come.
+router.put('/:id', authenticateToken, requireScope('tasks:write'), validateId, validateTaskScope, validateTask, async (req, res) => {
   try {
     const taskId = req.params.id;
-    const { title, description, priority, due_date, completed, tags } = req.body;
+    const { title, description, priority, completed, tags, assignee_ids, recurrence } = req.body;
+    const scope = req.query.scope || 'occurrence';
 
     // Get task and check access
-    const taskResult = await pool.query('SELECT list_id FROM tasks WHERE id = $1', [taskId]);
+    const taskResult = await pool.query('SELECT list_id, completed FROM tasks WHERE id = $1', [taskId]);
     
     if (taskResult.rows.length === 0) {
       return res.status(404).json({ error: 'Task not found' });
@@ -195,35 +329,64 @@ router.put('/:id', authenticateToken, validateId, validateTask, async (req, res)
     const task = taskResult.rows[0];
 
     // Check if user has access to the list
-    const listAccess = await checkListAccess(req.user.id, task.list_id);
-    if (!listAccess) {
+    const listAccess = await authorizeList(req.user.id, task.list_id, 'task.update');
+    if (!listAccess.role) {
       return res.status(404).json({ error: 'Task not found or access denied' });
     }
 
-    // Start transaction
-    await pool.query('BEGIN');
+    if (!listAccess.allowed) {
+      return res.status(403).json({ error: 'Permission denied - your role cannot edit tasks' });
+    }
+
+    if (assignee_ids) {
+      const invalidAssignees = await findUnassignableUsers(task.list_id, assignee_ids);
+      if (invalidAssignees.length > 0) {
+        return res.status(400).json({ error: 'Assignees must be list members who can work on tasks', invalidAssignees });
+      }
+    }
+
+    const series = await getTaskSeries(taskId);
+
+    if (scope === 'series' && !series) {
+      return res.status(400).json({ error: 'Task is not part of a recurring series' });
+    }
+
+    // The rule belongs to the whole series, not to one occurrence
+    if (recurrence !== undefined && series && scope !== 'series') {
+      return res.status(400).json({ error: 'Changing the recurrence of a recurring task requires scope=series' });
+    }
+
+    const before = await snapshotTask(taskId);
+    const due = await resolveDue(req.body, req.user.time_zone);
+    const client = await pool.connect();
 
     try {
+      await client.query('BEGIN');
+
       // Update task
-      const updateResult = await pool.query(`
+      await client.query(`
         UPDATE tasks 
-        SET title = $1, description = $2, priority = $3, due_date = $4, completed = $5
-        WHERE id = $6 
-        RETURNING *
-      `, [title, description, priority, due_date, completed !== undefined ? completed : false, taskId]);
-
-      const updatedTask = updateResult.rows[0];
+        SET title = $1, description = $2, priority = $3, due_date = $4, due_at = $5, time_zone = $6, completed = $7
+        WHERE id = $8
+      `, [title, description, priority, due.due_date, due.due_at, due.time_zone, completed !== undefined ? completed : false, taskId]);
+
+      // A change of completion moves the task to a matching board column
+      const fullStatus = await assignStatus(taskId, undefined, client);
+      if (fullStatus) {
+        await client.query('ROLLBACK');
+        return sendStatusFullResponse(res, fullStatus);
+      }
 
       // Handle tags if provided
       if (tags !== undefined && Array.isArray(tags)) {
         // Remove existing tags
-        await pool.query('DELETE FROM task_tags WHERE task_id = $1', [taskId]);
+        await client.query('DELETE FROM task_tags WHERE task_id = $1', [taskId]);
 
         // Add new tags
         for (const tagName of tags) {
           if (tagName && tagName.trim()) {
             // Create tag if it doesn't exist
-            const tagResult = await pool.query(
+            const tagResult = await client.query(
               'INSERT INTO tags (name) VALUES ($1) ON CONFLICT (name) DO UPDATE SET name = EXCLUDED.name RETURNING id',
               [tagName.trim().toLowerCase()]
             );
@@ -231,7 +394,7 @@ router.put('/:id', authenticateToken, validateId, validateTask, async (req, res)
             const tagId = tagResult.rows[0].id;
 
             // Link tag to task
-            await pool.query(
+            await client.query(
               'INSERT INTO task_tags (task_id, tag_id) VALUES ($1, $2)',
               [taskId, tagId]
             );
@@ -239,42 +402,228 @@ router.put('/:id', authenticateToken, validateId, validateTask, async (req, res)
         }
       }
 
-      await pool.query('COMMIT');
-
-      // Get the updated task with tags
-      const finalTaskResult = await pool.query(`
-        SELECT t.*, 
-               array_agg(
-                 CASE WHEN tag.name IS NOT NULL 
-                 THEN json_build_object('id', tag.id, 'name', tag.name)
-                 ELSE NULL END
-               ) FILTER (WHERE tag.name IS NOT NULL) as tags
-        FROM tasks t
-        LEFT JOIN task_tags tt ON t.id = tt.task_id
-        LEFT JOIN tags tag ON tt.tag_id = tag.id
-        WHERE t.id = $1
-        GROUP BY t.id
-      `, [taskId]);
-
-      res.json({
-        message: 'Task updated successfully',
-        task: {
-          ...finalTaskResult.rows[0],
-          tags: finalTaskResult.rows[0].tags || []
-        }
-      });
+      if (assignee_ids) {
+        await setTaskAssignees(taskId, assignee_ids, req.user.id, client);
+      }
+
+      if (recurrence === null && series) {
+        await endSeries(series.id, client);
+      } else if (recurrence && series) {
+        await updateSeriesRule(series.id, taskId, recurrence, req.user.time_zone, client);
+      } else if (recurrence) {
+        await startSeries(taskId, recurrence, req.user.id, req.user.time_zone, client);
+      }
+
+      if (scope === 'series' && recurrence !== null) {
+        await saveSeriesTemplate(series.id, taskId, client);
+      }
+
+      await refreshReminders(taskId, client);
+
+      await client.query('COMMIT');
     } catch (error) {
-      await pool.query('ROLLBACK');
+      await client.query('ROLLBACK');
       throw error;
+    } finally {
+      client.release();
+    }
+
+    // Tag changes get their own entry so subscribers see a tags event
+    const { tags: tagsBefore, ...fieldsBefore } = before;
+    const { tags: tagsAfter, ...fieldsAfter } = await snapshotTask(taskId);
+    const target = { type: 'task', id: parseInt(taskId, 10) };
+
+    const changes = diffValues(fieldsBefore, fieldsAfter);
+    if (changes) {
+      await recordActivity(task.list_id, req.user.id, 'task.updated', target, changes);
     }
+
+    const tagChanges = diffValues({ tags: tagsBefore }, { tags: tagsAfter });
+    if (tagChanges) {
+      await recordActivity(task.list_id, req.user.id, 'task.tags_changed', target, tagChanges);
+    }
+
+    const nextTask = !task.completed && completed ? await scheduleNextOccurrence(task.list_id, taskId, req.user) : null;
+
+    // Get the updated task with tags
+    const finalTaskResult = await pool.query(`
+      SELECT t.*, 
+             array_agg(
+               CASE WHEN tag.name IS NOT NULL 
+               THEN json_build_object('id', tag.id, 'name', tag.name)
+               ELSE NULL END
+             ) FILTER (WHERE tag.name IS NOT NULL) as tags,
+             ${TASK_ASSIGNEES_COLUMN},
+             ${TASK_RECURRENCE_COLUMN}
+      FROM tasks t
+      LEFT JOIN task_tags tt ON t.id = tt.task_id
+      LEFT JOIN tags tag ON tt.tag_id = tag.id
+      WHERE t.id = $1
+      GROUP BY t.id
+    `, [taskId]);
+
+    res.json({
+      message: 'Task updated successfully',
+      task: {
+        ...finalTaskResult.rows[0],
+        tags: finalTaskResult.rows[0].tags || []
+      },
+      ...(nextTask && { next_task: nextTask })
+    });
   } catch (error) {
     console.error('Update task error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
+// Move a task right before or after another task of its list
+router.patch('/:id/move', authenticateToken, requireScope('tasks:write'), validateId, validateMove, async (req, res) => {
+  try {
+    const taskId = parseInt(req.params.id, 10);
+
+    const taskResult = await pool.query('SELECT list_id, position FROM tasks WHERE id = $1', [taskId]);
+
+    if (taskResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    const task = taskResult.rows[0];
+
+    const listAccess = await authorizeList(req.user.id, task.list_id, 'task.update');
+    if (!listAccess.role) {
+      return res.status(404).json({ error: 'Task not found or access denied' });
+    }
+
+    if (!listAccess.allowed) {
+      return res.status(403).json({ error: 'Permission denied - your role cannot edit tasks' });
+    }
+
+    const position = await moveItem('task', task.list_id, taskId, {
+      beforeId: req.body.before_id,
+      afterId: req.body.after_id
+    });
+
+    if (!position) {
+      return res.status(400).json({ error: 'The anchor must be another task in the same list' });
+    }
+
+    await recordActivity(task.list_id, req.user.id, 'task.moved', { type: 'task', id: taskId }, {
+      before: { position: task.position },
+      after: { position }
+    });
+
+    res.json({
+      message: 'Task moved successfully',
+      task: { id: taskId, list_id: task.list_id, position }
+    });
+  } catch (error) {
+    console.error('Move task error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Move a task to another status column of its list board, optionally right
+// before or after a task of that column. completed follows whether the status
+// is terminal.
+router.patch('/:id/status', authenticateToken, requireScope('tasks:write'), validateId, validateTaskStatus, async (req, res) => {
+  try {
+    const taskId = parseInt(req.params.id, 10);
+    const { status_id: statusId, before_id: beforeId, after_id: afterId } = req.body;
+
+    const taskResult = await pool.query(`
+      SELECT t.list_id, t.completed, t.status_id, s.name as status
+      FROM tasks t
+      LEFT JOIN list_statuses s ON t.status_id = s.id
+      WHERE t.id = $1
+    `, [taskId]);
+
+    if (taskResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    const task = taskResult.rows[0];
+
+    const listAccess = await authorizeList(req.user.id, task.list_id, 'task.update');
+    if (!listAccess.role) {
+      return res.status(404).json({ error: 'Task not found or access denied' });
+    }
+
+    if (!listAccess.allowed) {
+      return res.status(403).json({ error: 'Permission denied - your role cannot edit tasks' });
+    }
+
+    const statusResult = await pool.query(
+      'SELECT id, name, is_terminal, wip_limit FROM list_statuses WHERE id = $1 AND list_id = $2',
+      [statusId, task.list_id]
+    );
+
+    if (statusResult.rows.length === 0) {
+      return res.status(400).json({ error: 'Status must be one of the statuses of the task\'s list' });
+    }
+
+    const status = statusResult.rows[0];
+    const anchorId = beforeId || afterId;
+
+    if (anchorId) {
+      const anchorResult = await pool.query(
+        'SELECT 1 FROM tasks WHERE id = $1 AND id <> $2 AND status_id = $3',
+        [anchorId, taskId, status.id]
+      );
+
+      if (anchorResult.rows.length === 0) {
+        return res.status(400).json({ error: 'The anchor must be another task in the same status' });
+      }
+    }
+
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const fullStatus = await assignStatus(taskId, status.id, client);
+      if (fullStatus) {
+        await client.query('ROLLBACK');
+        return sendStatusFullResponse(res, fullStatus);
+      }
+
+      await client.query('UPDATE tasks SET completed = $1 WHERE id = $2', [status.is_terminal, taskId]);
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    const updatedTask = (await pool.query('SELECT * FROM tasks WHERE id = $1', [taskId])).rows[0];
+
+    if (anchorId) {
+      updatedTask.position = await moveItem('task', task.list_id, taskId, { beforeId, afterId });
+    }
+
+    await recordActivity(task.list_id, req.user.id, 'task.status_changed', { type: 'task', id: taskId }, {
+      before: { status: task.status, completed: task.completed },
+      after: { status: status.name, completed: status.is_terminal }
+    });
+
+    const nextTask = !task.completed && status.is_terminal
+      ? await scheduleNextOccurrence(task.list_id, taskId, req.user)
+      : null;
+
+    res.json({
+      message: 'Task status updated successfully',
+      task: updatedTask,
+      ...(nextTask && { next_task: nextTask })
+    });
+  } catch (error) {
+    console.error('Update task status error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Toggle task completion
-router.patch('/:id/toggle', authenticateToken, validateId, async (req, res) => {
+router.patch('/:id/toggle', authenticateToken, requireScope('tasks:write'), validateId, async (req, res) => {
   try {
     const taskId = req.params.id;
 
@@ -288,20 +637,53 @@ router.patch('/:id/toggle', authenticateToken, validateId, async (req, res) => {
     const task = taskResult.rows[0];
 
     // Check if user has access to the list
-    const listAccess = await checkListAccess(req.user.id, task.list_id);
-    if (!listAccess) {
+    const listAccess = await authorizeList(req.user.id, task.list_id, 'task.complete');
+    if (!listAccess.role) {
       return res.status(404).json({ error: 'Task not found or access denied' });
     }
 
-    // Toggle completion
-    const updateResult = await pool.query(
-      'UPDATE tasks SET completed = $1 WHERE id = $2 RETURNING *',
-      [!task.completed, taskId]
+    if (!listAccess.allowed) {
+      return res.status(403).json({ error: 'Permission denied - your role cannot complete tasks' });
+    }
+
+    // Toggle completion, moving the task to a matching board column
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      await client.query('UPDATE tasks SET completed = $1 WHERE id = $2', [!task.completed, taskId]);
+
+      const fullStatus = await assignStatus(taskId, undefined, client);
+      if (fullStatus) {
+        await client.query('ROLLBACK');
+        return sendStatusFullResponse(res, fullStatus);
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    const updateResult = await pool.query('SELECT * FROM tasks WHERE id = $1', [taskId]);
+
+    await recordActivity(
+      task.list_id,
+      req.user.id,
+      task.completed ? 'task.reopened' : 'task.completed',
+      { type: 'task', id: parseInt(taskId, 10) },
+      { before: { completed: task.completed }, after: { completed: !task.completed } }
     );
 
+    const nextTask = task.completed ? null : await scheduleNextOccurrence(task.list_id, taskId, req.user);
+
     res.json({
       message: 'Task completion toggled successfully',
-      task: updateResult.rows[0]
+      task: updateResult.rows[0],
+      ...(nextTask && { next_task: nextTask })
     });
   } catch (error) {
     console.error('Toggle task error:', error);
@@ -309,8 +691,125 @@ router.patch('/:id/toggle', authenticateToken, validateId, async (req, res) => {
   }
 });
 
+// Skip an occurrence of a recurring task, moving it to the next date with its
+// subtasks reset. scope=series instead ends the series and deletes its open
+// occurrence, keeping completed ones.
+router.post('/:id/skip', authenticateToken, requireScope('tasks:write'), validateId, validateTaskScope, async (req, res) => {
+  try {
+    const taskId = req.params.id;
+    const scope = req.query.scope || 'occurrence';
+
+    // Get task and check access
+    const taskResult = await pool.query('SELECT list_id, completed FROM tasks WHERE id = $1', [taskId]);
+
+    if (taskResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    const task = taskResult.rows[0];
+
+    // Ending a series deletes a task, skipping one only edits it
+    const listAccess = await authorizeList(req.user.id, task.list_id, scope === 'series' ? 'task.delete' : 'task.update');
+    if (!listAccess.role) {
+      return res.status(404).json({ error: 'Task not found or access denied' });
+    }
+
+    if (!listAccess.allowed) {
+      return res.status(403).json({ error: `Permission denied - your role cannot ${scope === 'series' ? 'delete' : 'edit'} tasks` });
+    }
+
+    const series = await getTaskSeries(taskId);
+    if (!series) {
+      return res.status(400).json({ error: 'Task is not part of a recurring series' });
+    }
+
+    if (scope === 'series') {
+      const deleted = [];
+      const client = await pool.connect();
+
+      try {
+        await client.query('BEGIN');
+
+        await endSeries(series.id, client);
+
+        const openResult = await client.query(
+          'SELECT id FROM tasks WHERE series_id = $1 AND completed = false',
+          [series.id]
+        );
+
+        for (const { id } of openResult.rows) {
+          deleted.push({ id, before: await snapshotTask(id, client) });
+          await client.query('DELETE FROM tasks WHERE id = $1', [id]);
+        }
+
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+      } finally {
+        client.release();
+      }
+
+      for (const { id, before } of deleted) {
+        await recordActivity(task.list_id, req.user.id, 'task.deleted', { type: 'task', id }, { before });
+      }
+
+      return res.json({
+        message: 'Recurring series ended successfully',
+        deleted_task_ids: deleted.map(({ id }) => id)
+      });
+    }
+
+    if (task.completed) {
+      return res.status(400).json({ error: 'Only open occurrences can be skipped' });
+    }
+
+    const dueDate = nextDueDate(series, series.due_date, req.user.time_zone);
+    const client = await pool.connect();
+
+    let updateResult;
+    try {
+      await client.query('BEGIN');
+
+      // A due time stays at the same local time on the new date
+      updateResult = await client.query(`
+        UPDATE tasks
+        SET due_date = $1,
+            due_at = ($1::date + (due_at AT TIME ZONE time_zone)::time) AT TIME ZONE time_zone
+        WHERE id = $2
+        RETURNING *
+      `, [dueDate, taskId]);
+      await client.query('UPDATE subtasks SET completed = false WHERE task_id = $1', [taskId]);
+      await refreshReminders(taskId, client);
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    await recordActivity(
+      task.list_id,
+      req.user.id,
+      'task.skipped',
+      { type: 'task', id: parseInt(taskId, 10) },
+      { before: { due_date: series.due_date }, after: { due_date: dueDate } }
+    );
+
+    res.json({
+      message: 'Occurrence skipped successfully',
+      task: updateResult.rows[0]
+    });
+  } catch (error) {
+    console.error('Skip task error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Delete a task
-router.delete('/:id', authenticateToken, validateId, async (req, res) => {
+router.delete('/:id', authenticateToken, requireScope('tasks:write'), validateId, async (req, res) => {
   try {
     const taskId = req.params.id;
 
@@ -324,12 +823,48 @@ router.delete('/:id', authenticateToken, validateId, async (req, res) => {
     const task = taskResult.rows[0];
 
     // Check if user has access to the list
-    const listAccess = await checkListAccess(req.user.id, task.list_id);
-    if (!listAccess) {
+    const listAccess = await authorizeList(req.user.id, task.list_id, 'task.delete');
+    if (!listAccess.role) {
       return res.status(404).json({ error: 'Task not found or access denied' });
     }
 
-    await pool.query('DELETE FROM tasks WHERE id = $1', [taskId]);
+    if (!listAccess.allowed) {
+      return res.status(403).json({ error: 'Permission denied - your role cannot delete tasks' });
+    }
+
+    const client = await pool.connect();
+
+    let before;
+    try {
+      await client.query('BEGIN');
+
+      // Locked so that a toggle cannot complete it while the series ends
+      const lockResult = await client.query('SELECT id FROM tasks WHERE id = $1 FOR UPDATE', [taskId]);
+      if (lockResult.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ error: 'Task not found' });
+      }
+
+      before = await snapshotTask(taskId, client);
+
+      // Without its open occurrence a series would never continue - use skip
+      // to drop a single occurrence instead
+      const series = await getTaskSeries(taskId, client);
+      if (series && !before.completed) {
+        await endSeries(series.id, client);
+      }
+
+      await client.query('DELETE FROM tasks WHERE id = $1', [taskId]);
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    await recordActivity(task.list_id, req.user.id, 'task.deleted', { type: 'task', id: parseInt(taskId, 10) }, { before });
 
     res.json({ message: 'Task deleted successfully' });
   } catch (error) {
@@ -340,11 +875,22 @@ router.delete('/:id', authenticateToken, validateId, async (req, res) => {
 
 // Subtask routes
 
+// Load a subtask together with its assignees
+const getSubtask = async (subtaskId) => {
+  const result = await pool.query(`
+    SELECT s.*, ${SUBTASK_ASSIGNEES_COLUMN}
+    FROM subtasks s
+    WHERE s.id = $1
+  `, [subtaskId]);
+
+  return result.rows[0];
+};
+
 // Create a subtask
-router.post('/:taskId/subtasks', authenticateToken, validateTaskId, validateSubtask, async (req, res) => {
+router.post('/:taskId/subtasks', authenticateToken, requireScope('tasks:write'), validateTaskId, validateSubtask, async (req, res) => {
   try {
     const taskId = req.params.taskId;
-    const { title } = req.body;
+    const { title, assignee_ids } = req.body;
 
     // Get task and check access
     const taskResult = await pool.query('SELECT list_id FROM tasks WHERE id = $1', [taskId]);
@@ -356,19 +902,40 @@ router.post('/:taskId/subtasks', authenticateToken, validateTaskId, validateSubt
     const task = taskResult.rows[0];
 
     // Check if user has access to the list
-    const listAccess = await checkListAccess(req.user.id, task.list_id);
-    if (!listAccess) {
+    const listAccess = await authorizeList(req.user.id, task.list_id, 'task.update');
+    if (!listAccess.role) {
       return res.status(404).json({ error: 'Task not found or access denied' });
     }
 
+    if (!listAccess.allowed) {
+      return res.status(403).json({ error: 'Permission denied - your role cannot edit tasks' });
+    }
+
+    if (assignee_ids) {
+      const invalidAssignees = await findUnassignableUsers(task.list_id, assignee_ids);
+      if (invalidAssignees.length > 0) {
+        return res.status(400).json({ error: 'Assignees must be list members who can work on tasks', invalidAssignees });
+      }
+    }
+
     const result = await pool.query(
-      'INSERT INTO subtasks (task_id, title) VALUES ($1, $2) RETURNING *',
-      [taskId, title]
+      'INSERT INTO subtasks (task_id, title, position) VALUES ($1, $2, $3) RETURNING *',
+      [taskId, title, await lastSubtaskPosition(taskId)]
     );
 
+    const subtask = result.rows[0];
+
+    if (assignee_ids) {
+      await setSubtaskAssignees(subtask.id, assignee_ids, req.user.id);
+    }
+
+    await recordActivity(task.list_id, req.user.id, 'subtask.created', { type: 'subtask', id: subtask.id }, {
+      after: await snapshotSubtask(subtask.id)
+    });
+
     res.status(201).json({
       message: 'Subtask created successfully',
-      subtask: result.rows[0]
+      subtask: await getSubtask(subtask.id)
     });
   } catch (error) {
     console.error('Create subtask error:', error);
@@ -377,10 +944,10 @@ router.post('/:taskId/subtasks', authenticateToken, validateTaskId, validateSubt
 });
 
 // Update a subtask
-router.put('/subtasks/:subtaskId', authenticateToken, validateSubtaskId, validateSubtask, async (req, res) => {
+router.put('/subtasks/:subtaskId', authenticateToken, requireScope('tasks:write'), validateSubtaskId, validateSubtask, async (req, res) => {
   try {
     const subtaskId = req.params.subtaskId;
-    const { title, completed } = req.body;
+    const { title, completed, assignee_ids } = req.body;
 
     // Get subtask and check access
     const subtaskResult = await pool.query(`
@@ -397,19 +964,41 @@ router.put('/subtasks/:subtaskId', authenticateToken, validateSubtaskId, validat
     const subtask = subtaskResult.rows[0];
 
     // Check if user has access to the list
-    const listAccess = await checkListAccess(req.user.id, subtask.list_id);
-    if (!listAccess) {
+    const listAccess = await authorizeList(req.user.id, subtask.list_id, 'task.update');
+    if (!listAccess.role) {
       return res.status(404).json({ error: 'Subtask not found or access denied' });
     }
 
-    const result = await pool.query(
-      'UPDATE subtasks SET title = $1, completed = $2 WHERE id = $3 RETURNING *',
+    if (!listAccess.allowed) {
+      return res.status(403).json({ error: 'Permission denied - your role cannot edit tasks' });
+    }
+
+    if (assignee_ids) {
+      const invalidAssignees = await findUnassignableUsers(subtask.list_id, assignee_ids);
+      if (invalidAssignees.length > 0) {
+        return res.status(400).json({ error: 'Assignees must be list members who can work on tasks', invalidAssignees });
+      }
+    }
+
+    const before = await snapshotSubtask(subtaskId);
+
+    await pool.query(
+      'UPDATE subtasks SET title = $1, completed = $2 WHERE id = $3',
       [title, completed !== undefined ? completed : subtask.completed, subtaskId]
     );
 
+    if (assignee_ids) {
+      await setSubtaskAssignees(subtaskId, assignee_ids, req.user.id);
+    }
+
+    const changes = diffValues(before, await snapshotSubtask(subtaskId));
+    if (changes) {
+      await recordActivity(subtask.list_id, req.user.id, 'subtask.updated', { type: 'subtask', id: parseInt(subtaskId, 10) }, changes);
+    }
+
     res.json({
       message: 'Subtask updated successfully',
-      subtask: result.rows[0]
+      subtask: await getSubtask(subtaskId)
     });
   } catch (error) {
     console.error('Update subtask error:', error);
@@ -417,8 +1006,59 @@ router.put('/subtasks/:subtaskId', authenticateToken, validateSubtaskId, validat
   }
 });
 
+// Move a subtask right before or after another subtask of its task
+router.patch('/subtasks/:subtaskId/move', authenticateToken, requireScope('tasks:write'), validateSubtaskId, validateMove, async (req, res) => {
+  try {
+    const subtaskId = parseInt(req.params.subtaskId, 10);
+
+    const subtaskResult = await pool.query(`
+      SELECT s.task_id, s.position, t.list_id
+      FROM subtasks s
+      JOIN tasks t ON s.task_id = t.id
+      WHERE s.id = $1
+    `, [subtaskId]);
+
+    if (subtaskResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Subtask not found' });
+    }
+
+    const subtask = subtaskResult.rows[0];
+
+    const listAccess = await authorizeList(req.user.id, subtask.list_id, 'task.update');
+    if (!listAccess.role) {
+      return res.status(404).json({ error: 'Subtask not found or access denied' });
+    }
+
+    if (!listAccess.allowed) {
+      return res.status(403).json({ error: 'Permission denied - your role cannot edit tasks' });
+    }
+
+    const position = await moveItem('subtask', subtask.task_id, subtaskId, {
+      beforeId: req.body.before_id,
+      afterId: req.body.after_id
+    });
+
+    if (!position) {
+      return res.status(400).json({ error: 'The anchor must be another subtask of the same task' });
+    }
+
+    await recordActivity(subtask.list_id, req.user.id, 'subtask.moved', { type: 'subtask', id: subtaskId }, {
+      before: { position: subtask.position },
+      after: { position }
+    });
+
+    res.json({
+      message: 'Subtask moved successfully',
+      subtask: { id: subtaskId, task_id: subtask.task_id, position }
+    });
+  } catch (error) {
+    console.error('Move subtask error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Toggle subtask completion
-router.patch('/subtasks/:subtaskId/toggle', authenticateToken, validateSubtaskId, async (req, res) => {
+router.patch('/subtasks/:subtaskId/toggle', authenticateToken, requireScope('tasks:write'), validateSubtaskId, async (req, res) => {
   try {
     const subtaskId = req.params.subtaskId;
 
@@ -437,16 +1077,28 @@ router.patch('/subtasks/:subtaskId/toggle', authenticateToken, validateSubtaskId
     const subtask = subtaskResult.rows[0];
 
     // Check if user has access to the list
-    const listAccess = await checkListAccess(req.user.id, subtask.list_id);
-    if (!listAccess) {
+    const listAccess = await authorizeList(req.user.id, subtask.list_id, 'task.complete');
+    if (!listAccess.role) {
       return res.status(404).json({ error: 'Subtask not found or access denied' });
     }
 
+    if (!listAccess.allowed) {
+      return res.status(403).json({ error: 'Permission denied - your role cannot complete tasks' });
+    }
+
     const result = await pool.query(
       'UPDATE subtasks SET completed = $1 WHERE id = $2 RETURNING *',
       [!subtask.completed, subtaskId]
     );
 
+    await recordActivity(
+      subtask.list_id,
+      req.user.id,
+      subtask.completed ? 'subtask.reopened' : 'subtask.completed',
+      { type: 'subtask', id: parseInt(subtaskId, 10) },
+      { before: { completed: subtask.completed }, after: { completed: !subtask.completed } }
+    );
+
     res.json({
       message: 'Subtask completion toggled successfully',
       subtask: result.rows[0]
@@ -458,7 +1110,7 @@ router.patch('/subtasks/:subtaskId/toggle', authenticateToken, validateSubtaskId
 });
 
 // Delete a subtask
-router.delete('/subtasks/:subtaskId', authenticateToken, validateSubtaskId, async (req, res) => {
+router.delete('/subtasks/:subtaskId', authenticateToken, requireScope('tasks:write'), validateSubtaskId, async (req, res) => {
   try {
     const subtaskId = req.params.subtaskId;
 
@@ -477,13 +1129,21 @@ router.delete('/subtasks/:subtaskId', authenticateToken, validateSubtaskId, asyn
     const subtask = subtaskResult.rows[0];
 
     // Check if user has access to the list
-    const listAccess = await checkListAccess(req.user.id, subtask.list_id);
-    if (!listAccess) {
+    const listAccess = await authorizeList(req.user.id, subtask.list_id, 'task.update');
+    if (!listAccess.role) {
       return res.status(404).json({ error: 'Subtask not found or access denied' });
     }
 
+    if (!listAccess.allowed) {
+      return res.status(403).json({ error: 'Permission denied - your role cannot edit tasks' });
+    }
+
+    const before = await snapshotSubtask(subtaskId);
+
     await pool.query('DELETE FROM subtasks WHERE id = $1', [subtaskId]);
 
+    await recordActivity(subtask.list_id, req.user.id, 'subtask.deleted', { type: 'subtask', id: parseInt(subtaskId, 10) }, { before });
+
     res.json({ message: 'Subtask deleted successfully' });
   } catch (error) {
     console.error('Delete subtask error:', error);
@@ -492,7 +1152,7 @@ router.delete('/subtasks/:subtaskId', authenticateToken, validateSubtaskId, asyn
 });
 
 // Get all tags
-router.get('/tags/all', authenticateToken, async (req, res) => {
+router.get('/tags/all', authenticateToken, requireScope('tasks:read'), async (req, res) => {
   try {
     const result = await pool.query('SELECT * FROM tags ORDER BY name ASC');
     res.json({ tags: result.rows });
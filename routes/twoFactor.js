@@ -0,0 +1,189 @@
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const pool = require('../config/database');
+const { totpIssuer } = require('../config/auth');
+const { authenticateToken, requireSession } = require('../middleware/auth');
+const { validateTotpCode, validateTwoFactorDisable, validateSecondFactor } = require('../middleware/validation');
+const { generateSecret, buildOtpauthUri } = require('../utils/totp');
+const { generateRecoveryCodes, verifyUserTotp, verifySecondFactor } = require('../utils/twoFactor');
+const { recordSecurityEvent } = require('../utils/securityEvents');
+const { getLockoutRemaining, registerFailure, sendLockedResponse } = require('../utils/lockout');
+
+const router = express.Router();
+
+// Get two-factor status
+router.get('/', authenticateToken, requireSession, async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT u.totp_enabled,
+             (SELECT COUNT(*) FROM recovery_codes rc
+              WHERE rc.user_id = u.id AND rc.used_at IS NULL)::int as recovery_codes_remaining
+      FROM users u
+      WHERE u.id = $1
+    `, [req.user.id]);
+
+    res.json({
+      enabled: result.rows[0].totp_enabled,
+      recoveryCodesRemaining: result.rows[0].recovery_codes_remaining
+    });
+  } catch (error) {
+    console.error('Get 2FA status error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Start enrollment - generate a secret that still has to be confirmed
+router.post('/setup', authenticateToken, requireSession, async (req, res) => {
+  try {
+    const userResult = await pool.query(
+      'SELECT totp_enabled FROM users WHERE id = $1',
+      [req.user.id]
+    );
+
+    if (userResult.rows[0].totp_enabled) {
+      return res.status(409).json({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    const secret = generateSecret();
+
+    await pool.query(
+      'UPDATE users SET totp_secret = $1, totp_last_used_step = NULL WHERE id = $2',
+      [secret, req.user.id]
+    );
+
+    res.json({
+      message: 'Scan the otpauth URI with your authenticator app, then confirm with a code',
+      secret,
+      otpauthUri: buildOtpauthUri(secret, req.user.email, totpIssuer)
+    });
+  } catch (error) {
+    console.error('2FA setup error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Confirm enrollment with a code from the authenticator app
+router.post('/confirm', authenticateToken, requireSession, validateTotpCode, async (req, res) => {
+  try {
+    const userResult = await pool.query(
+      'SELECT id, totp_secret, totp_enabled, totp_last_used_step FROM users WHERE id = $1',
+      [req.user.id]
+    );
+
+    const user = userResult.rows[0];
+
+    if (user.totp_enabled) {
+      return res.status(409).json({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    if (!user.totp_secret) {
+      return res.status(400).json({ error: 'Start two-factor setup first' });
+    }
+
+    const isValidCode = await verifyUserTotp(user, req.body.code);
+
+    if (!isValidCode) {
+      return res.status(401).json({ error: 'Invalid two-factor code' });
+    }
+
+    await pool.query('UPDATE users SET totp_enabled = true WHERE id = $1', [req.user.id]);
+    const recoveryCodes = await generateRecoveryCodes(req.user.id);
+    await recordSecurityEvent(req.user.id, 'two_factor_enabled', req);
+
+    res.json({
+      message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe - they will not be shown again.',
+      recoveryCodes
+    });
+  } catch (error) {
+    console.error('2FA confirm error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Replace the recovery codes
+router.post('/recovery-codes', authenticateToken, requireSession, validateSecondFactor, async (req, res) => {
+  try {
+    const lockedFor = await getLockoutRemaining(req.user.id, 'login');
+    if (lockedFor > 0) {
+      return sendLockedResponse(res, lockedFor);
+    }
+
+    const isValid = await verifySecondFactor(req.user.id, req.body);
+
+    if (!isValid) {
+      const lockoutSeconds = await registerFailure(req.user.id, 'login', req);
+      if (lockoutSeconds > 0) {
+        return sendLockedResponse(res, lockoutSeconds);
+      }
+      return res.status(401).json({ error: 'Invalid two-factor code' });
+    }
+
+    const recoveryCodes = await generateRecoveryCodes(req.user.id);
+    await recordSecurityEvent(req.user.id, 'recovery_codes_regenerated', req);
+
+    res.json({
+      message: 'Recovery codes regenerated. Previous codes no longer work.',
+      recoveryCodes
+    });
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Disable two-factor authentication
+router.post('/disable', authenticateToken, requireSession, validateTwoFactorDisable, async (req, res) => {
+  try {
+    const { password } = req.body;
+
+    const lockedFor = await getLockoutRemaining(req.user.id, 'login');
+    if (lockedFor > 0) {
+      return sendLockedResponse(res, lockedFor);
+    }
+
+    const userResult = await pool.query(
+      'SELECT password_hash, totp_enabled FROM users WHERE id = $1',
+      [req.user.id]
+    );
+
+    const user = userResult.rows[0];
+
+    if (!user.totp_enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+
+    const isValidPassword = await bcrypt.compare(password, user.password_hash);
+
+    if (!isValidPassword) {
+      const lockoutSeconds = await registerFailure(req.user.id, 'login', req);
+      if (lockoutSeconds > 0) {
+        return sendLockedResponse(res, lockoutSeconds);
+      }
+      return res.status(401).json({ error: 'Password is incorrect' });
+    }
+
+    const isValid = await verifySecondFactor(req.user.id, req.body);
+
+    if (!isValid) {
+      const lockoutSeconds = await registerFailure(req.user.id, 'login', req);
+      if (lockoutSeconds > 0) {
+        return sendLockedResponse(res, lockoutSeconds);
+      }
+      return res.status(401).json({ error: 'Invalid two-factor code' });
+    }
+
+    await pool.query(
+      'UPDATE users SET totp_secret = NULL, totp_enabled = false, totp_last_used_step = NULL WHERE id = $1',
+      [req.user.id]
+    );
+    await pool.query('DELETE FROM recovery_codes WHERE user_id = $1', [req.user.id]);
+    await recordSecurityEvent(req.user.id, 'two_factor_disabled', req);
+
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    console.error('2FA disable error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,46 @@
+const express = require('express');
+const { authenticateToken, requireScope } = require('../middleware/auth');
+const { validateView } = require('../middleware/validation');
+const { VIEWS, countViews, getViewTasks } = require('../utils/views');
+
+const router = express.Router();
+
+// The built-in views with how many tasks each holds
+router.get('/', authenticateToken, requireScope('lists:read', 'tasks:read'), async (req, res) => {
+  try {
+    const views = await countViews(req.user.id, req.user.time_zone);
+    res.json({ views });
+  } catch (error) {
+    console.error('Get views error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// The open tasks of a view across every list I can access, grouped by due
+// date or by list. "Today" is today in my time zone.
+router.get('/:view', authenticateToken, requireScope('lists:read', 'tasks:read'), validateView, async (req, res) => {
+  try {
+    const view = VIEWS[req.params.view];
+    const group = req.query.group || view.group;
+
+    const { today, total, groups } = await getViewTasks(req.user.id, req.params.view, {
+      timeZone: req.user.time_zone,
+      group
+    });
+
+    res.json({
+      view: req.params.view,
+      name: view.name,
+      time_zone: req.user.time_zone,
+      today,
+      group,
+      total,
+      groups
+    });
+  } catch (error) {
+    console.error('Get view error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -6,12 +6,33 @@ const rateLimit = require('express-rate-limit');
 
 // Import routes
 const authRoutes = require('./routes/auth');
+const twoFactorRoutes = require('./routes/twoFactor');
+const accessTokenRoutes = require('./routes/accessTokens');
+const accountRoutes = require('./routes/account');
 const listRoutes = require('./routes/lists');
 const taskRoutes = require('./routes/tasks');
 const listMemberRoutes = require('./routes/listMembers');
+const invitationRoutes = require('./routes/invitations');
+const shareLinkRoutes = require('./routes/shareLinks');
+const sharedRoutes = require('./routes/shared');
+const commentRoutes = require('./routes/comments');
+const reminderRoutes = require('./routes/reminders');
+const activityRoutes = require('./routes/activity');
+const notificationRoutes = require('./routes/notifications');
+const eventRoutes = require('./routes/events');
+const calendarRoutes = require('./routes/calendar');
+const caldavRoutes = require('./routes/caldav');
+const searchRoutes = require('./routes/search');
+const viewRoutes = require('./routes/views');
+const filterRoutes = require('./routes/filters');
+const listStatusRoutes = require('./routes/listStatuses');
 
 // Import database connection to test it
 const pool = require('./config/database');
+const { startAccountDeletionJob } = require('./utils/accountDeletion');
+const { startDueTaskNotifications } = require('./utils/notifications');
+const { startRealtimeListener, stopRealtimeListener } = require('./utils/realtime');
+const { startReminderScheduler } = require('./utils/reminders');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -21,6 +42,19 @@ app.use(helmet({
   crossOriginResourcePolicy: { policy: "cross-origin" }
 }));
 
+// CalDAV clients are not browsers: they need OPTIONS answered with the DAV
+// capabilities rather than by CORS, and sync more often than the general
+// limit allows
+const davLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 1000, // limit each IP to 1000 CalDAV requests per windowMs
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+app.use('/.well-known/caldav', (req, res) => res.redirect(301, '/caldav/'));
+app.use('/caldav', davLimiter, caldavRoutes);
+
 // CORS configuration
 app.use(cors({
   origin: process.env.FRONTEND_URL || ['http://localhost:3000', 'http://localhost:5173'],
@@ -42,10 +76,13 @@ const limiter = rateLimit({
 
 app.use(limiter);
 
-// Stricter rate limiting for auth endpoints
+// Stricter rate limiting for auth endpoints. Only failed requests count -
+// individual accounts are protected by the per-account lockout, so this just
+// slows down attempts spread across many accounts from one IP.
 const authLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 5, // limit each IP to 5 requests per windowMs for auth
+  max: 20, // limit each IP to 20 failed requests per windowMs for auth
+  skipSuccessfulRequests: true,
   message: {
     error: 'Too many authentication attempts, please try again later.'
   },
@@ -85,10 +122,26 @@ app.get('/health', async (req, res) => {
 });
 
 // API routes
+app.use('/api/auth/2fa', authLimiter, twoFactorRoutes);
+app.use('/api/auth/tokens', authLimiter, accessTokenRoutes);
 app.use('/api/auth', authLimiter, authRoutes);
+app.use('/api/auth', authLimiter, accountRoutes);
 app.use('/api/lists', listRoutes);
 app.use('/api/tasks', taskRoutes);
 app.use('/api/lists', listMemberRoutes);
+app.use('/api/lists', shareLinkRoutes);
+app.use('/api/lists', activityRoutes);
+app.use('/api/lists', listStatusRoutes);
+app.use('/api/tasks', commentRoutes);
+app.use('/api/tasks', reminderRoutes);
+app.use('/api/invitations', invitationRoutes);
+app.use('/api/shared', sharedRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/events', eventRoutes);
+app.use('/api/calendar', calendarRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/views', viewRoutes);
+app.use('/api/filters', filterRoutes);
 
 // Welcome message for root endpoint
 app.get('/', (req, res) => {
@@ -100,38 +153,144 @@ app.get('/', (req, res) => {
       auth: {
         register: 'POST /api/auth/register',
         login: 'POST /api/auth/login',
+        loginTwoFactor: 'POST /api/auth/login/2fa',
+        refresh: 'POST /api/auth/refresh',
+        logout: 'POST /api/auth/logout',
         profile: 'GET /api/auth/profile',
         updateProfile: 'PUT /api/auth/profile',
-        changePassword: 'PUT /api/auth/change-password'
+        changePassword: 'PUT /api/auth/change-password',
+        securityEvents: 'GET /api/auth/security-events',
+        verifyEmail: 'POST /api/auth/verify-email',
+        resendVerification: 'POST /api/auth/resend-verification',
+        changeEmail: 'PUT /api/auth/email',
+        exportData: 'GET /api/auth/export',
+        deleteAccount: 'DELETE /api/auth/account',
+        restoreAccount: 'POST /api/auth/account/restore',
+        forgotPassword: 'POST /api/auth/forgot-password',
+        resetPassword: 'POST /api/auth/reset-password',
+        accessTokens: {
+          getAll: 'GET /api/auth/tokens',
+          create: 'POST /api/auth/tokens',
+          revoke: 'DELETE /api/auth/tokens/:id'
+        },
+        twoFactor: {
+          status: 'GET /api/auth/2fa',
+          setup: 'POST /api/auth/2fa/setup',
+          confirm: 'POST /api/auth/2fa/confirm',
+          recoveryCodes: 'POST /api/auth/2fa/recovery-codes',
+          disable: 'POST /api/auth/2fa/disable'
+        }
       },
       lists: {
         getAll: 'GET /api/lists',
         getOne: 'GET /api/lists/:id',
         create: 'POST /api/lists',
         update: 'PUT /api/lists/:id',
+        move: 'PATCH /api/lists/:id/move',
         delete: 'DELETE /api/lists/:id',
+        activity: 'GET /api/lists/:id/activity',
+        board: 'GET /api/lists/:listId/board',
+        statuses: {
+          getAll: 'GET /api/lists/:listId/statuses',
+          replace: 'PUT /api/lists/:listId/statuses',
+          delete: 'DELETE /api/lists/:listId/statuses'
+        },
         members: {
           getMembers: 'GET /api/lists/:listId/members',
           addMember: 'POST /api/lists/:listId/members',
+          invite: 'POST /api/lists/:listId/invitations',
+          getInvitations: 'GET /api/lists/:listId/invitations',
+          revokeInvitation: 'DELETE /api/lists/:listId/invitations/:invitationId',
           updateRole: 'PUT /api/lists/:listId/members/:userId',
           removeMember: 'DELETE /api/lists/:listId/members/:userId',
           leaveList: 'DELETE /api/lists/:listId/leave',
           transferOwnership: 'PUT /api/lists/:listId/transfer-ownership'
+        },
+        shareLinks: {
+          getAll: 'GET /api/lists/:listId/share-links',
+          create: 'POST /api/lists/:listId/share-links',
+          revoke: 'DELETE /api/lists/:listId/share-links/:linkId'
         }
       },
+      shared: {
+        getList: 'GET /api/shared/:token'
+      },
+      invitations: {
+        getMine: 'GET /api/invitations',
+        acceptByToken: 'POST /api/invitations/accept',
+        declineByToken: 'POST /api/invitations/decline',
+        accept: 'POST /api/invitations/:id/accept',
+        decline: 'POST /api/invitations/:id/decline'
+      },
+      notifications: {
+        getAll: 'GET /api/notifications',
+        unreadCount: 'GET /api/notifications/unread-count',
+        markRead: 'PATCH /api/notifications/:id/read',
+        markAllRead: 'PATCH /api/notifications/read-all',
+        getPreferences: 'GET /api/notifications/preferences',
+        updatePreferences: 'PUT /api/notifications/preferences'
+      },
+      events: {
+        stream: 'GET /api/events?lists=1,2'
+      },
+      calendar: {
+        getFeed: 'GET /api/calendar/feed',
+        createFeed: 'POST /api/calendar/feed',
+        revokeFeed: 'DELETE /api/calendar/feed',
+        subscribe: 'GET /api/calendar/:token.ics'
+      },
+      search: {
+        tasks: 'GET /api/search?q=rent tag:home is:open due:<2024-12-31'
+      },
+      views: {
+        list: 'GET /api/views',
+        tasks: 'GET /api/views/:view?group=date|list (today, overdue, upcoming, undated, high-priority)'
+      },
+      filters: {
+        list: 'GET /api/filters',
+        create: 'POST /api/filters',
+        get: 'GET /api/filters/:id',
+        tasks: 'GET /api/filters/:id/tasks?limit=20&cursor=...',
+        update: 'PUT /api/filters/:id',
+        delete: 'DELETE /api/filters/:id'
+      },
+      caldav: {
+        discovery: '/.well-known/caldav',
+        root: 'PROPFIND /caldav/',
+        calendars: 'PROPFIND /caldav/calendars/',
+        calendar: 'PROPFIND|REPORT /caldav/calendars/:listId/',
+        object: 'GET|PUT|DELETE /caldav/calendars/:listId/:name'
+      },
       tasks: {
         getByList: 'GET /api/tasks/list/:listId',
+        getAssigned: 'GET /api/tasks/assigned',
         getOne: 'GET /api/tasks/:id',
         create: 'POST /api/tasks',
         update: 'PUT /api/tasks/:id',
         toggle: 'PATCH /api/tasks/:id/toggle',
+        move: 'PATCH /api/tasks/:id/move',
+        status: 'PATCH /api/tasks/:id/status',
+        skip: 'POST /api/tasks/:id/skip',
         delete: 'DELETE /api/tasks/:id',
         subtasks: {
           create: 'POST /api/tasks/:taskId/subtasks',
           update: 'PUT /api/tasks/subtasks/:subtaskId',
           toggle: 'PATCH /api/tasks/subtasks/:subtaskId/toggle',
+          move: 'PATCH /api/tasks/subtasks/:subtaskId/move',
           delete: 'DELETE /api/tasks/subtasks/:subtaskId'
         },
+        comments: {
+          getAll: 'GET /api/tasks/:taskId/comments',
+          create: 'POST /api/tasks/:taskId/comments',
+          update: 'PUT /api/tasks/comments/:commentId',
+          history: 'GET /api/tasks/comments/:commentId/history',
+          delete: 'DELETE /api/tasks/comments/:commentId'
+        },
+        reminders: {
+          getAll: 'GET /api/tasks/:taskId/reminders',
+          create: 'POST /api/tasks/:taskId/reminders',
+          delete: 'DELETE /api/tasks/reminders/:reminderId'
+        },
         tags: {
           getAll: 'GET /api/tasks/tags/all'
         }
@@ -163,19 +322,33 @@ app.use((error, req, res, next) => {
   });
 });
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`🚀 Todo Backend Server is running on port ${PORT}`);
-  console.log(`📊 Health check available at: http://localhost:${PORT}/health`);
-  console.log(`📖 API documentation available at: http://localhost:${PORT}/`);
-  console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
-});
+// Stop functions of the background jobs, called before the pool is closed
+const stopBackgroundJobs = [];
+
+const stopJobs = () => Promise.all(stopBackgroundJobs.map(stop => stop()));
+
+// Start server, unless the app is only loaded, as the tests do
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`🚀 Todo Backend Server is running on port ${PORT}`);
+    console.log(`📊 Health check available at: http://localhost:${PORT}/health`);
+    console.log(`📖 API documentation available at: http://localhost:${PORT}/`);
+    console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
+
+    stopBackgroundJobs.push(startAccountDeletionJob());
+    stopBackgroundJobs.push(startDueTaskNotifications());
+    startRealtimeListener();
+    stopBackgroundJobs.push(startReminderScheduler());
+  });
+}
 
 // Graceful shutdown
 process.on('SIGINT', async () => {
   console.log('\n🛑 Shutting down server gracefully...');
   
   try {
+    await stopJobs();
+    await stopRealtimeListener();
     await pool.end();
     console.log('📚 Database connections closed.');
   } catch (error) {
@@ -189,6 +362,8 @@ process.on('SIGTERM', async () => {
   console.log('\n🛑 Received SIGTERM, shutting down gracefully...');
   
   try {
+    await stopJobs();
+    await stopRealtimeListener();
     await pool.end();
     console.log('📚 Database connections closed.');
   } catch (error) {
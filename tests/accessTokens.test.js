@@ -0,0 +1,77 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startApp } = require('./helpers/app');
+
+let app;
+
+before(async () => {
+  app = await startApp();
+});
+
+after(() => app.stop());
+
+test('a token is shown once and only its hash is stored', async () => {
+  const user = await app.createUser();
+  const created = await app.api('POST', '/api/auth/tokens', {
+    token: user.token,
+    body: { name: 'Backup script', scopes: ['lists:read'] }
+  });
+  assert.strictEqual(created.status, 201);
+
+  const stored = await app.pool.query('SELECT token_hash, token_prefix FROM personal_access_tokens WHERE id = $1', [created.body.accessToken.id]);
+  assert.notStrictEqual(stored.rows[0].token_hash, created.body.token);
+  assert.ok(created.body.token.startsWith(stored.rows[0].token_prefix));
+
+  const listed = await app.api('GET', '/api/auth/tokens', { token: user.token });
+  assert.deepStrictEqual(listed.body.tokens.map(token => token.name), ['Backup script']);
+  assert.strictEqual(listed.body.tokens[0].token, undefined);
+});
+
+test('tokens are limited to their scopes', async () => {
+  const user = await app.createUser();
+  const token = await app.createAccessToken(user, ['lists:read']);
+
+  assert.strictEqual((await app.api('GET', '/api/lists', { token })).status, 200);
+  assert.strictEqual((await app.api('POST', '/api/lists', { token, body: { name: 'Groceries' } })).status, 403);
+  assert.strictEqual((await app.api('GET', '/api/auth/profile', { token })).status, 403);
+
+  // Write scopes imply read
+  const writer = await app.createAccessToken(user, ['lists:write']);
+  assert.strictEqual((await app.api('POST', '/api/lists', { token: writer, body: { name: 'Groceries' } })).status, 201);
+  assert.strictEqual((await app.api('GET', '/api/lists', { token: writer })).status, 200);
+});
+
+test('tokens cannot manage the account or other tokens', async () => {
+  const user = await app.createUser();
+  const token = await app.createAccessToken(user, ['profile:read']);
+
+  assert.strictEqual((await app.api('GET', '/api/auth/tokens', { token })).status, 403);
+  assert.strictEqual((await app.api('PUT', '/api/auth/change-password', {
+    token,
+    body: { currentPassword: user.password, newPassword: 'NewPassword456' }
+  })).status, 403);
+});
+
+test('revoked and expired tokens stop working', async () => {
+  const user = await app.createUser();
+  const revoked = await app.createAccessToken(user, ['lists:read']);
+  const expiring = await app.createAccessToken(user, ['lists:read'], 1);
+
+  const tokens = (await app.api('GET', '/api/auth/tokens', { token: user.token })).body.tokens;
+  const revokedId = tokens.find(token => revoked.startsWith(token.token_prefix)).id;
+  assert.strictEqual((await app.api('DELETE', `/api/auth/tokens/${revokedId}`, { token: user.token })).status, 200);
+  assert.strictEqual((await app.api('GET', '/api/lists', { token: revoked })).status, 401);
+
+  assert.strictEqual((await app.api('GET', '/api/lists', { token: expiring })).status, 200);
+  await app.pool.query("UPDATE personal_access_tokens SET expires_at = NOW() - INTERVAL '1 second' WHERE expires_at IS NOT NULL");
+  assert.strictEqual((await app.api('GET', '/api/lists', { token: expiring })).status, 401);
+});
+
+test('unknown scopes are rejected', async () => {
+  const user = await app.createUser();
+  const created = await app.api('POST', '/api/auth/tokens', {
+    token: user.token,
+    body: { name: 'Too much', scopes: ['everything'] }
+  });
+  assert.strictEqual(created.status, 400);
+});
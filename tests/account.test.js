@@ -0,0 +1,104 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startApp } = require('./helpers/app');
+
+let app;
+
+before(async () => {
+  app = await startApp();
+});
+
+after(() => app.stop());
+
+const scheduleDeletion = (user, body = {}) => app.api('DELETE', '/api/auth/account', {
+  token: user.token,
+  body: { password: user.password, ...body }
+});
+
+// Let the grace period run out and the job do its work
+const purge = async () => {
+  await app.pool.query("UPDATE users SET deletion_scheduled_for = NOW() - INTERVAL '1 second' WHERE deletion_scheduled_for IS NOT NULL");
+  await require('../utils/accountDeletion').purgeDueAccounts();
+};
+
+test('the export holds the lists, tasks, subtasks and tags of the user', async () => {
+  const user = await app.createUser();
+  const list = await app.createList(user, 'Groceries');
+  const task = await app.createTask(user, list.id, { title: 'Milk', tags: ['dairy'] });
+  await app.api('POST', `/api/tasks/${task.id}/subtasks`, { token: user.token, body: { title: 'Oat milk' } });
+
+  const exported = await app.api('GET', '/api/auth/export', { token: user.token });
+  assert.strictEqual(exported.status, 200);
+  assert.match(exported.headers.get('content-disposition'), /attachment; filename="todo-export-/);
+  assert.strictEqual(exported.body.profile.email, user.email);
+  assert.deepStrictEqual(exported.body.owned_lists.map(owned => owned.name), ['Groceries']);
+
+  const [exportedTask] = exported.body.owned_lists[0].tasks;
+  assert.strictEqual(exportedTask.title, 'Milk');
+  assert.deepStrictEqual(exportedTask.tags.map(tag => tag.name), ['dairy']);
+  assert.deepStrictEqual(exportedTask.subtasks.map(subtask => subtask.title), ['Oat milk']);
+  assert.deepStrictEqual(exported.body.tags.map(tag => tag.name), ['dairy']);
+});
+
+test('deletion needs the password and logs out everywhere', async () => {
+  const user = await app.createUser();
+
+  assert.strictEqual((await scheduleDeletion(user, { password: 'wrong-password' })).status, 401);
+
+  const scheduled = await scheduleDeletion(user);
+  assert.strictEqual(scheduled.status, 200);
+  assert.ok(new Date(scheduled.body.deletion_scheduled_for) > new Date(Date.now() + 13 * 24 * 60 * 60 * 1000));
+  assert.strictEqual((await app.api('GET', '/api/auth/profile', { token: user.token })).status, 401);
+});
+
+test('an account restored within the grace period is kept', async () => {
+  const user = await app.createUser();
+  await scheduleDeletion(user);
+
+  const login = await app.api('POST', '/api/auth/login', { body: { email: user.email, password: user.password } });
+  const restored = await app.api('POST', '/api/auth/account/restore', { token: login.body.token });
+  assert.strictEqual(restored.status, 200);
+
+  await purge();
+  const profile = await app.api('GET', '/api/auth/profile', { token: login.body.token });
+  assert.strictEqual(profile.status, 200);
+  assert.strictEqual(profile.body.user.deletion_scheduled_for, null);
+});
+
+test('shared lists without an admin need a new owner', async () => {
+  const owner = await app.createUser();
+  const member = await app.createUser();
+  const list = await app.createList(owner, 'Shared');
+  await app.addMember(owner, list.id, member, 'member');
+
+  const refused = await scheduleDeletion(owner);
+  assert.strictEqual(refused.status, 409);
+  assert.deepStrictEqual(refused.body.lists.map(shared => shared.id), [list.id]);
+
+  const scheduled = await scheduleDeletion(owner, { newOwners: { [list.id]: member.id } });
+  assert.strictEqual(scheduled.status, 200);
+  assert.strictEqual(scheduled.body.list_transfers[0].new_owner.id, member.id);
+
+  await purge();
+  const users = await app.pool.query('SELECT id FROM users WHERE id = $1', [owner.id]);
+  assert.strictEqual(users.rows.length, 0);
+
+  const lists = await app.api('GET', '/api/lists', { token: member.token });
+  const shared = lists.body.lists.find(found => found.id === list.id);
+  assert.strictEqual(shared.user_role, 'owner');
+});
+
+test('admins take over shared lists by default', async () => {
+  const owner = await app.createUser();
+  const admin = await app.createUser();
+  const list = await app.createList(owner, 'Shared');
+  await app.addMember(owner, list.id, admin, 'admin');
+
+  const scheduled = await scheduleDeletion(owner);
+  assert.strictEqual(scheduled.status, 200);
+  assert.strictEqual(scheduled.body.list_transfers[0].new_owner.id, admin.id);
+
+  await purge();
+  const result = await app.pool.query('SELECT owner_id FROM lists WHERE id = $1', [list.id]);
+  assert.strictEqual(result.rows[0].owner_id, admin.id);
+});
@@ -0,0 +1,92 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startApp } = require('./helpers/app');
+
+let app;
+
+before(async () => {
+  app = await startApp();
+});
+
+after(() => app.stop());
+
+const feed = async (user, listId, query = '') => {
+  const response = await app.api('GET', `/api/lists/${listId}/activity${query}`, { token: user.token });
+  assert.strictEqual(response.status, 200);
+  return response.body;
+};
+
+test('deleting a task records who did it and what it was', async () => {
+  const owner = await app.createUser();
+  const list = await app.createList(owner);
+  const task = await app.createTask(owner, list.id, { title: 'Gone soon' });
+
+  await app.api('DELETE', `/api/tasks/${task.id}`, { token: owner.token });
+
+  const [latest] = (await feed(owner, list.id)).activity;
+  assert.strictEqual(latest.action, 'task.deleted');
+  assert.strictEqual(latest.actor_id, owner.id);
+  assert.strictEqual(latest.target_type, 'task');
+  assert.strictEqual(latest.target_id, task.id);
+  assert.strictEqual(latest.before.title, 'Gone soon');
+});
+
+test('role changes and ownership transfers are recorded with before and after', async () => {
+  const owner = await app.createUser();
+  const member = await app.createUser();
+  const list = await app.createList(owner);
+  await app.addMember(owner, list.id, member, 'member');
+
+  await app.api('PUT', `/api/lists/${list.id}/members/${member.id}`, { token: owner.token, body: { role: 'admin' } });
+  await app.api('PUT', `/api/lists/${list.id}/transfer-ownership`, { token: owner.token, body: { email: member.email } });
+
+  const [transferred, roleChanged] = (await feed(member, list.id)).activity;
+  assert.strictEqual(roleChanged.action, 'member.role_changed');
+  assert.deepStrictEqual(roleChanged.before, { role: 'member' });
+  assert.deepStrictEqual(roleChanged.after, { role: 'admin' });
+  assert.strictEqual(transferred.action, 'list.ownership_transferred');
+  assert.deepStrictEqual(transferred.after, { owner_id: member.id });
+});
+
+test('the feed can be filtered by actor and type', async () => {
+  const owner = await app.createUser();
+  const member = await app.createUser();
+  const list = await app.createList(owner);
+  await app.addMember(owner, list.id, member, 'member');
+  await app.createTask(owner, list.id);
+  await app.createTask(member, list.id);
+
+  const byMember = await feed(owner, list.id, `?actor=${member.id}&type=task`);
+  assert.deepStrictEqual(byMember.activity.map(entry => entry.action), ['task.created']);
+  assert.ok(byMember.activity.every(entry => entry.actor_id === member.id));
+
+  const joined = await feed(owner, list.id, '?type=member.joined');
+  assert.deepStrictEqual(joined.activity.map(entry => entry.target_id), [member.id]);
+});
+
+test('the feed pages backwards with a cursor', async () => {
+  const owner = await app.createUser();
+  const list = await app.createList(owner);
+  for (let index = 0; index < 4; index++) {
+    await app.createTask(owner, list.id);
+  }
+
+  // list.created plus four task.created
+  const first = await feed(owner, list.id, '?limit=3');
+  assert.strictEqual(first.activity.length, 3);
+  const second = await feed(owner, list.id, `?limit=3&before=${first.next_cursor}`);
+  assert.strictEqual(second.activity.length, 2);
+  assert.strictEqual(second.next_cursor, null);
+  assert.strictEqual(second.activity[1].action, 'list.created');
+
+  const ids = [...first.activity, ...second.activity].map(entry => entry.id);
+  assert.deepStrictEqual(ids, [...ids].sort((a, b) => b - a));
+});
+
+test('people outside the list cannot read its feed', async () => {
+  const owner = await app.createUser();
+  const stranger = await app.createUser();
+  const list = await app.createList(owner);
+
+  assert.strictEqual((await app.api('GET', `/api/lists/${list.id}/activity`, { token: stranger.token })).status, 404);
+});
@@ -0,0 +1,91 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startApp } = require('./helpers/app');
+
+let app;
+
+before(async () => {
+  app = await startApp();
+});
+
+after(() => app.stop());
+
+const sharedList = async () => {
+  const owner = await app.createUser('Owner');
+  const member = await app.createUser('Member');
+  const list = await app.createList(owner);
+  await app.addMember(owner, list.id, member, 'member');
+  return { owner, member, list };
+};
+
+test('tasks can be assigned to members who can work on them', async () => {
+  const { owner, member, list } = await sharedList();
+  const viewer = await app.createUser('Viewer');
+  const stranger = await app.createUser('Stranger');
+  await app.addMember(owner, list.id, viewer, 'viewer');
+
+  const task = await app.createTask(owner, list.id, { assignee_ids: [owner.id, member.id] });
+  assert.deepStrictEqual(task.assignees.map(assignee => assignee.id).sort(), [owner.id, member.id].sort());
+
+  const refused = await app.api('POST', '/api/tasks', {
+    token: owner.token,
+    body: { list_id: list.id, title: 'Nope', assignee_ids: [viewer.id, stranger.id] }
+  });
+  assert.strictEqual(refused.status, 400);
+  assert.deepStrictEqual(refused.body.invalidAssignees, [viewer.id, stranger.id]);
+});
+
+test('list tasks can be filtered by assignee', async () => {
+  const { owner, member, list } = await sharedList();
+  const mine = await app.createTask(owner, list.id, { title: 'Mine', assignee_ids: [member.id] });
+  const nobodys = await app.createTask(owner, list.id, { title: 'Nobody' });
+
+  const assigned = await app.api('GET', `/api/tasks/list/${list.id}?assignee=me`, { token: member.token });
+  assert.deepStrictEqual(assigned.body.tasks.map(task => task.id), [mine.id]);
+
+  const byId = await app.api('GET', `/api/tasks/list/${list.id}?assignee=${member.id}`, { token: owner.token });
+  assert.deepStrictEqual(byId.body.tasks.map(task => task.id), [mine.id]);
+
+  const unassigned = await app.api('GET', `/api/tasks/list/${list.id}?assignee=none`, { token: owner.token });
+  assert.deepStrictEqual(unassigned.body.tasks.map(task => task.id), [nobodys.id]);
+});
+
+test('my assigned tasks come from every list, including through subtasks', async () => {
+  const first = await sharedList();
+  const second = await sharedList();
+  const direct = await app.createTask(first.owner, first.list.id, { assignee_ids: [first.member.id] });
+  const parent = await app.createTask(first.owner, first.list.id);
+  await app.api('POST', `/api/tasks/${parent.id}/subtasks`, {
+    token: first.owner.token,
+    body: { title: 'Part', assignee_ids: [first.member.id] }
+  });
+  await app.createTask(first.owner, first.list.id);
+
+  // Someone else's assignment elsewhere
+  await app.createTask(second.owner, second.list.id, { assignee_ids: [second.member.id] });
+
+  const assigned = await app.api('GET', '/api/tasks/assigned', { token: first.member.token });
+  assert.deepStrictEqual(assigned.body.tasks.map(task => task.id).sort(), [direct.id, parent.id].sort());
+
+  const viaSubtask = assigned.body.tasks.find(task => task.id === parent.id);
+  assert.strictEqual(viaSubtask.assigned_to_task, false);
+  assert.deepStrictEqual(viaSubtask.assigned_subtasks.map(subtask => subtask.title), ['Part']);
+});
+
+test('members lose their assignments when they leave or are removed', async () => {
+  const { owner, member, list } = await sharedList();
+  const task = await app.createTask(owner, list.id, { assignee_ids: [owner.id, member.id] });
+
+  await app.api('DELETE', `/api/lists/${list.id}/members/${member.id}`, { token: owner.token });
+
+  const fetched = await app.api('GET', `/api/tasks/${task.id}`, { token: owner.token });
+  assert.deepStrictEqual(fetched.body.task.assignees.map(assignee => assignee.id), [owner.id]);
+
+  const leaver = await app.createUser('Leaver');
+  await app.addMember(owner, list.id, leaver, 'member');
+  const other = await app.createTask(owner, list.id, { assignee_ids: [leaver.id] });
+  await app.api('DELETE', `/api/lists/${list.id}/leave`, { token: leaver.token });
+
+  const left = await app.api('GET', `/api/tasks/${other.id}`, { token: owner.token });
+  assert.deepStrictEqual(left.body.task.assignees, []);
+});
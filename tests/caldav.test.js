@@ -0,0 +1,291 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startApp } = require('./helpers/app');
+
+let app;
+let owner;
+let viewer;
+let list;
+let ownerAuth;
+let viewerAuth;
+
+const basic = (user, token) => `Basic ${Buffer.from(`${user.email}:${token}`).toString('base64')}`;
+
+const dav = (method, path, { auth = ownerAuth, body, headers = {} } = {}) => app.api(method, `/caldav${path}`, {
+  raw: body,
+  headers: { Authorization: auth, ...headers }
+});
+
+const vtodo = (lines) => [
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  'PRODID:-//Test//Test//EN',
+  'BEGIN:VTODO',
+  ...lines,
+  'END:VTODO',
+  'END:VCALENDAR',
+  ''
+].join('\r\n');
+
+const getTask = async (taskId) => (await app.api('GET', `/api/tasks/${taskId}`, { token: owner.token })).body.task;
+
+before(async () => {
+  app = await startApp();
+  owner = await app.createUser('Owner');
+  viewer = await app.createUser('Viewer');
+  list = await app.createList(owner, 'Groceries');
+  await app.addMember(owner, list.id, viewer, 'viewer');
+
+  ownerAuth = basic(owner, await app.createAccessToken(owner, ['lists:read', 'tasks:write']));
+  viewerAuth = basic(viewer, await app.createAccessToken(viewer, ['lists:read', 'tasks:write']));
+});
+
+after(() => app.stop());
+
+test('clients authenticate with their email and a personal access token', async () => {
+  const anonymous = await app.api('PROPFIND', '/caldav/');
+  assert.strictEqual(anonymous.status, 401);
+  assert.match(anonymous.headers.get('www-authenticate'), /^Basic realm="Todo CalDAV"/);
+
+  assert.strictEqual((await dav('PROPFIND', '/', { auth: basic(owner, owner.password) })).status, 401);
+  assert.strictEqual((await dav('PROPFIND', '/', { auth: basic(viewer, ownerAuth.slice(6)) })).status, 401);
+
+  const readOnly = basic(owner, await app.createAccessToken(owner, ['profile:read']));
+  assert.strictEqual((await dav('PROPFIND', '/', { auth: readOnly })).status, 403);
+
+  const options = await app.api('OPTIONS', '/caldav/');
+  assert.match(options.headers.get('dav'), /calendar-access/);
+
+  const discovery = await fetch(`${app.baseUrl}/.well-known/caldav`, { redirect: 'manual' });
+  assert.strictEqual(discovery.status, 301);
+  assert.strictEqual(discovery.headers.get('location'), '/caldav/');
+});
+
+test('lists are calendars and tasks their objects', async () => {
+  const task = await app.createTask(owner, list.id, { title: 'Milk', due_date: '2030-05-01', priority: 'high' });
+
+  const home = await dav('PROPFIND', '/calendars/', { headers: { Depth: '1' } });
+  assert.strictEqual(home.status, 207);
+  assert.ok(home.body.includes(`<d:href>/caldav/calendars/${list.id}/</d:href>`));
+  assert.ok(home.body.includes('<d:displayname>Groceries</d:displayname>'));
+
+  const calendar = await dav('PROPFIND', `/calendars/${list.id}/`, {
+    headers: { Depth: '1' },
+    body: '<?xml version="1.0"?><d:propfind xmlns:d="DAV:"><d:prop><d:getetag/><d:getlastmodified/></d:prop></d:propfind>'
+  });
+  assert.ok(calendar.body.includes(`<d:href>/caldav/calendars/${list.id}/task-${task.id}.ics</d:href>`));
+  assert.match(calendar.body, /<d:getetag>&quot;[0-9a-f]{32}&quot;<\/d:getetag>/);
+  assert.match(calendar.body, /<d:getlastmodified\/>[\s\S]*404 Not Found/);
+
+  const object = await dav('GET', `/calendars/${list.id}/task-${task.id}.ics`);
+  assert.strictEqual(object.status, 200);
+  assert.match(object.headers.get('etag'), /^"[0-9a-f]{32}"$/);
+  assert.ok(object.body.includes('SUMMARY:Milk\r\n'));
+  assert.ok(object.body.includes('DUE;VALUE=DATE:20300501\r\n'));
+  assert.ok(object.body.includes('PRIORITY:1\r\n'));
+
+  const report = await dav('REPORT', `/calendars/${list.id}/`, {
+    body: [
+      '<?xml version="1.0"?><c:calendar-multiget xmlns:d="DAV:" xmlns:c="urn:ietf:params:xml:ns:caldav">',
+      `<d:prop><d:getetag/><c:calendar-data/></d:prop><d:href>/caldav/calendars/${list.id}/task-${task.id}.ics</d:href>`,
+      `<d:href>/caldav/calendars/${list.id}/missing.ics</d:href></c:calendar-multiget>`
+    ].join('')
+  });
+  assert.strictEqual(report.status, 207);
+  assert.ok(report.body.includes('SUMMARY:Milk'));
+  assert.match(report.body, /missing\.ics<\/d:href>\s*<d:status>HTTP\/1\.1 404 Not Found/);
+});
+
+test('VTODOs put by clients become tasks and subtasks', async () => {
+  const created = await dav('PUT', `/calendars/${list.id}/bread.ics`, {
+    headers: { 'If-None-Match': '*' },
+    body: vtodo([
+      'UID:bread-1',
+      'SUMMARY:Bread\\, rye',
+      'DESCRIPTION:From the bakery',
+      'DUE;TZID=Europe/Berlin:20300502T180000',
+      'PRIORITY:9',
+      'CATEGORIES:Bakery,Weekly'
+    ])
+  });
+  assert.strictEqual(created.status, 201);
+
+  const subtask = await dav('PUT', `/calendars/${list.id}/slice.ics`, {
+    body: vtodo(['UID:slice-1', 'SUMMARY:Have it sliced', 'RELATED-TO:bread-1', 'STATUS:COMPLETED'])
+  });
+  assert.strictEqual(subtask.status, 201);
+
+  const objects = await app.pool.query('SELECT name, task_id FROM caldav_objects WHERE list_id = $1 AND task_id IS NOT NULL', [list.id]);
+  const task = await getTask(objects.rows[0].task_id);
+  assert.strictEqual(task.title, 'Bread, rye');
+  assert.strictEqual(task.description, 'From the bakery');
+  assert.strictEqual(task.priority, 'low');
+  assert.strictEqual(task.time_zone, 'Europe/Berlin');
+  assert.strictEqual(new Date(task.due_at).toISOString(), '2030-05-02T16:00:00.000Z');
+  assert.deepStrictEqual(task.tags.map(tag => tag.name || tag).sort(), ['bakery', 'weekly']);
+  assert.deepStrictEqual(task.subtasks.map(item => [item.title, item.completed]), [['Have it sliced', true]]);
+
+  // The object keeps the client's UID and name
+  const object = await dav('GET', `/calendars/${list.id}/bread.ics`);
+  assert.ok(object.body.includes('UID:bread-1\r\n'));
+
+  const duplicate = await dav('PUT', `/calendars/${list.id}/other.ics`, { body: vtodo(['UID:bread-1', 'SUMMARY:Again']) });
+  assert.strictEqual(duplicate.status, 403);
+  assert.ok(duplicate.body.includes('no-uid-conflict'));
+
+  const event = await dav('PUT', `/calendars/${list.id}/event.ics`, {
+    body: vtodo(['UID:x', 'SUMMARY:x']).replace(/VTODO/g, 'VEVENT')
+  });
+  assert.strictEqual(event.status, 403);
+  assert.ok(event.body.includes('supported-calendar-component'));
+});
+
+test('single objects are found by their own name only', async () => {
+  await dav('PUT', `/calendars/${list.id}/chosen.ics`, { body: vtodo(['UID:chosen-1', 'SUMMARY:Chosen']) });
+  const stored = await app.pool.query("SELECT task_id FROM caldav_objects WHERE list_id = $1 AND name = 'chosen.ics'", [list.id]);
+  const taskId = stored.rows[0].task_id;
+
+  assert.strictEqual((await dav('GET', `/calendars/${list.id}/chosen.ics`)).status, 200);
+  assert.strictEqual((await dav('GET', `/calendars/${list.id}/task-${taskId}.ics`)).status, 404);
+  assert.strictEqual((await dav('GET', `/calendars/${list.id}/task-99999999999.ics`)).status, 404);
+
+  // Objects of other lists are not in this calendar
+  const otherList = await app.createList(owner, 'Other');
+  const otherTask = await app.createTask(owner, otherList.id);
+  assert.strictEqual((await dav('GET', `/calendars/${otherList.id}/task-${otherTask.id}.ics`)).status, 200);
+  assert.strictEqual((await dav('GET', `/calendars/${list.id}/task-${otherTask.id}.ics`)).status, 404);
+
+  const malformed = await dav('REPORT', `/calendars/${list.id}/`, {
+    body: [
+      '<?xml version="1.0"?><c:calendar-multiget xmlns:d="DAV:" xmlns:c="urn:ietf:params:xml:ns:caldav">',
+      `<d:prop><d:getetag/></d:prop><d:href>/caldav/calendars/${list.id}/%E0%A4%A.ics</d:href></c:calendar-multiget>`
+    ].join('')
+  });
+  assert.strictEqual(malformed.status, 400);
+});
+
+test('ETags guard against lost updates', async () => {
+  const task = await app.createTask(owner, list.id, { title: 'Eggs' });
+  const path = `/calendars/${list.id}/task-${task.id}.ics`;
+  const { headers } = await dav('GET', path);
+  const etag = headers.get('etag');
+  const uid = `task-${task.id}@localhost`;
+
+  const stale = await dav('PUT', path, { headers: { 'If-Match': '"0123"' }, body: vtodo([`UID:${uid}`, 'SUMMARY:Stale']) });
+  assert.strictEqual(stale.status, 412);
+  assert.strictEqual((await dav('PUT', path, { headers: { 'If-None-Match': '*' }, body: vtodo([`UID:${uid}`, 'SUMMARY:New']) })).status, 412);
+
+  const updated = await dav('PUT', path, { headers: { 'If-Match': etag }, body: vtodo([`UID:${uid}`, 'SUMMARY:Eggs', 'STATUS:COMPLETED']) });
+  assert.strictEqual(updated.status, 204);
+  assert.strictEqual((await getTask(task.id)).completed, true);
+
+  const changed = (await dav('GET', path)).headers.get('etag');
+  assert.notStrictEqual(changed, etag);
+
+  assert.strictEqual((await dav('DELETE', path, { headers: { 'If-Match': etag } })).status, 412);
+  assert.strictEqual((await dav('DELETE', path, { headers: { 'If-Match': changed } })).status, 204);
+  assert.strictEqual((await dav('GET', path)).status, 404);
+});
+
+test('writes need the same role as through the API', async () => {
+  const task = await app.createTask(owner, list.id, { title: 'Butter' });
+
+  const calendar = await dav('PROPFIND', `/calendars/${list.id}/`, {
+    auth: viewerAuth,
+    headers: { Depth: '0' },
+    body: '<d:propfind xmlns:d="DAV:"><d:prop><d:current-user-privilege-set/></d:prop></d:propfind>'
+  });
+  assert.ok(calendar.body.includes('<d:read/>'));
+  assert.ok(!calendar.body.includes('<d:write-content/>'));
+
+  assert.strictEqual((await dav('GET', `/calendars/${list.id}/task-${task.id}.ics`, { auth: viewerAuth })).status, 200);
+  assert.strictEqual((await dav('PUT', `/calendars/${list.id}/new.ics`, { auth: viewerAuth, body: vtodo(['UID:new-1', 'SUMMARY:New']) })).status, 403);
+  assert.strictEqual((await dav('DELETE', `/calendars/${list.id}/task-${task.id}.ics`, { auth: viewerAuth })).status, 403);
+
+  const stranger = await app.createUser('Stranger');
+  const strangerAuth = basic(stranger, await app.createAccessToken(stranger, ['lists:read', 'tasks:write']));
+  assert.strictEqual((await dav('GET', `/calendars/${list.id}/task-${task.id}.ics`, { auth: strangerAuth })).status, 404);
+});
+
+test('a failed write leaves no task behind', async () => {
+  await app.pool.query(`
+    CREATE FUNCTION fail_tag_link() RETURNS trigger AS $$
+    BEGIN RAISE EXCEPTION 'tag link failed'; END;
+    $$ LANGUAGE plpgsql;
+    CREATE TRIGGER fail_tag_link BEFORE INSERT ON task_tags FOR EACH ROW EXECUTE FUNCTION fail_tag_link();
+  `);
+  const consoleError = console.error;
+  console.error = () => {};
+
+  try {
+    const failed = await dav('PUT', `/calendars/${list.id}/doomed.ics`, {
+      body: vtodo(['UID:doomed-1', 'SUMMARY:Doomed', 'CATEGORIES:x'])
+    });
+    assert.strictEqual(failed.status, 500);
+
+    const tasks = await app.pool.query("SELECT id FROM tasks WHERE title = 'Doomed'");
+    const objects = await app.pool.query("SELECT id FROM caldav_objects WHERE uid = 'doomed-1'");
+    assert.strictEqual(tasks.rows.length, 0);
+    assert.strictEqual(objects.rows.length, 0);
+  } finally {
+    console.error = consoleError;
+    await app.pool.query('DROP TRIGGER fail_tag_link ON task_tags; DROP FUNCTION fail_tag_link();');
+  }
+});
+
+test('uploaded objects are read into task fields', () => {
+  const { readCalendarObject } = require('../utils/caldav');
+
+  const todo = readCalendarObject(vtodo([
+    'UID:a',
+    'SUMMARY:Water plants',
+    'DUE:20300601T070000Z',
+    'PRIORITY:5',
+    'PERCENT-COMPLETE:100',
+    'CATEGORIES:Home,home',
+    'VALARM-IGNORED:1'
+  ]));
+  assert.deepStrictEqual(todo, {
+    uid: 'a',
+    title: 'Water plants',
+    description: null,
+    priority: 'medium',
+    completed: true,
+    tags: ['home'],
+    parent_uid: null,
+    due: { due_date: '2030-06-01T07:00:00Z' }
+  });
+
+  assert.deepStrictEqual(readCalendarObject(vtodo(['UID:b', 'SUMMARY:b', 'DUE;VALUE=DATE:20300601'])).due, { due_date: '2030-06-01' });
+  assert.strictEqual(readCalendarObject(vtodo(['UID:c', 'SUMMARY:c', 'DUE:tomorrow'])).due, null);
+  assert.strictEqual(readCalendarObject('not a calendar'), null);
+  assert.strictEqual(readCalendarObject(vtodo(['UID:d']).replace('END:VCALENDAR', 'BEGIN:VTODO\r\nUID:e\r\nEND:VTODO\r\nEND:VCALENDAR')), null);
+});
+
+test('a failed delete leaves the series running', async () => {
+  const task = await app.createTask(owner, list.id, { title: 'Water plants', recurrence: { rule: 'FREQ=DAILY' } });
+
+  await app.pool.query(`
+    CREATE FUNCTION fail_task_delete() RETURNS trigger AS $$
+    BEGIN RAISE EXCEPTION 'delete failed'; END;
+    $$ LANGUAGE plpgsql;
+    CREATE TRIGGER fail_task_delete BEFORE DELETE ON tasks FOR EACH ROW EXECUTE FUNCTION fail_task_delete();
+  `);
+  const consoleError = console.error;
+  console.error = () => {};
+
+  try {
+    const failed = await dav('DELETE', `/calendars/${list.id}/task-${task.id}.ics`);
+    assert.strictEqual(failed.status, 500);
+  } finally {
+    console.error = consoleError;
+    await app.pool.query('DROP TRIGGER fail_task_delete ON tasks; DROP FUNCTION fail_task_delete();');
+  }
+
+  const unchanged = await getTask(task.id);
+  assert.strictEqual(unchanged.recurrence.rule, 'FREQ=DAILY;INTERVAL=1');
+
+  const deleted = await dav('DELETE', `/calendars/${list.id}/task-${task.id}.ics`);
+  assert.strictEqual(deleted.status, 204);
+  assert.strictEqual((await app.api('GET', `/api/tasks/${task.id}`, { token: owner.token })).status, 404);
+});
@@ -0,0 +1,88 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startApp } = require('./helpers/app');
+
+let app;
+let owner;
+let member;
+let home;
+let work;
+let feedPath;
+
+before(async () => {
+  app = await startApp();
+  owner = await app.createUser('Owner');
+  member = await app.createUser('Member');
+  home = await app.createList(owner, 'Home');
+  work = await app.createList(member, 'Work');
+  await app.addMember(member, work.id, owner);
+
+  await app.createTask(owner, home.id, { title: 'Pay rent', due_date: '2030-01-31', tags: ['bills'] });
+  await app.createTask(owner, home.id, { title: 'Someday' });
+  await app.createTask(member, work.id, { title: 'Ship release', due_date: '2030-02-01' });
+
+  const created = await app.api('POST', '/api/calendar/feed', { token: owner.token });
+  assert.strictEqual(created.status, 201);
+  feedPath = new URL(created.body.url).pathname;
+});
+
+after(() => app.stop());
+
+const summaries = body => body.match(/^SUMMARY:.*$/gm).map(line => line.slice('SUMMARY:'.length).trim());
+
+test('the feed holds dated tasks from every accessible list', async () => {
+  const feed = await app.api('GET', feedPath);
+
+  assert.strictEqual(feed.status, 200);
+  assert.match(feed.headers.get('content-type'), /^text\/calendar/);
+  assert.ok(feed.body.startsWith('BEGIN:VCALENDAR\r\n'));
+  assert.deepStrictEqual([...new Set(summaries(feed.body))], ['Pay rent', 'Ship release']);
+  assert.strictEqual((feed.body.match(/BEGIN:VTODO/g) || []).length, 2);
+  assert.strictEqual((feed.body.match(/BEGIN:VEVENT/g) || []).length, 2);
+
+  const stored = await app.api('GET', '/api/calendar/feed', { token: owner.token });
+  assert.strictEqual(stored.body.feed.access_count, 1);
+});
+
+test('the feed can be narrowed by list, tag, component and completion', async () => {
+  const byList = await app.api('GET', `${feedPath}?lists=${work.id}&components=vtodo`);
+  assert.deepStrictEqual(summaries(byList.body), ['Ship release']);
+  assert.ok(!byList.body.includes('BEGIN:VEVENT'));
+
+  const byTag = await app.api('GET', `${feedPath}?tags=Bills&components=vevent`);
+  assert.deepStrictEqual(summaries(byTag.body), ['Pay rent']);
+
+  const completed = await app.api('GET', `${feedPath}?completed=true`);
+  assert.ok(!completed.body.includes('SUMMARY:'));
+
+  assert.strictEqual((await app.api('GET', `${feedPath}?components=vjournal`)).status, 400);
+  for (const query of ['lists=1&lists=2', 'tags=a&tags=b', 'components=vtodo&components=vevent']) {
+    assert.strictEqual((await app.api('GET', `${feedPath}?${query}`)).status, 400, query);
+  }
+});
+
+test('UIDs stay stable and the status follows completion', async () => {
+  const initial = await app.api('GET', `${feedPath}?components=vtodo`);
+  const task = await app.createTask(owner, home.id, { title: 'Renew passport', due_date: '2030-03-01' });
+  await app.api('PATCH', `/api/tasks/${task.id}/toggle`, { token: owner.token });
+  const afterToggle = await app.api('GET', `${feedPath}?components=vtodo`);
+
+  const uids = body => body.match(/^UID:.*$/gm);
+  assert.deepStrictEqual(uids(afterToggle.body).filter(uid => uids(initial.body).includes(uid)), uids(initial.body));
+  assert.ok(afterToggle.body.includes(`UID:task-${task.id}@localhost\r\n`));
+
+  const completed = afterToggle.body.split('BEGIN:VTODO').find(todo => todo.includes('Renew passport'));
+  assert.ok(completed.includes('STATUS:COMPLETED'));
+});
+
+test('regenerating or revoking the URL disables the old one', async () => {
+  const regenerated = await app.api('POST', '/api/calendar/feed', { token: owner.token });
+  assert.strictEqual((await app.api('GET', feedPath)).status, 404);
+
+  const newPath = new URL(regenerated.body.url).pathname;
+  assert.strictEqual((await app.api('GET', newPath)).status, 200);
+
+  assert.strictEqual((await app.api('DELETE', '/api/calendar/feed', { token: owner.token })).status, 200);
+  assert.strictEqual((await app.api('GET', newPath)).status, 404);
+  assert.strictEqual((await app.api('DELETE', '/api/calendar/feed', { token: owner.token })).status, 404);
+});
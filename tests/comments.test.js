@@ -0,0 +1,99 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startApp } = require('./helpers/app');
+
+let app;
+let owner;
+let member;
+let list;
+
+before(async () => {
+  app = await startApp();
+  owner = await app.createUser('Olivia');
+  member = await app.createUser('Max');
+  list = await app.createList(owner);
+  await app.addMember(owner, list.id, member, 'member');
+});
+
+after(() => app.stop());
+
+const comment = (user, taskId, body, parentId) => app.api('POST', `/api/tasks/${taskId}/comments`, {
+  token: user.token,
+  body: { body, parent_id: parentId }
+});
+
+const threads = async (taskId) => (await app.api('GET', `/api/tasks/${taskId}/comments`, { token: owner.token })).body.comments;
+
+test('replies are nested under their comment', async () => {
+  const task = await app.createTask(owner, list.id);
+  const first = await comment(owner, task.id, 'First');
+  await comment(member, task.id, 'Reply', first.body.comment.id);
+  await comment(member, task.id, 'Second');
+
+  const comments = await threads(task.id);
+  assert.deepStrictEqual(comments.map(found => found.body), ['First', 'Second']);
+  assert.deepStrictEqual(comments[0].replies.map(found => found.body), ['Reply']);
+});
+
+test('mentions of list members are recorded', async () => {
+  const task = await app.createTask(owner, list.id);
+  const created = await comment(owner, task.id, '@max please look, and @nobody too');
+
+  assert.deepStrictEqual(created.body.comment.mentions.map(mention => mention.id), [member.id]);
+});
+
+test('edits keep the earlier text in the history', async () => {
+  const task = await app.createTask(owner, list.id);
+  const created = await comment(member, task.id, 'Draft');
+  const commentId = created.body.comment.id;
+
+  const edited = await app.api('PUT', `/api/tasks/comments/${commentId}`, { token: member.token, body: { body: 'Final' } });
+  assert.strictEqual(edited.status, 200);
+  assert.strictEqual(edited.body.comment.edited, true);
+
+  const history = await app.api('GET', `/api/tasks/comments/${commentId}/history`, { token: owner.token });
+  assert.deepStrictEqual(history.body.history.map(edit => edit.body), ['Draft']);
+  assert.strictEqual(history.body.comment.body, 'Final');
+});
+
+test('only the author or admins can change a comment', async () => {
+  const task = await app.createTask(owner, list.id);
+  const byOwner = await comment(owner, task.id, 'Owner says');
+  const byMember = await comment(member, task.id, 'Member says');
+
+  const edit = (user, created) => app.api('PUT', `/api/tasks/comments/${created.body.comment.id}`, {
+    token: user.token,
+    body: { body: 'Changed' }
+  });
+  assert.strictEqual((await edit(member, byOwner)).status, 403);
+  assert.strictEqual((await edit(owner, byMember)).status, 200);
+});
+
+test('deleted comments stay as placeholders while they have replies', async () => {
+  const task = await app.createTask(owner, list.id);
+  const parent = await comment(owner, task.id, 'Parent');
+  await comment(member, task.id, 'Child', parent.body.comment.id);
+  const lonely = await comment(owner, task.id, 'Lonely');
+
+  await app.api('DELETE', `/api/tasks/comments/${parent.body.comment.id}`, { token: owner.token });
+  await app.api('DELETE', `/api/tasks/comments/${lonely.body.comment.id}`, { token: owner.token });
+
+  const comments = await threads(task.id);
+  assert.strictEqual(comments.length, 1);
+  assert.strictEqual(comments[0].deleted, true);
+  assert.strictEqual(comments[0].body, null);
+  assert.deepStrictEqual(comments[0].replies.map(reply => reply.body), ['Child']);
+});
+
+test('task payloads count the visible comments', async () => {
+  const task = await app.createTask(owner, list.id, { title: 'Counted' });
+  await comment(owner, task.id, 'One');
+  const removed = await comment(owner, task.id, 'Two');
+  await app.api('DELETE', `/api/tasks/comments/${removed.body.comment.id}`, { token: owner.token });
+
+  const listed = await app.api('GET', `/api/tasks/list/${list.id}`, { token: owner.token });
+  assert.strictEqual(listed.body.tasks.find(found => found.id === task.id).comment_count, 1);
+
+  const fullList = await app.api('GET', `/api/lists/${list.id}`, { token: owner.token });
+  assert.strictEqual(fullList.body.list.tasks.find(found => found.id === task.id).comment_count, 1);
+});
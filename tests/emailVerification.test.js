@@ -0,0 +1,80 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startApp } = require('./helpers/app');
+
+let app;
+
+before(async () => {
+  app = await startApp();
+});
+
+after(() => app.stop());
+
+const verificationToken = (mail) => /verify-email\?token=(\w+)/.exec(mail.text)[1];
+
+const register = async (email) => {
+  const registered = await app.api('POST', '/api/auth/register', {
+    body: { name: 'Unverified', email, password: 'Password123' }
+  });
+  assert.strictEqual(registered.status, 201);
+  assert.strictEqual(registered.body.user.email_verified, false);
+
+  return registered.body;
+};
+
+test('new accounts are restricted until their email is verified', async () => {
+  const { token } = await register('new@example.com');
+  const tokenRequest = { token, body: { name: 'Script', scopes: ['lists:read'] } };
+
+  assert.strictEqual((await app.api('POST', '/api/auth/tokens', tokenRequest)).status, 403);
+  // Their own lists work right away
+  assert.strictEqual((await app.api('POST', '/api/lists', { token, body: { name: 'Mine' } })).status, 201);
+
+  const verified = await app.api('POST', '/api/auth/verify-email', {
+    body: { token: verificationToken(await app.waitForMail('new@example.com')) }
+  });
+  assert.strictEqual(verified.status, 200);
+  assert.strictEqual(verified.body.user.email_verified, true);
+
+  assert.strictEqual((await app.api('POST', '/api/auth/tokens', tokenRequest)).status, 201);
+});
+
+test('verification links work once', async () => {
+  await register('once@example.com');
+  const token = verificationToken(await app.waitForMail('once@example.com'));
+
+  assert.strictEqual((await app.api('POST', '/api/auth/verify-email', { body: { token } })).status, 200);
+  assert.strictEqual((await app.api('POST', '/api/auth/verify-email', { body: { token } })).status, 400);
+});
+
+test('resending is limited to once a minute', async () => {
+  const { token } = await register('resend@example.com');
+
+  assert.strictEqual((await app.api('POST', '/api/auth/resend-verification', { token })).status, 429);
+
+  await app.pool.query("UPDATE email_verification_tokens SET created_at = NOW() - INTERVAL '2 minutes'");
+  assert.strictEqual((await app.api('POST', '/api/auth/resend-verification', { token })).status, 200);
+});
+
+test('a new email address takes effect once it is verified', async () => {
+  const user = await app.createUser();
+  const sent = app.mails.length;
+
+  const changed = await app.api('PUT', '/api/auth/email', {
+    token: user.token,
+    body: { newEmail: 'changed@example.com', password: user.password }
+  });
+  assert.strictEqual(changed.status, 200);
+
+  // The old address is told about it, and stays until the new one is verified
+  await app.waitForMail(user.email, sent);
+  let profile = await app.api('GET', '/api/auth/profile', { token: user.token });
+  assert.strictEqual(profile.body.user.email, user.email);
+
+  await app.api('POST', '/api/auth/verify-email', {
+    body: { token: verificationToken(await app.waitForMail('changed@example.com')) }
+  });
+  profile = await app.api('GET', '/api/auth/profile', { token: user.token });
+  assert.strictEqual(profile.body.user.email, 'changed@example.com');
+  assert.strictEqual(profile.body.user.email_verified, true);
+});
@@ -0,0 +1,102 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startApp } = require('./helpers/app');
+
+let app;
+
+before(async () => {
+  app = await startApp();
+
+  const { startRealtimeListener, isListening } = require('../utils/realtime');
+  await startRealtimeListener();
+  assert.ok(isListening());
+});
+
+after(() => app.stop());
+
+// Open an event stream and read its events as { event, id, data }
+const openStream = async (user, query = '', headers = {}) => {
+  const controller = new AbortController();
+  const response = await fetch(`${app.baseUrl}/api/events${query}`, {
+    headers: { Authorization: `Bearer ${user.token}`, ...headers },
+    signal: controller.signal
+  });
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  const next = async () => {
+    while (!buffer.includes('\n\n')) {
+      const { value, done } = await reader.read();
+      if (done) {
+        return null;
+      }
+      buffer += decoder.decode(value, { stream: true });
+    }
+
+    const block = buffer.slice(0, buffer.indexOf('\n\n'));
+    buffer = buffer.slice(buffer.indexOf('\n\n') + 2);
+    const fields = Object.fromEntries(block.split('\n').map(line => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 2)]));
+
+    return { event: fields.event, id: fields.id && Number(fields.id), data: JSON.parse(fields.data) };
+  };
+
+  return { status: response.status, next, close: () => controller.abort() };
+};
+
+test('changes to a list are pushed to its subscribers', async () => {
+  const owner = await app.createUser();
+  const list = await app.createList(owner);
+  const stream = await openStream(owner, `?lists=${list.id}`);
+
+  assert.deepStrictEqual(await stream.next(), { event: 'ready', id: undefined, data: { lists: [list.id] } });
+
+  const task = await app.createTask(owner, list.id, { title: 'Pushed' });
+  const pushed = await stream.next();
+  assert.strictEqual(pushed.event, 'task.created');
+  assert.strictEqual(pushed.data.target_id, task.id);
+  assert.strictEqual(pushed.data.list_id, list.id);
+  stream.close();
+});
+
+test('reconnecting clients get the events they missed first', async () => {
+  const owner = await app.createUser();
+  const list = await app.createList(owner);
+  const first = await app.createTask(owner, list.id);
+  const second = await app.createTask(owner, list.id);
+
+  const activity = await app.api('GET', `/api/lists/${list.id}/activity`, { token: owner.token });
+  const listCreated = activity.body.activity.find(entry => entry.action === 'list.created');
+
+  const stream = await openStream(owner, '', { 'Last-Event-ID': String(listCreated.id) });
+  assert.strictEqual((await stream.next()).event, 'ready');
+  const missed = [await stream.next(), await stream.next()];
+  assert.deepStrictEqual(missed.map(event => event.data.target_id), [first.id, second.id]);
+  stream.close();
+});
+
+test('only lists the user can access can be subscribed to', async () => {
+  const owner = await app.createUser();
+  const stranger = await app.createUser();
+  const list = await app.createList(owner);
+
+  const stream = await openStream(stranger, `?lists=${list.id}`);
+  assert.strictEqual(stream.status, 404);
+
+  const repeated = await app.api('GET', `/api/events?lists=${list.id}&lists=${list.id}`, { token: owner.token });
+  assert.strictEqual(repeated.status, 400);
+});
+
+test('the stream of a removed member ends after telling them', async () => {
+  const owner = await app.createUser();
+  const member = await app.createUser();
+  const list = await app.createList(owner);
+  await app.addMember(owner, list.id, member, 'member');
+
+  const stream = await openStream(member, `?lists=${list.id}`);
+  await stream.next();
+  await app.api('DELETE', `/api/lists/${list.id}/members/${member.id}`, { token: owner.token });
+
+  assert.strictEqual((await stream.next()).event, 'member.removed');
+  assert.strictEqual(await stream.next(), null);
+});
@@ -0,0 +1,210 @@
+const fs = require('fs');
+const path = require('path');
+const { PGlite } = require('@electric-sql/pglite');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+// Every mail the app sends, newest last
+const mails = [];
+
+// Stand-in for the pg pool on an in-memory Postgres loaded with init.sql. It
+// has a single connection, so clients share it and tests must not run
+// transactions side by side.
+const createPool = async () => {
+  const db = new PGlite();
+  await db.exec(fs.readFileSync(path.join(ROOT, 'init.sql'), 'utf8'));
+
+  const query = async (text, params) => {
+    const result = params && params.length
+      ? await db.query(text, params)
+      : (await db.exec(text)).pop() || { rows: [] };
+
+    return {
+      rows: result.rows,
+      rowCount: result.affectedRows || result.rows.length
+    };
+  };
+
+  const connect = async () => {
+    const handlers = {};
+
+    return {
+      on: (event, handler) => { handlers[event] = handler; },
+      release: () => {},
+      end: async () => {},
+      query: async (text, params) => {
+        const listen = /^\s*LISTEN\s+(\w+)/i.exec(text);
+
+        if (!listen) {
+          return query(text, params);
+        }
+
+        await db.listen(listen[1], (payload) => {
+          if (handlers.notification) {
+            handlers.notification({ channel: listen[1], payload });
+          }
+        });
+        return { rows: [], rowCount: 0 };
+      }
+    };
+  };
+
+  return { db, query, connect, on: () => {}, end: () => db.close(), options: {} };
+};
+
+// Swap a module for the given exports before anything requires it
+const replaceModule = (request, exports) => {
+  const filename = require.resolve(request, { paths: [ROOT] });
+  require.cache[filename] = { id: filename, filename, loaded: true, exports };
+};
+
+// Load the app against a fresh database and listen on a free port
+const startApp = async () => {
+  const pool = await createPool();
+
+  replaceModule('./config/database', pool);
+
+  // The realtime listener opens a client of its own
+  const pg = require(require.resolve('pg', { paths: [ROOT] }));
+  pg.Client = class {
+    constructor() {
+      this.handlers = [];
+    }
+
+    on(event, handler) {
+      this.handlers.push([event, handler]);
+    }
+
+    async connect() {
+      this.client = await pool.connect();
+      for (const [event, handler] of this.handlers) {
+        this.client.on(event, handler);
+      }
+    }
+
+    query(text, params) {
+      return this.client.query(text, params);
+    }
+
+    async end() {}
+  };
+
+  // Tests send far more requests than the limits allow
+  const passthrough = () => (req, res, next) => next();
+  replaceModule('express-rate-limit', Object.assign(passthrough, { rateLimit: passthrough }));
+
+  process.env.MAIL_TRANSPORT = 'memory';
+  require(path.join(ROOT, 'utils/mailer')).registerTransport('memory', () => ({
+    send: async (message) => { mails.push(message); }
+  }));
+
+  console.log = () => {};
+  console.warn = () => {};
+
+  const app = require(path.join(ROOT, 'server.js'));
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  // Call the API, returning the status, headers and parsed body
+  const api = async (method, url, { body, token, headers = {}, raw } = {}) => {
+    const response = await fetch(`${baseUrl}${url}`, {
+      method,
+      headers: {
+        ...(body !== undefined && !raw ? { 'Content-Type': 'application/json' } : {}),
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        ...headers
+      },
+      body: raw !== undefined ? raw : body !== undefined ? JSON.stringify(body) : undefined
+    });
+    const text = await response.text();
+    let json = text;
+
+    try {
+      json = JSON.parse(text);
+    } catch (error) {
+      // Not JSON - keep the text
+    }
+
+    return { status: response.status, headers: response.headers, body: json };
+  };
+
+  let userCount = 0;
+
+  // Register a user with a verified email and log them in
+  const createUser = async (name = 'User') => {
+    userCount += 1;
+    const email = `user${userCount}@example.com`;
+    const password = 'Password123';
+    const registered = await api('POST', '/api/auth/register', { body: { name, email, password } });
+
+    await pool.query('UPDATE users SET email_verified = true WHERE id = $1', [registered.body.user.id]);
+
+    return {
+      ...registered.body.user,
+      password,
+      token: registered.body.token,
+      refreshToken: registered.body.refreshToken
+    };
+  };
+
+  const createList = async (user, name = 'List') => {
+    const created = await api('POST', '/api/lists', { token: user.token, body: { name } });
+
+    return created.body.list;
+  };
+
+  const createTask = async (user, listId, fields = {}) => {
+    const created = await api('POST', '/api/tasks', {
+      token: user.token,
+      body: { list_id: listId, title: 'Task', ...fields }
+    });
+
+    return created.body.task;
+  };
+
+  // Invite a user to a list and have them accept
+  const addMember = async (owner, listId, member, role = 'member') => {
+    const invited = await api('POST', `/api/lists/${listId}/invitations`, {
+      token: owner.token,
+      body: { email: member.email, role }
+    });
+
+    await api('POST', `/api/invitations/${invited.body.invitation.id}/accept`, { token: member.token });
+  };
+
+  // A personal access token of the user with the given scopes
+  const createAccessToken = async (user, scopes, expiresInDays) => {
+    const created = await api('POST', '/api/auth/tokens', {
+      token: user.token,
+      body: { name: 'Test token', scopes, expiresInDays }
+    });
+
+    return created.body.token;
+  };
+
+  // The latest mail to an address, waiting a little for queued ones
+  const waitForMail = async (to, since = 0) => {
+    for (let attempt = 0; attempt < 50; attempt += 1) {
+      const mail = mails.slice(since).reverse().find(message => message.to === to);
+
+      if (mail) {
+        return mail;
+      }
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+
+    throw new Error(`No mail to ${to}`);
+  };
+
+  const stop = async () => {
+    await new Promise(resolve => server.close(resolve));
+    await require(path.join(ROOT, 'utils/realtime')).stopRealtimeListener();
+    await pool.end();
+  };
+
+  return { api, baseUrl, pool, mails, createUser, createList, createTask, addMember, createAccessToken, waitForMail, stop };
+};
+
+module.exports = { startApp };
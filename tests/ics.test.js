@@ -0,0 +1,96 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const {
+  escapeText,
+  unescapeText,
+  splitList,
+  foldLine,
+  parseDateValue,
+  buildTodo,
+  buildEvent,
+  parseCalendar
+} = require('../utils/ics');
+
+const task = {
+  id: 7,
+  title: 'Pay rent',
+  description: null,
+  priority: 'high',
+  completed: false,
+  created_at: '2030-01-01T10:00:00Z',
+  due_date: '2030-01-31',
+  due_at: null,
+  list_name: 'Home',
+  tags: ['bills']
+};
+
+test('text values are escaped and unescaped', () => {
+  const text = 'Milk, eggs; bread\\butter\nand jam';
+
+  assert.strictEqual(escapeText(text), 'Milk\\, eggs\\; bread\\\\butter\\nand jam');
+  assert.strictEqual(unescapeText(escapeText(text)), text);
+  assert.deepStrictEqual(splitList('work,a\\,b,home'), ['work', 'a,b', 'home']);
+});
+
+test('long lines are folded at 75 octets without splitting characters', () => {
+  const line = `SUMMARY:${'é'.repeat(100)}`;
+  const parts = foldLine(line).split('\r\n');
+
+  assert.ok(parts.length > 1);
+  parts.forEach((part, index) => {
+    assert.ok(Buffer.byteLength(part) <= 75);
+    assert.strictEqual(part.startsWith(' '), index > 0);
+  });
+  assert.strictEqual(parts.map((part, index) => (index > 0 ? part.slice(1) : part)).join(''), line);
+  assert.strictEqual(foldLine('SUMMARY:Short'), 'SUMMARY:Short');
+});
+
+test('date values are parsed', () => {
+  assert.deepStrictEqual(parseDateValue('20300131'), { date: '2030-01-31', time: null, utc: false });
+  assert.deepStrictEqual(parseDateValue('20300131T093000Z'), { date: '2030-01-31', time: '09:30:00', utc: true });
+  assert.strictEqual(parseDateValue('2030-01-31'), null);
+});
+
+test('tasks become VTODOs and all-day VEVENTs with stable UIDs', () => {
+  const stamp = '20300101T000000Z';
+  const todo = buildTodo(task, stamp);
+  const event = buildEvent(task, stamp);
+
+  assert.ok(todo.includes('UID:task-7@localhost'));
+  assert.ok(todo.includes('DUE;VALUE=DATE:20300131'));
+  assert.ok(todo.includes('PRIORITY:1'));
+  assert.ok(todo.includes('STATUS:NEEDS-ACTION'));
+  assert.ok(todo.includes('CATEGORIES:bills'));
+
+  assert.ok(event.includes('UID:event-task-7@localhost'));
+  assert.ok(event.includes('DTSTART;VALUE=DATE:20300131'));
+  assert.ok(event.includes('DTEND;VALUE=DATE:20300201'));
+
+  const completed = buildTodo({ ...task, completed: true, due_at: '2030-01-31T08:30:00Z' }, stamp);
+  assert.ok(completed.includes('STATUS:COMPLETED'));
+  assert.ok(completed.includes('PERCENT-COMPLETE:100'));
+  assert.ok(completed.includes('DUE:20300131T083000Z'));
+});
+
+test('calendars are parsed into components', () => {
+  const components = parseCalendar([
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'BEGIN:VTODO',
+    'UID:abc',
+    'SUMMARY:A long',
+    '  summary',
+    'ATTENDEE;CN="Doe; Jane":mailto:jane@example.com',
+    'END:VTODO',
+    'END:VCALENDAR'
+  ].join('\r\n'));
+
+  const todo = components[0].components[0];
+  assert.strictEqual(todo.name, 'VTODO');
+  assert.deepStrictEqual(todo.properties[1], { name: 'SUMMARY', params: {}, value: 'A long summary' });
+  assert.deepStrictEqual(todo.properties[2].params, { CN: 'Doe; Jane' });
+  assert.strictEqual(todo.properties[2].value, 'mailto:jane@example.com');
+
+  assert.throws(() => parseCalendar('BEGIN:VCALENDAR\r\nBEGIN:VTODO\r\nEND:VCALENDAR'));
+  assert.throws(() => parseCalendar('BEGIN:VCALENDAR\r\nnot a line\r\nEND:VCALENDAR'));
+});
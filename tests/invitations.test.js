@@ -0,0 +1,105 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startApp } = require('./helpers/app');
+
+let app;
+
+before(async () => {
+  app = await startApp();
+});
+
+after(() => app.stop());
+
+const invite = (owner, listId, email, role = 'member') => app.api('POST', `/api/lists/${listId}/invitations`, {
+  token: owner.token,
+  body: { email, role }
+});
+
+const memberIds = async (owner, listId) => {
+  const members = await app.api('GET', `/api/lists/${listId}/members`, { token: owner.token });
+  return members.body.members.map(member => member.id);
+};
+
+test('invitees only join once they accept', async () => {
+  const owner = await app.createUser();
+  const invitee = await app.createUser();
+  const list = await app.createList(owner);
+
+  const invited = await invite(owner, list.id, invitee.email, 'admin');
+  assert.strictEqual(invited.status, 201);
+  assert.deepStrictEqual(await memberIds(owner, list.id), [owner.id]);
+
+  const pending = await app.api('GET', '/api/invitations', { token: invitee.token });
+  assert.deepStrictEqual(pending.body.invitations.map(invitation => invitation.list_id), [list.id]);
+
+  const token = /token=(\w+)/.exec((await app.waitForMail(invitee.email)).text)[1];
+  const accepted = await app.api('POST', '/api/invitations/accept', { token: invitee.token, body: { token } });
+  assert.strictEqual(accepted.status, 200);
+
+  const members = await app.api('GET', `/api/lists/${list.id}/members`, { token: owner.token });
+  assert.strictEqual(members.body.members.find(member => member.id === invitee.id).role, 'admin');
+});
+
+test('declined, revoked and expired invitations cannot be accepted', async () => {
+  const owner = await app.createUser();
+  const invitee = await app.createUser();
+  const list = await app.createList(owner);
+
+  const declined = await invite(owner, list.id, invitee.email);
+  const invitationId = declined.body.invitation.id;
+  assert.strictEqual((await app.api('POST', `/api/invitations/${invitationId}/decline`, { token: invitee.token })).status, 200);
+  assert.strictEqual((await app.api('POST', `/api/invitations/${invitationId}/accept`, { token: invitee.token })).status, 409);
+
+  const revoked = await invite(owner, list.id, invitee.email);
+  const revokedId = revoked.body.invitation.id;
+  assert.strictEqual((await app.api('DELETE', `/api/lists/${list.id}/invitations/${revokedId}`, { token: owner.token })).status, 200);
+  assert.strictEqual((await app.api('POST', `/api/invitations/${revokedId}/accept`, { token: invitee.token })).status, 409);
+
+  const expired = await invite(owner, list.id, invitee.email);
+  await app.pool.query("UPDATE list_invitations SET expires_at = NOW() - INTERVAL '1 second' WHERE id = $1", [expired.body.invitation.id]);
+  assert.strictEqual((await app.api('POST', `/api/invitations/${expired.body.invitation.id}/accept`, { token: invitee.token })).status, 410);
+
+  assert.deepStrictEqual(await memberIds(owner, list.id), [owner.id]);
+});
+
+test('only the invited address can answer an invitation', async () => {
+  const owner = await app.createUser();
+  const invitee = await app.createUser();
+  const other = await app.createUser();
+  const list = await app.createList(owner);
+
+  const invited = await invite(owner, list.id, invitee.email);
+  const accepted = await app.api('POST', `/api/invitations/${invited.body.invitation.id}/accept`, { token: other.token });
+  assert.strictEqual(accepted.status, 404);
+});
+
+test('people without an account join once they register and verify their email', async () => {
+  const owner = await app.createUser();
+  const list = await app.createList(owner);
+  await invite(owner, list.id, 'newcomer@example.com');
+
+  const registered = await app.api('POST', '/api/auth/register', {
+    body: { name: 'Newcomer', email: 'newcomer@example.com', password: 'Password123' }
+  });
+  assert.deepStrictEqual(await memberIds(owner, list.id), [owner.id]);
+
+  // The verification mail comes after the invitation
+  const token = /verify-email\?token=(\w+)/.exec((await app.waitForMail('newcomer@example.com')).text);
+  const verified = await app.api('POST', '/api/auth/verify-email', { body: { token: token[1] } });
+  assert.strictEqual(verified.body.accepted_invitations.length, 1);
+  assert.deepStrictEqual(await memberIds(owner, list.id), [owner.id, registered.body.user.id]);
+});
+
+test('only owners and admins see and send invitations', async () => {
+  const owner = await app.createUser();
+  const member = await app.createUser();
+  const list = await app.createList(owner);
+  await app.addMember(owner, list.id, member, 'member');
+
+  assert.strictEqual((await invite(member, list.id, 'someone@example.com')).status, 403);
+  assert.strictEqual((await app.api('GET', `/api/lists/${list.id}/invitations`, { token: member.token })).status, 403);
+
+  await invite(owner, list.id, 'someone@example.com');
+  const pending = await app.api('GET', `/api/lists/${list.id}/invitations`, { token: owner.token });
+  assert.deepStrictEqual(pending.body.invitations.map(invitation => invitation.email), ['someone@example.com']);
+});
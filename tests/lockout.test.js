@@ -0,0 +1,97 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startApp } = require('./helpers/app');
+
+let app;
+
+before(async () => {
+  app = await startApp();
+});
+
+after(() => app.stop());
+
+const login = (email, password) => app.api('POST', '/api/auth/login', { body: { email, password } });
+
+test('repeated failures lock the account, for longer each time', async () => {
+  const user = await app.createUser();
+
+  for (let attempt = 1; attempt < 5; attempt++) {
+    assert.strictEqual((await login(user.email, 'wrong-password')).status, 401);
+  }
+  const locked = await login(user.email, 'wrong-password');
+  assert.strictEqual(locked.status, 429);
+  assert.strictEqual(locked.headers.get('retry-after'), '300');
+
+  // Not even the right password gets through while locked
+  assert.strictEqual((await login(user.email, user.password)).status, 429);
+
+  await app.pool.query("UPDATE account_lockouts SET locked_until = NOW() - INTERVAL '1 second'");
+  for (let attempt = 1; attempt < 5; attempt++) {
+    await login(user.email, 'wrong-password');
+  }
+  const lockedAgain = await login(user.email, 'wrong-password');
+  assert.strictEqual(lockedAgain.headers.get('retry-after'), '600');
+});
+
+test('a successful login clears the failures', async () => {
+  const user = await app.createUser();
+
+  for (let attempt = 1; attempt < 5; attempt++) {
+    await login(user.email, 'wrong-password');
+  }
+  assert.strictEqual((await login(user.email, user.password)).status, 200);
+  assert.strictEqual((await login(user.email, 'wrong-password')).status, 401);
+});
+
+test('unknown emails get the same answer, after checking a password just as long', async () => {
+  const user = await app.createUser();
+
+  let started = Date.now();
+  const known = await login(user.email, 'wrong-password');
+  const knownMs = Date.now() - started;
+
+  started = Date.now();
+  const unknown = await login('nobody@example.com', 'wrong-password');
+  const unknownMs = Date.now() - started;
+
+  assert.strictEqual(unknown.status, known.status);
+  assert.deepStrictEqual(unknown.body, known.body);
+  assert.ok(unknownMs > knownMs / 2, `unknown email took ${unknownMs}ms, known ${knownMs}ms`);
+});
+
+test('unknown emails lock just like accounts do', async () => {
+  const user = await app.createUser();
+
+  for (let attempt = 1; attempt < 5; attempt++) {
+    assert.strictEqual((await login(user.email, 'wrong-password')).status, 401);
+    assert.strictEqual((await login('nobody-here@example.com', 'wrong-password')).status, 401);
+  }
+
+  const known = await login(user.email, 'wrong-password');
+  const unknown = await login('nobody-here@example.com', 'wrong-password');
+  assert.strictEqual(unknown.status, 429);
+  assert.deepStrictEqual(unknown.body, known.body);
+  assert.strictEqual(unknown.headers.get('retry-after'), known.headers.get('retry-after'));
+
+  const stillLocked = await login('Nobody-Here@example.com', 'wrong-password');
+  assert.strictEqual(stillLocked.status, 429);
+});
+
+test('users can review their security events', async () => {
+  const user = await app.createUser();
+  await login(user.email, 'wrong-password');
+  await login(user.email, user.password);
+
+  const events = await app.api('GET', '/api/auth/security-events', { token: user.token });
+  assert.strictEqual(events.status, 200);
+  assert.deepStrictEqual(
+    events.body.events.map(event => event.event_type),
+    ['login_success', 'login_failed', 'account_created']
+  );
+  assert.strictEqual(events.body.total, 3);
+
+  // Only their own
+  const other = await app.createUser();
+  const otherEvents = await app.api('GET', '/api/auth/security-events', { token: other.token });
+  assert.strictEqual(otherEvents.body.total, 1);
+});
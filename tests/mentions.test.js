@@ -0,0 +1,32 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseMentions } = require('../utils/comments');
+
+const people = [
+  { id: 1, name: 'Ann' },
+  { id: 2, name: 'Ann Lee' },
+  { id: 3, name: 'Bob' }
+];
+
+const mentionedIds = body => parseMentions(body, people).map(person => person.id);
+
+test('mentions are matched by name, ignoring case', () => {
+  assert.deepStrictEqual(mentionedIds('Thanks @bob!'), [3]);
+});
+
+test('the longest matching name wins', () => {
+  assert.deepStrictEqual(mentionedIds('@Ann Lee can you check?'), [2]);
+  assert.deepStrictEqual(mentionedIds('@Ann can you check?'), [1]);
+});
+
+test('names must end at a word boundary', () => {
+  assert.deepStrictEqual(mentionedIds('@Bobby said so'), []);
+});
+
+test('email addresses are not mentions', () => {
+  assert.deepStrictEqual(mentionedIds('Write to bob@bob.com'), []);
+});
+
+test('each person is mentioned once', () => {
+  assert.deepStrictEqual(mentionedIds('@Bob and @bob again, and @Ann'), [3, 1]);
+});
@@ -0,0 +1,107 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startApp } = require('./helpers/app');
+
+let app;
+
+before(async () => {
+  app = await startApp();
+});
+
+after(() => app.stop());
+
+const inbox = async (user, query = '') => (await app.api('GET', `/api/notifications${query}`, { token: user.token })).body;
+
+// YYYY-MM-DD, days from today (UTC, like CURRENT_DATE in the tests)
+const dateFromToday = (days) => new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+test('member management is announced to the member', async () => {
+  const owner = await app.createUser('Olivia');
+  const member = await app.createUser('Max');
+  const list = await app.createList(owner, 'Chores');
+  await app.addMember(owner, list.id, member, 'member');
+  await app.api('PUT', `/api/lists/${list.id}/members/${member.id}`, { token: owner.token, body: { role: 'admin' } });
+  await app.api('PUT', `/api/lists/${list.id}/transfer-ownership`, { token: owner.token, body: { email: member.email } });
+
+  const { notifications, unread_count: unreadCount } = await inbox(member);
+  assert.deepStrictEqual(notifications.map(notification => notification.type), [
+    'list.ownership_transferred',
+    'member.role_changed',
+    'invitation.received'
+  ]);
+  assert.strictEqual(unreadCount, 3);
+  assert.strictEqual(notifications[1].message, 'Olivia changed your role on "Chores" to admin');
+
+  // The inviter hears back
+  const ownerInbox = await inbox(owner);
+  assert.deepStrictEqual(ownerInbox.notifications.map(notification => notification.type), ['invitation.accepted']);
+});
+
+test('notifications can be marked read one by one or all at once', async () => {
+  const owner = await app.createUser();
+  const member = await app.createUser();
+  const list = await app.createList(owner);
+  await app.addMember(owner, list.id, member, 'member');
+  await app.api('PUT', `/api/lists/${list.id}/members/${member.id}`, { token: owner.token, body: { role: 'viewer' } });
+
+  const [latest] = (await inbox(member)).notifications;
+  const read = await app.api('PATCH', `/api/notifications/${latest.id}/read`, { token: member.token });
+  assert.strictEqual(read.body.unread_count, 1);
+  assert.deepStrictEqual((await inbox(member, '?unread=true')).notifications.map(n => n.type), ['invitation.received']);
+
+  // Nobody else's
+  assert.strictEqual((await app.api('PATCH', `/api/notifications/${latest.id}/read`, { token: owner.token })).status, 404);
+
+  const all = await app.api('PATCH', '/api/notifications/read-all', { token: member.token });
+  assert.strictEqual(all.body.updated, 1);
+  assert.strictEqual((await app.api('GET', '/api/notifications/unread-count', { token: member.token })).body.unread_count, 0);
+});
+
+test('turned off types are not delivered', async () => {
+  const owner = await app.createUser();
+  const member = await app.createUser();
+  const list = await app.createList(owner);
+  await app.addMember(owner, list.id, member, 'member');
+
+  const updated = await app.api('PUT', '/api/notifications/preferences', {
+    token: member.token,
+    body: { preferences: { 'member.role_changed': false } }
+  });
+  assert.strictEqual(updated.body.preferences.find(preference => preference.type === 'member.role_changed').enabled, false);
+
+  await app.api('PUT', `/api/lists/${list.id}/members/${member.id}`, { token: owner.token, body: { role: 'admin' } });
+  assert.deepStrictEqual((await inbox(member)).notifications.map(n => n.type), ['invitation.received']);
+});
+
+test('due and overdue tasks are announced once to their assignees, or else the owner', async () => {
+  const { notifyDueTasks } = require('../utils/notifications');
+  const owner = await app.createUser();
+  const member = await app.createUser();
+  const list = await app.createList(owner);
+  await app.addMember(owner, list.id, member, 'member');
+  const dueSoon = await app.createTask(owner, list.id, { due_date: dateFromToday(1), assignee_ids: [member.id] });
+  const overdue = await app.createTask(owner, list.id, { due_date: dateFromToday(-1) });
+  await app.createTask(owner, list.id, { due_date: dateFromToday(10) });
+
+  await notifyDueTasks();
+  await notifyDueTasks();
+
+  const memberNotifications = (await inbox(member)).notifications.filter(n => n.type.startsWith('task.'));
+  assert.deepStrictEqual(memberNotifications.map(n => [n.type, n.task_id]), [['task.due_soon', dueSoon.id]]);
+
+  const ownerNotifications = (await inbox(owner)).notifications.filter(n => n.type.startsWith('task.'));
+  assert.deepStrictEqual(ownerNotifications.map(n => [n.type, n.task_id]), [['task.overdue', overdue.id]]);
+});
+
+test('stopping the due task job waits for its run to finish', async () => {
+  const { startDueTaskNotifications } = require('../utils/notifications');
+  const owner = await app.createUser();
+  const list = await app.createList(owner);
+  const task = await app.createTask(owner, list.id, { due_date: dateFromToday(0) });
+
+  const stop = startDueTaskNotifications();
+  await stop();
+
+  const notifications = (await inbox(owner)).notifications;
+  assert.deepStrictEqual(notifications.map(n => [n.type, n.task_id]), [['task.due_soon', task.id]]);
+});
@@ -0,0 +1,124 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startApp } = require('./helpers/app');
+
+let app;
+let owner;
+let member;
+
+before(async () => {
+  app = await startApp();
+  owner = await app.createUser('Owner');
+  member = await app.createUser('Member');
+});
+
+after(() => app.stop());
+
+const taskTitles = async (listId) => {
+  const response = await app.api('GET', `/api/tasks/list/${listId}`, { token: owner.token });
+  return response.body.tasks.map(task => task.title);
+};
+
+const moveTask = (taskId, body, user = owner) => app.api('PATCH', `/api/tasks/${taskId}/move`, { token: user.token, body });
+
+test('new tasks go first and can be moved anywhere', async () => {
+  const list = await app.createList(owner);
+  const a = await app.createTask(owner, list.id, { title: 'A' });
+  const b = await app.createTask(owner, list.id, { title: 'B' });
+  const c = await app.createTask(owner, list.id, { title: 'C' });
+  assert.deepStrictEqual(await taskTitles(list.id), ['C', 'B', 'A']);
+
+  const moved = await moveTask(a.id, { before_id: c.id });
+  assert.strictEqual(moved.status, 200);
+  assert.deepStrictEqual(await taskTitles(list.id), ['A', 'C', 'B']);
+
+  await moveTask(c.id, { after_id: b.id });
+  assert.deepStrictEqual(await taskTitles(list.id), ['A', 'B', 'C']);
+
+  // Moving only rewrites the moved task
+  const positions = await app.pool.query('SELECT id, position FROM tasks WHERE list_id = $1', [list.id]);
+  const positionOf = id => positions.rows.find(row => row.id === id).position;
+  assert.strictEqual(positionOf(a.id), moved.body.task.position);
+  assert.strictEqual(positionOf(b.id), b.position);
+
+  // The list itself is in the same order
+  assert.deepStrictEqual((await app.api('GET', `/api/lists/${list.id}`, { token: owner.token })).body.list.tasks.map(task => task.title), ['A', 'B', 'C']);
+});
+
+test('moves need an anchor in the same list and the right role', async () => {
+  const list = await app.createList(owner);
+  const other = await app.createList(owner);
+  const task = await app.createTask(owner, list.id);
+  const anchor = await app.createTask(owner, list.id);
+  const elsewhere = await app.createTask(owner, other.id);
+
+  assert.strictEqual((await moveTask(task.id, { before_id: elsewhere.id })).status, 400);
+  assert.strictEqual((await moveTask(task.id, { before_id: task.id })).status, 400);
+  assert.strictEqual((await moveTask(task.id, { before_id: anchor.id, after_id: anchor.id })).status, 400);
+  assert.strictEqual((await moveTask(task.id, {})).status, 400);
+
+  assert.strictEqual((await moveTask(task.id, { before_id: anchor.id }, member)).status, 404);
+  await app.addMember(owner, list.id, member, 'viewer');
+  assert.strictEqual((await moveTask(task.id, { before_id: anchor.id }, member)).status, 403);
+});
+
+test('subtasks are added last and can be reordered', async () => {
+  const list = await app.createList(owner);
+  const task = await app.createTask(owner, list.id);
+  const subtasks = [];
+  for (const title of ['One', 'Two', 'Three']) {
+    subtasks.push((await app.api('POST', `/api/tasks/${task.id}/subtasks`, { token: owner.token, body: { title } })).body.subtask);
+  }
+
+  const titles = async () => (await app.api('GET', `/api/tasks/${task.id}`, { token: owner.token })).body.task.subtasks.map(subtask => subtask.title);
+  assert.deepStrictEqual(await titles(), ['One', 'Two', 'Three']);
+
+  const moved = await app.api('PATCH', `/api/tasks/subtasks/${subtasks[2].id}/move`, { token: owner.token, body: { before_id: subtasks[0].id } });
+  assert.strictEqual(moved.status, 200);
+  assert.deepStrictEqual(await titles(), ['Three', 'One', 'Two']);
+
+  const otherTask = await app.createTask(owner, list.id);
+  const foreign = (await app.api('POST', `/api/tasks/${otherTask.id}/subtasks`, { token: owner.token, body: { title: 'Foreign' } })).body.subtask;
+  const refused = await app.api('PATCH', `/api/tasks/subtasks/${subtasks[0].id}/move`, { token: owner.token, body: { after_id: foreign.id } });
+  assert.strictEqual(refused.status, 400);
+});
+
+test('each user orders their lists for themselves', async () => {
+  const first = await app.createList(member, 'First');
+  const second = await app.createList(member, 'Second');
+  const shared = await app.createList(owner, 'Shared');
+  await app.addMember(owner, shared.id, member);
+
+  const names = async (user) => (await app.api('GET', '/api/lists', { token: user.token })).body.lists.map(list => list.name);
+  const initial = await names(member);
+  assert.deepStrictEqual(initial.slice(0, 3), ['Shared', 'Second', 'First']);
+
+  const moved = await app.api('PATCH', `/api/lists/${shared.id}/move`, { token: member.token, body: { after_id: first.id } });
+  assert.strictEqual(moved.status, 200);
+  assert.deepStrictEqual((await names(member)).slice(0, 3), ['Second', 'First', 'Shared']);
+
+  // The owner's order is untouched
+  assert.strictEqual((await names(owner))[0], 'Shared');
+
+  const foreign = await app.api('PATCH', `/api/lists/${shared.id}/move`, { token: owner.token, body: { before_id: second.id } });
+  assert.strictEqual(foreign.status, 400);
+});
+
+test('a list without room for a position is renumbered', async () => {
+  const list = await app.createList(owner);
+  const a = await app.createTask(owner, list.id, { title: 'A' });
+  const b = await app.createTask(owner, list.id, { title: 'B' });
+  const c = await app.createTask(owner, list.id, { title: 'C' });
+
+  // Neighbours this close only leave room for a position past the limit
+  await app.pool.query('UPDATE tasks SET position = $1 WHERE id = $2', ['V', a.id]);
+  await app.pool.query('UPDATE tasks SET position = $1 WHERE id = $2', [`V${'0'.repeat(64)}1`, b.id]);
+  await app.pool.query('UPDATE tasks SET position = $1 WHERE id = $2', ['W', c.id]);
+
+  const moved = await moveTask(c.id, { after_id: a.id });
+  assert.strictEqual(moved.status, 200);
+  assert.deepStrictEqual(await taskTitles(list.id), ['A', 'C', 'B']);
+
+  const positions = await app.pool.query('SELECT position FROM tasks WHERE list_id = $1', [list.id]);
+  assert.ok(positions.rows.every(row => row.position.length <= 2));
+});
@@ -0,0 +1,82 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startApp } = require('./helpers/app');
+
+let app;
+
+before(async () => {
+  app = await startApp();
+});
+
+after(() => app.stop());
+
+const resetToken = (mail) => /reset-password\?token=(\w+)/.exec(mail.text)[1];
+
+test('a reset link is mailed and works once', async () => {
+  const user = await app.createUser();
+
+  const requested = await app.api('POST', '/api/auth/forgot-password', { body: { email: user.email } });
+  assert.strictEqual(requested.status, 200);
+  const token = resetToken(await app.waitForMail(user.email));
+
+  const reset = await app.api('POST', '/api/auth/reset-password', { body: { token, newPassword: 'NewPassword456' } });
+  assert.strictEqual(reset.status, 200);
+
+  const again = await app.api('POST', '/api/auth/reset-password', { body: { token, newPassword: 'OtherPassword789' } });
+  assert.strictEqual(again.status, 400);
+
+  const login = await app.api('POST', '/api/auth/login', { body: { email: user.email, password: 'NewPassword456' } });
+  assert.strictEqual(login.status, 200);
+
+  // Sessions from before the reset are gone
+  assert.strictEqual((await app.api('GET', '/api/auth/profile', { token: user.token })).status, 401);
+});
+
+test('only the latest reset link is valid', async () => {
+  const user = await app.createUser();
+
+  await app.api('POST', '/api/auth/forgot-password', { body: { email: user.email } });
+  const first = resetToken(await app.waitForMail(user.email));
+  const sent = app.mails.length;
+  await app.api('POST', '/api/auth/forgot-password', { body: { email: user.email } });
+  const second = resetToken(await app.waitForMail(user.email, sent));
+
+  const stale = await app.api('POST', '/api/auth/reset-password', { body: { token: first, newPassword: 'NewPassword456' } });
+  assert.strictEqual(stale.status, 400);
+  const fresh = await app.api('POST', '/api/auth/reset-password', { body: { token: second, newPassword: 'NewPassword456' } });
+  assert.strictEqual(fresh.status, 200);
+});
+
+test('expired reset links are refused', async () => {
+  const user = await app.createUser();
+
+  await app.api('POST', '/api/auth/forgot-password', { body: { email: user.email } });
+  const token = resetToken(await app.waitForMail(user.email));
+  await app.pool.query("UPDATE password_reset_tokens SET expires_at = NOW() - INTERVAL '1 minute'");
+
+  const reset = await app.api('POST', '/api/auth/reset-password', { body: { token, newPassword: 'NewPassword456' } });
+  assert.strictEqual(reset.status, 400);
+});
+
+test('the response does not reveal whether an account exists', async () => {
+  const user = await app.createUser();
+  const sent = app.mails.length;
+
+  const known = await app.api('POST', '/api/auth/forgot-password', { body: { email: user.email } });
+  const unknown = await app.api('POST', '/api/auth/forgot-password', { body: { email: 'nobody@example.com' } });
+
+  assert.strictEqual(unknown.status, known.status);
+  assert.deepStrictEqual(unknown.body, known.body);
+  await app.waitForMail(user.email, sent);
+  assert.ok(!app.mails.some(mail => mail.to === 'nobody@example.com'));
+});
+
+test('security question recovery is disabled by default', async () => {
+  const question = await app.api('POST', '/api/auth/get-security-question', { body: { email: 'nobody@example.com' } });
+  assert.strictEqual(question.status, 404);
+
+  const reset = await app.api('POST', '/api/auth/reset-password', {
+    body: { email: 'nobody@example.com', securityAnswer: 'Rex', newPassword: 'NewPassword456' }
+  });
+  assert.strictEqual(reset.status, 400);
+});
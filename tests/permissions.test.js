@@ -0,0 +1,74 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startApp } = require('./helpers/app');
+
+let app;
+let owner;
+let list;
+let task;
+
+before(async () => {
+  app = await startApp();
+  owner = await app.createUser();
+  list = await app.createList(owner, 'Shared');
+  task = await app.createTask(owner, list.id);
+});
+
+after(() => app.stop());
+
+const memberWithRole = async (role) => {
+  const user = await app.createUser();
+  await app.addMember(owner, list.id, user, role);
+  return user;
+};
+
+const attempts = {
+  view: user => app.api('GET', `/api/lists/${list.id}`, { token: user.token }),
+  comment: user => app.api('POST', `/api/tasks/${task.id}/comments`, { token: user.token, body: { body: 'Hi' } }),
+  createTask: user => app.api('POST', '/api/tasks', { token: user.token, body: { list_id: list.id, title: 'New' } }),
+  complete: user => app.api('PATCH', `/api/tasks/${task.id}/toggle`, { token: user.token }),
+  rename: user => app.api('PUT', `/api/lists/${list.id}`, { token: user.token, body: { name: 'Renamed' } }),
+  invite: user => app.api('POST', `/api/lists/${list.id}/invitations`, { token: user.token, body: { email: 'x@example.com' } })
+};
+
+const allowed = async (user) => {
+  const result = {};
+  for (const [action, attempt] of Object.entries(attempts)) {
+    const response = await attempt(user);
+    assert.ok([200, 201, 403].includes(response.status), `${action} answered ${response.status}`);
+    result[action] = response.status !== 403;
+  }
+  return result;
+};
+
+test('viewers can only look', async () => {
+  assert.deepStrictEqual(await allowed(await memberWithRole('viewer')), {
+    view: true, comment: false, createTask: false, complete: false, rename: false, invite: false
+  });
+});
+
+test('commenters can also comment', async () => {
+  assert.deepStrictEqual(await allowed(await memberWithRole('commenter')), {
+    view: true, comment: true, createTask: false, complete: false, rename: false, invite: false
+  });
+});
+
+test('members can also work on tasks', async () => {
+  assert.deepStrictEqual(await allowed(await memberWithRole('member')), {
+    view: true, comment: true, createTask: true, complete: true, rename: false, invite: false
+  });
+});
+
+test('admins can also manage the list, but not delete it', async () => {
+  const admin = await memberWithRole('admin');
+  assert.deepStrictEqual(await allowed(admin), {
+    view: true, comment: true, createTask: true, complete: true, rename: true, invite: true
+  });
+  assert.strictEqual((await app.api('DELETE', `/api/lists/${list.id}`, { token: admin.token })).status, 403);
+});
+
+test('people outside the list do not learn it exists', async () => {
+  const stranger = await app.createUser();
+  assert.strictEqual((await attempts.view(stranger)).status, 404);
+  assert.strictEqual((await attempts.rename(stranger)).status, 404);
+});
@@ -0,0 +1,78 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { positionBetween, evenPositions } = require('../utils/positions');
+
+// Positions compare byte by byte, as under COLLATE "C"
+const assertOrdered = (positions) => {
+  for (let i = 1; i < positions.length; i++) {
+    assert.ok(positions[i - 1] < positions[i], `${positions[i - 1]} < ${positions[i]}`);
+  }
+};
+
+test('a position fits between any two others', () => {
+  const positions = [positionBetween(null, null)];
+  let seed = 7;
+
+  // Insert at pseudo-random places and check the order holds throughout
+  for (let i = 0; i < 500; i++) {
+    seed = (seed * 48271) % 2147483647;
+    const index = seed % (positions.length + 1);
+    const position = positionBetween(positions[index - 1] || null, positions[index] || null);
+
+    assert.ok(position && !position.endsWith('0'), position);
+    positions.splice(index, 0, position);
+  }
+
+  assertOrdered(positions);
+  assert.strictEqual(new Set(positions).size, positions.length);
+});
+
+// Each digit at an end leaves room for about 30 more items there
+test('adding to either end grows positions slowly', () => {
+  let first = positionBetween(null, null);
+  let last = first;
+
+  for (let i = 0; i < 1000; i++) {
+    const before = positionBetween(null, first);
+    const after = positionBetween(last, null);
+
+    assert.ok(before < first && after > last);
+    first = before;
+    last = after;
+  }
+
+  assert.ok(first.length <= 35, first);
+  assert.ok(last.length <= 35, last);
+});
+
+test('splitting the same gap over and over grows positions slowly', () => {
+  const low = positionBetween(null, null);
+  let high = positionBetween(low, null);
+
+  for (let i = 0; i < 100; i++) {
+    const middle = positionBetween(low, high);
+    assert.ok(low < middle && middle < high);
+    high = middle;
+  }
+
+  assert.ok(high.length <= 30, high);
+});
+
+test('there is no position between tied, reversed or invalid neighbours', () => {
+  assert.strictEqual(positionBetween('V', 'V'), null);
+  assert.strictEqual(positionBetween('W', 'V'), null);
+  assert.strictEqual(positionBetween('', null), null);
+  assert.strictEqual(positionBetween('V0', null), null);
+  assert.strictEqual(positionBetween(null, 'V-1'), null);
+});
+
+test('even positions are ordered, distinct and short', () => {
+  for (const count of [1, 2, 30, 31, 1000]) {
+    const positions = evenPositions(count);
+
+    assert.strictEqual(positions.length, count);
+    assertOrdered(positions);
+    assert.ok(positions.every(position => position.length <= 2 && !position.endsWith('0')));
+    assert.ok(positionBetween(positions[0], positions[1] || null));
+  }
+});
@@ -0,0 +1,61 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseRule, formatRule, isValidRecurrence, nextOccurrence } = require('../utils/recurrence');
+
+test('rules outside the supported subset are rejected', () => {
+  for (const rule of [
+    'FREQ=YEARLY',
+    'FREQ=DAILY;BYDAY=MO',
+    'FREQ=WEEKLY;BYDAY=XX',
+    'FREQ=MONTHLY;BYMONTHDAY=32',
+    'FREQ=DAILY;INTERVAL=0',
+    'FREQ=DAILY;COUNT=3',
+    'FREQ=DAILY;FREQ=WEEKLY',
+    42
+  ]) {
+    assert.strictEqual(parseRule(rule), null, String(rule));
+  }
+});
+
+test('rules are parsed and stored in one canonical form', () => {
+  assert.deepStrictEqual(parseRule('RRULE:freq=weekly;byday=TH,MO,TH'), {
+    freq: 'WEEKLY',
+    interval: 1,
+    byDay: [0, 3],
+    byMonthDay: null
+  });
+  assert.strictEqual(formatRule(parseRule('FREQ=WEEKLY;BYDAY=TH,MO')), 'FREQ=WEEKLY;INTERVAL=1;BYDAY=MO,TH');
+  assert.strictEqual(formatRule(parseRule('FREQ=MONTHLY;BYMONTHDAY=-1')), 'FREQ=MONTHLY;INTERVAL=1;BYMONTHDAY=-1');
+});
+
+test('repeating after completion needs a daily rule', () => {
+  assert.ok(isValidRecurrence({ rule: 'FREQ=DAILY;INTERVAL=3', after_completion: true }));
+  assert.ok(!isValidRecurrence({ rule: 'FREQ=WEEKLY', after_completion: true }));
+});
+
+test('daily rules step by their interval from the start', () => {
+  const rule = 'FREQ=DAILY;INTERVAL=3';
+  assert.strictEqual(nextOccurrence(rule, '2024-01-01', '2023-12-31'), '2024-01-01');
+  assert.strictEqual(nextOccurrence(rule, '2024-01-01', '2024-01-01'), '2024-01-04');
+  assert.strictEqual(nextOccurrence(rule, '2024-01-01', '2024-01-05'), '2024-01-07');
+});
+
+test('weekly rules fall on their weekdays', () => {
+  const rule = 'FREQ=WEEKLY;BYDAY=MO,TH';
+  // 2024-01-07 is a Sunday
+  assert.strictEqual(nextOccurrence(rule, '2024-01-07', '2024-01-06'), '2024-01-08');
+  assert.strictEqual(nextOccurrence(rule, '2024-01-07', '2024-01-08'), '2024-01-11');
+  assert.strictEqual(nextOccurrence(rule, '2024-01-07', '2024-01-11'), '2024-01-15');
+});
+
+test('weekly rules without weekdays repeat on the weekday they start', () => {
+  // 2024-01-03 is a Wednesday
+  assert.strictEqual(nextOccurrence('FREQ=WEEKLY;INTERVAL=2', '2024-01-03', '2024-01-03'), '2024-01-17');
+});
+
+test('monthly rules fall on the last day of months too short for them', () => {
+  assert.strictEqual(nextOccurrence('FREQ=MONTHLY', '2024-01-31', '2024-01-31'), '2024-02-29');
+  assert.strictEqual(nextOccurrence('FREQ=MONTHLY', '2024-01-31', '2024-02-29'), '2024-03-31');
+  assert.strictEqual(nextOccurrence('FREQ=MONTHLY;BYMONTHDAY=-1', '2024-04-30', '2024-04-30'), '2024-05-31');
+  assert.strictEqual(nextOccurrence('FREQ=MONTHLY;BYMONTHDAY=15;INTERVAL=2', '2024-01-15', '2024-01-15'), '2024-03-15');
+});
@@ -0,0 +1,137 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startApp } = require('./helpers/app');
+
+let app;
+let user;
+let list;
+
+before(async () => {
+  app = await startApp();
+  user = await app.createUser();
+  list = await app.createList(user);
+});
+
+after(() => app.stop());
+
+const addReminder = (taskId, body) => app.api('POST', `/api/tasks/${taskId}/reminders`, { token: user.token, body });
+
+// Make a reminder due right now
+const makeDue = reminderId => app.pool.query("UPDATE task_reminders SET fire_at = NOW() - INTERVAL '1 minute' WHERE id = $1", [reminderId]);
+
+const reminderNotifications = async () => {
+  const inbox = await app.api('GET', '/api/notifications', { token: user.token });
+  return inbox.body.notifications.filter(notification => notification.type === 'task.reminder');
+};
+
+test('due times are stored as instants in the time zone of the task', async () => {
+  const local = await app.createTask(user, list.id, { due_date: '2030-03-10', due_time: '09:30', time_zone: 'Europe/Berlin' });
+  assert.strictEqual(new Date(local.due_at).toISOString(), '2030-03-10T08:30:00.000Z');
+  assert.strictEqual(local.time_zone, 'Europe/Berlin');
+
+  // An offset names the instant; the day is taken in the user's time zone (UTC)
+  const instant = await app.createTask(user, list.id, { due_date: '2030-03-10T23:30:00-05:00' });
+  assert.strictEqual(new Date(instant.due_at).toISOString(), '2030-03-11T04:30:00.000Z');
+  assert.strictEqual(new Date(instant.due_date).toISOString().slice(0, 10), '2030-03-11');
+
+  const dateOnly = await app.createTask(user, list.id, { due_date: '2030-03-10' });
+  assert.strictEqual(dateOnly.due_at, null);
+
+  const refused = await app.api('POST', '/api/tasks', {
+    token: user.token,
+    body: { list_id: list.id, title: 'Bad', due_date: '2030-03-10', time_zone: 'Mars/Olympus' }
+  });
+  assert.strictEqual(refused.status, 400);
+});
+
+test('relative reminders follow the due time', async () => {
+  const task = await app.createTask(user, list.id, { due_date: '2030-03-10', due_time: '09:30', time_zone: 'Europe/Berlin' });
+  const created = await addReminder(task.id, { minutes_before: 60 });
+  assert.strictEqual(new Date(created.body.reminder.fire_at).toISOString(), '2030-03-10T07:30:00.000Z');
+
+  await app.api('PUT', `/api/tasks/${task.id}`, {
+    token: user.token,
+    body: { title: 'Task', due_date: '2030-03-11', due_time: '10:00', time_zone: 'Europe/Berlin' }
+  });
+  const reminders = await app.api('GET', `/api/tasks/${task.id}/reminders`, { token: user.token });
+  assert.strictEqual(new Date(reminders.body.reminders[0].fire_at).toISOString(), '2030-03-11T08:00:00.000Z');
+
+  // Tasks due on a day count back from the default time of day
+  const allDay = await app.createTask(user, list.id, { due_date: '2030-03-10' });
+  const allDayReminder = await addReminder(allDay.id, { minutes_before: 30 });
+  assert.strictEqual(new Date(allDayReminder.body.reminder.fire_at).toISOString(), '2030-03-10T08:30:00.000Z');
+});
+
+test('reminders need a future time or a due date', async () => {
+  const undated = await app.createTask(user, list.id);
+  assert.strictEqual((await addReminder(undated.id, { minutes_before: 10 })).status, 400);
+  assert.strictEqual((await addReminder(undated.id, { remind_at: '2020-01-01T09:00:00Z' })).status, 400);
+  assert.strictEqual((await addReminder(undated.id, { remind_at: '2030-01-01T09:00:00Z', minutes_before: 5 })).status, 400);
+  assert.strictEqual((await addReminder(undated.id, { remind_at: '2030-01-01T09:00:00+01:00' })).status, 201);
+});
+
+test('due reminders go off exactly once, and not for completed tasks', async () => {
+  const { fireDueReminders } = require('../utils/reminders');
+  const task = await app.createTask(user, list.id, { title: 'Call the dentist' });
+  const done = await app.createTask(user, list.id, { title: 'Already done' });
+  const reminder = await addReminder(task.id, { remind_at: '2030-01-01T09:00:00Z' });
+  const skipped = await addReminder(done.id, { remind_at: '2030-01-01T09:00:00Z' });
+  await app.api('PATCH', `/api/tasks/${done.id}/toggle`, { token: user.token });
+  await makeDue(reminder.body.reminder.id);
+  await makeDue(skipped.body.reminder.id);
+
+  assert.strictEqual(await fireDueReminders(), 1);
+  assert.strictEqual(await fireDueReminders(), 0);
+
+  const notifications = await reminderNotifications();
+  assert.deepStrictEqual(notifications.map(notification => notification.task_id), [task.id]);
+  assert.strictEqual(notifications[0].message, 'Reminder: "Call the dentist" in "List"');
+});
+
+test('stopping the scheduler waits for its run to finish', async () => {
+  const { startReminderScheduler } = require('../utils/reminders');
+  const task = await app.createTask(user, list.id, { title: 'Scheduled' });
+  const reminder = await addReminder(task.id, { remind_at: '2030-01-01T09:00:00Z' });
+  await makeDue(reminder.body.reminder.id);
+
+  const stop = startReminderScheduler();
+  await stop();
+
+  const result = await app.pool.query('SELECT sent_at FROM task_reminders WHERE id = $1', [reminder.body.reminder.id]);
+  assert.ok(result.rows[0].sent_at);
+});
+
+test('failed deliveries are retried on a later run', async () => {
+  const { fireDueReminders, registerReminderChannel } = require('../utils/reminders');
+  const delivered = [];
+  let failures = 1;
+  registerReminderChannel('notification', () => ({
+    deliver: async (reminder) => {
+      if (failures > 0) {
+        failures -= 1;
+        throw new Error('Channel down');
+      }
+      delivered.push(reminder.id);
+    }
+  }));
+
+  const task = await app.createTask(user, list.id);
+  const reminder = await addReminder(task.id, { remind_at: '2030-01-01T09:00:00Z' });
+  await makeDue(reminder.body.reminder.id);
+
+  const consoleError = console.error;
+  console.error = () => {};
+  try {
+    await fireDueReminders();
+  } finally {
+    console.error = consoleError;
+  }
+
+  let result = await app.pool.query('SELECT sent_at, attempts, last_error FROM task_reminders WHERE id = $1', [reminder.body.reminder.id]);
+  assert.deepStrictEqual(result.rows[0], { sent_at: null, attempts: 1, last_error: 'Channel down' });
+
+  await fireDueReminders();
+  assert.deepStrictEqual(delivered, [reminder.body.reminder.id]);
+  result = await app.pool.query('SELECT sent_at, attempts FROM task_reminders WHERE id = $1', [reminder.body.reminder.id]);
+  assert.ok(result.rows[0].sent_at);
+});
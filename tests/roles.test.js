@@ -0,0 +1,30 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { ROLE_CAPABILITIES, ASSIGNABLE_ROLES } = require('../config/roles');
+
+test('each role can do everything the role below it can', () => {
+  const ladder = ['viewer', 'commenter', 'member', 'admin', 'owner'];
+
+  for (let index = 1; index < ladder.length; index++) {
+    const lower = ROLE_CAPABILITIES[ladder[index - 1]];
+    const higher = new Set(ROLE_CAPABILITIES[ladder[index]]);
+    assert.ok(lower.every(capability => higher.has(capability)), `${ladder[index]} lacks some of ${ladder[index - 1]}`);
+  }
+});
+
+test('viewers and commenters cannot change tasks', () => {
+  for (const role of ['viewer', 'commenter']) {
+    assert.ok(!ROLE_CAPABILITIES[role].includes('task.create'));
+    assert.ok(!ROLE_CAPABILITIES[role].includes('task.complete'));
+  }
+  assert.ok(!ROLE_CAPABILITIES.viewer.includes('comment.create'));
+  assert.ok(ROLE_CAPABILITIES.commenter.includes('comment.create'));
+});
+
+test('only the owner can delete or hand over a list', () => {
+  for (const role of ASSIGNABLE_ROLES) {
+    assert.ok(!ROLE_CAPABILITIES[role].includes('list.delete'));
+    assert.ok(!ROLE_CAPABILITIES[role].includes('list.transfer'));
+  }
+  assert.ok(!ASSIGNABLE_ROLES.includes('owner'));
+});
@@ -0,0 +1,124 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startApp } = require('./helpers/app');
+
+let app;
+let owner;
+let member;
+let personal;
+let team;
+
+// A day relative to today (UTC), as YYYY-MM-DD
+const day = (offset) => {
+  const date = new Date();
+  date.setUTCDate(date.getUTCDate() + offset);
+  return date.toISOString().slice(0, 10);
+};
+
+const BACKEND_SOON = { priority: ['high'], tags: ['Backend'], due_within_days: 14, sort: 'due_date' };
+
+const saveFilter = (user, body) => app.api('POST', '/api/filters', { token: user.token, body });
+
+const runFilter = async (user, filterId, query = '') => {
+  const response = await app.api('GET', `/api/filters/${filterId}/tasks${query}`, { token: user.token });
+  assert.strictEqual(response.status, 200);
+  return response.body;
+};
+
+const titles = body => body.tasks.map(task => task.title);
+
+before(async () => {
+  app = await startApp();
+  owner = await app.createUser('Owner');
+  member = await app.createUser('Member');
+  personal = await app.createList(owner, 'Personal');
+  team = await app.createList(owner, 'Team');
+  await app.addMember(owner, team.id, member);
+
+  await app.createTask(owner, personal.id, { title: 'Fix cache', priority: 'high', tags: ['backend'], due_date: day(5) });
+  await app.createTask(owner, personal.id, { title: 'Restyle', priority: 'high', tags: ['frontend'], due_date: day(2) });
+  await app.createTask(owner, team.id, { title: 'Ship API', priority: 'high', tags: ['backend', 'api'], due_date: day(10) });
+  await app.createTask(owner, team.id, { title: 'Tidy logs', priority: 'low', tags: ['backend'], due_date: day(3) });
+  await app.createTask(owner, team.id, { title: 'Rewrite', priority: 'high', tags: ['backend'], due_date: day(40) });
+});
+
+after(() => app.stop());
+
+test('saved filters keep a definition and run it across lists', async () => {
+  const saved = await saveFilter(owner, { name: 'Backend soon', definition: { ...BACKEND_SOON, lists: [personal.id, team.id] } });
+  assert.strictEqual(saved.status, 201);
+  assert.deepStrictEqual(saved.body.filter.definition.tags, ['backend']);
+  assert.strictEqual(saved.body.filter.is_owner, true);
+
+  const run = await runFilter(owner, saved.body.filter.id);
+  assert.deepStrictEqual(titles(run), ['Fix cache', 'Ship API']);
+  assert.strictEqual(run.total, 2);
+
+  const first = await runFilter(owner, saved.body.filter.id, '?limit=1');
+  assert.deepStrictEqual(titles(first), ['Fix cache']);
+  const second = await runFilter(owner, saved.body.filter.id, `?limit=1&cursor=${first.next_cursor}`);
+  assert.deepStrictEqual(titles(second), ['Ship API']);
+  assert.strictEqual(second.next_cursor, null);
+
+  // A cursor stops working once the filter sorts differently
+  await app.api('PUT', `/api/filters/${saved.body.filter.id}`, {
+    token: owner.token,
+    body: { name: 'Backend soon', definition: { ...BACKEND_SOON, sort: 'title' } }
+  });
+  const stale = await app.api('GET', `/api/filters/${saved.body.filter.id}/tasks?cursor=${first.next_cursor}`, { token: owner.token });
+  assert.strictEqual(stale.status, 400);
+
+  const onlyTeam = await saveFilter(owner, { name: 'Team', definition: { lists: [team.id], tags: ['backend', 'api'], tag_match: 'all' } });
+  assert.deepStrictEqual(titles(await runFilter(owner, onlyTeam.body.filter.id)), ['Ship API']);
+});
+
+test('definitions are validated against the schema', async () => {
+  for (const definition of [
+    [],
+    { colour: 'red' },
+    { priority: ['urgent'] },
+    { priority: 'high' },
+    { tags: [] },
+    { lists: [team.id, team.id] },
+    { due_from: '2030-02-30' },
+    { due_within_days: 400 },
+    { sort: 'colour' }
+  ]) {
+    const response = await saveFilter(owner, { name: 'Bad', definition });
+    assert.strictEqual(response.status, 400, JSON.stringify(definition));
+  }
+
+  assert.strictEqual((await saveFilter(owner, { name: '', definition: {} })).status, 400);
+});
+
+test('shared filters show each member only what they can see', async () => {
+  const saved = await saveFilter(owner, { name: 'Shared backend', definition: BACKEND_SOON, list_id: team.id });
+  const privateFilter = await saveFilter(owner, { name: 'Private', definition: {} });
+
+  const visible = await app.api('GET', '/api/filters', { token: member.token });
+  assert.deepStrictEqual(visible.body.filters.map(filter => [filter.name, filter.is_owner]), [['Shared backend', false]]);
+  assert.strictEqual((await app.api('GET', `/api/filters/${privateFilter.body.filter.id}`, { token: member.token })).status, 404);
+
+  assert.deepStrictEqual(titles(await runFilter(owner, saved.body.filter.id)), ['Fix cache', 'Ship API']);
+  assert.deepStrictEqual(titles(await runFilter(member, saved.body.filter.id)), ['Ship API']);
+
+  const update = await app.api('PUT', `/api/filters/${saved.body.filter.id}`, { token: member.token, body: { name: 'Mine', definition: {} } });
+  assert.strictEqual(update.status, 403);
+  assert.strictEqual((await app.api('DELETE', `/api/filters/${saved.body.filter.id}`, { token: member.token })).status, 403);
+
+  // Members cannot share with lists they are not in
+  const outside = await saveFilter(member, { name: 'Outside', definition: {}, list_id: personal.id });
+  assert.strictEqual(outside.status, 404);
+});
+
+test('filter definitions are checked field by field', () => {
+  const { checkFilterDefinition, normalizeFilterDefinition } = require('../utils/savedFilters');
+
+  assert.strictEqual(checkFilterDefinition({}), null);
+  assert.strictEqual(checkFilterDefinition({ assignee: 'me', completed: false, overdue: true, order: 'asc' }), null);
+  assert.strictEqual(checkFilterDefinition(null), 'Definition must be an object');
+  assert.match(checkFilterDefinition({ colour: 'red' }), /^Unknown filter "colour"/);
+  assert.strictEqual(checkFilterDefinition({ assignee: 0 }), 'assignee must be "me", "none" or a user ID');
+  assert.strictEqual(checkFilterDefinition({ has_subtasks: 'yes' }), 'has_subtasks must be true or false');
+  assert.deepStrictEqual(normalizeFilterDefinition({ tags: [' Backend', 'backend'] }), { tags: ['backend'] });
+});
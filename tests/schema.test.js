@@ -0,0 +1,118 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { PGlite } = require('@electric-sql/pglite');
+const { evenPositions } = require('../utils/positions');
+
+const INIT_SQL = fs.readFileSync(path.join(__dirname, '..', 'init.sql'), 'utf8');
+
+// The tables as the first version of init.sql created them
+const ORIGINAL_SCHEMA = `
+  CREATE TABLE users (
+    id SERIAL PRIMARY KEY,
+    name TEXT NOT NULL,
+    email TEXT UNIQUE NOT NULL,
+    password_hash TEXT NOT NULL,
+    security_question TEXT NOT NULL,
+    security_answer_hash TEXT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE TABLE lists (
+    id SERIAL PRIMARY KEY,
+    name TEXT NOT NULL,
+    owner_id INT REFERENCES users(id) ON DELETE CASCADE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE TABLE list_members (
+    list_id INT REFERENCES lists(id) ON DELETE CASCADE,
+    user_id INT REFERENCES users(id) ON DELETE CASCADE,
+    role TEXT DEFAULT 'member',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (list_id, user_id)
+  );
+  CREATE TABLE tasks (
+    id SERIAL PRIMARY KEY,
+    list_id INT REFERENCES lists(id) ON DELETE CASCADE,
+    title TEXT NOT NULL,
+    description TEXT,
+    priority TEXT,
+    due_date DATE,
+    completed BOOLEAN DEFAULT false,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE TABLE subtasks (
+    id SERIAL PRIMARY KEY,
+    task_id INT REFERENCES tasks(id) ON DELETE CASCADE,
+    title TEXT NOT NULL,
+    completed BOOLEAN DEFAULT false,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE TABLE tags (
+    id SERIAL PRIMARY KEY,
+    name TEXT UNIQUE NOT NULL
+  );
+  CREATE TABLE task_tags (
+    task_id INT REFERENCES tasks(id) ON DELETE CASCADE,
+    tag_id INT REFERENCES tags(id) ON DELETE CASCADE,
+    PRIMARY KEY (task_id, tag_id)
+  );
+`;
+
+test('init.sql upgrades a database created from the original schema', async () => {
+  const db = new PGlite();
+  await db.exec(ORIGINAL_SCHEMA);
+  await db.exec(`
+    INSERT INTO users (name, email, password_hash, security_question, security_answer_hash)
+      VALUES ('Old', 'old@example.com', 'hash', 'Question', 'answer');
+    INSERT INTO lists (name, owner_id) VALUES ('Big', 1), ('Small', 1);
+    INSERT INTO tasks (list_id, title, created_at)
+      SELECT 1, 'Task ' || n, TIMESTAMP '2024-01-01' + n * INTERVAL '1 minute' FROM generate_series(1, 40) AS n;
+    INSERT INTO tasks (list_id, title) VALUES (2, 'Only');
+    INSERT INTO subtasks (task_id, title, created_at)
+      SELECT 1, 'Step ' || n, TIMESTAMP '2024-01-01' + n * INTERVAL '1 minute' FROM generate_series(1, 3) AS n;
+  `);
+
+  await db.exec(INIT_SQL);
+
+  // Tasks keep their newest-first order and subtasks their oldest-first one
+  const tasks = await db.query("SELECT title, position FROM tasks WHERE list_id = 1 ORDER BY position COLLATE \"C\"");
+  assert.deepStrictEqual(tasks.rows.map(row => row.position), evenPositions(40));
+  assert.strictEqual(tasks.rows[0].title, 'Task 40');
+  assert.strictEqual(tasks.rows[39].title, 'Task 1');
+
+  const only = await db.query('SELECT position FROM tasks WHERE list_id = 2');
+  assert.deepStrictEqual(only.rows.map(row => row.position), evenPositions(1));
+
+  const subtasks = await db.query('SELECT title, position FROM subtasks ORDER BY position COLLATE "C"');
+  assert.deepStrictEqual(subtasks.rows.map(row => row.title), ['Step 1', 'Step 2', 'Step 3']);
+  assert.deepStrictEqual(subtasks.rows.map(row => row.position), evenPositions(3));
+
+  await assert.rejects(db.query("INSERT INTO tasks (list_id, title) VALUES (1, 'No position')"));
+
+  // Existing accounts stay usable, new ones start unverified
+  const users = await db.query('SELECT email_verified, time_zone, totp_enabled FROM users');
+  assert.deepStrictEqual(users.rows, [{ email_verified: true, time_zone: 'UTC', totp_enabled: false }]);
+
+  await db.exec("INSERT INTO users (name, email, password_hash) VALUES ('New', 'new@example.com', 'hash')");
+  const created = await db.query("SELECT email_verified FROM users WHERE email = 'new@example.com'");
+  assert.strictEqual(created.rows[0].email_verified, false);
+
+  // Running it again changes nothing
+  await db.exec(INIT_SQL);
+  const again = await db.query('SELECT position FROM tasks WHERE list_id = 1 ORDER BY position COLLATE "C"');
+  assert.deepStrictEqual(again.rows.map(row => row.position), evenPositions(40));
+
+  await db.close();
+});
+
+test('init.sql creates a fresh database with unverified accounts', async () => {
+  const db = new PGlite();
+  await db.exec(INIT_SQL);
+
+  await db.exec("INSERT INTO users (name, email, password_hash) VALUES ('New', 'new@example.com', 'hash')");
+  const created = await db.query('SELECT email_verified FROM users');
+  assert.strictEqual(created.rows[0].email_verified, false);
+
+  await db.close();
+});
@@ -0,0 +1,113 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startApp } = require('./helpers/app');
+
+let app;
+let user;
+let other;
+let home;
+let work;
+let tasks;
+
+const search = async (q, extra = '') => {
+  const response = await app.api('GET', `/api/search?q=${encodeURIComponent(q)}${extra}`, { token: user.token });
+  assert.strictEqual(response.status, 200);
+  return response.body;
+};
+
+const titles = body => body.results.map(result => result.title);
+
+before(async () => {
+  app = await startApp();
+  user = await app.createUser();
+  other = await app.createUser();
+  home = await app.createList(user, 'Home');
+  work = await app.createList(user, 'Work Stuff');
+
+  tasks = {
+    paint: await app.createTask(user, home.id, { title: 'Paint the fence', description: 'Buy white paint first', tags: ['garden'], due_date: '2030-04-01' }),
+    garden: await app.createTask(user, home.id, { title: 'Weed the garden', description: 'The fence side needs painting too' }),
+    report: await app.createTask(user, work.id, { title: 'Quarterly report', due_date: '2030-06-01' })
+  };
+
+  await app.api('POST', `/api/tasks/${tasks.report.id}/subtasks`, { token: user.token, body: { title: 'Collect painting invoices' } });
+  await app.api('PATCH', `/api/tasks/${tasks.garden.id}/toggle`, { token: user.token });
+
+  const hidden = await app.createList(other, 'Private');
+  await app.createTask(other, hidden.id, { title: 'Paint the shed' });
+});
+
+after(() => app.stop());
+
+test('search ranks titles over descriptions and subtasks', async () => {
+  const body = await search('paint');
+
+  assert.deepStrictEqual(titles(body), ['Paint the fence', 'Weed the garden', 'Quarterly report']);
+  assert.strictEqual(body.total, 3);
+  assert.ok(body.results[0].rank > body.results[1].rank);
+
+  const [paint, garden, report] = body.results;
+  assert.strictEqual(paint.highlights.title, '<mark>Paint</mark> the fence');
+  assert.strictEqual(paint.list_name, 'Home');
+  assert.match(garden.highlights.description, /<mark>painting<\/mark>/);
+  assert.deepStrictEqual(report.highlights.subtasks.map(subtask => subtask.title), ['Collect <mark>painting</mark> invoices']);
+});
+
+test('search only covers lists the user can access', async () => {
+  assert.deepStrictEqual(titles(await search('shed')), []);
+});
+
+test('operators narrow the results', async () => {
+  assert.deepStrictEqual(titles(await search('paint tag:Garden')), ['Paint the fence']);
+  assert.deepStrictEqual(titles(await search('paint list:"work stuff"')), ['Quarterly report']);
+  assert.deepStrictEqual(titles(await search(`list:${home.id} is:done`)), ['Weed the garden']);
+  assert.deepStrictEqual(titles(await search('paint is:open due:<2030-05-01')), ['Paint the fence']);
+  assert.deepStrictEqual(titles(await search('due:>=2030-05-01')), ['Quarterly report']);
+  assert.deepStrictEqual(titles(await search('due:<today')), []);
+});
+
+test('results are paged', async () => {
+  const first = await search('paint', '&limit=2');
+  assert.strictEqual(first.results.length, 2);
+  assert.strictEqual(first.next_offset, 2);
+
+  const second = await search('paint', '&limit=2&offset=2');
+  assert.deepStrictEqual(titles(second), ['Quarterly report']);
+  assert.strictEqual(second.next_offset, null);
+});
+
+test('highlights escape the text around the matches', async () => {
+  const lamp = await app.createTask(user, work.id, { title: '<img src=x onerror=alert(1)> lamp', description: 'A "lamp" & <b>shade</b>' });
+  await app.api('POST', `/api/tasks/${lamp.id}/subtasks`, { token: user.token, body: { title: '<i>lamp</i> oil' } });
+
+  const [result] = (await search('lamp')).results;
+  assert.strictEqual(result.highlights.title, '&lt;img src=x onerror=alert(1)&gt; <mark>lamp</mark>');
+  assert.match(result.highlights.description, /<mark>lamp<\/mark>&quot; &amp;/);
+  assert.doesNotMatch(result.highlights.description.replace(/<\/?mark>/g, ''), /[<>"]/);
+  assert.deepStrictEqual(result.highlights.subtasks.map(subtask => subtask.title), ['&lt;i&gt;<mark>lamp</mark>&lt;/i&gt; oil']);
+});
+
+test('invalid queries are refused', async () => {
+  for (const q of ['', 'is:maybe', 'due:<soon', 'due:2030-02-30']) {
+    const response = await app.api('GET', `/api/search?q=${encodeURIComponent(q)}`, { token: user.token });
+    assert.strictEqual(response.status, 400, q);
+  }
+
+  const repeated = await app.api('GET', '/api/search?q=paint&q=fence', { token: user.token });
+  assert.strictEqual(repeated.status, 400);
+});
+
+test('queries are split into text and operators', () => {
+  const { parseSearchQuery } = require('../utils/search');
+
+  assert.deepStrictEqual(parseSearchQuery('fix "the bug" tag:Backend list:"My List" is:open due:<=tomorrow due:2030-01-01'), {
+    text: 'fix "the bug"',
+    tags: ['backend'],
+    lists: ['My List'],
+    done: false,
+    due: [{ op: '<=', day: 'tomorrow' }, { op: '=', day: '2030-01-01' }]
+  });
+  assert.strictEqual(parseSearchQuery('is:done').text, null);
+  assert.strictEqual(parseSearchQuery('is:completed').done, true);
+  assert.deepStrictEqual(parseSearchQuery('is:later'), { error: 'is: must be done or open' });
+});
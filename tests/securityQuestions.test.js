@@ -0,0 +1,58 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startApp } = require('./helpers/app');
+
+let app;
+
+before(async () => {
+  process.env.SECURITY_QUESTIONS_ENABLED = 'true';
+  app = await startApp();
+});
+
+after(() => app.stop());
+
+const resetWithAnswer = (email, securityAnswer) => app.api('POST', '/api/auth/reset-password', {
+  body: { email, securityAnswer, newPassword: 'NewPassword456' }
+});
+
+test('a security answer resets the password', async () => {
+  const registered = await app.api('POST', '/api/auth/register', {
+    body: { name: 'Asker', email: 'asker@example.com', password: 'Password123', securityQuestion: 'Name of your first pet?', securityAnswer: 'Rex' }
+  });
+  assert.strictEqual(registered.status, 201);
+
+  assert.strictEqual((await resetWithAnswer('asker@example.com', 'Felix')).status, 401);
+  assert.strictEqual((await resetWithAnswer('asker@example.com', ' rex ')).status, 200);
+
+  const login = await app.api('POST', '/api/auth/login', { body: { email: 'asker@example.com', password: 'NewPassword456' } });
+  assert.strictEqual(login.status, 200);
+});
+
+test('unknown emails get the same answers, as slowly, and lock the same way', async () => {
+  await app.api('POST', '/api/auth/register', {
+    body: { name: 'Known', email: 'known@example.com', password: 'Password123', securityQuestion: 'Name of your first pet?', securityAnswer: 'Rex' }
+  });
+
+  let started = Date.now();
+  const known = await resetWithAnswer('known@example.com', 'Felix');
+  const knownMs = Date.now() - started;
+
+  started = Date.now();
+  const unknown = await resetWithAnswer('unknown@example.com', 'Felix');
+  const unknownMs = Date.now() - started;
+
+  assert.strictEqual(unknown.status, known.status);
+  assert.deepStrictEqual(unknown.body, known.body);
+  assert.ok(unknownMs > knownMs / 2, `unknown email took ${unknownMs}ms, known ${knownMs}ms`);
+
+  for (let attempt = 2; attempt < 5; attempt++) {
+    await resetWithAnswer('known@example.com', 'Felix');
+    await resetWithAnswer('unknown@example.com', 'Felix');
+  }
+
+  const knownLocked = await resetWithAnswer('known@example.com', 'Felix');
+  const unknownLocked = await resetWithAnswer('unknown@example.com', 'Felix');
+  assert.strictEqual(knownLocked.status, 429);
+  assert.strictEqual(unknownLocked.status, 429);
+  assert.deepStrictEqual(unknownLocked.body, knownLocked.body);
+});
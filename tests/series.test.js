@@ -0,0 +1,206 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startApp } = require('./helpers/app');
+const { today, addDays, nextOccurrence } = require('../utils/recurrence');
+
+let app;
+let user;
+let list;
+
+before(async () => {
+  app = await startApp();
+  user = await app.createUser();
+  list = await app.createList(user);
+});
+
+after(() => app.stop());
+
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const day = value => value && new Date(value).toISOString().slice(0, 10);
+const todayIn = timeZone => new Intl.DateTimeFormat('en-CA', { timeZone }).format(new Date());
+
+// A Monday at least a week away, so no occurrence is in the past
+const nextMonday = () => nextOccurrence('FREQ=WEEKLY;BYDAY=MO', today(), addDays(today(), 6));
+
+const createSeries = (fields) => app.createTask(user, list.id, {
+  title: 'Bins',
+  recurrence: { rule: 'FREQ=WEEKLY;BYDAY=MO,TH' },
+  ...fields
+});
+
+const getTask = async id => (await app.api('GET', `/api/tasks/${id}`, { token: user.token })).body.task;
+
+test('completing an occurrence creates the next one with its subtasks reset', async () => {
+  const monday = nextMonday();
+  const task = await createSeries({ due_date: monday, tags: ['home'] });
+  assert.strictEqual(task.recurrence.rule, 'FREQ=WEEKLY;INTERVAL=1;BYDAY=MO,TH');
+
+  const subtask = await app.api('POST', `/api/tasks/${task.id}/subtasks`, { token: user.token, body: { title: 'Recycling' } });
+  await app.api('PATCH', `/api/tasks/subtasks/${subtask.body.subtask.id}/toggle`, { token: user.token });
+
+  const toggled = await app.api('PATCH', `/api/tasks/${task.id}/toggle`, { token: user.token });
+  assert.strictEqual(toggled.body.task.completed, true);
+  const next = await getTask(toggled.body.next_task.id);
+  assert.strictEqual(day(next.due_date), addDays(monday, 3));
+  assert.strictEqual(next.completed, false);
+  assert.deepStrictEqual(next.tags.map(tag => tag.name), ['home']);
+  assert.deepStrictEqual(next.subtasks.map(found => [found.title, found.completed]), [['Recycling', false]]);
+});
+
+test('undated series start on the first day from today their rule matches', async () => {
+  const inTwoDays = addDays(today(), 2);
+  const weekday = WEEKDAYS[new Date(`${inTwoDays}T00:00:00Z`).getUTCDay()];
+
+  const task = await createSeries({ recurrence: { rule: `FREQ=WEEKLY;BYDAY=${weekday}` } });
+  assert.strictEqual(day(task.due_date), inTwoDays);
+
+  const daily = await createSeries({ recurrence: { rule: 'FREQ=DAILY' } });
+  assert.strictEqual(day(daily.due_date), today());
+});
+
+test('today is decided in the time zone of the user', async () => {
+  // 25 hours apart, so at least one of them is not on the UTC day
+  for (const timeZone of ['Pacific/Kiritimati', 'Pacific/Pago_Pago']) {
+    const local = await app.createUser();
+    await app.api('PUT', '/api/auth/profile', { token: local.token, body: { time_zone: timeZone } });
+    const localList = await app.createList(local);
+
+    const daily = await app.createTask(local, localList.id, { title: 'Stretch', recurrence: { rule: 'FREQ=DAILY' } });
+    assert.strictEqual(day(daily.due_date), todayIn(timeZone), timeZone);
+
+    const watering = await app.createTask(local, localList.id, {
+      title: 'Water plants',
+      due_date: addDays(todayIn(timeZone), -5),
+      recurrence: { rule: 'FREQ=DAILY;INTERVAL=2', after_completion: true }
+    });
+    const toggled = await app.api('PATCH', `/api/tasks/${watering.id}/toggle`, { token: local.token });
+    assert.strictEqual(day(toggled.body.next_task.due_date), addDays(todayIn(timeZone), 2), timeZone);
+  }
+});
+
+test('skipping moves the occurrence on, ending the series deletes it', async () => {
+  const monday = nextMonday();
+  const task = await createSeries({ due_date: monday });
+
+  const skipped = await app.api('POST', `/api/tasks/${task.id}/skip`, { token: user.token });
+  assert.strictEqual(day(skipped.body.task.due_date), addDays(monday, 3));
+
+  const ended = await app.api('POST', `/api/tasks/${task.id}/skip?scope=series`, { token: user.token });
+  assert.deepStrictEqual(ended.body.deleted_task_ids, [task.id]);
+  assert.strictEqual((await app.api('GET', `/api/tasks/${task.id}`, { token: user.token })).status, 404);
+});
+
+test('edits only carry over to later occurrences with scope=series', async () => {
+  const monday = nextMonday();
+  const task = await createSeries({ due_date: monday });
+
+  await app.api('PUT', `/api/tasks/${task.id}`, { token: user.token, body: { title: 'Just this once', due_date: monday } });
+  let next = (await app.api('PATCH', `/api/tasks/${task.id}/toggle`, { token: user.token })).body.next_task;
+  assert.strictEqual(next.title, 'Bins');
+
+  await app.api('PUT', `/api/tasks/${next.id}?scope=series`, { token: user.token, body: { title: 'Bins and glass', due_date: day(next.due_date) } });
+  next = (await app.api('PATCH', `/api/tasks/${next.id}/toggle`, { token: user.token })).body.next_task;
+  assert.strictEqual(next.title, 'Bins and glass');
+
+  const refused = await app.api('PUT', `/api/tasks/${next.id}`, {
+    token: user.token,
+    body: { title: 'Bins', recurrence: { rule: 'FREQ=DAILY' } }
+  });
+  assert.strictEqual(refused.status, 400);
+});
+
+test('demoted members are not assigned to the next occurrence or its subtasks', async () => {
+  const helper = await app.createUser('Helper');
+  await app.addMember(user, list.id, helper, 'member');
+
+  const task = await createSeries({ due_date: nextMonday(), assignee_ids: [user.id, helper.id] });
+  await app.api('POST', `/api/tasks/${task.id}/subtasks`, {
+    token: user.token,
+    body: { title: 'Recycling', assignee_ids: [user.id, helper.id] }
+  });
+
+  await app.api('PUT', `/api/lists/${list.id}/members/${helper.id}`, { token: user.token, body: { role: 'viewer' } });
+
+  const next = (await app.api('PATCH', `/api/tasks/${task.id}/toggle`, { token: user.token })).body.next_task;
+  const fetched = await getTask(next.id);
+  assert.deepStrictEqual(fetched.assignees.map(assignee => assignee.id), [user.id]);
+  assert.deepStrictEqual(fetched.subtasks[0].assignees.map(assignee => assignee.id), [user.id]);
+});
+
+test('a task that fails to save leaves nothing behind', async () => {
+  // Make every new tag link fail, after the task itself was inserted
+  await app.pool.query(`
+    CREATE FUNCTION fail_tag_link() RETURNS trigger AS $$
+    BEGIN RAISE EXCEPTION 'tag link failed'; END;
+    $$ LANGUAGE plpgsql;
+    CREATE TRIGGER fail_tag_link BEFORE INSERT ON task_tags FOR EACH ROW EXECUTE FUNCTION fail_tag_link();
+  `);
+  const consoleError = console.error;
+  console.error = () => {};
+
+  try {
+    const existing = await createSeries({ due_date: nextMonday() });
+    const before = await app.pool.query('SELECT COUNT(*)::int as count FROM tasks');
+
+    const created = await app.api('POST', '/api/tasks', {
+      token: user.token,
+      body: { list_id: list.id, title: 'Doomed', tags: ['x'], recurrence: { rule: 'FREQ=DAILY' } }
+    });
+    assert.strictEqual(created.status, 500);
+
+    const updated = await app.api('PUT', `/api/tasks/${existing.id}?scope=series`, {
+      token: user.token,
+      body: { title: 'Doomed', tags: ['x'], recurrence: { rule: 'FREQ=DAILY' } }
+    });
+    assert.strictEqual(updated.status, 500);
+
+    const after = await app.pool.query('SELECT COUNT(*)::int as count FROM tasks');
+    assert.strictEqual(after.rows[0].count, before.rows[0].count);
+    const unchanged = await getTask(existing.id);
+    assert.strictEqual(unchanged.title, 'Bins');
+    assert.strictEqual(unchanged.recurrence.rule, 'FREQ=WEEKLY;INTERVAL=1;BYDAY=MO,TH');
+  } finally {
+    console.error = consoleError;
+    await app.pool.query('DROP TRIGGER fail_tag_link ON task_tags; DROP FUNCTION fail_tag_link();');
+  }
+});
+
+test('a skip or delete that fails partway leaves the series as it was', async () => {
+  // Make deleting tasks and resetting subtasks fail, after the series was
+  // ended or the task moved on
+  await app.pool.query(`
+    CREATE FUNCTION fail_skip() RETURNS trigger AS $$
+    BEGIN RAISE EXCEPTION 'skip failed'; END;
+    $$ LANGUAGE plpgsql;
+    CREATE TRIGGER fail_task_delete BEFORE DELETE ON tasks FOR EACH ROW EXECUTE FUNCTION fail_skip();
+    CREATE TRIGGER fail_subtask_reset BEFORE UPDATE ON subtasks FOR EACH ROW EXECUTE FUNCTION fail_skip();
+  `);
+  const consoleError = console.error;
+  console.error = () => {};
+
+  try {
+    const monday = nextMonday();
+    const task = await createSeries({ due_date: monday });
+    await app.api('POST', `/api/tasks/${task.id}/subtasks`, { token: user.token, body: { title: 'Step' } });
+
+    const ended = await app.api('POST', `/api/tasks/${task.id}/skip?scope=series`, { token: user.token });
+    assert.strictEqual(ended.status, 500);
+
+    const skipped = await app.api('POST', `/api/tasks/${task.id}/skip`, { token: user.token });
+    assert.strictEqual(skipped.status, 500);
+
+    const deleted = await app.api('DELETE', `/api/tasks/${task.id}`, { token: user.token });
+    assert.strictEqual(deleted.status, 500);
+
+    const unchanged = await getTask(task.id);
+    assert.strictEqual(day(unchanged.due_date), monday);
+    assert.strictEqual(unchanged.recurrence.rule, 'FREQ=WEEKLY;INTERVAL=1;BYDAY=MO,TH');
+  } finally {
+    console.error = consoleError;
+    await app.pool.query(`
+      DROP TRIGGER fail_task_delete ON tasks;
+      DROP TRIGGER fail_subtask_reset ON subtasks;
+      DROP FUNCTION fail_skip();
+    `);
+  }
+});
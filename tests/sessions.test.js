@@ -0,0 +1,68 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startApp } = require('./helpers/app');
+
+let app;
+
+before(async () => {
+  app = await startApp();
+});
+
+after(() => app.stop());
+
+test('a refresh token is exchanged for a new pair once', async () => {
+  const user = await app.createUser();
+
+  const refreshed = await app.api('POST', '/api/auth/refresh', { body: { refreshToken: user.refreshToken } });
+  assert.strictEqual(refreshed.status, 200);
+  assert.ok(refreshed.body.token);
+  assert.notStrictEqual(refreshed.body.refreshToken, user.refreshToken);
+
+  const profile = await app.api('GET', '/api/auth/profile', { token: refreshed.body.token });
+  assert.strictEqual(profile.status, 200);
+  assert.strictEqual(profile.body.user.id, user.id);
+});
+
+test('reusing a refresh token revokes its whole session', async () => {
+  const user = await app.createUser();
+
+  const refreshed = await app.api('POST', '/api/auth/refresh', { body: { refreshToken: user.refreshToken } });
+  const replayed = await app.api('POST', '/api/auth/refresh', { body: { refreshToken: user.refreshToken } });
+  assert.strictEqual(replayed.status, 401);
+
+  // The token issued by the legitimate refresh is no good any more either
+  const next = await app.api('POST', '/api/auth/refresh', { body: { refreshToken: refreshed.body.refreshToken } });
+  assert.strictEqual(next.status, 401);
+
+  const profile = await app.api('GET', '/api/auth/profile', { token: refreshed.body.token });
+  assert.strictEqual(profile.status, 401);
+});
+
+test('logout revokes the session of the refresh token', async () => {
+  const user = await app.createUser();
+
+  const logout = await app.api('POST', '/api/auth/logout', { body: { refreshToken: user.refreshToken } });
+  assert.strictEqual(logout.status, 200);
+
+  const profile = await app.api('GET', '/api/auth/profile', { token: user.token });
+  assert.strictEqual(profile.status, 401);
+
+  const refreshed = await app.api('POST', '/api/auth/refresh', { body: { refreshToken: user.refreshToken } });
+  assert.strictEqual(refreshed.status, 401);
+});
+
+test('changing the password revokes every other session', async () => {
+  const user = await app.createUser();
+  const login = await app.api('POST', '/api/auth/login', { body: { email: user.email, password: user.password } });
+
+  const changed = await app.api('PUT', '/api/auth/change-password', {
+    token: user.token,
+    body: { currentPassword: user.password, newPassword: 'NewPassword456' }
+  });
+  assert.strictEqual(changed.status, 200);
+
+  for (const token of [user.token, login.body.token]) {
+    assert.strictEqual((await app.api('GET', '/api/auth/profile', { token })).status, 401);
+  }
+  assert.strictEqual((await app.api('GET', '/api/auth/profile', { token: changed.body.token })).status, 200);
+});
@@ -0,0 +1,77 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startApp } = require('./helpers/app');
+
+let app;
+
+before(async () => {
+  app = await startApp();
+});
+
+after(() => app.stop());
+
+const createShareLink = (user, listId, body = {}) => app.api('POST', `/api/lists/${listId}/share-links`, {
+  token: user.token,
+  body
+});
+
+test('anyone with the link can read the list, without personal details', async () => {
+  const owner = await app.createUser('Owner');
+  const list = await app.createList(owner, 'Trip');
+  const task = await app.createTask(owner, list.id, { title: 'Passport', tags: ['documents'] });
+  await app.api('POST', `/api/tasks/${task.id}/subtasks`, { token: owner.token, body: { title: 'Renew' } });
+
+  const created = await createShareLink(owner, list.id);
+  assert.strictEqual(created.status, 201);
+
+  const shared = await app.api('GET', `/api/shared/${created.body.token}`);
+  assert.strictEqual(shared.status, 200);
+  assert.strictEqual(shared.body.list.name, 'Trip');
+  assert.strictEqual(shared.body.list.owner_name, 'Owner');
+  assert.deepStrictEqual(shared.body.list.tasks[0].tags, ['documents']);
+  assert.deepStrictEqual(shared.body.list.tasks[0].subtasks.map(subtask => subtask.title), ['Renew']);
+  assert.strictEqual(shared.body.list_id, undefined);
+  assert.ok(!JSON.stringify(shared.body).includes(owner.email));
+
+  // Members are pointed at the full list
+  const asOwner = await app.api('GET', `/api/shared/${created.body.token}`, { token: owner.token });
+  assert.strictEqual(asOwner.body.list_id, list.id);
+  assert.strictEqual(asOwner.body.user_role, 'owner');
+});
+
+test('accesses are counted', async () => {
+  const owner = await app.createUser();
+  const list = await app.createList(owner);
+  const created = await createShareLink(owner, list.id);
+
+  await app.api('GET', `/api/shared/${created.body.token}`);
+  await app.api('GET', `/api/shared/${created.body.token}`);
+
+  const links = await app.api('GET', `/api/lists/${list.id}/share-links`, { token: owner.token });
+  assert.strictEqual(links.body.share_links[0].access_count, 2);
+  assert.ok(links.body.share_links[0].last_accessed_at);
+});
+
+test('revoked and expired links stop working', async () => {
+  const owner = await app.createUser();
+  const list = await app.createList(owner);
+
+  const revoked = await createShareLink(owner, list.id);
+  await app.api('DELETE', `/api/lists/${list.id}/share-links/${revoked.body.share_link.id}`, { token: owner.token });
+  assert.strictEqual((await app.api('GET', `/api/shared/${revoked.body.token}`)).status, 404);
+
+  const expiring = await createShareLink(owner, list.id, { expiresInDays: 1 });
+  assert.strictEqual((await app.api('GET', `/api/shared/${expiring.body.token}`)).status, 200);
+  await app.pool.query("UPDATE list_share_links SET expires_at = NOW() - INTERVAL '1 second' WHERE id = $1", [expiring.body.share_link.id]);
+  assert.strictEqual((await app.api('GET', `/api/shared/${expiring.body.token}`)).status, 404);
+});
+
+test('only owners and admins manage share links', async () => {
+  const owner = await app.createUser();
+  const member = await app.createUser();
+  const list = await app.createList(owner);
+  await app.addMember(owner, list.id, member, 'member');
+
+  assert.strictEqual((await createShareLink(member, list.id)).status, 403);
+  assert.strictEqual((await app.api('GET', `/api/lists/${list.id}/share-links`, { token: member.token })).status, 403);
+});
@@ -0,0 +1,214 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startApp } = require('./helpers/app');
+
+let app;
+let owner;
+let member;
+
+before(async () => {
+  app = await startApp();
+  owner = await app.createUser('Owner');
+  member = await app.createUser('Member');
+});
+
+after(() => app.stop());
+
+const setStatuses = (listId, statuses, user = owner) => app.api('PUT', `/api/lists/${listId}/statuses`, { token: user.token, body: { statuses } });
+
+const setStatus = (taskId, body) => app.api('PATCH', `/api/tasks/${taskId}/status`, { token: owner.token, body });
+
+const getBoard = async (listId) => (await app.api('GET', `/api/lists/${listId}/board`, { token: owner.token })).body;
+
+// Column names with the titles of their tasks
+const columns = async (listId) => (await getBoard(listId)).columns.map(column => [column.name, column.tasks.map(task => task.title)]);
+
+// A list turned into a To do / Doing / Done board
+const createBoard = async (doingLimit = null, doneLimit = null) => {
+  const list = await app.createList(owner);
+  const response = await setStatuses(list.id, [
+    { name: 'To do' },
+    { name: 'Doing', wip_limit: doingLimit },
+    { name: 'Done', is_terminal: true, wip_limit: doneLimit }
+  ]);
+  assert.strictEqual(response.status, 200);
+
+  const [todo, doing, done] = response.body.statuses;
+  return { list, todo, doing, done };
+};
+
+test('statuses turn a list into a board its tasks are sorted into', async () => {
+  const list = await app.createList(owner);
+  await app.createTask(owner, list.id, { title: 'Open' });
+  const finished = await app.createTask(owner, list.id, { title: 'Finished' });
+  await app.api('PATCH', `/api/tasks/${finished.id}/toggle`, { token: owner.token });
+  assert.deepStrictEqual((await getBoard(list.id)).columns, []);
+
+  await setStatuses(list.id, [{ name: 'To do' }, { name: 'Doing' }, { name: 'Done', is_terminal: true }]);
+  assert.deepStrictEqual(await columns(list.id), [['To do', ['Open']], ['Doing', []], ['Done', ['Finished']]]);
+
+  // New tasks start in the first open column
+  await app.createTask(owner, list.id, { title: 'New' });
+  assert.deepStrictEqual((await columns(list.id))[0], ['To do', ['New', 'Open']]);
+});
+
+test('moving a task between statuses sets its completion', async () => {
+  const { list, todo, doing, done } = await createBoard();
+  const task = await app.createTask(owner, list.id, { title: 'Work' });
+
+  const started = await setStatus(task.id, { status_id: doing.id });
+  assert.strictEqual(started.status, 200);
+  assert.strictEqual(started.body.task.completed, false);
+
+  const finished = await setStatus(task.id, { status_id: done.id });
+  assert.strictEqual(finished.body.task.completed, true);
+
+  // Reopening from outside the board picks the first open column
+  const reopened = await app.api('PATCH', `/api/tasks/${task.id}/toggle`, { token: owner.token });
+  assert.strictEqual(reopened.body.task.status_id, todo.id);
+
+  const { doing: foreign } = await createBoard();
+  assert.strictEqual((await setStatus(task.id, { status_id: foreign.id })).status, 400);
+  assert.strictEqual((await setStatus(task.id, {})).status, 400);
+});
+
+test('tasks can be placed within a column', async () => {
+  const { list, doing } = await createBoard();
+  const first = await app.createTask(owner, list.id, { title: 'First' });
+  const second = await app.createTask(owner, list.id, { title: 'Second' });
+  const third = await app.createTask(owner, list.id, { title: 'Third' });
+
+  await setStatus(first.id, { status_id: doing.id });
+  await setStatus(second.id, { status_id: doing.id, before_id: first.id });
+  assert.deepStrictEqual((await columns(list.id))[1], ['Doing', ['Second', 'First']]);
+
+  const badAnchor = await setStatus(third.id, { status_id: doing.id, after_id: third.id });
+  assert.strictEqual(badAnchor.status, 400);
+});
+
+test('WIP limits refuse moves into a full column', async () => {
+  const { list, todo, doing, done } = await createBoard(1, 1);
+  const a = await app.createTask(owner, list.id, { title: 'A' });
+  const b = await app.createTask(owner, list.id, { title: 'B' });
+  const c = await app.createTask(owner, list.id, { title: 'C' });
+
+  assert.strictEqual((await setStatus(a.id, { status_id: doing.id })).status, 200);
+  const full = await setStatus(b.id, { status_id: doing.id });
+  assert.strictEqual(full.status, 409);
+  assert.deepStrictEqual(full.body, { error: 'Status "Doing" is at its WIP limit', wip_limit: 1 });
+
+  // Completing from outside the board counts too
+  assert.strictEqual((await app.api('PATCH', `/api/tasks/${c.id}/toggle`, { token: owner.token })).status, 200);
+  assert.strictEqual((await app.api('PATCH', `/api/tasks/${b.id}/toggle`, { token: owner.token })).status, 409);
+  const update = await app.api('PUT', `/api/tasks/${b.id}`, { token: owner.token, body: { title: 'B', completed: true } });
+  assert.strictEqual(update.status, 409);
+
+  const basic = `Basic ${Buffer.from(`${owner.email}:${await app.createAccessToken(owner, ['lists:read', 'tasks:write'])}`).toString('base64')}`;
+  const caldav = await app.api('PUT', `/caldav/calendars/${list.id}/task-${b.id}.ics`, {
+    headers: { Authorization: basic },
+    raw: [
+      'BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//Test//Test//EN',
+      'BEGIN:VTODO', `UID:task-${b.id}@localhost`, 'SUMMARY:B', 'STATUS:COMPLETED', 'END:VTODO',
+      'END:VCALENDAR', ''
+    ].join('\r\n')
+  });
+  assert.strictEqual(caldav.status, 409);
+
+  // Nothing changed
+  assert.deepStrictEqual(await columns(list.id), [['To do', ['B']], ['Doing', ['A']], ['Done', ['C']]]);
+  const unchanged = await app.api('GET', `/api/tasks/${b.id}`, { token: owner.token });
+  assert.strictEqual(unchanged.body.task.completed, false);
+
+  // New tasks need room in the first open column as well
+  await setStatuses(list.id, [
+    { id: todo.id, name: 'To do', wip_limit: 1 },
+    { id: doing.id, name: 'Doing', wip_limit: 1 },
+    { id: done.id, name: 'Done', is_terminal: true, wip_limit: 1 }
+  ]);
+  const created = await app.api('POST', '/api/tasks', { token: owner.token, body: { list_id: list.id, title: 'D' } });
+  assert.strictEqual(created.status, 409);
+});
+
+test('replacing statuses keeps, moves and removes columns', async () => {
+  const { list, todo, doing, done } = await createBoard();
+  const task = await app.createTask(owner, list.id, { title: 'In progress' });
+  await setStatus(task.id, { status_id: doing.id });
+
+  // Doing goes away, so its tasks fall back to the first open column
+  const replaced = await setStatuses(list.id, [
+    { id: done.id, name: 'Shipped', is_terminal: true },
+    { id: todo.id, name: 'Backlog' },
+    { name: 'Review' }
+  ]);
+  assert.strictEqual(replaced.status, 200);
+  assert.deepStrictEqual(await columns(list.id), [['Shipped', []], ['Backlog', ['In progress']], ['Review', []]]);
+
+  for (const statuses of [
+    [{ name: 'A' }, { name: 'B' }],
+    [{ name: 'A', is_terminal: true }, { name: 'B', is_terminal: true }],
+    [{ name: 'Same' }, { name: 'same', is_terminal: true }],
+    [{ name: 'A' }],
+    [{ name: 'A', wip_limit: 0 }, { name: 'B', is_terminal: true }]
+  ]) {
+    assert.strictEqual((await setStatuses(list.id, statuses)).status, 400, JSON.stringify(statuses));
+  }
+
+  const other = await createBoard();
+  const foreign = await setStatuses(list.id, [{ id: other.todo.id, name: 'Stolen' }, { name: 'Done', is_terminal: true }]);
+  assert.strictEqual(foreign.status, 400);
+
+  await app.addMember(owner, list.id, member, 'member');
+  assert.strictEqual((await setStatuses(list.id, [{ name: 'A' }, { name: 'B', is_terminal: true }], member)).status, 403);
+  assert.strictEqual((await app.api('DELETE', `/api/lists/${list.id}/statuses`, { token: member.token })).status, 403);
+
+  // Without statuses the list is plain again and tasks keep their completion
+  assert.strictEqual((await app.api('DELETE', `/api/lists/${list.id}/statuses`, { token: owner.token })).status, 200);
+  assert.deepStrictEqual((await getBoard(list.id)).columns, []);
+  const plain = await app.api('GET', `/api/tasks/${task.id}`, { token: owner.token });
+  assert.strictEqual(plain.body.task.completed, false);
+  assert.strictEqual(plain.body.task.status_id, null);
+});
+
+test('lowering a WIP limit below the count flags the column', async () => {
+  const { list, todo, doing, done } = await createBoard();
+  await app.createTask(owner, list.id, { title: 'One' });
+  await app.createTask(owner, list.id, { title: 'Two' });
+
+  await setStatuses(list.id, [
+    { id: todo.id, name: 'To do', wip_limit: 1 },
+    { id: doing.id, name: 'Doing' },
+    { id: done.id, name: 'Done', is_terminal: true }
+  ]);
+
+  const board = await getBoard(list.id);
+  assert.deepStrictEqual(board.columns.map(column => [column.wip_limit, column.task_count, column.over_limit]), [
+    [1, 2, true],
+    [null, 0, false],
+    [null, 0, false]
+  ]);
+});
+
+test('deleting a column cannot overflow the one its tasks fall back to', async () => {
+  const { list, todo, doing, done } = await createBoard();
+  const a = await app.createTask(owner, list.id, { title: 'A' });
+  const b = await app.createTask(owner, list.id, { title: 'B' });
+  await setStatus(a.id, { status_id: doing.id });
+  await setStatus(b.id, { status_id: doing.id });
+  await app.createTask(owner, list.id, { title: 'C' });
+
+  // Doing's two tasks would join C in a To do column limited to two
+  const refused = await setStatuses(list.id, [
+    { id: todo.id, name: 'To do', wip_limit: 2 },
+    { id: done.id, name: 'Done', is_terminal: true }
+  ]);
+  assert.strictEqual(refused.status, 409);
+  assert.deepStrictEqual(refused.body, { error: 'Status "To do" is at its WIP limit', wip_limit: 2 });
+  assert.deepStrictEqual(await columns(list.id), [['To do', ['C']], ['Doing', ['B', 'A']], ['Done', []]]);
+
+  const roomy = await setStatuses(list.id, [
+    { id: todo.id, name: 'To do', wip_limit: 3 },
+    { id: done.id, name: 'Done', is_terminal: true }
+  ]);
+  assert.strictEqual(roomy.status, 200);
+  assert.deepStrictEqual(await columns(list.id), [['To do', ['C', 'B', 'A']], ['Done', []]]);
+});
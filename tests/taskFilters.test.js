@@ -0,0 +1,128 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startApp } = require('./helpers/app');
+
+let app;
+let user;
+let list;
+
+const listTasks = async (query) => {
+  const response = await app.api('GET', `/api/tasks/list/${list.id}?${query}`, { token: user.token });
+  assert.strictEqual(response.status, 200, JSON.stringify(response.body));
+  return response.body;
+};
+
+const titles = body => body.tasks.map(task => task.title);
+
+before(async () => {
+  app = await startApp();
+  user = await app.createUser();
+  list = await app.createList(user);
+
+  const alpha = await app.createTask(user, list.id, { title: 'Alpha', priority: 'high', tags: ['a', 'b'], due_date: '2030-01-10' });
+  await app.createTask(user, list.id, { title: 'bravo', priority: 'low', tags: ['a'], due_date: '2030-01-05' });
+  const charlie = await app.createTask(user, list.id, { title: 'Charlie', priority: 'medium' });
+  await app.createTask(user, list.id, { title: 'delta', priority: 'high', due_date: '2020-01-01' });
+
+  await app.api('POST', `/api/tasks/${alpha.id}/subtasks`, { token: user.token, body: { title: 'Step' } });
+  await app.api('PATCH', `/api/tasks/${charlie.id}/toggle`, { token: user.token });
+});
+
+after(() => app.stop());
+
+test('tasks are filtered by state, priority, tags and due dates', async () => {
+  assert.deepStrictEqual(titles(await listTasks('completed=true')), ['Charlie']);
+  assert.deepStrictEqual(titles(await listTasks('priority=high,low&sort=title')), ['Alpha', 'bravo', 'delta']);
+  assert.deepStrictEqual(titles(await listTasks('tags=A,b&sort=title')), ['Alpha', 'bravo']);
+  assert.deepStrictEqual(titles(await listTasks('tags=a,b&tag_match=all')), ['Alpha']);
+  assert.deepStrictEqual(titles(await listTasks('due_from=2030-01-01&due_to=2030-01-06')), ['bravo']);
+  assert.deepStrictEqual(titles(await listTasks('overdue=true')), ['delta']);
+  assert.deepStrictEqual(titles(await listTasks('has_subtasks=true')), ['Alpha']);
+
+  const filtered = await listTasks('has_subtasks=false&completed=false');
+  assert.strictEqual(filtered.total, 2);
+
+  // The list itself takes the same parameters
+  const withList = await app.api('GET', `/api/lists/${list.id}?priority=high&sort=title`, { token: user.token });
+  assert.deepStrictEqual(withList.body.list.tasks.map(task => task.title), ['Alpha', 'delta']);
+  assert.deepStrictEqual(withList.body.list.tasks[0].subtasks.map(subtask => subtask.title), ['Step']);
+  assert.strictEqual(withList.body.total, 2);
+});
+
+test('tasks are sorted by the chosen key', async () => {
+  // Highest priority first, ties by newest
+  assert.deepStrictEqual(titles(await listTasks('sort=priority')), ['delta', 'Alpha', 'Charlie', 'bravo']);
+  assert.deepStrictEqual(titles(await listTasks('sort=priority&order=asc')), ['bravo', 'Charlie', 'Alpha', 'delta']);
+  assert.deepStrictEqual(titles(await listTasks('sort=title')), ['Alpha', 'bravo', 'Charlie', 'delta']);
+  // Undated tasks come last either way
+  assert.deepStrictEqual(titles(await listTasks('sort=due_date')), ['delta', 'bravo', 'Alpha', 'Charlie']);
+  assert.deepStrictEqual(titles(await listTasks('sort=due_date&order=desc')), ['Alpha', 'bravo', 'delta', 'Charlie']);
+});
+
+test('cursors page through the listing without repeating tasks', async () => {
+  const first = await listTasks('sort=due_date&limit=2');
+  assert.deepStrictEqual(titles(first), ['delta', 'bravo']);
+  assert.strictEqual(first.total, 4);
+  assert.ok(first.next_cursor);
+
+  // Tasks added before the cursor do not shift the next page
+  await app.createTask(user, list.id, { title: 'echo', due_date: '2019-06-01' });
+
+  const second = await listTasks(`sort=due_date&limit=2&cursor=${first.next_cursor}`);
+  assert.deepStrictEqual(titles(second), ['Alpha', 'Charlie']);
+  assert.strictEqual(second.total, 5);
+  assert.strictEqual(second.next_cursor, null);
+
+  // Paging one task at a time crosses the undated tasks and the manual order
+  const pages = [];
+  let cursor = '';
+  do {
+    const page = await listTasks(`sort=due_date&order=desc&limit=1${cursor}`);
+    pages.push(...titles(page));
+    cursor = page.next_cursor ? `&cursor=${page.next_cursor}` : '';
+  } while (cursor);
+  assert.deepStrictEqual(pages, ['Alpha', 'bravo', 'delta', 'echo', 'Charlie']);
+
+  const ordered = titles(await listTasks(''));
+  const byPosition = [];
+  cursor = '';
+  do {
+    const page = await listTasks(`limit=2${cursor}`);
+    byPosition.push(...titles(page));
+    cursor = page.next_cursor ? `&cursor=${page.next_cursor}` : '';
+  } while (cursor);
+  assert.deepStrictEqual(byPosition, ordered);
+});
+
+test('invalid parameters and cursors are refused', async () => {
+  const first = await listTasks('sort=title&limit=1');
+
+  for (const query of [
+    'priority=urgent',
+    'completed=maybe',
+    'due_from=2030-13-01',
+    'sort=colour',
+    'limit=0',
+    'cursor=garbage',
+    `sort=due_date&cursor=${first.next_cursor}`,
+    `sort=title&order=desc&cursor=${first.next_cursor}`,
+    'priority=low&priority=high',
+    'tags=a&tags=b'
+  ]) {
+    const response = await app.api('GET', `/api/tasks/list/${list.id}?${query}`, { token: user.token });
+    assert.strictEqual(response.status, 400, query);
+  }
+});
+
+test('cursors decode only when well-formed', () => {
+  const { decodeCursor } = require('../utils/listTasks');
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+  assert.deepStrictEqual(decodeCursor(encode(['due_date', 'asc', '2030-01-05', 7])), { sort: 'due_date', order: 'asc', value: '2030-01-05', id: 7 });
+  assert.deepStrictEqual(decodeCursor(encode(['due_date', 'asc', null, 7])), { sort: 'due_date', order: 'asc', value: null, id: 7 });
+  assert.strictEqual(decodeCursor(encode(['colour', 'asc', 'x', 7])), null);
+  assert.strictEqual(decodeCursor(encode(['title', 'up', 'x', 7])), null);
+  assert.strictEqual(decodeCursor(encode(['title', 'asc', 'x', '7'])), null);
+  assert.strictEqual(decodeCursor(encode(['title', 'asc', 3, 7])), null);
+  assert.strictEqual(decodeCursor('not base64 json'), null);
+});
@@ -0,0 +1,54 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { generateSecret, generateTotp, verifyTotp, buildOtpauthUri } = require('../utils/totp');
+
+// The SHA-1 secret of the RFC 6238 test vectors, "12345678901234567890"
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+test('codes match the RFC 6238 test vectors', () => {
+  const vectors = [
+    [59, '287082'],
+    [1111111109, '081804'],
+    [1111111111, '050471'],
+    [1234567890, '005924'],
+    [2000000000, '279037'],
+    [20000000000, '353130']
+  ];
+
+  for (const [seconds, code] of vectors) {
+    assert.strictEqual(generateTotp(RFC_SECRET, seconds * 1000), code);
+  }
+});
+
+test('codes from the steps either side are accepted', () => {
+  const secret = generateSecret();
+  const time = 1700000000000;
+
+  for (const offset of [-30000, 0, 30000]) {
+    assert.notStrictEqual(verifyTotp(secret, generateTotp(secret, time + offset), { time }), null);
+  }
+  assert.strictEqual(verifyTotp(secret, generateTotp(secret, time + 60000), { time }), null);
+});
+
+test('a step that was already used is rejected', () => {
+  const secret = generateSecret();
+  const time = 1700000000000;
+  const step = verifyTotp(secret, generateTotp(secret, time), { time });
+
+  assert.strictEqual(verifyTotp(secret, generateTotp(secret, time), { time, afterStep: step }), null);
+  assert.strictEqual(verifyTotp(secret, generateTotp(secret, time + 30000), { time, afterStep: step }), step + 1);
+});
+
+test('secrets are base32 and go into the otpauth URI', () => {
+  const secret = generateSecret();
+  assert.match(secret, /^[A-Z2-7]{32}$/);
+
+  const uri = new URL(buildOtpauthUri(secret, 'ann@example.com', 'Todo App'));
+  assert.strictEqual(uri.protocol, 'otpauth:');
+  assert.strictEqual(uri.host, 'totp');
+  assert.strictEqual(decodeURIComponent(uri.pathname), '/Todo App:ann@example.com');
+  assert.strictEqual(uri.searchParams.get('secret'), secret);
+  assert.strictEqual(uri.searchParams.get('issuer'), 'Todo App');
+  assert.strictEqual(uri.searchParams.get('digits'), '6');
+  assert.strictEqual(uri.searchParams.get('period'), '30');
+});
@@ -0,0 +1,142 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startApp } = require('./helpers/app');
+const { generateTotp } = require('../utils/totp');
+
+let app;
+
+before(async () => {
+  app = await startApp();
+});
+
+after(() => app.stop());
+
+// A user with 2FA enabled, confirmed with the code of the current step
+const enableTwoFactor = async () => {
+  const user = await app.createUser();
+  const setup = await app.api('POST', '/api/auth/2fa/setup', { token: user.token });
+  const confirmed = await app.api('POST', '/api/auth/2fa/confirm', {
+    token: user.token,
+    body: { code: generateTotp(setup.body.secret) }
+  });
+  assert.strictEqual(confirmed.status, 200);
+
+  return { ...user, secret: setup.body.secret, recoveryCodes: confirmed.body.recoveryCodes };
+};
+
+const passwordStep = async (user) => {
+  const login = await app.api('POST', '/api/auth/login', { body: { email: user.email, password: user.password } });
+  assert.strictEqual(login.status, 200);
+  assert.strictEqual(login.body.mfaRequired, true);
+  assert.strictEqual(login.body.token, undefined);
+
+  return login.body.challengeToken;
+};
+
+test('login needs a TOTP code once 2FA is enabled', async () => {
+  const user = await enableTwoFactor();
+  const challengeToken = await passwordStep(user);
+
+  const wrong = await app.api('POST', '/api/auth/login/2fa', { body: { challengeToken, code: '000000' } });
+  assert.strictEqual(wrong.status, 401);
+
+  // The code used to confirm cannot be replayed, the next one works
+  const replayed = await app.api('POST', '/api/auth/login/2fa', {
+    body: { challengeToken, code: generateTotp(user.secret) }
+  });
+  assert.strictEqual(replayed.status, 401);
+
+  const login = await app.api('POST', '/api/auth/login/2fa', {
+    body: { challengeToken, code: generateTotp(user.secret, Date.now() + 30000) }
+  });
+  assert.strictEqual(login.status, 200);
+  assert.strictEqual((await app.api('GET', '/api/auth/profile', { token: login.body.token })).status, 200);
+});
+
+test('the challenge token is not an access token', async () => {
+  const user = await enableTwoFactor();
+  const challengeToken = await passwordStep(user);
+
+  assert.strictEqual((await app.api('GET', '/api/auth/profile', { token: challengeToken })).status, 401);
+});
+
+test('recovery codes work once each', async () => {
+  const user = await enableTwoFactor();
+  assert.strictEqual(user.recoveryCodes.length, new Set(user.recoveryCodes).size);
+
+  const recoveryCode = user.recoveryCodes[0];
+  const first = await app.api('POST', '/api/auth/login/2fa', {
+    body: { challengeToken: await passwordStep(user), recoveryCode }
+  });
+  assert.strictEqual(first.status, 200);
+
+  const second = await app.api('POST', '/api/auth/login/2fa', {
+    body: { challengeToken: await passwordStep(user), recoveryCode }
+  });
+  assert.strictEqual(second.status, 401);
+});
+
+test('disabling 2FA needs the password and a second factor', async () => {
+  const user = await enableTwoFactor();
+
+  const withoutPassword = await app.api('POST', '/api/auth/2fa/disable', {
+    token: user.token,
+    body: { password: 'wrong-password', recoveryCode: user.recoveryCodes[0] }
+  });
+  assert.strictEqual(withoutPassword.status, 401);
+
+  const disabled = await app.api('POST', '/api/auth/2fa/disable', {
+    token: user.token,
+    body: { password: user.password, recoveryCode: user.recoveryCodes[0] }
+  });
+  assert.strictEqual(disabled.status, 200);
+
+  const login = await app.api('POST', '/api/auth/login', { body: { email: user.email, password: user.password } });
+  assert.ok(login.body.token);
+});
+
+test('wrong codes when deleting the account count towards the lockout', async () => {
+  const user = await enableTwoFactor();
+  const wrongCode = generateTotp(user.secret, Date.now() - 10 * 60 * 1000);
+
+  const deleteAccount = () => app.api('DELETE', '/api/auth/account', {
+    token: user.token,
+    body: { password: user.password, code: wrongCode }
+  });
+
+  for (let attempt = 1; attempt < 5; attempt++) {
+    assert.strictEqual((await deleteAccount()).status, 401);
+  }
+  const locked = await deleteAccount();
+  assert.strictEqual(locked.status, 429);
+  assert.strictEqual(locked.headers.get('retry-after'), '300');
+});
+
+test('guessing codes to replace recovery codes or disable 2FA locks the account', async () => {
+  const user = await enableTwoFactor();
+  const wrongCode = generateTotp(user.secret, Date.now() - 10 * 60 * 1000);
+
+  for (let attempt = 1; attempt < 3; attempt++) {
+    const regenerated = await app.api('POST', '/api/auth/2fa/recovery-codes', { token: user.token, body: { code: wrongCode } });
+    assert.strictEqual(regenerated.status, 401);
+  }
+  for (let attempt = 3; attempt < 5; attempt++) {
+    const disabled = await app.api('POST', '/api/auth/2fa/disable', {
+      token: user.token,
+      body: { password: user.password, code: wrongCode }
+    });
+    assert.strictEqual(disabled.status, 401);
+  }
+  const locked = await app.api('POST', '/api/auth/2fa/disable', {
+    token: user.token,
+    body: { password: 'wrong-password', code: wrongCode }
+  });
+  assert.strictEqual(locked.status, 429);
+
+  // Not even the right factors get through while locked
+  const regenerated = await app.api('POST', '/api/auth/2fa/recovery-codes', {
+    token: user.token,
+    body: { recoveryCode: user.recoveryCodes[0] }
+  });
+  assert.strictEqual(regenerated.status, 429);
+});
@@ -0,0 +1,100 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startApp } = require('./helpers/app');
+
+// 25 hours apart, so their days never agree
+const EAST = 'Pacific/Kiritimati';
+const WEST = 'Pacific/Pago_Pago';
+
+let app;
+let owner;
+let member;
+let shared;
+let mine;
+
+// A day relative to today in a time zone, as YYYY-MM-DD
+const day = (timeZone, offset = 0) => {
+  const today = new Intl.DateTimeFormat('en-CA', { timeZone }).format(new Date());
+  const date = new Date(`${today}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + offset);
+  return date.toISOString().slice(0, 10);
+};
+
+const getView = async (user, view, query = '') => {
+  const response = await app.api('GET', `/api/views/${view}${query}`, { token: user.token });
+  assert.strictEqual(response.status, 200);
+  return response.body;
+};
+
+const titles = body => body.groups.flatMap(group => group.tasks.map(task => task.title));
+
+before(async () => {
+  app = await startApp();
+  owner = await app.createUser('Owner');
+  member = await app.createUser('Member');
+  await app.api('PUT', '/api/auth/profile', { token: owner.token, body: { time_zone: EAST } });
+  await app.api('PUT', '/api/auth/profile', { token: member.token, body: { time_zone: WEST } });
+
+  shared = await app.createList(owner, 'Shared');
+  mine = await app.createList(member, 'Mine');
+  await app.addMember(owner, shared.id, member);
+
+  await app.createTask(owner, shared.id, { title: 'Due today', due_date: day(EAST), priority: 'low' });
+  await app.createTask(owner, shared.id, { title: 'Late', due_date: day(EAST, -3) });
+  await app.createTask(owner, shared.id, { title: 'Soon', due_date: day(EAST, 3), priority: 'high' });
+  await app.createTask(owner, shared.id, { title: 'Someday' });
+  const done = await app.createTask(owner, shared.id, { title: 'Done', due_date: day(EAST) });
+  await app.api('PATCH', `/api/tasks/${done.id}/toggle`, { token: owner.token });
+
+  await app.createTask(member, mine.id, { title: 'Mine today', due_date: day(WEST) });
+});
+
+after(() => app.stop());
+
+test('today is decided in the user\'s time zone', async () => {
+  const ownerToday = await getView(owner, 'today');
+  assert.strictEqual(ownerToday.today, day(EAST));
+  assert.strictEqual(ownerToday.time_zone, EAST);
+  assert.deepStrictEqual(titles(ownerToday), ['Due today']);
+
+  // The owner's today is still ahead for the member
+  const memberToday = await getView(member, 'today');
+  assert.strictEqual(memberToday.today, day(WEST));
+  assert.deepStrictEqual(titles(memberToday), ['Mine today']);
+  assert.deepStrictEqual(titles(await getView(member, 'upcoming')), ['Due today', 'Soon']);
+});
+
+test('views cover every accessible list and only open tasks', async () => {
+  assert.deepStrictEqual(titles(await getView(owner, 'undated')), ['Someday']);
+  assert.deepStrictEqual(titles(await getView(owner, 'overdue')), ['Late']);
+  assert.deepStrictEqual(titles(await getView(member, 'high-priority')), ['Soon']);
+
+  const counts = await app.api('GET', '/api/views', { token: member.token });
+  assert.deepStrictEqual(
+    Object.fromEntries(counts.body.views.map(view => [view.view, view.count])),
+    { today: 1, overdue: 1, upcoming: 2, undated: 1, 'high-priority': 1 }
+  );
+});
+
+test('results are grouped by date or list', async () => {
+  const byDate = await getView(member, 'upcoming');
+  assert.strictEqual(byDate.group, 'date');
+  assert.deepStrictEqual(byDate.groups.map(group => group.date), [day(EAST), day(EAST, 3)]);
+
+  const byList = await getView(member, 'overdue', '?group=list');
+  assert.deepStrictEqual(byList.groups.map(group => group.list), [{ id: shared.id, name: 'Shared' }]);
+
+  const extra = await app.createTask(member, mine.id, { title: 'Also undated' });
+  const undated = await getView(member, 'undated');
+  assert.deepStrictEqual(undated.groups.map(group => [group.list.name, group.tasks.map(task => task.title)]), [
+    ['Mine', ['Also undated']],
+    ['Shared', ['Someday']]
+  ]);
+  await app.api('DELETE', `/api/tasks/${extra.id}`, { token: member.token });
+});
+
+test('unknown views and groupings are refused', async () => {
+  assert.strictEqual((await app.api('GET', '/api/views/someday', { token: owner.token })).status, 400);
+  assert.strictEqual((await app.api('GET', '/api/views/today?group=tag', { token: owner.token })).status, 400);
+  assert.strictEqual((await app.api('GET', '/api/views/today?group=date&group=list', { token: owner.token })).status, 400);
+});
@@ -0,0 +1,142 @@
+const pool = require('../config/database');
+const { accountDeletion } = require('../config/auth');
+
+// Work out who takes over each shared list a user owns. `chosenOwners` maps
+// list ids to the user id picked by the departing owner; otherwise the
+// longest-standing admin takes over. Lists without members are simply
+// deleted with the account.
+const planListTransfers = async (db, userId, chosenOwners = {}) => {
+  const result = await db.query(`
+    SELECT l.id as list_id, l.name as list_name,
+           lm.user_id, lm.role, u.name, u.email
+    FROM lists l
+    JOIN list_members lm ON l.id = lm.list_id
+    JOIN users u ON lm.user_id = u.id
+    WHERE l.owner_id = $1 AND lm.user_id <> $1
+    ORDER BY l.id ASC, lm.created_at ASC
+  `, [userId]);
+
+  const lists = result.rows.reduce((acc, row) => {
+    if (!acc[row.list_id]) {
+      acc[row.list_id] = { listId: row.list_id, listName: row.list_name, members: [] };
+    }
+    acc[row.list_id].members.push({ id: row.user_id, name: row.name, email: row.email, role: row.role });
+    return acc;
+  }, {});
+
+  const transfers = [];
+  const unresolved = [];
+
+  for (const list of Object.values(lists)) {
+    const chosenId = chosenOwners[list.listId] !== undefined ? Number(chosenOwners[list.listId]) : null;
+    const newOwner = list.members.find(member => member.id === chosenId) ||
+      list.members.find(member => member.role === 'admin');
+
+    if (newOwner) {
+      transfers.push({ listId: list.listId, listName: list.listName, newOwner });
+    } else {
+      unresolved.push(list);
+    }
+  }
+
+  return { transfers, unresolved };
+};
+
+// Delete one account whose grace period is over, handing its shared lists
+// over first. Returns false if the account is no longer due (or another
+// instance is already deleting it).
+const purgeAccount = async (userId) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const userResult = await client.query(`
+      SELECT id, deletion_new_owners
+      FROM users
+      WHERE id = $1 AND deletion_scheduled_for <= NOW()
+      FOR UPDATE SKIP LOCKED
+    `, [userId]);
+
+    if (userResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return false;
+    }
+
+    const { transfers, unresolved } = await planListTransfers(
+      client,
+      userId,
+      userResult.rows[0].deletion_new_owners || {}
+    );
+
+    // Membership may have changed during the grace period - rather than
+    // wiping a shared list, fall back to its longest-standing member
+    const handovers = [
+      ...transfers,
+      ...unresolved.map(list => ({ listId: list.listId, newOwner: list.members[0] }))
+    ];
+
+    for (const { listId, newOwner } of handovers) {
+      await client.query(
+        'DELETE FROM list_members WHERE list_id = $1 AND user_id = $2',
+        [listId, newOwner.id]
+      );
+      await client.query(
+        'UPDATE lists SET owner_id = $1 WHERE id = $2',
+        [newOwner.id, listId]
+      );
+    }
+
+    await client.query('DELETE FROM users WHERE id = $1', [userId]);
+    await client.query('COMMIT');
+
+    console.log(`🗑️  Deleted account ${userId}, transferred ${handovers.length} shared list(s)`);
+    return true;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+const purgeDueAccounts = async () => {
+  const result = await pool.query(
+    'SELECT id FROM users WHERE deletion_scheduled_for <= NOW()'
+  );
+
+  for (const { id } of result.rows) {
+    try {
+      await purgeAccount(id);
+    } catch (error) {
+      console.error(`Failed to delete account ${id}:`, error);
+    }
+  }
+};
+
+// Periodically delete accounts whose grace period has ended
+const startAccountDeletionJob = () => {
+  let running = null;
+  const run = () => {
+    running = purgeDueAccounts().catch((error) => {
+      console.error('Account deletion job error:', error);
+    });
+  };
+
+  run();
+  const timer = setInterval(run, accountDeletion.checkIntervalMinutes * 60 * 1000);
+  timer.unref();
+
+  // Stops the job, waiting for a run in progress to finish
+  return () => {
+    clearInterval(timer);
+    return running;
+  };
+};
+
+module.exports = {
+  planListTransfers,
+  purgeAccount,
+  purgeDueAccounts,
+  startAccountDeletionJob
+};
@@ -0,0 +1,167 @@
+const pool = require('../config/database');
+const { TASK_RECURRENCE_COLUMN } = require('./taskSeries');
+const { accessibleLists } = require('./permissions');
+
+// Build a JSON archive of everything stored about a user
+const buildAccountExport = async (userId) => {
+  const profileResult = await pool.query(`
+    SELECT id, name, email, email_verified, security_question, totp_enabled,
+           time_zone, deletion_scheduled_for, created_at
+    FROM users
+    WHERE id = $1
+  `, [userId]);
+
+  // Every list the user owns or belongs to
+  const listsResult = await pool.query(`
+    SELECT l.id, l.name, l.owner_id, l.created_at,
+           al.role
+    FROM lists l
+    JOIN ${accessibleLists('$1')} al ON al.list_id = l.id
+    ORDER BY l.created_at ASC
+  `, [userId]);
+
+  const listIds = listsResult.rows.map(list => list.id);
+
+  const tasksResult = await pool.query(`
+    SELECT t.id, t.list_id, t.title, t.description, t.priority, t.due_date,
+           t.due_at, t.time_zone, t.completed, t.created_at,
+           array_agg(
+             CASE WHEN tag.name IS NOT NULL
+             THEN json_build_object('id', tag.id, 'name', tag.name)
+             ELSE NULL END
+           ) FILTER (WHERE tag.name IS NOT NULL) as tags,
+           ${TASK_RECURRENCE_COLUMN}
+    FROM tasks t
+    LEFT JOIN task_tags tt ON t.id = tt.task_id
+    LEFT JOIN tags tag ON tt.tag_id = tag.id
+    WHERE t.list_id = ANY($1)
+    GROUP BY t.id
+    ORDER BY t.created_at ASC
+  `, [listIds]);
+
+  const subtasksResult = await pool.query(`
+    SELECT s.id, s.task_id, s.title, s.completed, s.created_at
+    FROM subtasks s
+    JOIN tasks t ON s.task_id = t.id
+    WHERE t.list_id = ANY($1)
+    ORDER BY s.created_at ASC
+  `, [listIds]);
+
+  const commentsResult = await pool.query(`
+    SELECT c.id, c.task_id, t.title as task_title, c.parent_id, c.body,
+           c.created_at, c.updated_at
+    FROM task_comments c
+    JOIN tasks t ON c.task_id = t.id
+    WHERE c.author_id = $1 AND c.deleted_at IS NULL
+    ORDER BY c.created_at ASC
+  `, [userId]);
+
+  const membershipsResult = await pool.query(`
+    SELECT lm.list_id, l.name as list_name, lm.role, lm.created_at as joined_at
+    FROM list_members lm
+    JOIN lists l ON lm.list_id = l.id
+    WHERE lm.user_id = $1
+    ORDER BY lm.created_at ASC
+  `, [userId]);
+
+  const notificationsResult = await pool.query(`
+    SELECT id, type, actor_id, list_id, task_id, data, read_at, created_at
+    FROM notifications
+    WHERE user_id = $1
+    ORDER BY created_at ASC
+  `, [userId]);
+
+  const notificationPreferencesResult = await pool.query(
+    'SELECT type, enabled FROM notification_preferences WHERE user_id = $1 ORDER BY type ASC',
+    [userId]
+  );
+
+  const remindersResult = await pool.query(`
+    SELECT id, task_id, remind_at, minutes_before, fire_at, sent_at, created_at
+    FROM task_reminders
+    WHERE user_id = $1
+    ORDER BY created_at ASC
+  `, [userId]);
+
+  const calendarFeedResult = await pool.query(
+    'SELECT token_prefix, access_count, last_accessed_at, created_at FROM calendar_feeds WHERE user_id = $1',
+    [userId]
+  );
+
+  const savedFiltersResult = await pool.query(`
+    SELECT id, name, definition, list_id, created_at, updated_at
+    FROM saved_filters
+    WHERE user_id = $1
+    ORDER BY created_at ASC
+  `, [userId]);
+
+  const sessionsResult = await pool.query(`
+    SELECT id, user_agent, ip_address, revoked_at, created_at, last_used_at
+    FROM sessions
+    WHERE user_id = $1
+    ORDER BY created_at ASC
+  `, [userId]);
+
+  const accessTokensResult = await pool.query(`
+    SELECT id, name, token_prefix, scopes, expires_at, last_used_at, revoked_at, created_at
+    FROM personal_access_tokens
+    WHERE user_id = $1
+    ORDER BY created_at ASC
+  `, [userId]);
+
+  const securityEventsResult = await pool.query(`
+    SELECT event_type, ip_address, user_agent, metadata, created_at
+    FROM security_events
+    WHERE user_id = $1
+    ORDER BY created_at ASC
+  `, [userId]);
+
+  // Group subtasks by task and tasks by list
+  const subtasksByTask = subtasksResult.rows.reduce((acc, subtask) => {
+    (acc[subtask.task_id] = acc[subtask.task_id] || []).push(subtask);
+    return acc;
+  }, {});
+
+  const tasksByList = tasksResult.rows.reduce((acc, task) => {
+    (acc[task.list_id] = acc[task.list_id] || []).push({
+      ...task,
+      tags: task.tags || [],
+      subtasks: subtasksByTask[task.id] || []
+    });
+    return acc;
+  }, {});
+
+  const lists = listsResult.rows.map(list => ({
+    ...list,
+    tasks: tasksByList[list.id] || []
+  }));
+
+  // Distinct tags used on any exported task
+  const tags = Object.values(
+    tasksResult.rows
+      .flatMap(task => task.tags || [])
+      .reduce((acc, tag) => ({ ...acc, [tag.id]: tag }), {})
+  ).sort((a, b) => a.name.localeCompare(b.name));
+
+  return {
+    exported_at: new Date().toISOString(),
+    profile: profileResult.rows[0],
+    owned_lists: lists.filter(list => list.owner_id === userId),
+    shared_lists: lists.filter(list => list.owner_id !== userId),
+    memberships: membershipsResult.rows,
+    tags,
+    comments: commentsResult.rows,
+    notifications: notificationsResult.rows,
+    notification_preferences: notificationPreferencesResult.rows,
+    reminders: remindersResult.rows,
+    saved_filters: savedFiltersResult.rows,
+    sessions: sessionsResult.rows,
+    access_tokens: accessTokensResult.rows,
+    calendar_feed: calendarFeedResult.rows[0] || null,
+    security_events: securityEventsResult.rows
+  };
+};
+
+module.exports = {
+  buildAccountExport
+};
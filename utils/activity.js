@@ -0,0 +1,83 @@
+const pool = require('../config/database');
+
+// Record a change to a list in its activity feed. target is { type, id }.
+// Like security events, failures are logged but never break the request.
+const recordActivity = async (listId, actorId, action, target, { before = null, after = null } = {}) => {
+  try {
+    // Announce the entry so every instance can stream it to subscribers
+    await pool.query(`
+      WITH activity AS (
+        INSERT INTO list_activity (list_id, actor_id, action, target_type, target_id, before, after)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+        RETURNING id
+      )
+      SELECT pg_notify('list_activity', id::text) FROM activity
+    `, [listId, actorId, action, target.type, target.id || null, before, after]);
+  } catch (error) {
+    console.error('Record activity error:', error);
+  }
+};
+
+// Keep only the fields that differ between two snapshots. Returns null when
+// nothing changed.
+const diffValues = (before, after) => {
+  const changed = Object.keys(after).filter(key => JSON.stringify(before[key]) !== JSON.stringify(after[key]));
+
+  if (changed.length === 0) {
+    return null;
+  }
+
+  const pick = (values) => Object.fromEntries(changed.map(key => [key, values[key] === undefined ? null : values[key]]));
+  return { before: pick(before), after: pick(after) };
+};
+
+// The fields of a task the activity feed tracks. db can be a client in a
+// transaction.
+const snapshotTask = async (taskId, db = pool) => {
+  const result = await db.query(`
+    SELECT t.title, t.description, t.priority, t.due_date, t.due_at, t.completed,
+           COALESCE((
+             SELECT array_agg(tag.name ORDER BY tag.name)
+             FROM task_tags tt
+             JOIN tags tag ON tt.tag_id = tag.id
+             WHERE tt.task_id = t.id
+           ), '{}') as tags,
+           COALESCE((
+             SELECT array_agg(ta.user_id ORDER BY ta.user_id)
+             FROM task_assignees ta
+             WHERE ta.task_id = t.id
+           ), '{}') as assignee_ids,
+           (
+             SELECT ts.rrule
+             FROM task_series ts
+             WHERE ts.id = t.series_id AND ts.ended_at IS NULL
+           ) as recurrence,
+           (SELECT ls.name FROM list_statuses ls WHERE ls.id = t.status_id) as status
+    FROM tasks t
+    WHERE t.id = $1
+  `, [taskId]);
+
+  return result.rows.length > 0 ? result.rows[0] : null;
+};
+
+const snapshotSubtask = async (subtaskId) => {
+  const result = await pool.query(`
+    SELECT s.task_id, s.title, s.completed,
+           COALESCE((
+             SELECT array_agg(sa.user_id ORDER BY sa.user_id)
+             FROM subtask_assignees sa
+             WHERE sa.subtask_id = s.id
+           ), '{}') as assignee_ids
+    FROM subtasks s
+    WHERE s.id = $1
+  `, [subtaskId]);
+
+  return result.rows.length > 0 ? result.rows[0] : null;
+};
+
+module.exports = {
+  recordActivity,
+  diffValues,
+  snapshotTask,
+  snapshotSubtask
+};
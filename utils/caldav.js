@@ -0,0 +1,340 @@
+const crypto = require('crypto');
+const pool = require('../config/database');
+const { accessibleLists, getCapabilities } = require('./permissions');
+const { isValidTimeZone } = require('./dueDates');
+const {
+  unescapeText,
+  splitList,
+  parseDateValue,
+  formatDateTime,
+  taskUid,
+  subtaskUid,
+  buildTodo,
+  buildSubtaskTodo,
+  buildCalendarObject,
+  parseCalendar
+} = require('./ics');
+
+const NAMESPACES = {
+  'DAV:': 'd',
+  'urn:ietf:params:xml:ns:caldav': 'c',
+  'http://calendarserver.org/ns/': 'cs'
+};
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Every list the user can see tasks in, with their role. ctag changes
+// whenever anything in the list does, as every change is in its activity
+// feed.
+const getCalendars = async (userId, listId = null) => {
+  const result = await pool.query(`
+    SELECT l.id, l.name,
+           al.role,
+           COALESCE((SELECT MAX(a.id) FROM list_activity a WHERE a.list_id = l.id), 0) as ctag
+    FROM lists l
+    JOIN ${accessibleLists('$1')} al ON al.list_id = l.id
+    WHERE $2::int IS NULL OR l.id = $2::int
+    ORDER BY l.created_at ASC
+  `, [userId, listId]);
+
+  return result.rows.filter(list => getCapabilities(list.role).includes('task.view'));
+};
+
+const etagOf = (data) => `"${crypto.createHash('md5').update(data).digest('hex')}"`;
+
+// Names tasks and subtasks get unless a client chose one
+const GENERATED_NAME = /^(task|subtask)-(\d+)\.ics$/;
+
+const toObject = (type, item, component) => {
+  const data = buildCalendarObject(component);
+
+  return {
+    type,
+    id: item.id,
+    task_id: type === 'subtask' ? item.task_id : item.id,
+    name: item.name || `${type}-${item.id}.ics`,
+    uid: item.uid || (type === 'task' ? taskUid(item) : subtaskUid(item)),
+    completed: item.completed,
+    data,
+    etag: etagOf(data)
+  };
+};
+
+// The tasks and subtasks of a list as calendar object resources, or with
+// only ({ type, id }) just that one of them. DTSTAMP is the creation time so
+// that ETags only change with the data.
+const getCalendarObjects = async (listId, only = null) => {
+  // The id to fetch of a type: null for all of them, 0 for none
+  const onlyId = (type) => (only ? (only.type === type ? only.id : 0) : null);
+
+  const tasksResult = await pool.query(`
+    SELECT t.id, t.title, t.description, t.priority,
+           to_char(t.due_date, 'YYYY-MM-DD') as due_date, t.due_at, t.completed, t.created_at,
+           COALESCE((
+             SELECT array_agg(tag.name ORDER BY tag.name)
+             FROM task_tags tt
+             JOIN tags tag ON tt.tag_id = tag.id
+             WHERE tt.task_id = t.id
+           ), '{}') as tags,
+           o.name, o.uid
+    FROM tasks t
+    LEFT JOIN caldav_objects o ON o.task_id = t.id
+    WHERE t.list_id = $1 AND ($2::int IS NULL OR t.id = $2::int)
+    ORDER BY t.id ASC
+  `, [listId, onlyId('task')]);
+
+  const subtasksResult = await pool.query(`
+    SELECT s.id, s.task_id, s.title, s.completed, s.created_at,
+           o.name, o.uid, po.uid as parent_uid
+    FROM subtasks s
+    JOIN tasks t ON s.task_id = t.id
+    LEFT JOIN caldav_objects o ON o.subtask_id = s.id
+    LEFT JOIN caldav_objects po ON po.task_id = t.id
+    WHERE t.list_id = $1 AND ($2::int IS NULL OR s.id = $2::int)
+    ORDER BY s.id ASC
+  `, [listId, onlyId('subtask')]);
+
+  return [
+    ...tasksResult.rows.map(task => toObject('task', task, buildTodo(task, formatDateTime(task.created_at)))),
+    ...subtasksResult.rows.map(subtask => toObject('subtask', subtask, buildSubtaskTodo(subtask, formatDateTime(subtask.created_at))))
+  ];
+};
+
+// Look up a single object by its resource name or UID (column is 'name' or
+// 'uid'): one a client chose is stored, a generated one holds the id. Only
+// that object is built.
+const findCalendarObjectBy = async (listId, column, value, generated) => {
+  const storedResult = await pool.query(
+    `SELECT task_id, subtask_id FROM caldav_objects WHERE list_id = $1 AND ${column} = $2`,
+    [listId, value]
+  );
+
+  const stored = storedResult.rows[0];
+  const match = !stored && generated.exec(value);
+
+  // Ids past the integer range name nothing
+  if (!stored && (!match || parseInt(match[2], 10) > 2147483647)) {
+    return null;
+  }
+
+  const only = stored
+    ? (stored.task_id ? { type: 'task', id: stored.task_id } : { type: 'subtask', id: stored.subtask_id })
+    : { type: match[1], id: parseInt(match[2], 10) };
+
+  // A generated name or UID is not the object's once a client chose one
+  const [object] = await getCalendarObjects(listId, only);
+  return object && object[column] === value ? object : null;
+};
+
+const findCalendarObject = (listId, name) => findCalendarObjectBy(listId, 'name', name, GENERATED_NAME);
+
+const findCalendarObjectByUid = (listId, uid) => findCalendarObjectBy(listId, 'uid', uid, /^(task|subtask)-(\d+)@/);
+
+// DUE as the due_date, time_zone input resolveDue() takes
+const readDue = (property) => {
+  if (!property) {
+    return { due_date: null };
+  }
+
+  const value = parseDateValue(property.value);
+
+  if (!value) {
+    return null;
+  }
+
+  if (!value.time) {
+    return { due_date: value.date };
+  }
+
+  if (value.utc) {
+    return { due_date: `${value.date}T${value.time}Z` };
+  }
+
+  // Floating times are read in the user's time zone, as are zones only
+  // described by a VTIMEZONE
+  const zone = property.params.TZID;
+  return { due_date: `${value.date}T${value.time}`, ...(isValidTimeZone(zone) && { time_zone: zone }) };
+};
+
+const readPriority = (property) => {
+  const value = property ? parseInt(property.value, 10) : 0;
+
+  if (value >= 1 && value <= 4) {
+    return 'high';
+  }
+
+  if (value === 5) {
+    return 'medium';
+  }
+
+  return value >= 6 && value <= 9 ? 'low' : null;
+};
+
+// Map a VTODO onto the fields of a task. What tasks cannot store - alarms,
+// start dates, recurrence rules and so on - is dropped. due is null when DUE
+// cannot be read.
+const readTodo = (todo) => {
+  const property = (name) => todo.properties.find(prop => prop.name === name);
+  const text = (name) => (property(name) ? unescapeText(property(name).value).trim() : null);
+
+  const status = property('STATUS');
+  const percentComplete = property('PERCENT-COMPLETE');
+  const parent = todo.properties.find(prop => (
+    prop.name === 'RELATED-TO' && (prop.params.RELTYPE || 'PARENT').toUpperCase() === 'PARENT'
+  ));
+
+  const tags = todo.properties
+    .filter(prop => prop.name === 'CATEGORIES')
+    .flatMap(prop => splitList(prop.value))
+    .map(tag => tag.trim().toLowerCase())
+    .filter(Boolean);
+
+  return {
+    uid: text('UID'),
+    title: text('SUMMARY'),
+    description: text('DESCRIPTION') || null,
+    priority: readPriority(property('PRIORITY')),
+    completed: status
+      ? status.value.trim().toUpperCase() === 'COMPLETED'
+      : Boolean(property('COMPLETED')) || Boolean(percentComplete && parseInt(percentComplete.value, 10) === 100),
+    tags: [...new Set(tags)],
+    parent_uid: parent ? unescapeText(parent.value).trim() : null,
+    due: readDue(property('DUE'))
+  };
+};
+
+// The task fields of a calendar object resource a client uploaded, or null
+// unless it is valid iCalendar holding exactly one VTODO (time zone
+// definitions aside)
+const readCalendarObject = (text) => {
+  let calendars;
+
+  try {
+    calendars = parseCalendar(text || '');
+  } catch (error) {
+    return null;
+  }
+
+  if (calendars.length !== 1 || calendars[0].name !== 'VCALENDAR') {
+    return null;
+  }
+
+  const components = calendars[0].components.filter(component => component.name !== 'VTIMEZONE');
+
+  if (components.length !== 1 || components[0].name !== 'VTODO') {
+    return null;
+  }
+
+  return readTodo(components[0]);
+};
+
+// The properties a PROPFIND or REPORT asks for, as { namespace, name }, or
+// null for allprop (and an empty body). Only looks at the direct children of
+// <prop>.
+const parseRequestedProperties = (body) => {
+  const namespaces = {};
+  for (const [, prefix, uri] of (body || '').matchAll(/xmlns(?::([\w.-]+))?\s*=\s*["']([^"']*)["']/g)) {
+    namespaces[prefix || ''] = uri;
+  }
+
+  const prop = /<(?:[\w.-]+:)?prop(?:\s[^>]*)?>([\s\S]*?)<\/(?:[\w.-]+:)?prop>/.exec(body || '');
+
+  if (!prop) {
+    return null;
+  }
+
+  const properties = [];
+  let depth = 0;
+
+  for (const [, closing, prefix, name, selfClosing] of prop[1].matchAll(/<(\/)?(?:([\w.-]+):)?([\w.-]+)[^>]*?(\/)?>/g)) {
+    if (closing) {
+      depth--;
+      continue;
+    }
+
+    if (depth === 0) {
+      properties.push({ namespace: namespaces[prefix || ''] || '', name });
+    }
+
+    if (!selfClosing) {
+      depth++;
+    }
+  }
+
+  return properties;
+};
+
+// The hrefs of a calendar-multiget, as decoded paths, or null if one is not
+// a valid URL or has a malformed percent-escape
+const parseHrefs = (body) => {
+  try {
+    return [...(body || '').matchAll(/<(?:[\w.-]+:)?href[^>]*>([^<]*)<\/(?:[\w.-]+:)?href>/g)]
+      .map(([, href]) => decodeURIComponent(new URL(href.trim(), 'http://localhost').pathname));
+  } catch (error) {
+    return null;
+  }
+};
+
+const xmlElement = ({ namespace, name }, content = '') => {
+  const prefix = NAMESPACES[namespace];
+  const tag = prefix ? `${prefix}:${name}` : `x:${name}`;
+  const declaration = prefix ? '' : ` xmlns:x="${escapeXml(namespace)}"`;
+
+  return content === '' ? `<${tag}${declaration}/>` : `<${tag}${declaration}>${content}</${tag}>`;
+};
+
+// One <response> of a multistatus. found holds [property, content] pairs,
+// missing the properties the resource does not have.
+const buildResponse = (href, found, missing = []) => [
+  '<d:response>',
+  `<d:href>${escapeXml(href)}</d:href>`,
+  ...(found.length > 0 ? [
+    '<d:propstat><d:prop>',
+    ...found.map(([property, content]) => xmlElement(property, content)),
+    '</d:prop><d:status>HTTP/1.1 200 OK</d:status></d:propstat>'
+  ] : []),
+  ...(missing.length > 0 ? [
+    '<d:propstat><d:prop>',
+    ...missing.map(property => xmlElement(property)),
+    '</d:prop><d:status>HTTP/1.1 404 Not Found</d:status></d:propstat>'
+  ] : []),
+  '</d:response>'
+].join('');
+
+const buildStatusResponse = (href, status) => (
+  `<d:response><d:href>${escapeXml(href)}</d:href><d:status>HTTP/1.1 ${status}</d:status></d:response>`
+);
+
+const namespaceDeclarations = Object.entries(NAMESPACES)
+  .map(([uri, prefix]) => `xmlns:${prefix}="${uri}"`)
+  .join(' ');
+
+const buildMultistatus = (responses) => (
+  `<?xml version="1.0" encoding="utf-8"?>\n<d:multistatus ${namespaceDeclarations}>${responses.join('')}</d:multistatus>\n`
+);
+
+// A failed precondition, such as <c:no-uid-conflict/>
+const buildError = (condition) => (
+  `<?xml version="1.0" encoding="utf-8"?>\n<d:error ${namespaceDeclarations}>${condition}</d:error>\n`
+);
+
+module.exports = {
+  NAMESPACES,
+  GENERATED_NAME,
+  escapeXml,
+  getCalendars,
+  getCalendarObjects,
+  findCalendarObject,
+  findCalendarObjectByUid,
+  readCalendarObject,
+  parseRequestedProperties,
+  parseHrefs,
+  buildResponse,
+  buildStatusResponse,
+  buildMultistatus,
+  buildError
+};
@@ -0,0 +1,37 @@
+const pool = require('../config/database');
+const { accessibleLists } = require('./permissions');
+
+// Tasks with a due date from every list a user can access, in the shape
+// utils/ics.js expects. listIds and tags narrow them down (a task matches if
+// it has any of the tags); completed keeps only completed or open ones.
+const getCalendarTasks = async (userId, { listIds = null, tags = null, completed = null } = {}) => {
+  const result = await pool.query(`
+    SELECT t.id, t.list_id, l.name as list_name, t.title, t.description, t.priority,
+           to_char(t.due_date, 'YYYY-MM-DD') as due_date, t.due_at, t.completed, t.created_at,
+           COALESCE((
+             SELECT array_agg(tag.name ORDER BY tag.name)
+             FROM task_tags tt
+             JOIN tags tag ON tt.tag_id = tag.id
+             WHERE tt.task_id = t.id
+           ), '{}') as tags
+    FROM tasks t
+    JOIN lists l ON t.list_id = l.id
+    JOIN ${accessibleLists('$1')} al ON al.list_id = l.id
+    WHERE t.due_date IS NOT NULL
+      AND ($2::int[] IS NULL OR l.id = ANY($2::int[]))
+      AND ($3::text[] IS NULL OR EXISTS (
+        SELECT 1
+        FROM task_tags tt
+        JOIN tags tag ON tt.tag_id = tag.id
+        WHERE tt.task_id = t.id AND tag.name = ANY($3::text[])
+      ))
+      AND ($4::boolean IS NULL OR t.completed = $4::boolean)
+    ORDER BY t.due_date ASC, t.id ASC
+  `, [userId, listIds, tags, completed]);
+
+  return result.rows;
+};
+
+module.exports = {
+  getCalendarTasks
+};
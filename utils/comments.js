@@ -0,0 +1,134 @@
+const pool = require('../config/database');
+
+// Column counting the visible comments of a task (aliased t)
+const TASK_COMMENT_COUNT_COLUMN = `
+  (SELECT COUNT(*)::int FROM task_comments c WHERE c.task_id = t.id AND c.deleted_at IS NULL) as comment_count
+`;
+
+const COMMENT_COLUMNS = `
+  c.id, c.task_id, c.parent_id, c.author_id, author.name as author_name,
+  CASE WHEN c.deleted_at IS NULL THEN c.body ELSE NULL END as body,
+  c.created_at, c.updated_at,
+  c.updated_at IS NOT NULL as edited,
+  c.deleted_at IS NOT NULL as deleted,
+  COALESCE((
+    SELECT json_agg(json_build_object('id', mu.id, 'name', mu.name) ORDER BY mu.name)
+    FROM comment_mentions cm
+    JOIN users mu ON cm.user_id = mu.id
+    WHERE cm.comment_id = c.id
+  ), '[]') as mentions
+`;
+
+const findComment = async (commentId) => {
+  const result = await pool.query(`
+    SELECT ${COMMENT_COLUMNS}, t.list_id
+    FROM task_comments c
+    JOIN tasks t ON c.task_id = t.id
+    LEFT JOIN users author ON c.author_id = author.id
+    WHERE c.id = $1
+  `, [commentId]);
+
+  return result.rows.length > 0 ? result.rows[0] : null;
+};
+
+// All comments of a task, nested under their parents. Deleted comments are
+// only kept as placeholders while they still have replies.
+const getCommentThreads = async (taskId) => {
+  const result = await pool.query(`
+    SELECT ${COMMENT_COLUMNS}
+    FROM task_comments c
+    LEFT JOIN users author ON c.author_id = author.id
+    WHERE c.task_id = $1
+    ORDER BY c.created_at ASC, c.id ASC
+  `, [taskId]);
+
+  const byId = new Map(result.rows.map(comment => [comment.id, { ...comment, replies: [] }]));
+  const threads = [];
+
+  for (const comment of byId.values()) {
+    const parent = comment.parent_id && byId.get(comment.parent_id);
+    (parent ? parent.replies : threads).push(comment);
+  }
+
+  const prune = (comments) => comments
+    .map(comment => ({ ...comment, replies: prune(comment.replies) }))
+    .filter(comment => !comment.deleted || comment.replies.length > 0);
+
+  return prune(threads);
+};
+
+// The owner and members of a list - the people who can be @mentioned
+const getMentionableUsers = async (listId) => {
+  const result = await pool.query(`
+    SELECT u.id, u.name
+    FROM lists l
+    JOIN users u ON l.owner_id = u.id
+    WHERE l.id = $1
+    UNION
+    SELECT u.id, u.name
+    FROM list_members lm
+    JOIN users u ON lm.user_id = u.id
+    WHERE lm.list_id = $1
+  `, [listId]);
+
+  return result.rows;
+};
+
+// Find "@name" mentions in a comment. Names may contain spaces, so the
+// longest matching name wins ("@Ann Lee" over "@Ann").
+const parseMentions = (body, people) => {
+  const text = body.toLowerCase();
+  const candidates = [...people].sort((a, b) => b.name.length - a.name.length);
+  const mentioned = new Map();
+
+  for (let index = text.indexOf('@'); index !== -1; index = text.indexOf('@', index + 1)) {
+    // Skip email addresses and the like
+    if (index > 0 && /[\p{L}\p{N}_.]/u.test(text[index - 1])) {
+      continue;
+    }
+
+    const rest = text.slice(index + 1);
+    const person = candidates.find(candidate => {
+      const name = candidate.name.toLowerCase();
+      return rest.startsWith(name) && !/[\p{L}\p{N}_]/u.test(rest.charAt(name.length));
+    });
+
+    if (person) {
+      mentioned.set(person.id, person);
+    }
+  }
+
+  return [...mentioned.values()];
+};
+
+// Store who a comment mentions, replacing earlier mentions. Returns the
+// users who were not mentioned before, so they can be notified.
+const saveMentions = async (commentId, listId, body, authorId) => {
+  const people = await getMentionableUsers(listId);
+  const userIds = parseMentions(body, people)
+    .map(person => person.id)
+    .filter(id => id !== authorId);
+
+  await pool.query(
+    'DELETE FROM comment_mentions WHERE comment_id = $1 AND user_id <> ALL($2::int[])',
+    [commentId, userIds]
+  );
+
+  const result = await pool.query(`
+    INSERT INTO comment_mentions (comment_id, user_id)
+    SELECT $1, unnest($2::int[])
+    ON CONFLICT DO NOTHING
+    RETURNING user_id
+  `, [commentId, userIds]);
+
+  return result.rows.map(row => row.user_id);
+};
+
+module.exports = {
+  TASK_COMMENT_COUNT_COLUMN,
+  findComment,
+  getCommentThreads,
+  getMentionableUsers,
+  parseMentions,
+  saveMentions
+};
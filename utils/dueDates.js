@@ -0,0 +1,58 @@
+const pool = require('../config/database');
+
+// Is this an IANA time zone name the runtime knows about?
+const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== 'string' || timeZone.length === 0) {
+    return false;
+  }
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// A date-time in due_date, unlike a plain date, carries a time of day
+const hasTime = (value) => typeof value === 'string' && /\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}/.test(value);
+
+// Has an explicit offset or Z, so it names one instant everywhere
+const hasOffset = (value) => /(Z|[+-]\d{2}(:?\d{2})?)$/i.test(value);
+
+// Turn the due fields of a task request into its due_date, due_at and
+// time_zone columns. due_date is either a plain date, optionally with a
+// separate due_time, or an ISO 8601 date-time. Times without an offset are
+// read in time_zone, falling back to the user's own.
+const resolveDue = async ({ due_date: dueDate, due_time: dueTime, time_zone: timeZone }, userTimeZone) => {
+  if (!dueDate) {
+    return { due_date: null, due_at: null, time_zone: null };
+  }
+
+  const zone = timeZone || userTimeZone || 'UTC';
+  let instant = null;
+  let localTime = null;
+
+  if (hasTime(dueDate) && hasOffset(dueDate)) {
+    instant = dueDate;
+  } else if (hasTime(dueDate)) {
+    localTime = dueDate;
+  } else if (dueTime) {
+    localTime = `${dueDate} ${dueTime}`;
+  }
+
+  const result = await pool.query(`
+    SELECT to_char(COALESCE(due.at AT TIME ZONE $4, $1::date), 'YYYY-MM-DD') as due_date,
+           due.at as due_at
+    FROM (
+      SELECT COALESCE($2::timestamptz, $3::timestamp AT TIME ZONE $4) as at
+    ) due
+  `, [hasTime(dueDate) ? null : dueDate, instant, localTime, zone]);
+
+  return { ...result.rows[0], time_zone: zone };
+};
+
+module.exports = {
+  isValidTimeZone,
+  resolveDue
+};
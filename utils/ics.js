@@ -0,0 +1,247 @@
+const { appUrl } = require('../config/mail');
+
+// Domain part of UIDs - they must never change, or calendar apps would see
+// every task as new
+const UID_DOMAIN = new URL(appUrl).hostname;
+
+const PRODID = '-//Todo Backend//Tasks//EN';
+
+const PRIORITIES = { high: 1, medium: 5, low: 9 };
+
+// Escape TEXT values (RFC 5545 3.3.11)
+const escapeText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+const unescapeText = (value) => value.replace(/\\([\\;,nN])/g, (match, char) => (char.toLowerCase() === 'n' ? '\n' : char));
+
+// Values of list properties like CATEGORIES, split on unescaped commas
+const splitList = (value) => (value.match(/(?:\\.|[^,])+/g) || []).map(unescapeText);
+
+// Lines longer than 75 octets are folded onto continuation lines that start
+// with a space, without splitting multi-byte characters
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+
+  for (const char of line) {
+    const limit = parts.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+const formatDate = (day) => day.replace(/-/g, '');
+
+const formatDateTime = (value) => new Date(value).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const addDay = (day) => {
+  const date = new Date(`${day}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + 1);
+  return date.toISOString().slice(0, 10);
+};
+
+// Parse a DATE or DATE-TIME value into { date: 'YYYY-MM-DD', time:
+// 'HH:MM:SS' or null, utc }
+const parseDateValue = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/i.exec(value.trim());
+
+  if (!match) {
+    return null;
+  }
+
+  const [, year, month, day, hours, minutes, seconds, utc] = match;
+  return {
+    date: `${year}-${month}-${day}`,
+    time: hours ? `${hours}:${minutes}:${seconds}` : null,
+    utc: Boolean(utc)
+  };
+};
+
+const taskUid = (task) => `task-${task.id}@${UID_DOMAIN}`;
+
+const subtaskUid = (subtask) => `subtask-${subtask.id}@${UID_DOMAIN}`;
+
+// Properties both component types share. task needs id, title, description,
+// priority, completed, created_at, list_name and tags (names).
+const commonProperties = (task, stamp, summary = task.title) => [
+  `DTSTAMP:${stamp}`,
+  `CREATED:${formatDateTime(task.created_at)}`,
+  `SUMMARY:${escapeText(summary)}`,
+  ...(task.description ? [`DESCRIPTION:${escapeText(task.description)}`] : []),
+  ...(task.tags && task.tags.length > 0 ? [`CATEGORIES:${task.tags.map(escapeText).join(',')}`] : []),
+  ...(task.list_name ? [`X-TODO-LIST:${escapeText(task.list_name)}`] : [])
+];
+
+const statusProperties = (item) => [
+  `STATUS:${item.completed ? 'COMPLETED' : 'NEEDS-ACTION'}`,
+  ...(item.completed ? ['PERCENT-COMPLETE:100'] : [])
+];
+
+const dueProperties = (task) => {
+  if (task.due_at) {
+    return [`DUE:${formatDateTime(task.due_at)}`];
+  }
+
+  return task.due_date ? [`DUE;VALUE=DATE:${formatDate(task.due_date)}`] : [];
+};
+
+// A task as a VTODO, due on its day or at its due time. task.uid, when set,
+// replaces the generated UID (for tasks created in CalDAV clients).
+const buildTodo = (task, stamp) => [
+  'BEGIN:VTODO',
+  `UID:${escapeText(task.uid || taskUid(task))}`,
+  ...commonProperties(task, stamp),
+  ...dueProperties(task),
+  ...(PRIORITIES[task.priority] ? [`PRIORITY:${PRIORITIES[task.priority]}`] : []),
+  ...statusProperties(task),
+  'END:VTODO'
+];
+
+// A subtask as a VTODO related to its task's. subtask needs id, title,
+// completed, created_at and task_id, and may carry uid and parent_uid.
+const buildSubtaskTodo = (subtask, stamp) => [
+  'BEGIN:VTODO',
+  `UID:${escapeText(subtask.uid || subtaskUid(subtask))}`,
+  `DTSTAMP:${stamp}`,
+  `CREATED:${formatDateTime(subtask.created_at)}`,
+  `SUMMARY:${escapeText(subtask.title)}`,
+  `RELATED-TO;RELTYPE=PARENT:${escapeText(subtask.parent_uid || taskUid({ id: subtask.task_id }))}`,
+  ...statusProperties(subtask),
+  'END:VTODO'
+];
+
+// A task as an all-day VEVENT on its due date, for calendar apps that do not
+// show VTODOs. Events have no completed status, so completed tasks are marked
+// in the summary. UIDs differ from the VTODO's, as a calendar can only hold
+// one component per UID.
+const buildEvent = (task, stamp) => [
+  'BEGIN:VEVENT',
+  `UID:event-${taskUid(task)}`,
+  ...commonProperties(task, stamp, task.completed ? `✓ ${task.title}` : task.title),
+  `DTSTART;VALUE=DATE:${formatDate(task.due_date)}`,
+  `DTEND;VALUE=DATE:${formatDate(addDay(task.due_date))}`,
+  'TRANSP:TRANSPARENT',
+  'END:VEVENT'
+];
+
+// A complete VCALENDAR with the tasks as the given components ('vtodo',
+// 'vevent' or both)
+const serialize = (lines) => lines.map(foldLine).join('\r\n') + '\r\n';
+
+const buildCalendar = (tasks, { name, components = ['vtodo', 'vevent'] }) => {
+  const stamp = formatDateTime(new Date());
+
+  return serialize([
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    ...tasks.flatMap(task => [
+      ...(components.includes('vtodo') ? buildTodo(task, stamp) : []),
+      ...(components.includes('vevent') ? buildEvent(task, stamp) : [])
+    ]),
+    'END:VCALENDAR'
+  ]);
+};
+
+// A calendar object resource as CalDAV stores them: a single component and
+// no METHOD (RFC 4791 4.1)
+const buildCalendarObject = (component) => serialize([
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  `PRODID:${PRODID}`,
+  ...component,
+  'END:VCALENDAR'
+]);
+
+// Split a content line into its name, parameters and raw value. Parameter
+// values may be quoted and contain ':' or ';'.
+const parseContentLine = (line) => {
+  let quoted = false;
+  let colon = -1;
+
+  for (let i = 0; i < line.length && colon === -1; i++) {
+    if (line[i] === '"') {
+      quoted = !quoted;
+    } else if (line[i] === ':' && !quoted) {
+      colon = i;
+    }
+  }
+
+  if (colon <= 0) {
+    throw new Error(`Invalid content line: ${line}`);
+  }
+
+  const [name, ...params] = line.slice(0, colon).match(/(?:[^;"]|"[^"]*")+/g);
+
+  return {
+    name: name.toUpperCase(),
+    params: Object.fromEntries(params.map(param => {
+      const separator = param.indexOf('=');
+      return [param.slice(0, separator).toUpperCase(), param.slice(separator + 1).replace(/^"|"$/g, '')];
+    })),
+    value: line.slice(colon + 1)
+  };
+};
+
+// Parse iCalendar text into its top-level components, each
+// { name, properties: [{ name, params, value }], components }. Values are
+// left raw - use unescapeText on TEXT ones. Throws on malformed input.
+const parseCalendar = (text) => {
+  const root = { name: null, properties: [], components: [] };
+  const stack = [root];
+
+  const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/).filter(line => line.trim().length > 0);
+
+  for (const line of lines) {
+    const { name, params, value } = parseContentLine(line);
+    const current = stack[stack.length - 1];
+
+    if (name === 'BEGIN') {
+      const component = { name: value.toUpperCase(), properties: [], components: [] };
+      current.components.push(component);
+      stack.push(component);
+    } else if (name === 'END') {
+      if (current === root || current.name !== value.toUpperCase()) {
+        throw new Error(`Unexpected END:${value}`);
+      }
+      stack.pop();
+    } else {
+      current.properties.push({ name, params, value });
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`Missing END:${stack[stack.length - 1].name}`);
+  }
+
+  return root.components;
+};
+
+module.exports = {
+  escapeText,
+  unescapeText,
+  splitList,
+  foldLine,
+  formatDateTime,
+  parseDateValue,
+  taskUid,
+  subtaskUid,
+  buildTodo,
+  buildSubtaskTodo,
+  buildEvent,
+  buildCalendar,
+  buildCalendarObject,
+  parseCalendar
+};
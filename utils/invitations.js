@@ -0,0 +1,152 @@
+const pool = require('../config/database');
+const { invitationTtlDays } = require('../config/auth');
+const { appUrl } = require('../config/mail');
+const { generateToken, hashToken } = require('./tokens');
+const { queueMail } = require('./mailer');
+const { recordActivity } = require('./activity');
+const { createNotification } = require('./notifications');
+
+const INVITATION_COLUMNS = `
+  i.id, i.list_id, l.name as list_name, i.email, i.role, i.status,
+  i.invited_by, inviter.name as invited_by_name, i.expires_at, i.responded_at, i.created_at
+`;
+
+// Create a pending invitation, or refresh the one already pending for this
+// email. Returns the invitation and its plain token.
+const createInvitation = async ({ listId, email, role, invitedBy }) => {
+  const token = generateToken();
+
+  const existing = await pool.query(
+    `SELECT id FROM list_invitations WHERE list_id = $1 AND email = $2 AND status = 'pending'`,
+    [listId, email]
+  );
+
+  let invitationId;
+
+  if (existing.rows.length > 0) {
+    invitationId = existing.rows[0].id;
+    await pool.query(`
+      UPDATE list_invitations
+      SET role = $1, token_hash = $2, invited_by = $3,
+          expires_at = NOW() + make_interval(days => $4)
+      WHERE id = $5
+    `, [role, hashToken(token), invitedBy, invitationTtlDays, invitationId]);
+  } else {
+    const result = await pool.query(`
+      INSERT INTO list_invitations (list_id, email, role, token_hash, invited_by, expires_at)
+      VALUES ($1, $2, $3, $4, $5, NOW() + make_interval(days => $6))
+      RETURNING id
+    `, [listId, email, role, hashToken(token), invitedBy, invitationTtlDays]);
+    invitationId = result.rows[0].id;
+  }
+
+  const invitation = await findInvitation('i.id = $1', [invitationId]);
+
+  return { invitation, token, resent: existing.rows.length > 0 };
+};
+
+const findInvitation = async (condition, params) => {
+  const result = await pool.query(`
+    SELECT ${INVITATION_COLUMNS}
+    FROM list_invitations i
+    JOIN lists l ON i.list_id = l.id
+    LEFT JOIN users inviter ON i.invited_by = inviter.id
+    WHERE ${condition}
+  `, params);
+
+  return result.rows.length > 0 ? result.rows[0] : null;
+};
+
+const findInvitationByToken = (token) => findInvitation('i.token_hash = $1', [hashToken(token)]);
+
+const findInvitationById = (invitationId) => findInvitation('i.id = $1', [invitationId]);
+
+const sendInvitationEmail = (invitation, token) => {
+  const acceptLink = `${appUrl}/invitations/accept?token=${token}`;
+
+  queueMail({
+    to: invitation.email,
+    subject: `${invitation.invited_by_name} invited you to "${invitation.list_name}"`,
+    text: `${invitation.invited_by_name} invited you to join the list "${invitation.list_name}" as ${invitation.role}.\n\n` +
+      `Accept or decline the invitation here (sign in or create an account with ${invitation.email} first):\n\n` +
+      `${acceptLink}\n\n` +
+      `The invitation expires on ${new Date(invitation.expires_at).toUTCString()}.`
+  });
+};
+
+// Mark a pending invitation as accepted or declined. Returns the updated
+// invitation, or null if it is no longer pending or has expired.
+const respondToInvitation = async (invitationId, status) => {
+  const result = await pool.query(`
+    UPDATE list_invitations
+    SET status = $1, responded_at = NOW()
+    WHERE id = $2 AND status = 'pending' AND expires_at > NOW()
+    RETURNING id
+  `, [status, invitationId]);
+
+  return result.rows.length > 0 ? findInvitationById(invitationId) : null;
+};
+
+// Accept an invitation on behalf of a user and add them to the list
+const acceptInvitation = async (invitationId, userId) => {
+  const invitation = await respondToInvitation(invitationId, 'accepted');
+
+  if (!invitation) {
+    return null;
+  }
+
+  // Someone who became a member or owner in the meantime keeps their role
+  const result = await pool.query(`
+    INSERT INTO list_members (list_id, user_id, role)
+    SELECT $1, $2, $3
+    WHERE NOT EXISTS (SELECT 1 FROM lists WHERE id = $1 AND owner_id = $2)
+    ON CONFLICT (list_id, user_id) DO NOTHING
+  `, [invitation.list_id, userId, invitation.role]);
+
+  if (result.rowCount > 0) {
+    await recordActivity(invitation.list_id, userId, 'member.joined', { type: 'user', id: userId }, {
+      after: { role: invitation.role }
+    });
+
+    if (invitation.invited_by) {
+      await createNotification(invitation.invited_by, 'invitation.accepted', {
+        actorId: userId,
+        listId: invitation.list_id,
+        data: { invitation_id: invitation.id, role: invitation.role }
+      });
+    }
+  }
+
+  return invitation;
+};
+
+// Accept every pending invitation for a freshly verified email address
+const acceptPendingInvitations = async (userId, email) => {
+  const result = await pool.query(`
+    SELECT id FROM list_invitations
+    WHERE email = $1 AND status = 'pending' AND expires_at > NOW()
+    ORDER BY created_at ASC
+  `, [email]);
+
+  const accepted = [];
+
+  for (const { id } of result.rows) {
+    const invitation = await acceptInvitation(id, userId);
+    if (invitation) {
+      accepted.push(invitation);
+    }
+  }
+
+  return accepted;
+};
+
+module.exports = {
+  INVITATION_COLUMNS,
+  createInvitation,
+  findInvitationByToken,
+  findInvitationById,
+  sendInvitationEmail,
+  respondToInvitation,
+  acceptInvitation,
+  acceptPendingInvitations
+};
@@ -0,0 +1,243 @@
+const pool = require('../config/database');
+const { TASK_ASSIGNEES_COLUMN, SUBTASK_ASSIGNEES_COLUMN } = require('./taskAssignees');
+const { TASK_COMMENT_COUNT_COLUMN } = require('./comments');
+const { TASK_RECURRENCE_COLUMN } = require('./taskSeries');
+
+// Sort keys of task listings. NULLs sort last in either order and ties are
+// broken by ID, so cursors stay stable. type is what a cursor's value is cast
+// back to; order is the default. Single lists are sorted by position unless
+// asked otherwise, tasks from several lists by created_at.
+const TASK_SORTS = {
+  // Manual order, see utils/positions.js
+  position: { expression: 't.position', type: 'text', order: 'asc' },
+  created_at: { expression: 't.created_at', type: 'timestamp', order: 'desc' },
+  due_date: { expression: 't.due_date', type: 'date', order: 'asc' },
+  // Semantic order rather than alphabetical, highest first by default
+  priority: { expression: "CASE t.priority WHEN 'low' THEN 1 WHEN 'medium' THEN 2 WHEN 'high' THEN 3 END", type: 'int', order: 'desc' },
+  title: { expression: 'lower(t.title)', type: 'text', order: 'asc' }
+};
+
+// Cursors hold the sort they belong to and the sort key and ID of the last
+// task of a page. The sort key is Postgres' own text form, so timestamps keep
+// their microseconds.
+const encodeCursor = (sort, order, task) => (
+  Buffer.from(JSON.stringify([sort, order, task.sort_key, task.id])).toString('base64url')
+);
+
+// { sort, order, value, id }, or null for anything that is not a cursor
+const decodeCursor = (cursor) => {
+  try {
+    const [sort, order, value, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+
+    if (!TASK_SORTS[sort] || !['asc', 'desc'].includes(order) || !Number.isInteger(id) || (value !== null && typeof value !== 'string')) {
+      return null;
+    }
+
+    return { sort, order, value, id };
+  } catch (error) {
+    return null;
+  }
+};
+
+// WHERE conditions for the filters of a task listing (see
+// validateTaskFilters). Their values are added to params.
+const buildTaskFilters = (filters, params, { userId, timeZone }) => {
+  const conditions = [];
+  const add = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+
+  // "me", "none" or a user ID
+  if (filters.assignee === 'none') {
+    conditions.push('NOT EXISTS (SELECT 1 FROM task_assignees ta WHERE ta.task_id = t.id)');
+  } else if (filters.assignee) {
+    const assigneeId = filters.assignee === 'me' ? userId : parseInt(filters.assignee, 10);
+    conditions.push(`EXISTS (SELECT 1 FROM task_assignees ta WHERE ta.task_id = t.id AND ta.user_id = ${add(assigneeId)})`);
+  }
+
+  if (filters.completed !== undefined) {
+    conditions.push(`t.completed = ${add(filters.completed)}`);
+  }
+
+  if (filters.priority) {
+    conditions.push(`t.priority = ANY(${add(filters.priority)}::text[])`);
+  }
+
+  if (filters.tags && filters.tags.length > 0) {
+    const tags = add(filters.tags);
+    conditions.push(filters.tag_match === 'all'
+      ? `(
+        SELECT COUNT(*)
+        FROM task_tags tt
+        JOIN tags tag ON tt.tag_id = tag.id
+        WHERE tt.task_id = t.id AND tag.name = ANY(${tags}::text[])
+      ) = cardinality(${tags}::text[])`
+      : `EXISTS (
+        SELECT 1
+        FROM task_tags tt
+        JOIN tags tag ON tt.tag_id = tag.id
+        WHERE tt.task_id = t.id AND tag.name = ANY(${tags}::text[])
+      )`);
+  }
+
+  if (filters.due_from) {
+    conditions.push(`t.due_date >= ${add(filters.due_from)}::date`);
+  }
+
+  if (filters.due_to) {
+    conditions.push(`t.due_date <= ${add(filters.due_to)}::date`);
+  }
+
+  // Due from today until this many days from now, in the user's time zone
+  if (filters.due_within_days !== undefined) {
+    const today = `(NOW() AT TIME ZONE ${add(timeZone)})::date`;
+    conditions.push(`t.due_date BETWEEN ${today} AND ${today} + ${add(filters.due_within_days)}::int`);
+  }
+
+  // Open and past their due time, or their due day in the task's time zone
+  if (filters.overdue !== undefined) {
+    const overdue = `COALESCE(t.completed = false AND (t.due_at < NOW()
+      OR (t.due_at IS NULL AND t.due_date < (NOW() AT TIME ZONE COALESCE(t.time_zone, ${add(timeZone)}))::date)), false)`;
+    conditions.push(filters.overdue ? overdue : `NOT ${overdue}`);
+  }
+
+  if (filters.has_subtasks !== undefined) {
+    conditions.push(`${filters.has_subtasks ? '' : 'NOT '}EXISTS (SELECT 1 FROM subtasks s WHERE s.task_id = t.id)`);
+  }
+
+  return conditions;
+};
+
+// Tasks after the cursor, in the cursor's sort order
+const buildCursorCondition = (cursor, params) => {
+  const { expression, type } = TASK_SORTS[cursor.sort];
+  const op = cursor.order === 'asc' ? '>' : '<';
+
+  params.push(cursor.id);
+  const id = `$${params.length}`;
+
+  if (cursor.value === null) {
+    return `(${expression} IS NULL AND t.id ${op} ${id})`;
+  }
+
+  params.push(cursor.value);
+  const value = `$${params.length}::${type}`;
+
+  return `(${expression} ${op} ${value} OR (${expression} = ${value} AND t.id ${op} ${id}) OR ${expression} IS NULL)`;
+};
+
+// Load the tasks of the lists matching scope (a condition on $1) with their
+// tags, assignees, recurrence and subtasks, filtered, sorted and paginated as
+// validateTaskFilters allows. Without a limit every matching task is
+// returned. Returns { tasks, total, next_cursor }, where total counts every
+// matching task.
+const queryTasks = async (scope, scopeParam, filters, defaultSort, { userId = null, timeZone = 'UTC', includeSubtasks = true } = {}) => {
+  const params = [scopeParam];
+  const conditions = [scope, ...buildTaskFilters(filters, params, { userId, timeZone })];
+
+  const countResult = await pool.query(
+    `SELECT COUNT(*)::int as total FROM tasks t WHERE ${conditions.join(' AND ')}`,
+    params
+  );
+
+  const sortKey = filters.sort || defaultSort;
+  const sort = TASK_SORTS[sortKey];
+  const order = filters.order || sort.order;
+  const direction = order === 'asc' ? 'ASC' : 'DESC';
+
+  if (filters.cursor) {
+    conditions.push(buildCursorCondition(filters.cursor, params));
+  }
+
+  let limitClause = '';
+  if (filters.limit) {
+    params.push(filters.limit + 1);
+    limitClause = `LIMIT $${params.length}`;
+  }
+
+  const tasksResult = await pool.query(`
+    SELECT t.id, t.list_id, l.name as list_name, t.title, t.description, t.priority,
+           t.due_date, t.due_at, t.time_zone, t.completed, t.status_id, t.created_at,
+           array_agg(
+             CASE WHEN tag.name IS NOT NULL 
+             THEN json_build_object('id', tag.id, 'name', tag.name)
+             ELSE NULL END
+           ) FILTER (WHERE tag.name IS NOT NULL) as tags,
+           ${TASK_ASSIGNEES_COLUMN},
+           ${TASK_RECURRENCE_COLUMN},
+           ${TASK_COMMENT_COUNT_COLUMN},
+           (${sort.expression})::text as sort_key
+    FROM tasks t
+    JOIN lists l ON t.list_id = l.id
+    LEFT JOIN task_tags tt ON t.id = tt.task_id
+    LEFT JOIN tags tag ON tt.tag_id = tag.id
+    WHERE ${conditions.join(' AND ')}
+    GROUP BY t.id, l.id
+    ORDER BY ${sort.expression} ${direction} NULLS LAST, t.id ${direction}
+    ${limitClause}
+  `, params);
+
+  const hasMore = Boolean(filters.limit) && tasksResult.rows.length > filters.limit;
+  const rows = hasMore ? tasksResult.rows.slice(0, filters.limit) : tasksResult.rows;
+  const nextCursor = hasMore ? encodeCursor(sortKey, order, rows[rows.length - 1]) : null;
+  const tasks = rows.map(({ sort_key: sortKeyValue, ...task }) => ({ ...task, tags: task.tags || [] }));
+
+  if (!includeSubtasks) {
+    return { tasks, total: countResult.rows[0].total, next_cursor: nextCursor };
+  }
+
+  // Get subtasks for each task
+  const taskIds = tasks.map(task => task.id);
+  let subtasks = [];
+  
+  if (taskIds.length > 0) {
+    const subtasksResult = await pool.query(`
+      SELECT s.id, s.task_id, s.title, s.completed, s.created_at,
+             ${SUBTASK_ASSIGNEES_COLUMN}
+      FROM subtasks s
+      WHERE s.task_id = ANY($1)
+      ORDER BY s.position ASC, s.id ASC
+    `, [taskIds]);
+    subtasks = subtasksResult.rows;
+  }
+
+  // Group subtasks by task_id
+  const subtasksByTask = subtasks.reduce((acc, subtask) => {
+    if (!acc[subtask.task_id]) {
+      acc[subtask.task_id] = [];
+    }
+    acc[subtask.task_id].push(subtask);
+    return acc;
+  }, {});
+
+  // Add subtasks to tasks
+  return {
+    tasks: tasks.map(task => ({
+      ...task,
+      subtasks: subtasksByTask[task.id] || []
+    })),
+    total: countResult.rows[0].total,
+    next_cursor: nextCursor
+  };
+};
+
+const queryListTasks = (listId, filters = {}, options) => (
+  queryTasks('t.list_id = $1', listId, filters, 'position', options)
+);
+
+// The same across several lists, e.g. every list a user can access
+const queryTasksInLists = (listIds, filters = {}, options) => (
+  queryTasks('t.list_id = ANY($1::int[])', listIds, filters, 'created_at', options)
+);
+
+// Every task of a list, in order
+const getListTasks = async (listId) => (await queryListTasks(listId)).tasks;
+
+module.exports = {
+  TASK_SORTS,
+  decodeCursor,
+  queryListTasks,
+  queryTasksInLists,
+  getListTasks
+};
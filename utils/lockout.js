@@ -0,0 +1,108 @@
+const pool = require('../config/database');
+const { lockout } = require('../config/auth');
+const { recordSecurityEvent } = require('./securityEvents');
+
+// Per-account progressive lockout. Failures are counted per user and scope
+// ('login', 'password_reset'); every `threshold` failures lock the scope for
+// twice as long as the previous lockout, up to `maxMinutes`. Emails without
+// an account are counted and locked the same way, so that a lockout does not
+// give away that an account exists.
+
+// Where the failures of a user id or of an unknown email are counted
+const USER_COUNTERS = { table: 'account_lockouts', key: 'user_id' };
+const UNKNOWN_EMAIL_COUNTERS = { table: 'unknown_email_lockouts', key: 'email' };
+
+const lockoutRemaining = async ({ table, key }, id, scope) => {
+  const result = await pool.query(`
+    SELECT CEIL(EXTRACT(EPOCH FROM locked_until - NOW()))::int as remaining
+    FROM ${table}
+    WHERE ${key} = $1 AND scope = $2 AND locked_until > NOW()
+  `, [id, scope]);
+
+  return result.rows.length > 0 ? result.rows[0].remaining : 0;
+};
+
+const countFailure = async ({ table, key }, id, scope) => {
+  // Failures outside the window start a new count, and a day without
+  // failures forgets earlier lockouts
+  const result = await pool.query(`
+    INSERT INTO ${table} (${key}, scope, failed_attempts, last_failed_at)
+    VALUES ($1, $2, 1, NOW())
+    ON CONFLICT (${key}, scope) DO UPDATE SET
+      failed_attempts = CASE
+        WHEN ${table}.last_failed_at < NOW() - make_interval(mins => $3) THEN 1
+        ELSE ${table}.failed_attempts + 1
+      END,
+      lockout_count = CASE
+        WHEN ${table}.last_failed_at < NOW() - INTERVAL '1 day' THEN 0
+        ELSE ${table}.lockout_count
+      END,
+      last_failed_at = NOW()
+    RETURNING failed_attempts, lockout_count
+  `, [id, scope, lockout.windowMinutes]);
+
+  const { failed_attempts: failedAttempts, lockout_count: lockoutCount } = result.rows[0];
+
+  if (failedAttempts < lockout.threshold) {
+    return 0;
+  }
+
+  const lockoutSeconds = Math.min(lockout.baseMinutes * 2 ** lockoutCount, lockout.maxMinutes) * 60;
+
+  await pool.query(`
+    UPDATE ${table}
+    SET failed_attempts = 0,
+        lockout_count = lockout_count + 1,
+        locked_until = NOW() + make_interval(secs => $3)
+    WHERE ${key} = $1 AND scope = $2
+  `, [id, scope, lockoutSeconds]);
+
+  return lockoutSeconds;
+};
+
+// Seconds until the scope unlocks, or 0 when it is not locked
+const getLockoutRemaining = (userId, scope) => lockoutRemaining(USER_COUNTERS, userId, scope);
+
+// Count a failed attempt. Returns the lockout length in seconds if this
+// failure locked the account, otherwise 0.
+const registerFailure = async (userId, scope, req) => {
+  const lockoutSeconds = await countFailure(USER_COUNTERS, userId, scope);
+
+  if (lockoutSeconds > 0) {
+    await recordSecurityEvent(userId, 'account_locked', req, { scope, seconds: lockoutSeconds });
+  }
+
+  return lockoutSeconds;
+};
+
+// The same for an email no account has
+const getUnknownEmailLockoutRemaining = (email, scope) => lockoutRemaining(UNKNOWN_EMAIL_COUNTERS, email.toLowerCase(), scope);
+
+const registerUnknownEmailFailure = (email, scope) => countFailure(UNKNOWN_EMAIL_COUNTERS, email.toLowerCase(), scope);
+
+// Forget failures after a successful attempt. Without a scope, every scope
+// is cleared.
+const clearFailures = async (userId, scope = null) => {
+  if (scope) {
+    await pool.query('DELETE FROM account_lockouts WHERE user_id = $1 AND scope = $2', [userId, scope]);
+  } else {
+    await pool.query('DELETE FROM account_lockouts WHERE user_id = $1', [userId]);
+  }
+};
+
+const sendLockedResponse = (res, retryAfter) => {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    error: 'Too many failed attempts. Please try again later.',
+    retryAfter
+  });
+};
+
+module.exports = {
+  getLockoutRemaining,
+  registerFailure,
+  getUnknownEmailLockoutRemaining,
+  registerUnknownEmailFailure,
+  clearFailures,
+  sendLockedResponse
+};
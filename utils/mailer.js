@@ -0,0 +1,95 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const mailConfig = require('../config/mail');
+
+// A transport is an object with an async send(message) method, where message
+// is { from, to, subject, text, html }
+
+const createSmtpTransport = () => {
+  // Only needed when SMTP is actually used
+  const nodemailer = require('nodemailer');
+  const { host, port, secure, user, password } = mailConfig.smtp;
+
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass: password } : undefined
+  });
+
+  return {
+    send: (message) => transporter.sendMail(message)
+  };
+};
+
+// Writes every message as a JSON file - handy for local development
+const createFileTransport = () => ({
+  send: async (message) => {
+    await fs.promises.mkdir(mailConfig.fileDir, { recursive: true });
+
+    const fileName = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`;
+    const filePath = path.join(mailConfig.fileDir, fileName);
+
+    await fs.promises.writeFile(filePath, JSON.stringify(message, null, 2));
+    console.log(`📧 Mail to ${message.to} written to ${filePath}`);
+  }
+});
+
+const createConsoleTransport = () => ({
+  send: async (message) => {
+    console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+  }
+});
+
+const transportFactories = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  console: createConsoleTransport
+};
+
+let transport = null;
+
+const getTransport = () => {
+  if (!transport) {
+    const factory = transportFactories[mailConfig.transport];
+
+    if (!factory) {
+      throw new Error(`Unknown mail transport "${mailConfig.transport}"`);
+    }
+
+    transport = factory();
+  }
+
+  return transport;
+};
+
+// Register an additional transport that can be selected with MAIL_TRANSPORT
+const registerTransport = (name, factory) => {
+  transportFactories[name] = factory;
+  transport = null;
+};
+
+const sendMail = async ({ to, subject, text, html }) => {
+  await getTransport().send({
+    from: mailConfig.from,
+    to,
+    subject,
+    text,
+    html
+  });
+};
+
+// Fire-and-forget variant for request handlers that must not wait on (or
+// leak timing information through) mail delivery
+const queueMail = (message) => {
+  sendMail(message).catch((error) => {
+    console.error(`Failed to send mail to ${message.to}:`, error);
+  });
+};
+
+module.exports = {
+  sendMail,
+  queueMail,
+  registerTransport
+};
@@ -0,0 +1,133 @@
+const pool = require('../config/database');
+const notificationConfig = require('../config/notifications');
+
+const NOTIFICATION_COLUMNS = `
+  n.id, n.type, n.actor_id, actor.name as actor_name, n.list_id, l.name as list_name,
+  n.task_id, t.title as task_title, n.data, n.read_at, n.created_at
+`;
+
+const describe = {
+  'invitation.received': (n) => `${n.actor_name} invited you to "${n.list_name}" as ${n.data.role}`,
+  'invitation.accepted': (n) => `${n.actor_name} accepted your invitation to "${n.list_name}"`,
+  'member.role_changed': (n) => `${n.actor_name} changed your role on "${n.list_name}" to ${n.data.role}`,
+  'member.removed': (n) => `${n.actor_name} removed you from "${n.list_name}"`,
+  'list.ownership_transferred': (n) => `${n.actor_name} made you the owner of "${n.list_name}"`,
+  'comment.mention': (n) => `${n.actor_name} mentioned you in a comment on "${n.task_title}"`,
+  'task.due_soon': (n) => `"${n.task_title}" in "${n.list_name}" is due on ${n.data.due_date}`,
+  'task.overdue': (n) => `"${n.task_title}" in "${n.list_name}" was due on ${n.data.due_date}`,
+  'task.reminder': (n) => `Reminder: "${n.task_title}" in "${n.list_name}"${n.data.due ? ` is due ${n.data.due}` : ''}`
+};
+
+// Add a human readable message to a notification row
+const formatNotification = (notification) => {
+  const row = {
+    ...notification,
+    actor_name: notification.actor_name || 'Someone',
+    data: notification.data || {}
+  };
+
+  return { ...notification, message: describe[notification.type](row) };
+};
+
+// Notify a user, unless they turned this type off or caused the event
+// themselves. dedupeKey makes repeated calls for the same event a no-op.
+// Failures are logged but never break the request that triggered them.
+const createNotification = async (userId, type, { actorId = null, listId = null, taskId = null, data = null, dedupeKey = null } = {}) => {
+  if (actorId !== null && Number(userId) === Number(actorId)) {
+    return;
+  }
+
+  try {
+    await pool.query(`
+      INSERT INTO notifications (user_id, type, actor_id, list_id, task_id, data, dedupe_key)
+      SELECT $1, $2, $3, $4, $5, $6, $7
+      WHERE NOT EXISTS (
+        SELECT 1 FROM notification_preferences
+        WHERE user_id = $1 AND type = $2 AND enabled = false
+      )
+      ON CONFLICT (user_id, dedupe_key) DO NOTHING
+    `, [userId, type, actorId, listId, taskId, data, dedupeKey]);
+  } catch (error) {
+    console.error('Create notification error:', error);
+  }
+};
+
+// Every type with the user's setting, defaulting to enabled
+const getPreferences = async (userId) => {
+  const result = await pool.query(
+    'SELECT type, enabled FROM notification_preferences WHERE user_id = $1',
+    [userId]
+  );
+
+  const saved = Object.fromEntries(result.rows.map(row => [row.type, row.enabled]));
+
+  return Object.entries(notificationConfig.types).map(([type, description]) => ({
+    type,
+    description,
+    enabled: saved[type] !== undefined ? saved[type] : true
+  }));
+};
+
+// Notify about unfinished tasks that are due soon or recently overdue -
+// their assignees, or the list owner when nobody is assigned. Each task is
+// announced once per due date and type.
+const notifyDueTasks = async () => {
+  const { dueSoonDays, overdueLookbackDays } = notificationConfig;
+
+  const result = await pool.query(`
+    WITH due AS (
+      SELECT t.id, t.list_id, to_char(t.due_date, 'YYYY-MM-DD') as due_date,
+             CASE WHEN t.due_date < CURRENT_DATE THEN 'task.overdue' ELSE 'task.due_soon' END as type
+      FROM tasks t
+      WHERE t.completed = false
+        AND t.due_date BETWEEN CURRENT_DATE - $1::int AND CURRENT_DATE + $2::int
+    )
+    SELECT due.*, ta.user_id
+    FROM due
+    JOIN task_assignees ta ON ta.task_id = due.id
+    UNION ALL
+    SELECT due.*, l.owner_id as user_id
+    FROM due
+    JOIN lists l ON l.id = due.list_id
+    WHERE NOT EXISTS (SELECT 1 FROM task_assignees ta WHERE ta.task_id = due.id)
+  `, [overdueLookbackDays, dueSoonDays]);
+
+  for (const row of result.rows) {
+    await createNotification(row.user_id, row.type, {
+      listId: row.list_id,
+      taskId: row.id,
+      data: { due_date: row.due_date },
+      dedupeKey: `${row.type}:${row.id}:${row.due_date}`
+    });
+  }
+
+  return result.rows.length;
+};
+
+const startDueTaskNotifications = () => {
+  let running = null;
+  const run = () => {
+    running = notifyDueTasks().catch((error) => {
+      console.error('Due task notification job error:', error);
+    });
+  };
+
+  run();
+  const timer = setInterval(run, notificationConfig.dueCheckIntervalMinutes * 60 * 1000);
+  timer.unref();
+
+  // Stops the job, waiting for a run in progress to finish
+  return () => {
+    clearInterval(timer);
+    return running;
+  };
+};
+
+module.exports = {
+  NOTIFICATION_COLUMNS,
+  formatNotification,
+  createNotification,
+  getPreferences,
+  notifyDueTasks,
+  startDueTaskNotifications
+};
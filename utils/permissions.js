@@ -0,0 +1,48 @@
+const pool = require('../config/database');
+const { ROLE_CAPABILITIES } = require('../config/roles');
+
+const capabilitiesByRole = Object.fromEntries(
+  Object.entries(ROLE_CAPABILITIES).map(([role, capabilities]) => [role, new Set(capabilities)])
+);
+
+// SQL for a table of the lists the user in userColumn (a parameter or column)
+// can access, as (list_id, role) rows with role 'owner' or their member role.
+// Every query scoped to a user's lists joins this, e.g.
+// JOIN ${accessibleLists('$1')} al ON al.list_id = l.id
+const accessibleLists = (userColumn) => `(
+  SELECT l.id as list_id, CASE WHEN l.owner_id = ${userColumn} THEN 'owner' ELSE lm.role END as role
+  FROM lists l
+  LEFT JOIN list_members lm ON lm.list_id = l.id AND lm.user_id = ${userColumn}
+  WHERE l.owner_id = ${userColumn} OR lm.user_id = ${userColumn}
+)`;
+
+// The user's role on a list - 'owner' or their member role - or null when
+// they have no access (or the list does not exist)
+const getListRole = async (userId, listId) => {
+  const result = await pool.query(`
+    SELECT al.role
+    FROM ${accessibleLists('$1')} al
+    WHERE al.list_id = $2
+  `, [userId, listId]);
+
+  return result.rows.length > 0 ? result.rows[0].role : null;
+};
+
+const can = (role, capability) => Boolean(role && capabilitiesByRole[role] && capabilitiesByRole[role].has(capability));
+
+const getCapabilities = (role) => ROLE_CAPABILITIES[role] || [];
+
+// Look up the user's role and check a capability in one go. Returns
+// { role, allowed }; role is null when the user cannot see the list at all.
+const authorizeList = async (userId, listId, capability) => {
+  const role = await getListRole(userId, listId);
+  return { role, allowed: can(role, capability) };
+};
+
+module.exports = {
+  accessibleLists,
+  getListRole,
+  can,
+  getCapabilities,
+  authorizeList
+};
@@ -0,0 +1,214 @@
+const pool = require('../config/database');
+const { accessibleLists } = require('./permissions');
+
+// Positions are strings compared byte by byte (the columns use COLLATE "C"),
+// so there is always room for another one between any two: moving an item
+// only ever rewrites its own row. None ends in the lowest digit, which keeps
+// that true.
+const DIGITS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+
+// Past this length a container is renumbered instead
+const MAX_POSITION_LENGTH = 64;
+
+// A key between a and b; a of '' is the start and b of null the end
+const midpoint = (a, b) => {
+  if (b !== null) {
+    let shared = 0;
+    while ((a[shared] || '0') === b[shared]) {
+      shared++;
+    }
+
+    if (shared > 0) {
+      return b.slice(0, shared) + midpoint(a.slice(shared), b.slice(shared));
+    }
+  }
+
+  const low = a ? DIGITS.indexOf(a[0]) : 0;
+  const high = b !== null ? DIGITS.indexOf(b[0]) : DIGITS.length;
+
+  if (high - low > 1) {
+    return DIGITS[Math.round((low + high) / 2)];
+  }
+
+  if (b !== null && b.length > 1) {
+    return b.slice(0, 1);
+  }
+
+  return DIGITS[low] + midpoint(a.slice(1), null);
+};
+
+// Keys just past either end step one digit instead of halving the distance, so
+// that adding to the top or bottom over and over keeps them short
+const positionAfter = (key) => {
+  const digit = DIGITS.indexOf(key[0]);
+
+  if (key === '') {
+    return DIGITS[DIGITS.length / 2];
+  }
+
+  return digit < DIGITS.length - 1 ? DIGITS[digit + 1] : key[0] + positionAfter(key.slice(1));
+};
+
+const positionBefore = (key) => {
+  const digit = DIGITS.indexOf(key[0]);
+
+  if (digit > 1) {
+    return DIGITS[digit - 1];
+  }
+
+  if (digit === 1) {
+    return key.length > 1 ? key[0] : DIGITS[0] + positionAfter('');
+  }
+
+  return key[0] + positionBefore(key.slice(1));
+};
+
+const isValidPosition = (value) => (
+  typeof value === 'string' && value.length > 0 && [...value].every(digit => DIGITS.includes(digit)) && !value.endsWith(DIGITS[0])
+);
+
+// A position between before and after (either null for an open end), or null
+// if there is none because they are missing, tied or out of order
+const positionBetween = (before, after) => {
+  if ((before !== null && !isValidPosition(before)) || (after !== null && !isValidPosition(after))) {
+    return null;
+  }
+
+  if (before !== null && after !== null && before >= after) {
+    return null;
+  }
+
+  if (before === null) {
+    return after === null ? positionAfter('') : positionBefore(after);
+  }
+
+  return after === null ? positionAfter(before) : midpoint(before, after);
+};
+
+// count positions spread evenly, all of the same short length
+const evenPositions = (count) => {
+  let width = 1;
+  while (DIGITS.length ** width <= count * 2) {
+    width++;
+  }
+
+  const space = DIGITS.length ** width;
+
+  return Array.from({ length: count }, (_, index) => {
+    let value = Math.round((index + 1) * space / (count + 1));
+    let key = '';
+    for (let i = 0; i < width; i++) {
+      key = DIGITS[value % DIGITS.length] + key;
+      value = Math.floor(value / DIGITS.length);
+    }
+    return key.replace(/0+$/, '');
+  });
+};
+
+// Where new tasks go: first in their list. db can be a client in a
+// transaction.
+const firstTaskPosition = async (listId, db = pool) => {
+  const result = await db.query('SELECT MIN(position) as position FROM tasks WHERE list_id = $1', [listId]);
+  return positionBetween(null, result.rows[0].position) || evenPositions(1)[0];
+};
+
+// Where new subtasks go: last in their task
+const lastSubtaskPosition = async (taskId, db = pool) => {
+  const result = await db.query('SELECT MAX(position) as position FROM subtasks WHERE task_id = $1', [taskId]);
+  return positionBetween(result.rows[0].position, null) || evenPositions(1)[0];
+};
+
+// What can be ordered, in which container. lock serializes moves within a
+// container so that two at once cannot hand out the same position, without
+// blocking inserts (they only take a key share lock); items is its current
+// order; save stores an item's position ($1 item, $2 position, $3 container).
+const ORDERINGS = {
+  task: {
+    lock: 'SELECT id FROM lists WHERE id = $1 FOR NO KEY UPDATE',
+    items: 'SELECT id, position FROM tasks WHERE list_id = $1 ORDER BY position ASC, id ASC',
+    save: 'UPDATE tasks SET position = $2 WHERE id = $1 AND list_id = $3'
+  },
+  subtask: {
+    lock: 'SELECT id FROM tasks WHERE id = $1 FOR NO KEY UPDATE',
+    items: 'SELECT id, position FROM subtasks WHERE task_id = $1 ORDER BY position ASC, id ASC',
+    save: 'UPDATE subtasks SET position = $2 WHERE id = $1 AND task_id = $3'
+  },
+  // Per user; lists they never ordered come first, newest first, as in
+  // GET /api/lists
+  list: {
+    lock: 'SELECT id FROM users WHERE id = $1 FOR NO KEY UPDATE',
+    items: `
+      SELECT l.id, lp.position
+      FROM lists l
+      JOIN ${accessibleLists('$1')} al ON al.list_id = l.id
+      LEFT JOIN list_positions lp ON lp.list_id = l.id AND lp.user_id = $1
+      ORDER BY lp.position ASC NULLS FIRST, l.created_at DESC, l.id DESC
+    `,
+    save: `
+      INSERT INTO list_positions (list_id, position, user_id) VALUES ($1, $2, $3)
+      ON CONFLICT (user_id, list_id) DO UPDATE SET position = EXCLUDED.position
+    `
+  }
+};
+
+// Move an item of a container right before or after an anchor item in the
+// same container. Returns the new position, or null if the anchor is not in
+// the container. Usually only the moved item is written; if its neighbours
+// leave no room (never ordered, or tied by a concurrent insert) the whole
+// container is renumbered in its new order.
+const moveItem = async (kind, containerId, itemId, { beforeId = null, afterId = null }) => {
+  const ordering = ORDERINGS[kind];
+  const anchorId = beforeId || afterId;
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    await client.query(ordering.lock, [containerId]);
+
+    const items = (await client.query(ordering.items, [containerId])).rows;
+    const item = items.find(candidate => candidate.id === itemId);
+    const others = items.filter(candidate => candidate.id !== itemId);
+    const anchorIndex = others.findIndex(candidate => candidate.id === anchorId);
+
+    if (!item || anchorIndex === -1) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const index = beforeId ? anchorIndex : anchorIndex + 1;
+    const previous = others[index - 1] || null;
+    const next = others[index] || null;
+
+    let position = items.some(candidate => candidate.position === null)
+      ? null
+      : positionBetween(previous ? previous.position : null, next ? next.position : null);
+
+    if (position && position.length <= MAX_POSITION_LENGTH) {
+      await client.query(ordering.save, [itemId, position, containerId]);
+    } else {
+      const reordered = [...others.slice(0, index), item, ...others.slice(index)];
+      const positions = evenPositions(reordered.length);
+
+      for (let i = 0; i < reordered.length; i++) {
+        await client.query(ordering.save, [reordered[i].id, positions[i], containerId]);
+      }
+      position = positions[index];
+    }
+
+    await client.query('COMMIT');
+    return position;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+module.exports = {
+  positionBetween,
+  evenPositions,
+  firstTaskPosition,
+  lastSubtaskPosition,
+  moveItem
+};
@@ -0,0 +1,167 @@
+const { Client } = require('pg');
+const pool = require('../config/database');
+
+// Every activity entry is announced on this channel (see recordActivity), so
+// all server instances can push it to their own subscribers
+const CHANNEL = 'list_activity';
+const RECONNECT_DELAY_MS = 5000;
+const REPLAY_LIMIT = 500;
+
+const EVENT_COLUMNS = `
+  a.id, a.list_id, a.actor_id, u.name as actor_name, a.action, a.target_type,
+  a.target_id, a.before, a.after, a.created_at
+`;
+
+// listId -> Set of subscriptions on this instance
+const subscribers = new Map();
+let listener = null;
+let reconnectTimer = null;
+let stopped = false;
+
+// A subscription is { userId, listIds: Set, send(event), close() }
+const subscribe = (subscription) => {
+  for (const listId of subscription.listIds) {
+    if (!subscribers.has(listId)) {
+      subscribers.set(listId, new Set());
+    }
+    subscribers.get(listId).add(subscription);
+  }
+};
+
+const unsubscribe = (subscription, listIds = [...subscription.listIds]) => {
+  for (const listId of listIds) {
+    const listSubscribers = subscribers.get(listId);
+    if (listSubscribers) {
+      listSubscribers.delete(subscription);
+      if (listSubscribers.size === 0) {
+        subscribers.delete(listId);
+      }
+    }
+    subscription.listIds.delete(listId);
+  }
+};
+
+// Did this event take the list away from the subscriber?
+const losesAccess = (event, userId) => (
+  event.action === 'list.deleted' ||
+  (['member.removed', 'member.left'].includes(event.action) && event.target_id === userId)
+);
+
+const dispatch = async (activityId) => {
+  if (subscribers.size === 0) {
+    return;
+  }
+
+  const result = await pool.query(`
+    SELECT ${EVENT_COLUMNS}
+    FROM list_activity a
+    LEFT JOIN users u ON a.actor_id = u.id
+    WHERE a.id = $1
+  `, [activityId]);
+
+  const event = result.rows[0];
+  const listSubscribers = event && subscribers.get(event.list_id);
+
+  if (!listSubscribers) {
+    return;
+  }
+
+  for (const subscription of [...listSubscribers]) {
+    subscription.send(event);
+
+    if (losesAccess(event, subscription.userId)) {
+      unsubscribe(subscription, [event.list_id]);
+      if (subscription.listIds.size === 0) {
+        subscription.close();
+      }
+    }
+  }
+};
+
+// Activity a reconnecting client missed, oldest first
+const getMissedEvents = async (listIds, lastEventId) => {
+  const result = await pool.query(`
+    SELECT ${EVENT_COLUMNS}
+    FROM list_activity a
+    LEFT JOIN users u ON a.actor_id = u.id
+    WHERE a.list_id = ANY($1::int[]) AND a.id > $2
+    ORDER BY a.id ASC
+    LIMIT ${REPLAY_LIMIT}
+  `, [listIds, lastEventId]);
+
+  return result.rows;
+};
+
+const scheduleReconnect = () => {
+  if (!stopped) {
+    reconnectTimer = setTimeout(startRealtimeListener, RECONNECT_DELAY_MS);
+    reconnectTimer.unref();
+  }
+};
+
+// Keep a connection of its own LISTENing for activity, reconnecting when it
+// drops. It is not taken from the pool, which it would hold on to for good.
+const startRealtimeListener = async () => {
+  const client = new Client(pool.options);
+  stopped = false;
+
+  client.on('notification', (message) => {
+    if (message.channel === CHANNEL) {
+      dispatch(parseInt(message.payload, 10)).catch((error) => {
+        console.error('Realtime dispatch error:', error);
+      });
+    }
+  });
+
+  client.on('error', (error) => {
+    if (listener !== client) {
+      return;
+    }
+
+    console.error('Realtime listener error:', error);
+    listener = null;
+    client.end().catch(() => {});
+    scheduleReconnect();
+  });
+
+  try {
+    await client.connect();
+    await client.query(`LISTEN ${CHANNEL}`);
+  } catch (error) {
+    console.error('Realtime listener error:', error);
+    client.end().catch(() => {});
+    scheduleReconnect();
+    return;
+  }
+
+  if (stopped) {
+    await client.end();
+    return;
+  }
+
+  listener = client;
+};
+
+// Close the listener and stop reconnecting, so the process can exit
+const stopRealtimeListener = async () => {
+  stopped = true;
+  clearTimeout(reconnectTimer);
+
+  if (listener) {
+    const client = listener;
+    listener = null;
+    await client.end();
+  }
+};
+
+const isListening = () => listener !== null;
+
+module.exports = {
+  CHANNEL,
+  subscribe,
+  unsubscribe,
+  getMissedEvents,
+  startRealtimeListener,
+  stopRealtimeListener,
+  isListening
+};
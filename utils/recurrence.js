@@ -0,0 +1,162 @@
+// Recurrence rules are a subset of RFC 5545 RRULE:
+//   FREQ=DAILY;INTERVAL=3          every 3 days
+//   FREQ=WEEKLY;BYDAY=MO,TH        every Monday and Thursday
+//   FREQ=MONTHLY;BYMONTHDAY=-1     on the last day of every month
+// Dates are handled as YYYY-MM-DD strings, like the tasks.due_date column.
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY'];
+const WEEKDAYS = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
+const MAX_INTERVAL = 366;
+
+const toDate = (day) => new Date(`${day}T00:00:00Z`);
+const toDay = (date) => date.toISOString().slice(0, 10);
+// Today in a time zone, UTC if there is none
+const today = (timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timeZone || 'UTC',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).formatToParts(new Date());
+  const part = (type) => parts.find(candidate => candidate.type === type).value;
+
+  return `${part('year')}-${part('month')}-${part('day')}`;
+};
+
+const addDays = (day, days) => {
+  const date = toDate(day);
+  date.setUTCDate(date.getUTCDate() + days);
+  return toDay(date);
+};
+
+const daysBetween = (from, to) => Math.round((toDate(to) - toDate(from)) / 86400000);
+
+// 0 for Monday, like the WEEKDAYS list
+const weekdayOf = (day) => (toDate(day).getUTCDay() + 6) % 7;
+
+// Parse a rule into { freq, interval, byDay, byMonthDay }, or null if it is
+// not part of the supported subset
+const parseRule = (rule) => {
+  if (typeof rule !== 'string') {
+    return null;
+  }
+
+  const parts = {};
+  for (const part of rule.trim().toUpperCase().replace(/^RRULE:/, '').split(';')) {
+    const [key, value, ...rest] = part.split('=');
+    if (!key || !value || rest.length > 0 || parts[key] !== undefined) {
+      return null;
+    }
+    parts[key] = value;
+  }
+
+  const { FREQ, INTERVAL = '1', BYDAY, BYMONTHDAY, ...unsupported } = parts;
+
+  if (Object.keys(unsupported).length > 0 || !FREQUENCIES.includes(FREQ) || !/^\d+$/.test(INTERVAL)) {
+    return null;
+  }
+
+  const parsed = { freq: FREQ, interval: parseInt(INTERVAL, 10), byDay: null, byMonthDay: null };
+
+  if (parsed.interval < 1 || parsed.interval > MAX_INTERVAL) {
+    return null;
+  }
+
+  if (BYDAY !== undefined) {
+    const days = BYDAY.split(',');
+    if (FREQ !== 'WEEKLY' || days.some(day => !WEEKDAYS.includes(day))) {
+      return null;
+    }
+    parsed.byDay = [...new Set(days.map(day => WEEKDAYS.indexOf(day)))].sort();
+  }
+
+  if (BYMONTHDAY !== undefined) {
+    const monthDay = parseInt(BYMONTHDAY, 10);
+    if (FREQ !== 'MONTHLY' || !/^-?\d+$/.test(BYMONTHDAY) || !(monthDay === -1 || (monthDay >= 1 && monthDay <= 31))) {
+      return null;
+    }
+    parsed.byMonthDay = monthDay;
+  }
+
+  return parsed;
+};
+
+// The canonical form a rule is stored in
+const formatRule = (parsed) => [
+  `FREQ=${parsed.freq}`,
+  `INTERVAL=${parsed.interval}`,
+  ...(parsed.byDay ? [`BYDAY=${parsed.byDay.map(day => WEEKDAYS[day]).join(',')}`] : []),
+  ...(parsed.byMonthDay ? [`BYMONTHDAY=${parsed.byMonthDay}`] : [])
+].join(';');
+
+// "Every N days after completion" only makes sense for daily rules
+const isValidRecurrence = ({ rule, after_completion: afterCompletion }) => {
+  const parsed = parseRule(rule);
+  return parsed !== null && (!afterCompletion || parsed.freq === 'DAILY');
+};
+
+const nextDaily = (rule, startsOn, after) => {
+  const elapsed = Math.max(daysBetween(startsOn, after), -1);
+  return addDays(startsOn, (Math.floor(elapsed / rule.interval) + 1) * rule.interval);
+};
+
+const nextWeekly = (rule, startsOn, after) => {
+  const days = rule.byDay || [weekdayOf(startsOn)];
+  const firstWeek = addDays(startsOn, -weekdayOf(startsOn));
+  let day = daysBetween(startsOn, after) < 0 ? startsOn : addDays(after, 1);
+
+  // At most one full cycle of weeks has to be looked at
+  for (let i = 0; i < 7 * rule.interval; i++, day = addDays(day, 1)) {
+    const week = Math.floor(daysBetween(firstWeek, day) / 7);
+    if (week % rule.interval === 0 && days.includes(weekdayOf(day))) {
+      return day;
+    }
+  }
+
+  return null;
+};
+
+// Days past the end of a shorter month fall on its last day
+const nextMonthly = (rule, startsOn, after) => {
+  const start = toDate(startsOn);
+  const end = toDate(after);
+  const monthDay = rule.byMonthDay || start.getUTCDate();
+  const elapsedMonths = (end.getUTCFullYear() - start.getUTCFullYear()) * 12 + end.getUTCMonth() - start.getUTCMonth();
+
+  for (let step = Math.max(Math.floor(elapsedMonths / rule.interval), 0); ; step++) {
+    const month = start.getUTCMonth() + step * rule.interval;
+    const lastDay = new Date(Date.UTC(start.getUTCFullYear(), month + 1, 0)).getUTCDate();
+    const day = toDay(new Date(Date.UTC(
+      start.getUTCFullYear(),
+      month,
+      monthDay === -1 ? lastDay : Math.min(monthDay, lastDay)
+    )));
+
+    if (day >= startsOn && day > after) {
+      return day;
+    }
+  }
+};
+
+// The first date of a series starting on startsOn that falls after the given day
+const nextOccurrence = (rule, startsOn, after) => {
+  const parsed = parseRule(rule);
+
+  switch (parsed.freq) {
+    case 'DAILY':
+      return nextDaily(parsed, startsOn, after);
+    case 'WEEKLY':
+      return nextWeekly(parsed, startsOn, after);
+    default:
+      return nextMonthly(parsed, startsOn, after);
+  }
+};
+
+module.exports = {
+  today,
+  addDays,
+  parseRule,
+  formatRule,
+  isValidRecurrence,
+  nextOccurrence
+};
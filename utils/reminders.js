@@ -0,0 +1,230 @@
+const pool = require('../config/database');
+const reminderConfig = require('../config/reminders');
+const { sendMail } = require('./mailer');
+const { createNotification } = require('./notifications');
+const { getListRole } = require('./permissions');
+
+const REMINDER_COLUMNS = `
+  r.id, r.task_id, r.remind_at, r.minutes_before, r.fire_at, r.sent_at, r.created_at
+`;
+
+// When a task (aliased t) is due - its due time, or the default time of day
+// on its due date. timeParam is the placeholder holding that default time.
+const taskDueAt = (timeParam) => `
+  COALESCE(t.due_at, (t.due_date + ${timeParam}::time) AT TIME ZONE COALESCE(t.time_zone, 'UTC'))
+`;
+
+// "Dec 31, 2024, 9:00 AM GMT+1" for tasks due at a time, the date otherwise
+const describeDue = (reminder) => {
+  if (reminder.due_at) {
+    return new Intl.DateTimeFormat('en-US', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: '2-digit',
+      timeZone: reminder.time_zone || 'UTC',
+      timeZoneName: 'short'
+    }).format(new Date(reminder.due_at));
+  }
+
+  return reminder.due_date;
+};
+
+// A channel is an object with an async deliver(reminder) method, where
+// reminder is { id, task_id, task_title, list_id, list_name, user_id,
+// user_name, user_email, due_date, due_at, time_zone, fire_at }. Throwing
+// makes the reminder be retried on a later poll.
+
+const createNotificationChannel = () => ({
+  deliver: (reminder) => createNotification(reminder.user_id, 'task.reminder', {
+    listId: reminder.list_id,
+    taskId: reminder.task_id,
+    data: { due: describeDue(reminder) },
+    dedupeKey: `task.reminder:${reminder.id}:${new Date(reminder.fire_at).toISOString()}`
+  })
+});
+
+const createEmailChannel = () => ({
+  deliver: (reminder) => {
+    const due = describeDue(reminder);
+
+    return sendMail({
+      to: reminder.user_email,
+      subject: `Reminder: ${reminder.task_title}`,
+      text: `Hi ${reminder.user_name},\n\n` +
+        `This is your reminder for "${reminder.task_title}" in "${reminder.list_name}"` +
+        (due ? `, due ${due}.` : '.')
+    });
+  }
+});
+
+const channelFactories = {
+  notification: createNotificationChannel,
+  email: createEmailChannel
+};
+
+let channels = null;
+
+const getChannels = () => {
+  if (!channels) {
+    channels = reminderConfig.channels.map((name) => {
+      const factory = channelFactories[name];
+
+      if (!factory) {
+        throw new Error(`Unknown reminder channel "${name}"`);
+      }
+
+      return factory();
+    });
+  }
+
+  return channels;
+};
+
+// Register an additional channel that can be selected with REMINDER_CHANNELS
+const registerReminderChannel = (name, factory) => {
+  channelFactories[name] = factory;
+  channels = null;
+};
+
+const deliverReminder = async (reminder) => {
+  for (const channel of getChannels()) {
+    await channel.deliver(reminder);
+  }
+};
+
+const createReminder = async (taskId, userId, { remind_at: remindAt = null, minutes_before: minutesBefore = null }) => {
+  const result = await pool.query(`
+    INSERT INTO task_reminders (task_id, user_id, remind_at, minutes_before, fire_at)
+    SELECT t.id, $2, $3::timestamptz, $4::int,
+           COALESCE($3::timestamptz, ${taskDueAt('$5')} - make_interval(mins => $4::int))
+    FROM tasks t
+    WHERE t.id = $1
+    RETURNING id, task_id, remind_at, minutes_before, fire_at, sent_at, created_at
+  `, [taskId, userId, remindAt, minutesBefore, reminderConfig.defaultDueTime]);
+
+  return result.rows[0];
+};
+
+// Move the reminders set relative to a task's due time along with it. Ones
+// that moved go off again, even if they already went off for the old time.
+// db can be a client in a transaction.
+const refreshReminders = async (taskId, db = pool) => {
+  await db.query(`
+    UPDATE task_reminders r
+    SET fire_at = due.fire_at,
+        sent_at = CASE WHEN due.fire_at IS DISTINCT FROM r.fire_at THEN NULL ELSE r.sent_at END,
+        attempts = CASE WHEN due.fire_at IS DISTINCT FROM r.fire_at THEN 0 ELSE r.attempts END
+    FROM (
+      SELECT rt.id, ${taskDueAt('$2')} - make_interval(mins => rt.minutes_before) as fire_at
+      FROM task_reminders rt
+      JOIN tasks t ON rt.task_id = t.id
+      WHERE rt.task_id = $1 AND rt.minutes_before IS NOT NULL
+    ) due
+    WHERE r.id = due.id
+  `, [taskId, reminderConfig.defaultDueTime]);
+};
+
+// Deliver one due reminder, skipping the ones already tried in this run. The
+// row stays locked until it is marked sent, so however many instances poll,
+// each reminder goes out once. Returns the reminder id, or null when nothing
+// is due.
+const fireNextReminder = async (skipIds) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(`
+      SELECT r.id, r.task_id, r.user_id, r.fire_at, t.title as task_title,
+             t.list_id, l.name as list_name, to_char(t.due_date, 'YYYY-MM-DD') as due_date,
+             t.due_at, COALESCE(t.time_zone, u.time_zone) as time_zone,
+             u.name as user_name, u.email as user_email
+      FROM task_reminders r
+      JOIN tasks t ON r.task_id = t.id
+      JOIN lists l ON t.list_id = l.id
+      JOIN users u ON r.user_id = u.id
+      WHERE r.sent_at IS NULL
+        AND r.fire_at <= NOW()
+        AND r.attempts < $1
+        AND r.id <> ALL($2::int[])
+        AND t.completed = false
+      ORDER BY r.fire_at
+      LIMIT 1
+      FOR UPDATE OF r SKIP LOCKED
+    `, [reminderConfig.maxAttempts, skipIds]);
+
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const reminder = result.rows[0];
+
+    try {
+      // People who lost access to the list are not reminded about its tasks
+      if (await getListRole(reminder.user_id, reminder.list_id)) {
+        await deliverReminder(reminder);
+      }
+
+      await client.query(
+        'UPDATE task_reminders SET sent_at = NOW(), attempts = attempts + 1, last_error = NULL WHERE id = $1',
+        [reminder.id]
+      );
+    } catch (error) {
+      console.error(`Reminder ${reminder.id} delivery error:`, error);
+      await client.query(
+        'UPDATE task_reminders SET attempts = attempts + 1, last_error = $2 WHERE id = $1',
+        [reminder.id, error.message]
+      );
+    }
+
+    await client.query('COMMIT');
+    return reminder.id;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Deliver every reminder that is due. Returns how many were handled.
+const fireDueReminders = async () => {
+  const handled = [];
+
+  for (let id = await fireNextReminder(handled); id !== null; id = await fireNextReminder(handled)) {
+    handled.push(id);
+  }
+
+  return handled.length;
+};
+
+const startReminderScheduler = () => {
+  let running = null;
+  const run = () => {
+    running = fireDueReminders().catch((error) => {
+      console.error('Reminder scheduler error:', error);
+    });
+  };
+
+  run();
+  const timer = setInterval(run, reminderConfig.pollSeconds * 1000);
+  timer.unref();
+
+  // Stops the scheduler, waiting for a run in progress to finish
+  return () => {
+    clearInterval(timer);
+    return running;
+  };
+};
+
+module.exports = {
+  REMINDER_COLUMNS,
+  createReminder,
+  refreshReminders,
+  fireDueReminders,
+  startReminderScheduler,
+  registerReminderChannel
+};
@@ -0,0 +1,116 @@
+const pool = require('../config/database');
+const { TASK_SORTS, queryTasksInLists } = require('./listTasks');
+const { isValidDay } = require('./search');
+const { accessibleLists } = require('./permissions');
+
+const PRIORITIES = ['low', 'medium', 'high'];
+
+const isId = (value) => Number.isInteger(value) && value > 0;
+const isBoolean = (value) => typeof value === 'boolean';
+const isDistinctArray = (value, max, check) => (
+  Array.isArray(value) && value.length >= 1 && value.length <= max && value.every(check) && new Set(value).size === value.length
+);
+
+// What a saved filter definition may hold: the filters of a task listing (see
+// validateTaskFilters, with the same meaning) plus the lists to search. Each
+// check returns true or an error message.
+const FILTER_SCHEMA = {
+  lists: value => isDistinctArray(value, 50, isId) || 'lists must be an array of up to 50 distinct list IDs',
+  assignee: value => value === 'me' || value === 'none' || isId(value) || 'assignee must be "me", "none" or a user ID',
+  completed: value => isBoolean(value) || 'completed must be true or false',
+  priority: value => isDistinctArray(value, 3, item => PRIORITIES.includes(item)) || 'priority must be an array of low, medium and high',
+  tags: value => isDistinctArray(value, 20, item => typeof item === 'string' && item.trim().length >= 1 && item.length <= 50)
+    || 'tags must be an array of up to 20 distinct tag names',
+  tag_match: value => ['any', 'all'].includes(value) || 'tag_match must be any or all',
+  due_from: value => isValidDay(value) || 'due_from must be a date (YYYY-MM-DD)',
+  due_to: value => isValidDay(value) || 'due_to must be a date (YYYY-MM-DD)',
+  due_within_days: value => (Number.isInteger(value) && value >= 0 && value <= 365) || 'due_within_days must be between 0 and 365',
+  overdue: value => isBoolean(value) || 'overdue must be true or false',
+  has_subtasks: value => isBoolean(value) || 'has_subtasks must be true or false',
+  sort: value => Object.keys(TASK_SORTS).includes(value) || `sort must be one of ${Object.keys(TASK_SORTS).join(', ')}`,
+  order: value => ['asc', 'desc'].includes(value) || 'order must be asc or desc'
+};
+
+// The first problem with a filter definition, or null if it is valid
+const checkFilterDefinition = (definition) => {
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    return 'Definition must be an object';
+  }
+
+  for (const [key, value] of Object.entries(definition)) {
+    if (!FILTER_SCHEMA[key]) {
+      return `Unknown filter "${key}" - use ${Object.keys(FILTER_SCHEMA).join(', ')}`;
+    }
+
+    const result = FILTER_SCHEMA[key](value);
+    if (result !== true) {
+      return result;
+    }
+  }
+
+  return null;
+};
+
+// Tags are stored lowercased, as on tasks
+const normalizeFilterDefinition = (definition) => (
+  definition.tags
+    ? { ...definition, tags: [...new Set(definition.tags.map(tag => tag.trim().toLowerCase()))] }
+    : definition
+);
+
+// Whether the user in userColumn owns or is a member of the list in listColumn
+const canAccessList = (userColumn, listColumn) => `EXISTS (
+  SELECT 1 FROM ${accessibleLists(userColumn)} al WHERE al.list_id = ${listColumn}
+)`;
+
+// A user's own saved filters and those shared with a list they belong to.
+// Sharing lapses while the owner is no longer in the list.
+const getSavedFilters = async (userId, filterId = null) => {
+  const result = await pool.query(`
+    SELECT f.id, f.name, f.definition, f.list_id, sl.name as list_name,
+           json_build_object('id', u.id, 'name', u.name) as owner,
+           f.user_id = $1 as is_owner,
+           f.created_at, f.updated_at
+    FROM saved_filters f
+    JOIN users u ON f.user_id = u.id
+    LEFT JOIN lists sl ON f.list_id = sl.id
+    WHERE ($2::int IS NULL OR f.id = $2::int)
+      AND (f.user_id = $1 OR (
+        f.list_id IS NOT NULL
+        AND ${canAccessList('$1', 'f.list_id')}
+        AND ${canAccessList('f.user_id', 'f.list_id')}
+      ))
+    ORDER BY f.user_id = $1 DESC, lower(f.name) ASC, f.id ASC
+  `, [userId, filterId]);
+
+  return result.rows;
+};
+
+const getSavedFilter = async (userId, filterId) => (await getSavedFilters(userId, filterId))[0] || null;
+
+// Run a saved filter for a user, over the lists they can access - a shared
+// filter only ever shows each member what they could see anyway. "me" is
+// whoever runs it. page holds limit and cursor.
+const runSavedFilter = async (userId, timeZone, definition, page = {}) => {
+  const listsResult = await pool.query(`
+    SELECT al.list_id
+    FROM ${accessibleLists('$1')} al
+    WHERE $2::int[] IS NULL OR al.list_id = ANY($2::int[])
+  `, [userId, definition.lists || null]);
+
+  const { lists, ...filters } = definition;
+
+  return queryTasksInLists(listsResult.rows.map(list => list.list_id), { ...filters, ...page }, {
+    userId,
+    timeZone,
+    includeSubtasks: false
+  });
+};
+
+module.exports = {
+  checkFilterDefinition,
+  normalizeFilterDefinition,
+  getSavedFilters,
+  getSavedFilter,
+  runSavedFilter
+};
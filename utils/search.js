@@ -0,0 +1,189 @@
+const pool = require('../config/database');
+const { accessibleLists } = require('./permissions');
+
+// Both must match the expression indexes in init.sql, or searches fall back
+// to scanning every task
+const TASK_SEARCH_VECTOR = `(setweight(to_tsvector('english', coalesce(t.title, '')), 'A') || setweight(to_tsvector('english', coalesce(t.description, '')), 'B'))`;
+const SUBTASK_SEARCH_VECTOR = `to_tsvector('english', s.title)`;
+
+// ts_headline marks matches with control characters, removed from the text
+// beforehand, so that the text can be HTML-escaped before they become <mark>
+const MATCH_START = '\u0002';
+const MATCH_END = '\u0003';
+
+const headline = (column, options) => (
+  `ts_headline('english', translate(${column}, chr(2) || chr(3), ''), query, '${options}, StartSel=${MATCH_START}, StopSel=${MATCH_END}')`
+);
+
+const DUE_OPERATORS = ['<=', '>=', '<', '>', '='];
+
+// Days relative to today in the user's time zone
+const RELATIVE_DAYS = { yesterday: -1, today: 0, tomorrow: 1 };
+
+const highlightHtml = (headline) => headline
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(new RegExp(MATCH_START, 'g'), '<mark>')
+  .replace(new RegExp(MATCH_END, 'g'), '</mark>');
+
+const isValidDay = (value) => (
+  /^\d{4}-\d{2}-\d{2}$/.test(value) && new Date(`${value}T00:00:00Z`).toISOString().startsWith(value)
+);
+
+// Split a search query into its free text and its operators:
+// tag:<name>, list:<name or ID>, is:done / is:open and due:<op><date>, where
+// op is one of < <= > >= = (default =) and date is YYYY-MM-DD, yesterday,
+// today or tomorrow. Values may be quoted. Returns { error } for operators
+// with invalid values.
+const parseSearchQuery = (q) => {
+  const parsed = { text: [], tags: [], lists: [], done: null, due: [] };
+
+  for (const [token, operator, quoted, bare] of q.matchAll(/(?:\b(tag|list|is|due):(?:"([^"]*)"|(\S+)))|"[^"]*"|\S+/gi)) {
+    if (!operator) {
+      parsed.text.push(token);
+      continue;
+    }
+
+    const value = (quoted !== undefined ? quoted : bare).trim();
+
+    switch (operator.toLowerCase()) {
+      case 'tag':
+        parsed.tags.push(value.toLowerCase());
+        break;
+      case 'list':
+        parsed.lists.push(value);
+        break;
+      case 'is':
+        if (!['done', 'completed', 'open'].includes(value.toLowerCase())) {
+          return { error: 'is: must be done or open' };
+        }
+        parsed.done = value.toLowerCase() !== 'open';
+        break;
+      case 'due': {
+        const op = DUE_OPERATORS.find(candidate => value.startsWith(candidate)) || '=';
+        const day = value.slice(value.startsWith(op) ? op.length : 0).toLowerCase();
+
+        if (!isValidDay(day) && RELATIVE_DAYS[day] === undefined) {
+          return { error: 'due: needs a date (YYYY-MM-DD, yesterday, today or tomorrow), optionally after <, <=, >, >= or =' };
+        }
+        parsed.due.push({ op, day });
+        break;
+      }
+    }
+  }
+
+  return { ...parsed, text: parsed.text.join(' ').trim() || null };
+};
+
+// Tasks in the lists a user can access that match a parsed query, best
+// matches first. Subtasks count towards their task: a task matches if it or
+// one of its subtasks contains the text, and its matching subtasks are
+// returned with it.
+const searchTasks = async (userId, parsed, { timeZone = 'UTC', limit = 20, offset = 0 } = {}) => {
+  const params = [userId, parsed.text];
+  const conditions = [];
+
+  for (const tag of parsed.tags) {
+    params.push(tag);
+    conditions.push(`EXISTS (
+      SELECT 1
+      FROM task_tags tt
+      JOIN tags tag ON tt.tag_id = tag.id
+      WHERE tt.task_id = t.id AND tag.name = $${params.length}
+    )`);
+  }
+
+  if (parsed.lists.length > 0) {
+    params.push(parsed.lists);
+    conditions.push(`(l.id::text = ANY($${params.length}::text[]) OR lower(l.name) = ANY(SELECT lower(name) FROM unnest($${params.length}::text[]) name))`);
+  }
+
+  if (parsed.done !== null) {
+    params.push(parsed.done);
+    conditions.push(`t.completed = $${params.length}`);
+  }
+
+  for (const { op, day } of parsed.due) {
+    if (RELATIVE_DAYS[day] !== undefined) {
+      params.push(timeZone);
+      conditions.push(`t.due_date ${op} (NOW() AT TIME ZONE $${params.length})::date + ${RELATIVE_DAYS[day]}`);
+    } else {
+      params.push(day);
+      conditions.push(`t.due_date ${op} $${params.length}::date`);
+    }
+  }
+
+  params.push(limit, offset);
+
+  const result = await pool.query(`
+    WITH matches AS (
+      SELECT t.id, l.name as list_name,
+             CASE WHEN $2::text IS NULL THEN 0 ELSE
+               ts_rank(${TASK_SEARCH_VECTOR}, query)
+               + COALESCE((
+                 SELECT MAX(ts_rank(setweight(${SUBTASK_SEARCH_VECTOR}, 'C'), query))
+                 FROM subtasks s
+                 WHERE s.task_id = t.id AND ${SUBTASK_SEARCH_VECTOR} @@ query
+               ), 0)
+             END as rank,
+             count(*) OVER () as total
+      FROM tasks t
+      JOIN lists l ON t.list_id = l.id
+      JOIN ${accessibleLists('$1')} al ON al.list_id = l.id
+      CROSS JOIN websearch_to_tsquery('english', COALESCE($2::text, '')) query
+      WHERE ($2::text IS NULL
+          OR ${TASK_SEARCH_VECTOR} @@ query
+          OR EXISTS (SELECT 1 FROM subtasks s WHERE s.task_id = t.id AND ${SUBTASK_SEARCH_VECTOR} @@ query))
+        ${conditions.map(condition => `AND ${condition}`).join('\n        ')}
+      ORDER BY rank DESC, t.due_date ASC NULLS LAST, t.id DESC
+      LIMIT $${params.length - 1} OFFSET $${params.length}
+    )
+    SELECT t.id, t.list_id, m.list_name, t.title, t.description, t.priority,
+           t.due_date, t.due_at, t.time_zone, t.completed, t.created_at,
+           COALESCE((
+             SELECT json_agg(json_build_object('id', tag.id, 'name', tag.name) ORDER BY tag.name)
+             FROM task_tags tt
+             JOIN tags tag ON tt.tag_id = tag.id
+             WHERE tt.task_id = t.id
+           ), '[]') as tags,
+           m.rank, m.total,
+           CASE WHEN $2::text IS NULL THEN NULL ELSE json_build_object(
+             'title', ${headline('t.title', 'HighlightAll=true')},
+             'description', CASE WHEN t.description IS NULL THEN NULL
+               ELSE ${headline('t.description', 'MaxFragments=2, MaxWords=20, MinWords=5')} END,
+             'subtasks', COALESCE((
+               SELECT json_agg(json_build_object(
+                 'id', s.id,
+                 'title', ${headline('s.title', 'HighlightAll=true')},
+                 'completed', s.completed
+               ) ORDER BY s.id)
+               FROM subtasks s
+               WHERE s.task_id = t.id AND ${SUBTASK_SEARCH_VECTOR} @@ query
+             ), '[]')
+           ) END as highlights
+    FROM matches m
+    JOIN tasks t ON t.id = m.id
+    CROSS JOIN websearch_to_tsquery('english', COALESCE($2::text, '')) query
+    ORDER BY m.rank DESC, t.due_date ASC NULLS LAST, t.id DESC
+  `, params);
+
+  return {
+    total: result.rows.length > 0 ? parseInt(result.rows[0].total, 10) : 0,
+    results: result.rows.map(({ total, highlights, ...task }) => ({
+      ...task,
+      highlights: highlights && {
+        title: highlightHtml(highlights.title),
+        description: highlights.description && highlightHtml(highlights.description),
+        subtasks: highlights.subtasks.map(subtask => ({ ...subtask, title: highlightHtml(subtask.title) }))
+      }
+    }))
+  };
+};
+
+module.exports = {
+  isValidDay,
+  parseSearchQuery,
+  searchTasks
+};
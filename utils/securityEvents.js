@@ -0,0 +1,18 @@
+const pool = require('../config/database');
+
+// Record a security-relevant event for a user. Failures are logged but never
+// break the request that triggered them.
+const recordSecurityEvent = async (userId, eventType, req, metadata = null) => {
+  try {
+    await pool.query(
+      'INSERT INTO security_events (user_id, event_type, ip_address, user_agent, metadata) VALUES ($1, $2, $3, $4, $5)',
+      [userId, eventType, req ? req.ip : null, req ? req.get('user-agent') || null : null, metadata]
+    );
+  } catch (error) {
+    console.error('Record security event error:', error);
+  }
+};
+
+module.exports = {
+  recordSecurityEvent
+};
@@ -0,0 +1,128 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const pool = require('../config/database');
+const { jwtSecret, accessTokenTtl, refreshTokenTtlDays } = require('../config/auth');
+const { generateToken, hashToken } = require('./tokens');
+
+const signAccessToken = (user, sessionId) => jwt.sign(
+  { userId: user.id, email: user.email, sid: sessionId, type: 'access' },
+  jwtSecret,
+  { expiresIn: accessTokenTtl }
+);
+
+const issueRefreshToken = async (sessionId) => {
+  const refreshToken = generateToken(48);
+
+  await pool.query(
+    `INSERT INTO refresh_tokens (session_id, token_hash, expires_at)
+     VALUES ($1, $2, NOW() + make_interval(days => $3))`,
+    [sessionId, hashToken(refreshToken), refreshTokenTtlDays]
+  );
+
+  return refreshToken;
+};
+
+const buildTokens = (accessToken, refreshToken) => {
+  const { iat, exp } = jwt.decode(accessToken);
+
+  return {
+    token: accessToken,
+    refreshToken,
+    expiresIn: exp - iat
+  };
+};
+
+// Start a new session (one refresh token family) for a user
+const createSession = async (user, req) => {
+  const sessionId = crypto.randomUUID();
+
+  await pool.query(
+    'INSERT INTO sessions (id, user_id, user_agent, ip_address) VALUES ($1, $2, $3, $4)',
+    [sessionId, user.id, req.get('user-agent') || null, req.ip]
+  );
+
+  const refreshToken = await issueRefreshToken(sessionId);
+  return buildTokens(signAccessToken(user, sessionId), refreshToken);
+};
+
+// Look up a refresh token together with its session and user
+const findRefreshToken = async (refreshToken) => {
+  const result = await pool.query(`
+    SELECT rt.id, rt.session_id, rt.used_at, rt.expires_at < NOW() as expired,
+           s.revoked_at, s.user_id, u.email
+    FROM refresh_tokens rt
+    JOIN sessions s ON rt.session_id = s.id
+    JOIN users u ON s.user_id = u.id
+    WHERE rt.token_hash = $1
+  `, [hashToken(refreshToken)]);
+
+  return result.rows.length > 0 ? result.rows[0] : null;
+};
+
+const revokeSession = async (sessionId) => {
+  await pool.query(
+    'UPDATE sessions SET revoked_at = NOW() WHERE id = $1 AND revoked_at IS NULL',
+    [sessionId]
+  );
+};
+
+const revokeUserSessions = async (userId) => {
+  await pool.query(
+    'UPDATE sessions SET revoked_at = NOW() WHERE user_id = $1 AND revoked_at IS NULL',
+    [userId]
+  );
+};
+
+// Exchange a refresh token for a new access/refresh token pair.
+// Returns { error } when the token cannot be used, with reuseDetected and
+// userId set when a used token was replayed.
+const rotateRefreshToken = async (refreshToken) => {
+  const stored = await findRefreshToken(refreshToken);
+
+  if (!stored) {
+    return { error: 'Invalid refresh token' };
+  }
+
+  if (stored.revoked_at) {
+    return { error: 'Session has been revoked' };
+  }
+
+  // Claim the token atomically - if it was already used, someone else has a
+  // copy of it, so the whole session is revoked
+  const claim = await pool.query(
+    'UPDATE refresh_tokens SET used_at = NOW() WHERE id = $1 AND used_at IS NULL',
+    [stored.id]
+  );
+
+  if (claim.rowCount === 0) {
+    await revokeSession(stored.session_id);
+    console.warn(`Refresh token reuse detected for session ${stored.session_id}, session revoked`);
+    return {
+      error: 'Refresh token reuse detected - session revoked',
+      reuseDetected: true,
+      userId: stored.user_id
+    };
+  }
+
+  if (stored.expired) {
+    return { error: 'Refresh token has expired' };
+  }
+
+  await pool.query('UPDATE sessions SET last_used_at = NOW() WHERE id = $1', [stored.session_id]);
+
+  const user = { id: stored.user_id, email: stored.email };
+  const newRefreshToken = await issueRefreshToken(stored.session_id);
+
+  return {
+    userId: stored.user_id,
+    tokens: buildTokens(signAccessToken(user, stored.session_id), newRefreshToken)
+  };
+};
+
+module.exports = {
+  createSession,
+  findRefreshToken,
+  rotateRefreshToken,
+  revokeSession,
+  revokeUserSessions
+};
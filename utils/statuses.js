@@ -0,0 +1,158 @@
+const pool = require('../config/database');
+
+// The status a task of the tasks table gets when completed is set from outside
+// the board (toggle, task updates, CalDAV): its current status if that
+// already agrees - a reopened task in Review stays there - otherwise the
+// first terminal or non-terminal column of its list. NULL while the list has
+// no statuses. completed is an SQL expression.
+const matchingStatus = (completed) => `COALESCE(
+  (SELECT cur.id FROM list_statuses cur WHERE cur.id = tasks.status_id AND cur.is_terminal = ${completed}),
+  (SELECT s.id FROM list_statuses s WHERE s.list_id = tasks.list_id AND s.is_terminal = ${completed} ORDER BY s.position, s.id LIMIT 1)
+)`;
+
+// For occurrences of recurring tasks created on completion, whose status
+// follows their completed flag. They are never refused for a WIP limit, which
+// would break the series. db can be a client in a transaction.
+const syncTaskStatus = (taskId, db = pool) => db.query(
+  `UPDATE tasks SET status_id = ${matchingStatus('tasks.completed')} WHERE id = $1`,
+  [taskId]
+);
+
+// Put a task in a status, or in the one its completed flag calls for (see
+// matchingStatus) when statusId is undefined. db must be a client in a
+// transaction: the task and then the status are locked, so that moves into
+// the same status take turns and each counts the tasks the others moved in.
+// Moving into a status at its WIP limit changes nothing and returns that
+// status; otherwise returns null.
+const assignStatus = async (taskId, statusId, db) => {
+  const taskResult = await db.query(
+    `SELECT status_id, ${matchingStatus('tasks.completed')} as matching_id FROM tasks WHERE id = $1 FOR UPDATE`,
+    [taskId]
+  );
+
+  const task = taskResult.rows[0];
+  const targetId = statusId === undefined ? task.matching_id : statusId;
+
+  if (targetId !== null && targetId !== task.status_id) {
+    const statusResult = await db.query(
+      'SELECT id, name, wip_limit FROM list_statuses WHERE id = $1 FOR UPDATE',
+      [targetId]
+    );
+
+    const status = statusResult.rows[0];
+
+    if (status.wip_limit !== null) {
+      const countResult = await db.query('SELECT COUNT(*)::int as count FROM tasks WHERE status_id = $1', [targetId]);
+
+      if (countResult.rows[0].count >= status.wip_limit) {
+        return status;
+      }
+    }
+  }
+
+  await db.query('UPDATE tasks SET status_id = $1 WHERE id = $2', [targetId, taskId]);
+  return null;
+};
+
+const sendStatusFullResponse = (res, status) => res.status(409).json({
+  error: `Status "${status.name}" is at its WIP limit`,
+  wip_limit: status.wip_limit
+});
+
+// The statuses of a list in board order
+const getListStatuses = async (listId) => {
+  const result = await pool.query(`
+    SELECT id, name, position, is_terminal, wip_limit
+    FROM list_statuses
+    WHERE list_id = $1
+    ORDER BY position ASC, id ASC
+  `, [listId]);
+
+  return result.rows;
+};
+
+// Replace the statuses of a list with an ordered set. Statuses with an id are
+// kept (renamed, moved or reconfigured), the rest are created, and those left
+// out are deleted. Tasks keep their completed flag: those whose status went
+// away or no longer agrees with it move to the first matching column, which
+// must have room for them under its WIP limit: the statuses stay locked until
+// the tasks are counted, as in assignStatus. Returns { statuses }, or
+// { fullStatus } with the column that would go over its limit, changing
+// nothing. Returns null if an id is not a status of the list.
+const replaceListStatuses = async (listId, statuses) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const existingResult = await client.query('SELECT id FROM list_statuses WHERE list_id = $1 FOR UPDATE', [listId]);
+    const existingIds = existingResult.rows.map(status => status.id);
+
+    if (statuses.some(status => status.id !== undefined && !existingIds.includes(status.id))) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const keptIds = [];
+
+    for (const [position, status] of statuses.entries()) {
+      const values = [status.name, position, status.is_terminal || false, status.wip_limit || null];
+
+      if (status.id !== undefined) {
+        await client.query(
+          'UPDATE list_statuses SET name = $1, position = $2, is_terminal = $3, wip_limit = $4 WHERE id = $5',
+          [...values, status.id]
+        );
+        keptIds.push(status.id);
+      } else {
+        const result = await client.query(
+          'INSERT INTO list_statuses (name, position, is_terminal, wip_limit, list_id) VALUES ($1, $2, $3, $4, $5) RETURNING id',
+          [...values, listId]
+        );
+        keptIds.push(result.rows[0].id);
+      }
+    }
+
+    await client.query('DELETE FROM list_statuses WHERE list_id = $1 AND id <> ALL($2::int[])', [listId, keptIds]);
+
+    const movedResult = await client.query(
+      `UPDATE tasks SET status_id = ${matchingStatus('tasks.completed')}
+       WHERE list_id = $1 AND status_id IS DISTINCT FROM ${matchingStatus('tasks.completed')}
+       RETURNING status_id`,
+      [listId]
+    );
+
+    const movedIntoIds = [...new Set(movedResult.rows.map(task => task.status_id))];
+    const fullResult = await client.query(`
+      SELECT s.id, s.name, s.wip_limit
+      FROM list_statuses s
+      WHERE s.id = ANY($1::int[]) AND s.wip_limit IS NOT NULL
+        AND (SELECT COUNT(*) FROM tasks WHERE status_id = s.id) > s.wip_limit
+      ORDER BY s.position
+      LIMIT 1
+    `, [movedIntoIds]);
+
+    if (fullResult.rows.length > 0) {
+      await client.query('ROLLBACK');
+      return { fullStatus: fullResult.rows[0] };
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  return { statuses: await getListStatuses(listId) };
+};
+
+module.exports = {
+  matchingStatus,
+  syncTaskStatus,
+  assignStatus,
+  sendStatusFullResponse,
+  getListStatuses,
+  replaceListStatuses
+};
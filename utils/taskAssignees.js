@@ -0,0 +1,95 @@
+const pool = require('../config/database');
+const { accessibleLists, can } = require('./permissions');
+
+// Columns aggregating the assignees of a task (aliased t) or subtask (aliased s)
+const TASK_ASSIGNEES_COLUMN = `
+  COALESCE((
+    SELECT json_agg(json_build_object('id', au.id, 'name', au.name) ORDER BY au.name)
+    FROM task_assignees ta
+    JOIN users au ON ta.user_id = au.id
+    WHERE ta.task_id = t.id
+  ), '[]') as assignees
+`;
+
+const SUBTASK_ASSIGNEES_COLUMN = `
+  COALESCE((
+    SELECT json_agg(json_build_object('id', au.id, 'name', au.name) ORDER BY au.name)
+    FROM subtask_assignees sa
+    JOIN users au ON sa.user_id = au.id
+    WHERE sa.subtask_id = s.id
+  ), '[]') as assignees
+`;
+
+// Only the owner and members whose role lets them work on tasks can be
+// assigned. Returns the ids that cannot be assigned on the list.
+const findUnassignableUsers = async (listId, userIds) => {
+  const uniqueIds = [...new Set(userIds)];
+
+  if (uniqueIds.length === 0) {
+    return [];
+  }
+
+  const result = await pool.query(`
+    SELECT u.id, (SELECT al.role FROM ${accessibleLists('u.id')} al WHERE al.list_id = $1) as role
+    FROM users u
+    WHERE u.id = ANY($2::int[])
+  `, [listId, uniqueIds]);
+
+  const assignable = new Set(
+    result.rows.filter(row => can(row.role, 'task.complete')).map(row => row.id)
+  );
+
+  return uniqueIds.filter(id => !assignable.has(id));
+};
+
+// Replace the assignees of a task, keeping existing assignments as they are.
+// db can be a client in a transaction.
+const setTaskAssignees = async (taskId, userIds, assignedBy, db = pool) => {
+  await db.query(
+    'DELETE FROM task_assignees WHERE task_id = $1 AND user_id <> ALL($2::int[])',
+    [taskId, userIds]
+  );
+
+  await db.query(`
+    INSERT INTO task_assignees (task_id, user_id, assigned_by)
+    SELECT $1, unnest($2::int[]), $3
+    ON CONFLICT DO NOTHING
+  `, [taskId, userIds, assignedBy]);
+};
+
+const setSubtaskAssignees = async (subtaskId, userIds, assignedBy) => {
+  await pool.query(
+    'DELETE FROM subtask_assignees WHERE subtask_id = $1 AND user_id <> ALL($2::int[])',
+    [subtaskId, userIds]
+  );
+
+  await pool.query(`
+    INSERT INTO subtask_assignees (subtask_id, user_id, assigned_by)
+    SELECT $1, unnest($2::int[]), $3
+    ON CONFLICT DO NOTHING
+  `, [subtaskId, userIds, assignedBy]);
+};
+
+// Unassign someone from everything in a list, e.g. after they left it
+const removeListAssignments = async (listId, userId) => {
+  await pool.query(`
+    DELETE FROM task_assignees ta
+    USING tasks t
+    WHERE ta.task_id = t.id AND t.list_id = $1 AND ta.user_id = $2
+  `, [listId, userId]);
+
+  await pool.query(`
+    DELETE FROM subtask_assignees sa
+    USING subtasks s, tasks t
+    WHERE sa.subtask_id = s.id AND s.task_id = t.id AND t.list_id = $1 AND sa.user_id = $2
+  `, [listId, userId]);
+};
+
+module.exports = {
+  TASK_ASSIGNEES_COLUMN,
+  SUBTASK_ASSIGNEES_COLUMN,
+  findUnassignableUsers,
+  setTaskAssignees,
+  setSubtaskAssignees,
+  removeListAssignments
+};
@@ -0,0 +1,258 @@
+const pool = require('../config/database');
+const { today, addDays, parseRule, formatRule, nextOccurrence } = require('./recurrence');
+const { findUnassignableUsers } = require('./taskAssignees');
+const { refreshReminders } = require('./reminders');
+const { syncTaskStatus } = require('./statuses');
+
+// Column describing the recurrence of a task (aliased t), null for one-off tasks
+const TASK_RECURRENCE_COLUMN = `
+  (
+    SELECT json_build_object('rule', ts.rrule, 'after_completion', ts.after_completion)
+    FROM task_series ts
+    WHERE ts.id = t.series_id AND ts.ended_at IS NULL
+  ) as recurrence
+`;
+
+// The active series a task belongs to, with dates as YYYY-MM-DD. db can be a
+// client in a transaction.
+const getTaskSeries = async (taskId, db = pool) => {
+  const result = await db.query(`
+    SELECT ts.id, ts.rrule, ts.after_completion, ts.starts_on::text as starts_on,
+           t.due_date::text as due_date
+    FROM tasks t
+    JOIN task_series ts ON t.series_id = ts.id
+    WHERE t.id = $1 AND ts.ended_at IS NULL
+  `, [taskId]);
+
+  return result.rows.length > 0 ? result.rows[0] : null;
+};
+
+// When the occurrence after one due on dueDate is due. Calendar rules never
+// schedule it in the past, however late the current one was finished.
+// "Today" is today in timeZone, the time zone of the user acting on it.
+const nextDueDate = (series, dueDate, timeZone) => {
+  if (series.after_completion) {
+    return addDays(today(timeZone), parseRule(series.rrule).interval);
+  }
+
+  const yesterday = addDays(today(timeZone), -1);
+  return nextOccurrence(series.rrule, series.starts_on, dueDate && dueDate > yesterday ? dueDate : yesterday);
+};
+
+// Copy a task's current fields into the template of its series. db, here
+// and in the functions below, can be a client in a transaction.
+const saveSeriesTemplate = async (seriesId, taskId, db = pool) => {
+  await db.query(`
+    UPDATE task_series ts
+    SET title = t.title,
+        description = t.description,
+        priority = t.priority,
+        due_time = (t.due_at AT TIME ZONE t.time_zone)::time,
+        time_zone = t.time_zone,
+        tags = COALESCE((
+          SELECT array_agg(tag.name ORDER BY tag.name)
+          FROM task_tags tt
+          JOIN tags tag ON tt.tag_id = tag.id
+          WHERE tt.task_id = t.id
+        ), '{}'),
+        assignee_ids = COALESCE((
+          SELECT array_agg(ta.user_id ORDER BY ta.user_id)
+          FROM task_assignees ta
+          WHERE ta.task_id = t.id
+        ), '{}')
+    FROM tasks t
+    WHERE ts.id = $1 AND t.id = $2
+  `, [seriesId, taskId]);
+};
+
+// The first day a rule matches, counting today in timeZone
+const firstDueDate = (rule, timeZone) => nextOccurrence(rule, today(timeZone), addDays(today(timeZone), -1));
+
+// Make a task the first occurrence of a new series. Tasks without a due date
+// become due on the first day the rule matches in the creator's time zone.
+const startSeries = async (taskId, recurrence, createdBy, timeZone, db = pool) => {
+  const taskResult = await db.query(`
+    UPDATE tasks SET due_date = COALESCE(due_date, $2::date)
+    WHERE id = $1
+    RETURNING list_id, title, due_date::text as due_date
+  `, [taskId, firstDueDate(recurrence.rule, timeZone)]);
+
+  const task = taskResult.rows[0];
+
+  const seriesResult = await db.query(`
+    INSERT INTO task_series (list_id, rrule, after_completion, starts_on, title, created_by)
+    VALUES ($1, $2, $3, $4, $5, $6)
+    RETURNING id
+  `, [
+    task.list_id,
+    formatRule(parseRule(recurrence.rule)),
+    Boolean(recurrence.after_completion),
+    task.due_date,
+    task.title,
+    createdBy
+  ]);
+
+  const seriesId = seriesResult.rows[0].id;
+
+  await db.query('UPDATE tasks SET series_id = $1 WHERE id = $2', [seriesId, taskId]);
+  await saveSeriesTemplate(seriesId, taskId, db);
+
+  return seriesId;
+};
+
+// Change the rule of a series. It restarts from the given occurrence, so
+// weekly and monthly rules line up with its due date, or from today in
+// timeZone if it has none.
+const updateSeriesRule = async (seriesId, taskId, recurrence, timeZone, db = pool) => {
+  await db.query(`
+    UPDATE task_series ts
+    SET rrule = $3, after_completion = $4, starts_on = COALESCE(t.due_date, $5::date)
+    FROM tasks t
+    WHERE ts.id = $1 AND t.id = $2
+  `, [seriesId, taskId, formatRule(parseRule(recurrence.rule)), Boolean(recurrence.after_completion), today(timeZone)]);
+};
+
+const endSeries = async (seriesId, db = pool) => {
+  await db.query(
+    'UPDATE task_series SET ended_at = NOW() WHERE id = $1 AND ended_at IS NULL',
+    [seriesId]
+  );
+};
+
+// Create the occurrence following a completed one, with the series template
+// and the subtasks of the completed occurrence reset. Reminders set relative
+// to the due time carry over. Returns the new task's id, or null if the
+// series has ended or already has an open occurrence. timeZone is that of
+// the user completing it.
+const createNextOccurrence = async (taskId, createdBy, timeZone) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    // Locking the series keeps concurrent completions from both creating one
+    const seriesResult = await client.query(`
+      SELECT ts.*, ts.starts_on::text as starts_on, t.due_date::text as due_date
+      FROM tasks t
+      JOIN task_series ts ON t.series_id = ts.id
+      WHERE t.id = $1 AND ts.ended_at IS NULL
+      FOR UPDATE OF ts
+    `, [taskId]);
+
+    if (seriesResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const series = seriesResult.rows[0];
+
+    const openResult = await client.query(
+      'SELECT 1 FROM tasks WHERE series_id = $1 AND completed = false AND id <> $2 LIMIT 1',
+      [series.id, taskId]
+    );
+
+    if (openResult.rows.length > 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    // The next occurrence takes the place of the one just completed
+    const nextResult = await client.query(`
+      INSERT INTO tasks (list_id, title, description, priority, due_date, due_at, time_zone, series_id, position)
+      VALUES ($1, $2, $3, $4, $5::date, ($5::date + $6::time) AT TIME ZONE $7, $7, $8, (SELECT position FROM tasks WHERE id = $9))
+      RETURNING id
+    `, [
+      series.list_id,
+      series.title,
+      series.description,
+      series.priority,
+      nextDueDate(series, series.due_date, timeZone),
+      series.due_time,
+      series.time_zone,
+      series.id,
+      taskId
+    ]);
+
+    const nextId = nextResult.rows[0].id;
+    await syncTaskStatus(nextId, client);
+
+    if (series.tags.length > 0) {
+      await client.query(
+        'INSERT INTO tags (name) SELECT unnest($1::text[]) ON CONFLICT (name) DO NOTHING',
+        [series.tags]
+      );
+      await client.query(
+        'INSERT INTO task_tags (task_id, tag_id) SELECT $1, id FROM tags WHERE name = ANY($2::text[])',
+        [nextId, series.tags]
+      );
+    }
+
+    // Skip assignees who have since lost access or been demoted
+    const unassignable = await findUnassignableUsers(series.list_id, series.assignee_ids);
+    const assigneeIds = series.assignee_ids.filter(id => !unassignable.includes(id));
+
+    if (assigneeIds.length > 0) {
+      await client.query(`
+        INSERT INTO task_assignees (task_id, user_id, assigned_by)
+        SELECT $1, unnest($2::int[]), $3
+      `, [nextId, assigneeIds, createdBy]);
+    }
+
+    const subtasksResult = await client.query(
+      'SELECT id, title, position FROM subtasks WHERE task_id = $1 ORDER BY position, id',
+      [taskId]
+    );
+
+    // Subtask assignees are skipped the same way
+    const subtaskAssigneesResult = await client.query(`
+      SELECT DISTINCT sa.user_id
+      FROM subtask_assignees sa
+      JOIN subtasks s ON sa.subtask_id = s.id
+      WHERE s.task_id = $1
+    `, [taskId]);
+    const unassignableSubtaskUsers = await findUnassignableUsers(
+      series.list_id,
+      subtaskAssigneesResult.rows.map(row => row.user_id)
+    );
+
+    for (const subtask of subtasksResult.rows) {
+      const subtaskResult = await client.query(
+        'INSERT INTO subtasks (task_id, title, position) VALUES ($1, $2, $3) RETURNING id',
+        [nextId, subtask.title, subtask.position]
+      );
+
+      await client.query(`
+        INSERT INTO subtask_assignees (subtask_id, user_id, assigned_by)
+        SELECT $1, user_id, assigned_by FROM subtask_assignees WHERE subtask_id = $2 AND user_id <> ALL($3::int[])
+      `, [subtaskResult.rows[0].id, subtask.id, unassignableSubtaskUsers]);
+    }
+
+    await client.query(`
+      INSERT INTO task_reminders (task_id, user_id, minutes_before)
+      SELECT $1, user_id, minutes_before
+      FROM task_reminders
+      WHERE task_id = $2 AND minutes_before IS NOT NULL
+    `, [nextId, taskId]);
+
+    await client.query('COMMIT');
+
+    await refreshReminders(nextId);
+    return nextId;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+module.exports = {
+  TASK_RECURRENCE_COLUMN,
+  getTaskSeries,
+  nextDueDate,
+  saveSeriesTemplate,
+  startSeries,
+  updateSeriesRule,
+  endSeries,
+  createNextOccurrence
+};
@@ -0,0 +1,13 @@
+const crypto = require('crypto');
+
+// Random, URL-safe opaque token
+const generateToken = (bytes = 32) => crypto.randomBytes(bytes).toString('hex');
+
+// Opaque tokens are random and high-entropy, so a fast hash is enough to
+// store them and still lets us look them up directly
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+module.exports = {
+  generateToken,
+  hashToken
+};
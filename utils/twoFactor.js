@@ -0,0 +1,119 @@
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const pool = require('../config/database');
+const { jwtSecret, mfaChallengeTtl } = require('../config/auth');
+const { verifyTotp } = require('./totp');
+const { generateToken } = require('./tokens');
+
+const RECOVERY_CODE_COUNT = 10;
+
+const normalizeRecoveryCode = (code) => code.toLowerCase().replace(/[^0-9a-f]/g, '');
+
+// Replace a user's recovery codes with a fresh set and return the plain codes.
+// They are only ever shown once.
+const generateRecoveryCodes = async (userId) => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = generateToken(5);
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  const hashes = await Promise.all(
+    codes.map(code => bcrypt.hash(normalizeRecoveryCode(code), 10))
+  );
+
+  await pool.query('DELETE FROM recovery_codes WHERE user_id = $1', [userId]);
+  await pool.query(
+    'INSERT INTO recovery_codes (user_id, code_hash) SELECT $1, unnest($2::text[])',
+    [userId, hashes]
+  );
+
+  return codes;
+};
+
+// Check a TOTP code for a user with 2FA enabled, rejecting replays
+const verifyUserTotp = async (user, code) => {
+  const step = verifyTotp(user.totp_secret, code, {
+    afterStep: user.totp_last_used_step !== null ? Number(user.totp_last_used_step) : null
+  });
+
+  if (step === null) {
+    return false;
+  }
+
+  // Only one request can claim a given step
+  const claim = await pool.query(`
+    UPDATE users SET totp_last_used_step = $1
+    WHERE id = $2 AND (totp_last_used_step IS NULL OR totp_last_used_step < $1)
+  `, [step, user.id]);
+
+  return claim.rowCount > 0;
+};
+
+// Check and consume a one-time recovery code
+const useRecoveryCode = async (userId, recoveryCode) => {
+  const normalized = normalizeRecoveryCode(recoveryCode);
+  const result = await pool.query(
+    'SELECT id, code_hash FROM recovery_codes WHERE user_id = $1 AND used_at IS NULL',
+    [userId]
+  );
+
+  for (const row of result.rows) {
+    if (await bcrypt.compare(normalized, row.code_hash)) {
+      const claim = await pool.query(
+        'UPDATE recovery_codes SET used_at = NOW() WHERE id = $1 AND used_at IS NULL',
+        [row.id]
+      );
+      return claim.rowCount > 0;
+    }
+  }
+
+  return false;
+};
+
+// Verify the second factor given as either `code` (TOTP) or `recoveryCode`
+const verifySecondFactor = async (userId, { code, recoveryCode }) => {
+  const result = await pool.query(
+    'SELECT id, totp_secret, totp_enabled, totp_last_used_step FROM users WHERE id = $1',
+    [userId]
+  );
+
+  const user = result.rows[0];
+  if (!user || !user.totp_enabled) {
+    return false;
+  }
+
+  if (code) {
+    return verifyUserTotp(user, code);
+  }
+
+  if (recoveryCode) {
+    return useRecoveryCode(userId, recoveryCode);
+  }
+
+  return false;
+};
+
+// Short-lived token proving the password step of a two-step login succeeded
+const signMfaChallenge = (user) => jwt.sign(
+  { userId: user.id, type: 'mfa_challenge' },
+  jwtSecret,
+  { expiresIn: mfaChallengeTtl }
+);
+
+// Returns the user id from a valid challenge token, or null
+const verifyMfaChallenge = (challengeToken) => {
+  try {
+    const decoded = jwt.verify(challengeToken, jwtSecret);
+    return decoded.type === 'mfa_challenge' ? decoded.userId : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  generateRecoveryCodes,
+  verifyUserTotp,
+  verifySecondFactor,
+  signMfaChallenge,
+  verifyMfaChallenge
+};
@@ -0,0 +1,112 @@
+const pool = require('../config/database');
+const { TASK_ASSIGNEES_COLUMN } = require('./taskAssignees');
+const { TASK_RECURRENCE_COLUMN } = require('./taskSeries');
+const { accessibleLists } = require('./permissions');
+
+// $2 is always the user's time zone. A task's day is the day it is due in
+// that time zone, which for tasks due at a time can differ from due_date.
+const TODAY = '(NOW() AT TIME ZONE $2)::date';
+const DUE_DAY = 'COALESCE((t.due_at AT TIME ZONE $2)::date, t.due_date)';
+const PRIORITY_RANK = "CASE t.priority WHEN 'high' THEN 1 WHEN 'medium' THEN 2 WHEN 'low' THEN 3 ELSE 4 END";
+
+// Built-in views over the open tasks of every list a user can access. group
+// is how results are grouped unless the request asks otherwise.
+const VIEWS = {
+  today: {
+    name: 'Today',
+    condition: `${DUE_DAY} = ${TODAY}`,
+    group: 'list'
+  },
+  overdue: {
+    name: 'Overdue',
+    condition: `(t.due_at < NOW() OR (t.due_at IS NULL AND t.due_date < ${TODAY}))`,
+    group: 'date'
+  },
+  upcoming: {
+    name: 'Next 7 days',
+    condition: `${DUE_DAY} BETWEEN ${TODAY} + 1 AND ${TODAY} + 7`,
+    group: 'date'
+  },
+  undated: {
+    name: 'No date',
+    condition: 't.due_date IS NULL',
+    group: 'list'
+  },
+  'high-priority': {
+    name: 'High priority',
+    condition: "t.priority = 'high'",
+    group: 'date'
+  }
+};
+
+const ACCESSIBLE_OPEN_TASKS = `
+  FROM tasks t
+  JOIN lists l ON t.list_id = l.id
+  JOIN ${accessibleLists('$1')} al ON al.list_id = l.id
+  WHERE t.completed = false
+`;
+
+// How many tasks each view holds, e.g. for badges in a sidebar
+const countViews = async (userId, timeZone) => {
+  const result = await pool.query(`
+    SELECT ${Object.entries(VIEWS).map(([key, view]) => `COUNT(*) FILTER (WHERE ${view.condition})::int as "${key}"`).join(',\n           ')}
+    ${ACCESSIBLE_OPEN_TASKS}
+  `, [userId, timeZone]);
+
+  return Object.entries(VIEWS).map(([key, view]) => ({ view: key, name: view.name, count: result.rows[0][key] }));
+};
+
+// The tasks of a view in groups of { date, tasks } (in date order, undated
+// last) or { list, tasks } (by list name). Tasks within a group are ordered by
+// due time, then priority.
+const getViewTasks = async (userId, viewKey, { timeZone, group }) => {
+  const view = VIEWS[viewKey];
+
+  const result = await pool.query(`
+    SELECT t.id, t.list_id, l.name as list_name, t.title, t.description, t.priority,
+           t.due_date, t.due_at, t.time_zone, t.completed, t.created_at,
+           to_char(${DUE_DAY}, 'YYYY-MM-DD') as due_day,
+           COALESCE((
+             SELECT json_agg(json_build_object('id', tag.id, 'name', tag.name) ORDER BY tag.name)
+             FROM task_tags tt
+             JOIN tags tag ON tt.tag_id = tag.id
+             WHERE tt.task_id = t.id
+           ), '[]') as tags,
+           ${TASK_ASSIGNEES_COLUMN},
+           ${TASK_RECURRENCE_COLUMN}
+    ${ACCESSIBLE_OPEN_TASKS}
+      AND ${view.condition}
+    ORDER BY ${DUE_DAY} ASC NULLS LAST, t.due_at ASC NULLS LAST, ${PRIORITY_RANK}, t.id ASC
+  `, [userId, timeZone]);
+
+  const todayResult = await pool.query("SELECT to_char((NOW() AT TIME ZONE $1)::date, 'YYYY-MM-DD') as today", [timeZone]);
+
+  const groups = new Map();
+  for (const task of result.rows) {
+    const key = group === 'date' ? task.due_day : task.list_id;
+
+    if (!groups.has(key)) {
+      groups.set(key, group === 'date'
+        ? { date: task.due_day, tasks: [] }
+        : { list: { id: task.list_id, name: task.list_name }, tasks: [] });
+    }
+    groups.get(key).tasks.push(task);
+  }
+
+  const sortedGroups = [...groups.values()];
+  if (group === 'list') {
+    sortedGroups.sort((a, b) => a.list.name.localeCompare(b.list.name) || a.list.id - b.list.id);
+  }
+
+  return {
+    today: todayResult.rows[0].today,
+    total: result.rows.length,
+    groups: sortedGroups
+  };
+};
+
+module.exports = {
+  VIEWS,
+  countViews,
+  getViewTasks
+};